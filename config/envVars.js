@@ -11,4 +11,28 @@ export const ENV_VARS = {
 	CLOUDINARY_CLOUD_NAME: process.env.CLOUDINARY_CLOUD_NAME,
 	CLOUDINARY_API_KEY: process.env.CLOUDINARY_API_KEY,
 	CLOUDINARY_API_SECRET: process.env.CLOUDINARY_API_SECRET,
+	REVIEW_MODERATION: process.env.REVIEW_MODERATION || "manual", // "manual" holds every review, "auto" publishes reviews that pass the filter
+	STORAGE_DRIVER: process.env.STORAGE_DRIVER || "cloudinary", // "cloudinary" or "local"
+	SERVER_URL: process.env.SERVER_URL || "http://localhost:" + (process.env.PORT || 5000),
+	CLIENT_URL: process.env.CLIENT_URL || "http://localhost:5173",
+	SKU_PATTERN: process.env.SKU_PATTERN || "{CATEGORY:3}-{PRODUCT:6}-{SIZE}-{COLOR:3}",
+	BARCODE_PREFIX: process.env.BARCODE_PREFIX || "200", // GS1 in-store range, 200-299
+	DEFAULT_REORDER_POINT: Number(process.env.DEFAULT_REORDER_POINT ?? 5), // For variants without their own reorder point
+	STOCK_ALERT_CHANNELS: process.env.STOCK_ALERT_CHANNELS || "log", // Comma-separated: log, webhook, email
+	STOCK_ALERT_WEBHOOK_URL: process.env.STOCK_ALERT_WEBHOOK_URL,
+	STOCK_ALERT_EMAIL_TO: process.env.STOCK_ALERT_EMAIL_TO,
+	SMTP_HOST: process.env.SMTP_HOST,
+	SMTP_PORT: Number(process.env.SMTP_PORT) || 587,
+	SMTP_USER: process.env.SMTP_USER,
+	SMTP_PASS: process.env.SMTP_PASS,
+	SMTP_FROM: process.env.SMTP_FROM,
+	IMPORT_SYNC_ROWS: Number(process.env.IMPORT_SYNC_ROWS ?? 500), // Larger product imports run in the background
+	SEARCH_ENGINE: process.env.SEARCH_ENGINE || "mongo",
+	PAYMENT_GATEWAY: process.env.PAYMENT_GATEWAY || "momo", // "momo", or "stub" outside production
+	MOMO_ENDPOINT: process.env.MOMO_ENDPOINT || "https://test-payment.momo.vn/v2/gateway/api",
+	MOMO_PARTNER_CODE: process.env.MOMO_PARTNER_CODE,
+	MOMO_ACCESS_KEY: process.env.MOMO_ACCESS_KEY,
+	MOMO_SECRET_KEY: process.env.MOMO_SECRET_KEY,
+	MOMO_REDIRECT_URL: process.env.MOMO_REDIRECT_URL,
+	MOMO_IPN_URL: process.env.MOMO_IPN_URL,
 };
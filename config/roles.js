@@ -0,0 +1,70 @@
+// Roles a user account can hold
+export const ROLES = {
+	CUSTOMER: "customer",
+	STAFF: "staff",
+	ADMIN: "admin",
+};
+
+// Fine-grained permissions checked by the authorize middleware
+export const PERMISSIONS = {
+	PRODUCTS_WRITE: "products:write",
+	PRODUCTS_DELETE: "products:delete",
+	CATALOG_SEED: "catalog:seed",
+	INVENTORY_READ: "inventory:read",
+	INVENTORY_WRITE: "inventory:write",
+	CATEGORIES_WRITE: "categories:write",
+	ORDERS_READ_ALL: "orders:read_all",
+	ORDERS_UPDATE_STATUS: "orders:update_status",
+	PAYMENTS_READ_ALL: "payments:read_all",
+	PAYMENTS_RECORD: "payments:record", // Record and capture cash or bank payments for any order
+	PAYMENTS_REFUND: "payments:refund",
+	REVIEWS_MODERATE: "reviews:moderate",
+	SUPPLIERS_READ: "suppliers:read",
+	SUPPLIERS_WRITE: "suppliers:write",
+	USERS_READ: "users:read",
+	USERS_MANAGE: "users:manage",
+};
+
+const STAFF_PERMISSIONS = [
+	PERMISSIONS.PRODUCTS_WRITE,
+	PERMISSIONS.INVENTORY_READ,
+	PERMISSIONS.INVENTORY_WRITE,
+	PERMISSIONS.CATEGORIES_WRITE,
+	PERMISSIONS.ORDERS_READ_ALL,
+	PERMISSIONS.ORDERS_UPDATE_STATUS,
+	PERMISSIONS.PAYMENTS_READ_ALL,
+	PERMISSIONS.PAYMENTS_RECORD,
+	PERMISSIONS.PAYMENTS_REFUND,
+	PERMISSIONS.REVIEWS_MODERATE,
+	PERMISSIONS.SUPPLIERS_READ,
+	PERMISSIONS.SUPPLIERS_WRITE,
+	PERMISSIONS.USERS_READ,
+];
+
+// Permissions granted by each role. Admins get everything.
+export const ROLE_PERMISSIONS = {
+	[ROLES.CUSTOMER]: [],
+	[ROLES.STAFF]: STAFF_PERMISSIONS,
+	[ROLES.ADMIN]: Object.values(PERMISSIONS),
+};
+
+/**
+ * Resolve the effective permissions of a user from its role plus any
+ * permissions granted directly on the account.
+ * @param {{ role?: string, permissions?: string[] }} user
+ * @returns {Set<string>}
+ */
+export const getUserPermissions = (user) => {
+	const role = user && user.role ? user.role.toLowerCase() : null;
+	const granted = ROLE_PERMISSIONS[role] || [];
+	const extra = (user && user.permissions) || [];
+	return new Set([...granted, ...extra]);
+};
+
+/**
+ * Check whether a user holds a given permission.
+ * @param {object} user
+ * @param {string} permission
+ * @returns {boolean}
+ */
+export const hasPermission = (user, permission) => getUserPermissions(user).has(permission);
@@ -3,6 +3,7 @@ import bcryptjs from "bcryptjs";
 import { generateAccessToken, generateRefreshToken, setRefreshTokenCookie } from "../utils/generateToken.js";
 import jwt from "jsonwebtoken";
 import { ENV_VARS } from "../config/envVars.js";
+import { ROLES } from "../config/roles.js";
 
 /**
  * @swagger
@@ -118,7 +119,7 @@ export async function signup(req, res) {
 			lastName,
 			gender,
 			phoneNumber,
-			role: 'customer',
+			role: ROLES.CUSTOMER,
 		});
 
 		const accessToken = generateAccessToken(newUser._id);
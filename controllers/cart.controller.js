@@ -3,6 +3,8 @@ import { ProductVariant } from "../models/productVariant.model.js";
 import jwt from "jsonwebtoken"; // Import jwt for token verification
 import { ENV_VARS } from "../config/envVars.js"; // Import environment variables
 import mongoose from 'mongoose'; // Ensure mongoose is imported
+import { getAvailableStock } from "../services/warehouse.service.js";
+import { isProductVisible } from "../services/productLifecycle.service.js";
 
 // Helper function to get user ID from token
 const getUserIdFromToken = (req) => {
@@ -48,7 +50,7 @@ export const getCart = async (req, res) => {
         productVariantId: productVariant._id, // Include productVariantId
         productId: product._id,
         productName: product.title, // Assuming the product model has a 'title' field
-        productPrice: product.price, // Use product price for calculation
+        productPrice: productVariant.getPrice(product), // Variant price override, else product price
         quantity: item.quantity,
         color: productVariant.color, // Include color
         size: productVariant.size,   // Include size
@@ -108,10 +110,13 @@ export const addToCart = async (req, res) => {
     const objectId = new mongoose.Types.ObjectId(trimmedProductVariantId); // Use 'new' to create ObjectId
 
     // Fetch the product variant by ID
-    const productVariant = await ProductVariant.findById(objectId);
+    const productVariant = await ProductVariant.findById(objectId).populate('productId');
     if (!productVariant) {
       return res.status(404).json({ message: 'Product variant not found' });
     }
+    if (!isProductVisible(productVariant.productId)) {
+      return res.status(400).json({ message: 'This product is not available' });
+    }
 
     // Find or create the user's cart
     let cart = await Cart.findOne({ user: userId });
@@ -124,16 +129,18 @@ export const addToCart = async (req, res) => {
       (item) => item.productVariant && item.productVariant.toString() === objectId.toString() // Ensure item.productVariant is defined
     );
 
+    // Stock across all active warehouses
+    const availableStock = await getAvailableStock(productVariant._id);
+    const requestedQuantity = (existingItem ? existingItem.quantity : 0) + quantity;
+    if (requestedQuantity > availableStock) {
+      return res.status(400).json({
+        message: `Stock exceeded. Maximum available stock: ${availableStock}`,
+      });
+    }
+
     if (existingItem) {
       // Update the quantity of the existing item
-      existingItem.quantity += quantity;
-
-      // Check if the updated quantity exceeds available stock
-      if (existingItem.quantity > productVariant.quantity) {
-        return res.status(400).json({
-          message: `Stock exceeded. Maximum available stock: ${productVariant.quantity}`,
-        });
-      }
+      existingItem.quantity = requestedQuantity;
     } else {
       // Add a new item to the cart
       cart.items.push({ productVariant: objectId, quantity });
@@ -178,6 +185,8 @@ export const addToCart = async (req, res) => {
  *     responses:
  *       200:
  *         description: Cart item updated successfully
+ *       400:
+ *         description: Insufficient stock
  *       404:
  *         description: Cart or item not found
  *       500:
@@ -202,6 +211,12 @@ export const updateCartItem = async (req, res) => {
     if (quantity === 0) {
       cart.items.splice(itemIndex, 1);
     } else {
+      const availableStock = await getAvailableStock(cart.items[itemIndex].productVariant);
+      if (quantity > availableStock) {
+        return res.status(400).json({
+          message: `Stock exceeded. Maximum available stock: ${availableStock}`,
+        });
+      }
       cart.items[itemIndex].quantity = quantity;
     }
 
@@ -232,7 +247,7 @@ const calculateTotal = async (items) => {
     }
 
     return {
-      price: product.price, // Use product price for calculation
+      price: productVariant.getPrice(product), // Variant price override, else product price
       quantity: item.quantity,
     };
   });
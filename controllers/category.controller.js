@@ -1,20 +1,83 @@
 import { Category } from "../models/category.model.js";
+import { Product } from "../models/product.model.js";
+import { uploadImages, deleteImages } from "../services/storage.service.js";
+import {
+    findCategory,
+    buildCategoryTree,
+    getBreadcrumbs,
+    resolveAncestors,
+    moveCategory,
+    deleteCategory as removeCategory,
+    CategoryError
+} from "../services/category.service.js";
+import { visibleProductCondition } from "../services/productLifecycle.service.js";
+import { getCategorySchema, checkCategorySchemaChange, summarizeNonConforming } from "../services/productAttribute.service.js";
+
+// Respond to the errors saving a category can raise; returns false for anything else
+const handleCategoryError = (error, res) => {
+    if (error instanceof CategoryError) {
+        res.status(error.statusCode).json({ success: false, message: error.message });
+        return true;
+    }
+    if (error.code === 11000) {
+        const field = Object.keys(error.keyPattern || {}).includes("slug") ? "slug" : "name";
+        const message = field === "slug"
+            ? "Another category already uses this slug"
+            : "A category with this name already exists under the same parent";
+        res.status(409).json({ success: false, message });
+        return true;
+    }
+    if (error.name === "ValidationError") {
+        res.status(400).json({ success: false, message: error.message });
+        return true;
+    }
+    return false;
+};
+
+// Multipart bodies send numbers as strings
+const parseSortOrder = (value) => {
+    if (value === undefined || value === "") return undefined;
+    const number = Number(value);
+    return Number.isInteger(number) ? number : null;
+};
 
 /**
  * @swagger
  * /categories:
  *   get:
  *     summary: Get all categories
+ *     description: A flat list ordered by position. Use /categories/tree for the nested structure.
  *     tags: [Category]
+ *     parameters:
+ *       - in: query
+ *         name: parent
+ *         schema:
+ *           type: string
+ *         description: Only the direct children of this category ID or slug; "root" for top-level categories
  *     responses:
  *       200:
  *         description: List of categories
+ *       404:
+ *         description: Parent category not found
  *       500:
  *         description: Internal server error
  */
 export async function getAllCategories(req, res) {
     try {
-        const categories = await Category.find();
+        const { parent } = req.query;
+        const query = {};
+
+        if (parent === "root") {
+            query.parent = null;
+        } else if (parent) {
+            const parentCategory = await findCategory(parent);
+            if (!parentCategory) {
+                return res.status(404).json({ success: false, message: "Parent category not found" });
+            }
+            query.parent = parentCategory._id;
+        }
+
+        const categories = await Category.find(query).sort({ sortOrder: 1, name: 1 });
         res.status(200).json({ success: true, categories });
     } catch (error) {
         console.log("Error in getAllCategories controller", error.message);
@@ -22,15 +85,203 @@ export async function getAllCategories(req, res) {
     }
 }
 
+/**
+ * @swagger
+ * /categories/tree:
+ *   get:
+ *     summary: Get the category tree
+ *     tags: [Category]
+ *     responses:
+ *       200:
+ *         description: Top-level categories with nested children and product counts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 tree:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       _id:
+ *                         type: string
+ *                       name:
+ *                         type: string
+ *                       slug:
+ *                         type: string
+ *                       productCount:
+ *                         type: integer
+ *                         description: Products in this category itself
+ *                       totalProductCount:
+ *                         type: integer
+ *                         description: Products in this category and its subcategories
+ *                       children:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *       500:
+ *         description: Internal server error
+ */
+export async function getCategoryTree(req, res) {
+    try {
+        const [categories, counts] = await Promise.all([
+            Category.find().select("-ancestors").lean(),
+            Product.aggregate([
+                { $match: visibleProductCondition() },
+                { $group: { _id: "$categoryId", count: { $sum: 1 } } },
+            ]),
+        ]);
+        const productCounts = new Map(counts.filter(entry => entry._id).map(entry => [entry._id.toString(), entry.count]));
+
+        const tree = buildCategoryTree(categories.map(category => ({
+            ...category,
+            productCount: productCounts.get(category._id.toString()) || 0,
+        })));
+
+        // Roll product counts up the tree
+        const addTotals = (node) => {
+            node.totalProductCount = node.productCount + node.children.reduce((sum, child) => sum + addTotals(child), 0);
+            return node.totalProductCount;
+        };
+        tree.forEach(addTotals);
+
+        res.status(200).json({ success: true, tree });
+    } catch (error) {
+        console.log("Error in getCategoryTree controller", error.message);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+}
+
+/**
+ * @swagger
+ * /categories/{idOrSlug}:
+ *   get:
+ *     summary: Get a category with its breadcrumbs and subcategories
+ *     tags: [Category]
+ *     parameters:
+ *       - in: path
+ *         name: idOrSlug
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Category ID or slug
+ *     responses:
+ *       200:
+ *         description: The category
+ *       404:
+ *         description: Category not found
+ *       500:
+ *         description: Internal server error
+ */
+export async function getCategory(req, res) {
+    try {
+        const category = await findCategory(req.params.idOrSlug);
+        if (!category) {
+            return res.status(404).json({ success: false, message: "Category not found" });
+        }
+
+        const [breadcrumbs, children] = await Promise.all([
+            getBreadcrumbs(category),
+            Category.find({ parent: category._id }).sort({ sortOrder: 1, name: 1 }),
+        ]);
+
+        res.status(200).json({ success: true, category, breadcrumbs, children });
+    } catch (error) {
+        console.log("Error in getCategory controller", error.message);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+}
+
+/**
+ * @swagger
+ * /categories/{idOrSlug}/breadcrumbs:
+ *   get:
+ *     summary: Get the path from the top-level category down to a category
+ *     tags: [Category]
+ *     parameters:
+ *       - in: path
+ *         name: idOrSlug
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Category ID or slug
+ *     responses:
+ *       200:
+ *         description: Breadcrumbs, root first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 breadcrumbs:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       _id:
+ *                         type: string
+ *                       name:
+ *                         type: string
+ *                       slug:
+ *                         type: string
+ *       404:
+ *         description: Category not found
+ *       500:
+ *         description: Internal server error
+ */
+export async function getCategoryBreadcrumbs(req, res) {
+    try {
+        const category = await findCategory(req.params.idOrSlug);
+        if (!category) {
+            return res.status(404).json({ success: false, message: "Category not found" });
+        }
+
+        res.status(200).json({ success: true, breadcrumbs: await getBreadcrumbs(category) });
+    } catch (error) {
+        console.log("Error in getCategoryBreadcrumbs controller", error.message);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+}
+
 /**
  * @swagger
  * /categories:
  *   post:
  *     summary: Create a new category
  *     tags: [Category]
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Sneakers
+ *               slug:
+ *                 type: string
+ *                 description: Generated from the name when omitted
+ *               parent:
+ *                 type: string
+ *                 description: Parent category ID; top level when omitted
+ *               sortOrder:
+ *                 type: integer
+ *                 description: Position among siblings, lowest first
+ *               description:
+ *                 type: string
+ *               image:
+ *                 type: string
+ *                 format: binary
  *         application/json:
  *           schema:
  *             type: object
@@ -38,28 +289,450 @@ export async function getAllCategories(req, res) {
  *               name:
  *                 type: string
  *                 example: Electronics
+ *               slug:
+ *                 type: string
+ *               parent:
+ *                 type: string
+ *               sortOrder:
+ *                 type: integer
+ *               description:
+ *                 type: string
  *     responses:
  *       201:
  *         description: Category created successfully
  *       400:
  *         description: Invalid input
+ *       404:
+ *         description: Parent category not found
+ *       409:
+ *         description: Name already used under the same parent, or slug already used
  *       500:
  *         description: Internal server error
  */
 export async function createCategory(req, res) {
+    let image;
     try {
-        const { name } = req.body;
+        const { name, slug, parent, description } = req.body;
 
         if (!name) {
             return res.status(400).json({ success: false, message: "Category name is required" });
         }
 
-        const newCategory = new Category({ name });
+        const sortOrder = parseSortOrder(req.body.sortOrder);
+        if (sortOrder === null) {
+            return res.status(400).json({ success: false, message: "Sort order must be an integer" });
+        }
+
+        const ancestors = await resolveAncestors(parent);
+        if (req.file) {
+            [image] = await uploadImages([req.file], "categories");
+        }
+
+        const newCategory = new Category({
+            name,
+            slug: slug || undefined,
+            parent: parent || null,
+            ancestors,
+            sortOrder,
+            description,
+            image,
+        });
         await newCategory.save();
 
         res.status(201).json({ success: true, category: newCategory });
     } catch (error) {
+        await deleteImages([image]);
+        if (handleCategoryError(error, res)) return;
         console.log("Error in createCategory controller", error.message);
         res.status(500).json({ success: false, message: "Internal server error" });
     }
-} 
\ No newline at end of file
+}
+
+/**
+ * @swagger
+ * /categories/{id}:
+ *   put:
+ *     summary: Update a category
+ *     description: |
+ *       Changing the parent moves the category together with its subcategories.
+ *       The slug stays the same when the name changes, so links keep working.
+ *       A move is refused when the new parent defines an attribute key the category
+ *       or a subcategory defines too, or when products would no longer match the
+ *       attributes they inherit, unless force is set.
+ *     tags: [Category]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Category ID or slug
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               slug:
+ *                 type: string
+ *               parent:
+ *                 type: string
+ *                 description: New parent category ID; empty to move to the top level
+ *               sortOrder:
+ *                 type: integer
+ *               description:
+ *                 type: string
+ *               image:
+ *                 type: string
+ *                 format: binary
+ *               removeImage:
+ *                 type: boolean
+ *               force:
+ *                 type: boolean
+ *                 description: Move even when products would no longer match their attributes
+ *     responses:
+ *       200:
+ *         description: Category updated
+ *       400:
+ *         description: Invalid input, or the new parent is the category itself or a subcategory
+ *       404:
+ *         description: Category or parent not found
+ *       409:
+ *         description: Name or slug already used, or the move clashes with the attributes of the new parent
+ *       500:
+ *         description: Internal server error
+ */
+export async function updateCategory(req, res) {
+    let image;
+    try {
+        const { name, slug, parent, description, removeImage, force } = req.body;
+
+        const category = await findCategory(req.params.id);
+        if (!category) {
+            return res.status(404).json({ success: false, message: "Category not found" });
+        }
+
+        const sortOrder = parseSortOrder(req.body.sortOrder);
+        if (sortOrder === null) {
+            return res.status(400).json({ success: false, message: "Sort order must be an integer" });
+        }
+
+        const previousImage = category.image?.public_id ? category.image : null;
+        if (req.file) {
+            [image] = await uploadImages([req.file], "categories");
+            category.image = image;
+        } else if (removeImage === true || removeImage === "true") {
+            category.image = undefined;
+        }
+
+        if (name !== undefined) category.name = name;
+        if (slug !== undefined) category.slug = slug;
+        if (sortOrder !== undefined) category.sortOrder = sortOrder;
+        if (description !== undefined) category.description = description;
+
+        // Moving saves the category along with the other changes
+        if (parent !== undefined && String(parent || "") !== String(category.parent || "")) {
+            await moveCategory(category, parent || null, { force: force === true || force === "true" });
+        } else {
+            await category.save();
+        }
+
+        if (previousImage && category.image?.public_id !== previousImage.public_id) {
+            await deleteImages([previousImage]);
+        }
+
+        res.status(200).json({ success: true, category });
+    } catch (error) {
+        await deleteImages([image]);
+        if (handleCategoryError(error, res)) return;
+        console.log("Error in updateCategory controller", error.message);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+}
+
+/**
+ * @swagger
+ * /categories/{id}:
+ *   delete:
+ *     summary: Delete a category
+ *     description: |
+ *       A category that still has products or subcategories can only be
+ *       deleted with reassignTo; its products and subcategories then move to
+ *       that category. Without reassignTo the deletion is refused.
+ *     tags: [Category]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Category ID or slug
+ *       - in: query
+ *         name: reassignTo
+ *         schema:
+ *           type: string
+ *         description: Category ID or slug that takes over the products and subcategories
+ *       - in: query
+ *         name: force
+ *         schema:
+ *           type: boolean
+ *         description: Reassign even when products would no longer match the attributes of reassignTo
+ *     responses:
+ *       200:
+ *         description: Category deleted
+ *       400:
+ *         description: reassignTo is the category itself or one of its subcategories
+ *       404:
+ *         description: Category not found
+ *       409:
+ *         description: The category still has products or subcategories, or they don't fit the attributes of reassignTo
+ *       500:
+ *         description: Internal server error
+ */
+export async function deleteCategory(req, res) {
+    try {
+        const { reassignTo, force } = req.query;
+
+        const category = await findCategory(req.params.id);
+        if (!category) {
+            return res.status(404).json({ success: false, message: "Category not found" });
+        }
+
+        const result = await removeCategory(category, { reassignTo, force: force === "true" });
+        await deleteImages([category.image]);
+
+        res.status(200).json({ success: true, message: "Category deleted successfully", ...result });
+    } catch (error) {
+        if (handleCategoryError(error, res)) return;
+        console.log("Error in deleteCategory controller", error.message);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CategoryAttribute:
+ *       type: object
+ *       required: [key, label, type]
+ *       properties:
+ *         key:
+ *           type: string
+ *           description: Name in the product's attributes and in attr[key] listing filters
+ *           example: sleeve_length
+ *         label:
+ *           type: string
+ *           example: Sleeve length
+ *         type:
+ *           type: string
+ *           enum: [enum, number, text, boolean]
+ *         options:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Allowed values of an enum attribute
+ *         unit:
+ *           type: string
+ *           example: cm
+ *         min:
+ *           type: number
+ *         max:
+ *           type: number
+ *         required:
+ *           type: boolean
+ *           default: false
+ *         filterable:
+ *           type: boolean
+ *           default: true
+ *           description: Offered as a listing filter
+ *         category:
+ *           type: string
+ *           description: Category that defines the attribute; only in GET responses
+ *         inherited:
+ *           type: boolean
+ *           description: Defined by a parent category; only in GET responses
+ *     SizeChart:
+ *       type: object
+ *       properties:
+ *         unit:
+ *           type: string
+ *           example: cm
+ *         columns:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: [Chest, Length]
+ *         rows:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               size:
+ *                 type: string
+ *                 example: M
+ *               values:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["96", "70"]
+ */
+
+/**
+ * @swagger
+ * /categories/{idOrSlug}/attributes:
+ *   get:
+ *     summary: Get the attribute schema and size chart that apply to a category's products
+ *     description: |
+ *       The category's own attributes plus those of its parents; when a subcategory
+ *       defines a key again, its definition wins. The size chart is the one of the
+ *       nearest category that has one. Storefronts can build the attribute filters from this.
+ *     tags: [Category]
+ *     parameters:
+ *       - in: path
+ *         name: idOrSlug
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Category ID or slug
+ *     responses:
+ *       200:
+ *         description: The attribute schema
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 attributes:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CategoryAttribute'
+ *                 sizeChart:
+ *                   $ref: '#/components/schemas/SizeChart'
+ *       404:
+ *         description: Category not found
+ *       500:
+ *         description: Internal server error
+ */
+export async function getCategoryAttributes(req, res) {
+    try {
+        const category = await findCategory(req.params.idOrSlug);
+        if (!category) {
+            return res.status(404).json({ success: false, message: "Category not found" });
+        }
+
+        const { attributes, sizeChart } = await getCategorySchema(category._id);
+        res.status(200).json({ success: true, attributes, sizeChart });
+    } catch (error) {
+        console.log("Error in getCategoryAttributes controller", error.message);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+}
+
+/**
+ * @swagger
+ * /categories/{id}/attributes:
+ *   put:
+ *     summary: Replace a category's own attributes and size chart
+ *     description: |
+ *       Attributes inherited from parent categories are not affected, and their keys
+ *       can't be defined again here or in a subcategory. The products of the category
+ *       and its subcategories are checked against the new attributes; when some no
+ *       longer match, the change is refused and they are listed, unless force is set.
+ *     tags: [Category]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Category ID or slug
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               attributes:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/CategoryAttribute'
+ *               sizeChart:
+ *                 allOf:
+ *                   - $ref: '#/components/schemas/SizeChart'
+ *                 nullable: true
+ *                 description: Left out keeps the current size chart; null removes it
+ *               force:
+ *                 type: boolean
+ *                 description: Save even when products no longer match; they are still listed in nonConforming
+ *     responses:
+ *       200:
+ *         description: Attributes updated, with the products that no longer match when forced
+ *       400:
+ *         description: Invalid attribute definitions, e.g. a duplicate key or an enum without options
+ *       404:
+ *         description: Category not found
+ *       409:
+ *         description: |
+ *           A key is already defined by a parent or subcategory, or products no longer match;
+ *           nonConforming then counts them and lists the first ones with their errors
+ *       500:
+ *         description: Internal server error
+ */
+export async function updateCategoryAttributes(req, res) {
+    try {
+        const { attributes, sizeChart, force } = req.body;
+
+        const category = await findCategory(req.params.id);
+        if (!category) {
+            return res.status(404).json({ success: false, message: "Category not found" });
+        }
+
+        let nonConforming;
+        if (attributes !== undefined) {
+            if (!Array.isArray(attributes)) {
+                return res.status(400).json({ success: false, message: "Attributes must be an array" });
+            }
+            category.attributes = attributes;
+            // The definitions must be valid before products can be checked against them
+            await category.validate();
+
+            const check = await checkCategorySchemaChange(category, {
+                attributes: category.attributes.map(definition => definition.toObject()),
+            });
+            if (check.conflicts.length > 0) {
+                return res.status(409).json({ success: false, message: `Attribute keys must be unique along the category tree: ${check.conflicts.join("; ")}` });
+            }
+            nonConforming = check.nonConforming;
+            if (nonConforming.total > 0 && force !== true) {
+                return res.status(409).json({
+                    success: false,
+                    message: `${summarizeNonConforming(nonConforming)}. Update them first or save with force.`,
+                    nonConforming,
+                });
+            }
+        }
+        if (sizeChart !== undefined) {
+            category.sizeChart = sizeChart || undefined;
+        }
+        await category.save();
+
+        res.status(200).json({ success: true, attributes: category.attributes, sizeChart: category.sizeChart || null, nonConforming });
+    } catch (error) {
+        if (handleCategoryError(error, res)) return;
+        console.log("Error in updateCategoryAttributes controller", error.message);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+}
@@ -0,0 +1,449 @@
+import mongoose from "mongoose";
+import { ProductVariant } from "../models/productVariant.model.js";
+import { Product } from "../models/product.model.js";
+import { STOCK_MOVEMENT_TYPES } from "../models/stockMovement.model.js";
+import { StockAlert, STOCK_ALERT_STATUS } from "../models/stockAlert.model.js";
+import { getVariantMovements, reconcileInventory } from "../services/inventory.service.js";
+import { checkStockLevels, lowStockCondition } from "../services/stockAlert.service.js";
+import { getCategoryIdsWithDescendants } from "../services/category.service.js";
+
+/**
+ * @swagger
+ * /inventory/variants/{variantId}/movements:
+ *   get:
+ *     summary: Get the stock movement history of a variant (Staff)
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: variantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Variant ID
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [restock, sale, cancel, return, adjustment, transfer]
+ *         description: Only movements of this type
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only movements at or after this date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only movements at or before this date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *         description: Number of items per page
+ *     responses:
+ *       200:
+ *         description: Movements of the variant, newest first, with its current stock
+ *       400:
+ *         description: Invalid filter
+ *       404:
+ *         description: Variant not found
+ *       500:
+ *         description: Internal server error
+ */
+export async function getMovements(req, res) {
+    try {
+        const { variantId } = req.params;
+        const { type, from, to, page = 1, limit = 50 } = req.query;
+
+        if (type && !Object.values(STOCK_MOVEMENT_TYPES).includes(type)) {
+            return res.status(400).json({ success: false, message: `Invalid type. Allowed: ${Object.values(STOCK_MOVEMENT_TYPES).join(", ")}` });
+        }
+
+        const fromDate = from ? new Date(from) : undefined;
+        const toDate = to ? new Date(to) : undefined;
+        if ([fromDate, toDate].some(date => date && isNaN(date.getTime()))) {
+            return res.status(400).json({ success: false, message: "Invalid date range" });
+        }
+
+        const variant = mongoose.Types.ObjectId.isValid(variantId) ? await ProductVariant.findById(variantId) : null;
+        if (!variant) {
+            return res.status(404).json({ success: false, message: "Product variant not found" });
+        }
+
+        const pageNumber = Math.max(parseInt(page) || 1, 1);
+        const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+
+        const { movements, total } = await getVariantMovements(variant._id, {
+            type,
+            from: fromDate,
+            to: toDate,
+            page: pageNumber,
+            limit: pageSize,
+        });
+
+        res.status(200).json({
+            success: true,
+            variant,
+            movements,
+            pagination: {
+                currentPage: pageNumber,
+                totalPages: Math.ceil(total / pageSize),
+                totalMovements: total,
+            },
+        });
+    } catch (error) {
+        console.log("Error in getMovements controller", error.message);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+}
+
+/**
+ * @swagger
+ * /inventory/reconcile:
+ *   post:
+ *     summary: Check the stock ledger against current variant stock (Staff)
+ *     description: |
+ *       Reports every variant whose quantity differs from the sum of its stock
+ *       movements. With fix, an adjustment movement is recorded for each
+ *       difference; stock itself is never changed.
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               variantIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Only check these variants; all variants when omitted
+ *               fix:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Record adjustments so the ledger matches current stock
+ *     responses:
+ *       200:
+ *         description: Reconciliation report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 checked:
+ *                   type: integer
+ *                 fixed:
+ *                   type: integer
+ *                 discrepancies:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       productVariantId:
+ *                         type: string
+ *                       quantity:
+ *                         type: integer
+ *                       ledgerQuantity:
+ *                         type: integer
+ *                       difference:
+ *                         type: integer
+ *       400:
+ *         description: Invalid variant IDs
+ *       500:
+ *         description: Internal server error
+ */
+export async function reconcileStock(req, res) {
+    try {
+        const { variantIds, fix = false } = req.body || {};
+
+        if (variantIds !== undefined && (!Array.isArray(variantIds) || variantIds.some(id => !mongoose.Types.ObjectId.isValid(id)))) {
+            return res.status(400).json({ success: false, message: "variantIds must be an array of variant IDs" });
+        }
+
+        const report = await reconcileInventory({ variantIds, fix: fix === true, user: req.user._id });
+
+        res.status(200).json({ success: true, ...report });
+    } catch (error) {
+        console.log("Error in reconcileStock controller", error.message);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+}
+
+/**
+ * @swagger
+ * /inventory/low-stock:
+ *   get:
+ *     summary: Report the variants at or below their reorder point (Staff)
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Category ID or slug; only variants of products in it or its subcategories
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *         description: Number of items per page
+ *     responses:
+ *       200:
+ *         description: Low-stock variants, lowest stock first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 variants:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       _id:
+ *                         type: string
+ *                       product:
+ *                         type: object
+ *                       sku:
+ *                         type: string
+ *                       size:
+ *                         type: string
+ *                       color:
+ *                         type: string
+ *                       quantity:
+ *                         type: integer
+ *                       reorderPoint:
+ *                         type: integer
+ *                       shortfall:
+ *                         type: integer
+ *                         description: Units needed to get back to the reorder point
+ *       400:
+ *         description: Invalid category ID or slug
+ *       500:
+ *         description: Internal server error
+ */
+export async function getLowStockReport(req, res) {
+    try {
+        const { category, page = 1, limit = 50 } = req.query;
+        const query = lowStockCondition();
+
+        if (category) {
+            if (typeof category !== "string" || (!mongoose.Types.ObjectId.isValid(category) && !/^[a-z0-9-]+$/i.test(category))) {
+                return res.status(400).json({ success: false, message: "Invalid category ID or slug" });
+            }
+            const categoryIds = await getCategoryIdsWithDescendants([category]);
+            query.productId = { $in: await Product.distinct("_id", { categoryId: { $in: categoryIds } }) };
+        }
+
+        const pageNumber = Math.max(parseInt(page) || 1, 1);
+        const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+
+        const [variants, totalVariants] = await Promise.all([
+            ProductVariant.find(query)
+                .populate({ path: "productId", select: "title image categoryId", populate: { path: "categoryId", select: "name" } })
+                .sort({ quantity: 1, _id: 1 })
+                .skip((pageNumber - 1) * pageSize)
+                .limit(pageSize),
+            ProductVariant.countDocuments(query),
+        ]);
+
+        res.status(200).json({
+            success: true,
+            variants: variants.map(variant => ({
+                _id: variant._id,
+                product: variant.productId,
+                sku: variant.sku,
+                size: variant.size,
+                color: variant.color,
+                quantity: variant.quantity,
+                reorderPoint: variant.getReorderPoint(),
+                shortfall: variant.getReorderPoint() - variant.quantity,
+            })),
+            pagination: {
+                currentPage: pageNumber,
+                totalPages: Math.ceil(totalVariants / pageSize),
+                totalVariants,
+            },
+        });
+    } catch (error) {
+        console.log("Error in getLowStockReport controller", error.message);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+}
+
+/**
+ * @swagger
+ * /inventory/alerts:
+ *   get:
+ *     summary: List low-stock alerts (Staff)
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, acknowledged, resolved]
+ *         description: Only alerts in this status; open and acknowledged when omitted
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Number of items per page
+ *     responses:
+ *       200:
+ *         description: Alerts, newest first
+ *       400:
+ *         description: Invalid status
+ *       500:
+ *         description: Internal server error
+ */
+export async function getStockAlerts(req, res) {
+    try {
+        const { status, page = 1, limit = 20 } = req.query;
+
+        if (status && !Object.values(STOCK_ALERT_STATUS).includes(status)) {
+            return res.status(400).json({ success: false, message: `Invalid status. Allowed: ${Object.values(STOCK_ALERT_STATUS).join(", ")}` });
+        }
+
+        const query = {
+            status: status || { $in: [STOCK_ALERT_STATUS.OPEN, STOCK_ALERT_STATUS.ACKNOWLEDGED] },
+        };
+
+        const pageNumber = Math.max(parseInt(page) || 1, 1);
+        const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+        const [alerts, totalAlerts] = await Promise.all([
+            StockAlert.find(query)
+                .populate("acknowledgedBy", "username firstName lastName")
+                .sort({ createdAt: -1 })
+                .skip((pageNumber - 1) * pageSize)
+                .limit(pageSize),
+            StockAlert.countDocuments(query),
+        ]);
+
+        res.status(200).json({
+            success: true,
+            alerts,
+            pagination: {
+                currentPage: pageNumber,
+                totalPages: Math.ceil(totalAlerts / pageSize),
+                totalAlerts,
+            },
+        });
+    } catch (error) {
+        console.log("Error in getStockAlerts controller", error.message);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+}
+
+/**
+ * @swagger
+ * /inventory/alerts/{id}/acknowledge:
+ *   put:
+ *     summary: Mark a low-stock alert as seen (Staff)
+ *     description: The alert stays unresolved until the variant is restocked above its reorder point.
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Alert ID
+ *     responses:
+ *       200:
+ *         description: Alert acknowledged
+ *       404:
+ *         description: No open alert with this ID
+ *       500:
+ *         description: Internal server error
+ */
+export async function acknowledgeStockAlert(req, res) {
+    try {
+        const { id } = req.params;
+
+        const alert = mongoose.Types.ObjectId.isValid(id)
+            ? await StockAlert.findOneAndUpdate(
+                { _id: id, status: STOCK_ALERT_STATUS.OPEN },
+                { $set: { status: STOCK_ALERT_STATUS.ACKNOWLEDGED, acknowledgedBy: req.user._id, acknowledgedAt: new Date() } },
+                { new: true }
+            )
+            : null;
+        if (!alert) {
+            return res.status(404).json({ success: false, message: "Open alert not found" });
+        }
+
+        res.status(200).json({ success: true, alert });
+    } catch (error) {
+        console.log("Error in acknowledgeStockAlert controller", error.message);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+}
+
+/**
+ * @swagger
+ * /inventory/alerts/check:
+ *   post:
+ *     summary: Check every variant against its reorder point now (Staff)
+ *     description: Alerts are normally raised right after sales; this catches variants that were already low, e.g. after changing reorder points in bulk.
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Number of alerts raised
+ *       500:
+ *         description: Internal server error
+ */
+export async function runStockCheck(req, res) {
+    try {
+        const variantIds = await ProductVariant.distinct("_id");
+        const alertedIds = await StockAlert.distinct("productVariantId", {
+            status: { $in: [STOCK_ALERT_STATUS.OPEN, STOCK_ALERT_STATUS.ACKNOWLEDGED] },
+        });
+
+        const raised = await checkStockLevels([...variantIds, ...alertedIds]);
+
+        res.status(200).json({ success: true, message: `${raised.length} alert(s) raised`, alerts: raised });
+    } catch (error) {
+        console.log("Error in runStockCheck controller", error.message);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+}
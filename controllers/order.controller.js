@@ -1,10 +1,14 @@
-import { Order } from "../models/order.model.js";
-import { Cart } from "../models/cart.model.js"; // Import Cart model
-import { Product } from "../models/product.model.js"; // Import Product model
-import { ProductVariant } from "../models/productVariant.model.js"; // Import ProductVariant model
+import { Order, ORDER_STATUS, ORDER_STATUS_TRANSITIONS } from "../models/order.model.js";
 import { OrderProduct } from "../models/orderProduct.model.js"; // Import OrderProduct model
 import jwt from "jsonwebtoken"; // Import jwt for token verification
 import { ENV_VARS } from "../config/envVars.js"; // Import environment variables
+import { PERMISSIONS, hasPermission } from "../config/roles.js";
+import { changeOrderStatus, placeOrderFromCart, CheckoutError } from "../services/order.service.js";
+
+// Helper function to check whether the user may view the given order
+const canViewOrder = (user, order) => {
+  return order.userId.toString() === user._id.toString() || hasPermission(user, PERMISSIONS.ORDERS_READ_ALL);
+};
 
 // Helper function to get user ID from token
 const getUserIdFromToken = (req) => {
@@ -24,7 +28,19 @@ const getUserIdFromToken = (req) => {
  * /orders:
  *   post:
  *     summary: Create a new order from the user's cart
+ *     description: Stock reservation, order creation and cart clearing run in one transaction and roll back together on failure.
  *     tags: [Order]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               shippingAddress:
+ *                 type: string
+ *                 example: 123 Main St
  *     responses:
  *       201:
  *         description: Order created successfully
@@ -39,78 +55,14 @@ export const createOrder = async (req, res) => {
   try {
     const userId = getUserIdFromToken(req); // Get user ID from token
 
-    // Fetch the user's cart
-    const cart = await Cart.findOne({ user: userId });
-    if (!cart) {
-      return res.status(404).json({ success: false, message: 'Cart not found' });
-    }
-
-    // Check if the cart is empty
-    if (cart.items.length === 0) {
-      return res.status(400).json({ success: false, message: 'Cart is empty. Cannot create an order.' });
-    }
-
-    // Validate stock and prepare order items
-    const orderItems = [];
-    for (const item of cart.items) {
-      const productVariant = await ProductVariant.findById(item.productVariant); // Fetch the product variant
-      if (!productVariant) {
-        return res.status(404).json({ success: false, message: `Product variant not found` });
-      }
-
-      // Check if the requested quantity is available
-      if (productVariant.quantity < item.quantity) {
-        return res.status(400).json({ success: false, message: `Insufficient stock for variant of product ID ${productVariant.productId}` });
-      }
-
-      // Fetch the associated product to get the price
-      const product = await Product.findById(productVariant.productId); // Fetch the product using productId from the variant
-      if (!product) {
-        return res.status(404).json({ success: false, message: `Product not found` });
-      }
-
-      // Prepare order item details
-      orderItems.push({
-        productId: productVariant.productId, // Reference to the product
-        quantity: item.quantity,
-        price: product.price // Get the price from the Product model
-      });
-    }
-
-    // Create the order
-    const order = await Order.create({
-      userId: userId, // Use the user ID from the token
-      total: cart.totalAmount, // Use the total amount from the cart
-      status: 'Pending', // Set status as Pending
-      shippingAddress: req.body.shippingAddress // Assuming you pass shipping address in the request body
-    });
-
-    // Create order products
-    const orderProductPromises = orderItems.map(item => {
-      return OrderProduct.create({
-        orderId: order._id,
-        productId: item.productId,
-        quantity: item.quantity,
-        price: item.price // Store the price from the Product model
-      });
-    });
-
-    await Promise.all(orderProductPromises); // Wait for all order products to be created
-
-    // Update product variant stock after the order is created
-    for (const item of cart.items) {
-      await ProductVariant.findByIdAndUpdate(item.productVariant, {
-        $inc: { quantity: -item.quantity } // Decrease the quantity in the ProductVariant
-      });
-    }
-
-    // Optionally, clear the cart after creating the order
-    cart.items = [];
-    cart.totalAmount = 0;
-    await cart.save();
+    // Reserve stock, create the order and clear the cart in one transaction
+    const order = await placeOrderFromCart(userId, { shippingAddress: req.body.shippingAddress });
 
     res.status(201).json({ success: true, order });
   } catch (error) {
+    if (error instanceof CheckoutError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
     res.status(500).json({ success: false, message: error.message });
   }
 };
@@ -119,11 +71,15 @@ export const createOrder = async (req, res) => {
  * @swagger
  * /orders:
  *   get:
- *     summary: Get all orders in the database
+ *     summary: Get all orders in the database (Staff)
  *     tags: [Order]
+ *     security:
+ *       - bearerAuth: []
  *     responses:
  *       200:
  *         description: List of all orders
+ *       403:
+ *         description: Forbidden - Missing permission
  *       500:
  *         description: Internal server error
  */
@@ -164,6 +120,8 @@ export const getAllOrders = async (req, res) => {
  *     responses:
  *       200:
  *         description: Order details
+ *       403:
+ *         description: Forbidden - User not authorized to view this order
  *       404:
  *         description: Order not found
  *       500:
@@ -179,6 +137,11 @@ export const getOrderById = async (req, res) => {
       return res.status(404).json({ success: false, message: 'Order not found' });
     }
 
+    // Customers may only see their own orders; staff may see all
+    if (!canViewOrder(req.user, order)) {
+      return res.status(403).json({ success: false, message: 'You are not authorized to view this order' });
+    }
+
     // Query all OrderProducts associated with the orderId
     const orderProducts = await OrderProduct.find({ orderId: order._id })
       .populate({
@@ -194,10 +157,14 @@ export const getOrderById = async (req, res) => {
       total: order.total,
       status: order.status,
       shippingAddress: order.shippingAddress,
+      // Prefer the checkout snapshot; fall back to the live product for older orders
       items: orderProducts.map(item => ({
-        productId: item.productId._id,
-        productName: item.productId.title,
-        productImage: item.productId.image,
+        productId: item.productId ? item.productId._id : null,
+        productVariantId: item.productVariantId,
+        productName: item.productTitle || (item.productId && item.productId.title),
+        productImage: item.productImage || (item.productId && item.productId.image),
+        size: item.size,
+        color: item.color,
         quantity: item.quantity,
         price: item.price,
       })),
@@ -214,8 +181,10 @@ export const getOrderById = async (req, res) => {
  * @swagger
  * /orders/status:
  *   put:
- *     summary: Update the status of an order
+ *     summary: Update the status of an order (Staff)
  *     tags: [Order]
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -228,24 +197,134 @@ export const getOrderById = async (req, res) => {
  *                 example: 60d5ec49f1b2c8b1f8c8e8e8
  *               status:
  *                 type: string
+ *                 enum: [Pending, Confirmed, Packed, In-transit, Delivered, Cancelled, Refunded]
  *                 example: "In-transit"
+ *               note:
+ *                 type: string
+ *                 example: "Handed over to courier"
  *     responses:
  *       200:
  *         description: Order status updated successfully
+ *       400:
+ *         description: Invalid status or transition not allowed
+ *       403:
+ *         description: Forbidden - Missing permission
  *       404:
  *         description: Order not found
+ *       409:
+ *         description: Order status was changed by another request
  *       500:
  *         description: Internal server error
  */
 export const updateOrderStatus = async (req, res) => {
   try {
-    const { orderID, status } = req.body; // status should be either 'In-transit' or 'Cancel'
-    const order = await Order.findByIdAndUpdate(orderID, { status }, { new: true });
+    const { orderID, status, note } = req.body;
+
+    if (!orderID || !Object.values(ORDER_STATUS).includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Order ID and a valid status are required. Allowed statuses: ${Object.values(ORDER_STATUS).join(', ')}`
+      });
+    }
+
+    const order = await Order.findById(orderID);
+    if (!order) {
+      return res.status(404).json({ success: false, message: 'Order not found' });
+    }
+
+    if (!Order.canTransition(order.status, status)) {
+      const allowed = ORDER_STATUS_TRANSITIONS[order.status] || [];
+      return res.status(400).json({
+        success: false,
+        message: `Cannot change order status from ${order.status} to ${status}. Allowed: ${allowed.join(', ') || 'none'}`
+      });
+    }
+
+    const updatedOrder = await changeOrderStatus(order, status, { changedBy: req.user._id, note });
+    if (!updatedOrder) {
+      return res.status(409).json({ success: false, message: 'Order status was changed by another request. Please retry.' });
+    }
+
+    res.status(200).json({ success: true, order: updatedOrder });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * @swagger
+ * /orders/id/{orderId}/history:
+ *   get:
+ *     summary: Get the status history timeline of an order
+ *     tags: [Order]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         description: The ID of the order
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Order status history
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 orderId:
+ *                   type: string
+ *                 status:
+ *                   type: string
+ *                 history:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       from:
+ *                         type: string
+ *                       to:
+ *                         type: string
+ *                       changedBy:
+ *                         type: object
+ *                       note:
+ *                         type: string
+ *                       changedAt:
+ *                         type: string
+ *                         format: date-time
+ *       403:
+ *         description: Forbidden - User not authorized to view this order
+ *       404:
+ *         description: Order not found
+ *       500:
+ *         description: Internal server error
+ */
+export const getOrderHistory = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+
+    const order = await Order.findById(orderId)
+      .populate('statusHistory.changedBy', 'username firstName lastName role');
     if (!order) {
       return res.status(404).json({ success: false, message: 'Order not found' });
     }
-    res.status(200).json({ success: true, order });
+
+    if (!canViewOrder(req.user, order)) {
+      return res.status(403).json({ success: false, message: 'You are not authorized to view this order' });
+    }
+
+    res.status(200).json({
+      success: true,
+      orderId: order._id,
+      status: order.status,
+      history: order.statusHistory
+    });
   } catch (error) {
+    console.error('Error in getOrderHistory:', error.message);
     res.status(500).json({ success: false, message: error.message });
   }
 };
@@ -254,17 +333,21 @@ export const updateOrderStatus = async (req, res) => {
  * @swagger
  * /orders/pending:
  *   get:
- *     summary: Get all pending orders
+ *     summary: Get all pending orders (Staff)
  *     tags: [Order]
+ *     security:
+ *       - bearerAuth: []
  *     responses:
  *       200:
  *         description: List of pending orders
+ *       403:
+ *         description: Forbidden - Missing permission
  *       500:
  *         description: Internal server error
  */
 export const getPendingOrders = async (req, res) => {
   try {
-    const orders = await Order.find({ status: 'Pending' }, 'orderID orderDate total status');
+    const orders = await Order.find({ status: ORDER_STATUS.PENDING }, 'orderID orderDate total status');
     res.status(200).json({ success: true, orders });
   } catch (error) {
     res.status(500).json({ success: false, message: error.message });
@@ -348,7 +431,6 @@ export const getPendingOrders = async (req, res) => {
 export const getOrderDetails = async (req, res) => {
   try {
     const { orderId } = req.params;
-    const userId = req.user._id; // Get user ID from the authenticated request
 
     // Find the order and populate product details
     const order = await Order.findById(orderId)
@@ -369,7 +451,7 @@ export const getOrderDetails = async (req, res) => {
     }
 
     // Check if the user is authorized to view this order
-    if (order.userId.toString() !== userId.toString()) {
+    if (!canViewOrder(req.user, order)) {
       return res.status(403).json({
         success: false,
         message: 'You are not authorized to view this order'
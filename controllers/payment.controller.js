@@ -1,21 +1,145 @@
-import { Payment } from "../models/payment.model.js";
+import mongoose from "mongoose";
+import { Payment, PAYMENT_STATUS, PAYMENT_METHODS } from "../models/payment.model.js";
+import { Order } from "../models/order.model.js";
+import { ENV_VARS } from "../config/envVars.js";
+import { PERMISSIONS, hasPermission } from "../config/roles.js";
+import {
+    createOrderPayment,
+    createManualPayment,
+    captureManualPayment,
+    handlePaymentNotification,
+    PaymentError
+} from "../services/payment.service.js";
+import { refundPayment } from "../services/refund.service.js";
 
 /**
  * @swagger
  * /payments:
  *   get:
- *     summary: Get all payments
+ *     summary: Get payments, optionally filtered (staff see all payments, customers only their own)
  *     tags: [Payment]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: orderId
+ *         schema:
+ *           type: string
+ *         description: Only payments for this order
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *         description: Only payments made by this user (staff only)
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [initiated, authorized, captured, failed, partially_refunded, refunded]
+ *         description: Only payments in this status
+ *       - in: query
+ *         name: needsRefund
+ *         schema:
+ *           type: boolean
+ *         description: Only payments that settled after their order was already paid or closed
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only payments created at or after this date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only payments created at or before this date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Number of items per page
  *     responses:
  *       200:
  *         description: List of payments
+ *       400:
+ *         description: Invalid filter
  *       500:
  *         description: Internal server error
  */
 export async function getAllPayments(req, res) {
     try {
-        const payments = await Payment.find();
-        res.status(200).json({ success: true, payments });
+        const { orderId, userId, status, needsRefund, from, to, page = 1, limit = 20 } = req.query;
+        const query = {};
+
+        if (orderId) {
+            if (!mongoose.Types.ObjectId.isValid(orderId)) {
+                return res.status(400).json({ success: false, message: "Invalid order ID" });
+            }
+            query.orderId = orderId;
+        }
+
+        // Customers can only ever see their own payments
+        if (!hasPermission(req.user, PERMISSIONS.PAYMENTS_READ_ALL)) {
+            query.userId = req.user._id;
+        } else if (userId) {
+            if (!mongoose.Types.ObjectId.isValid(userId)) {
+                return res.status(400).json({ success: false, message: "Invalid user ID" });
+            }
+            query.userId = userId;
+        }
+
+        if (status) {
+            if (!Object.values(PAYMENT_STATUS).includes(status)) {
+                return res.status(400).json({ success: false, message: `Invalid status. Allowed: ${Object.values(PAYMENT_STATUS).join(", ")}` });
+            }
+            query.status = status;
+        }
+
+        if (needsRefund !== undefined) {
+            if (!["true", "false"].includes(needsRefund)) {
+                return res.status(400).json({ success: false, message: "needsRefund must be true or false" });
+            }
+            query.needsRefund = needsRefund === "true";
+        }
+
+        if (from || to) {
+            query.createdAt = {};
+            if (from) query.createdAt.$gte = new Date(from);
+            if (to) query.createdAt.$lte = new Date(to);
+            if (Object.values(query.createdAt).some(date => isNaN(date.getTime()))) {
+                return res.status(400).json({ success: false, message: "Invalid date range" });
+            }
+        }
+
+        const pageNumber = Math.max(parseInt(page) || 1, 1);
+        const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+        const [payments, totalPayments] = await Promise.all([
+            Payment.find(query)
+                .select("-gatewayPayloads")
+                .sort({ createdAt: -1 })
+                .skip((pageNumber - 1) * pageSize)
+                .limit(pageSize),
+            Payment.countDocuments(query),
+        ]);
+
+        res.status(200).json({
+            success: true,
+            payments,
+            pagination: {
+                currentPage: pageNumber,
+                totalPages: Math.ceil(totalPayments / pageSize),
+                totalPayments,
+            },
+        });
     } catch (error) {
         console.log("Error in getAllPayments controller", error.message);
         res.status(500).json({ success: false, message: "Internal server error" });
@@ -26,46 +150,410 @@ export async function getAllPayments(req, res) {
  * @swagger
  * /payments:
  *   post:
- *     summary: Create a new payment
+ *     summary: Record a payment settled outside a gateway (e.g. cash or bank transfer)
+ *     description: |
+ *       The payment starts as initiated and confirms the order once staff capture it
+ *       with POST /payments/{id}/capture. Customers record payments for their own
+ *       orders; staff with the payments:record permission for any order.
  *     tags: [Payment]
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
+ *             required:
+ *               - method
+ *               - orderId
  *             properties:
- *               paymentId:
- *                 type: string
- *                 example: payment_12345
  *               method:
  *                 type: string
- *                 example: Credit Card
+ *                 enum: [Credit Card, Debit Card, PayPal, Bank Transfer, Cash]
+ *                 example: Cash
  *               orderId:
  *                 type: string
  *                 example: 60d5ec49f1b2c8b1f8c8e8e8
+ *               amount:
+ *                 type: number
+ *                 description: Must equal the order total when provided
+ *                 example: 460000
+ *               currency:
+ *                 type: string
+ *                 example: VND
  *     responses:
  *       201:
  *         description: Payment created successfully
  *       400:
- *         description: Invalid input
+ *         description: Invalid input or amount does not match the order total
+ *       403:
+ *         description: Order belongs to another user and the caller may not record payments
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: Order has already been paid
  *       500:
  *         description: Internal server error
  */
 export async function createPayment(req, res) {
     try {
-        const { paymentId, method, orderId } = req.body;
+        const { method, orderId, amount, currency } = req.body;
 
-        if (!paymentId || !method || !orderId) {
+        if (!method || !orderId) {
             return res.status(400).json({ success: false, message: "All fields are required" });
         }
 
-        const newPayment = new Payment({ paymentId, method, orderId });
-        await newPayment.save();
+        // Gateway payments have their own endpoints that talk to the gateway
+        if (!PAYMENT_METHODS.includes(method) || method === "MoMo") {
+            return res.status(400).json({ success: false, message: "Invalid payment method" });
+        }
+
+        if (!mongoose.Types.ObjectId.isValid(orderId)) {
+            return res.status(400).json({ success: false, message: "Invalid order ID" });
+        }
+
+        const order = await Order.findById(orderId);
+        if (!order) {
+            return res.status(404).json({ success: false, message: "Order not found" });
+        }
+
+        const newPayment = await createManualPayment(order, req.user, { method, amount, currency });
 
         res.status(201).json({ success: true, payment: newPayment });
     } catch (error) {
+        if (error instanceof PaymentError) {
+            return res.status(error.statusCode).json({ success: false, message: error.message });
+        }
         console.log("Error in createPayment controller", error.message);
         res.status(500).json({ success: false, message: "Internal server error" });
     }
-} 
\ No newline at end of file
+}
+
+/**
+ * @swagger
+ * /payments/{id}/capture:
+ *   post:
+ *     summary: Confirm that the money of a cash or bank transfer payment arrived (Staff)
+ *     description: The payment becomes captured and its pending order is confirmed, as after a gateway payment.
+ *     tags: [Payment]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Payment ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reference:
+ *                 type: string
+ *                 description: Bank transfer or receipt reference
+ *                 example: FT24123456789
+ *     responses:
+ *       200:
+ *         description: Payment captured
+ *       400:
+ *         description: Gateway payment, or the order was cancelled or refunded
+ *       403:
+ *         description: Forbidden - Missing permission
+ *       404:
+ *         description: Payment or order not found
+ *       409:
+ *         description: Payment is not initiated, or the order was paid by another payment
+ *       500:
+ *         description: Internal server error
+ */
+export async function capturePayment(req, res) {
+    try {
+        const { id } = req.params;
+        const { reference } = req.body || {};
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({ success: false, message: "Invalid payment ID" });
+        }
+
+        const payment = await Payment.findById(id);
+        if (!payment) {
+            return res.status(404).json({ success: false, message: "Payment not found" });
+        }
+
+        const captured = await captureManualPayment(payment, req.user, {
+            reference: reference ? String(reference).trim() : undefined,
+        });
+
+        res.status(200).json({ success: true, payment: captured });
+    } catch (error) {
+        if (error instanceof PaymentError) {
+            return res.status(error.statusCode).json({ success: false, message: error.message });
+        }
+        console.log("Error in capturePayment controller", error.message);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+}
+
+/**
+ * @swagger
+ * /payments/momo:
+ *   post:
+ *     summary: Start a MoMo payment for an order
+ *     tags: [Payment]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - orderId
+ *             properties:
+ *               orderId:
+ *                 type: string
+ *                 example: 60d5ec49f1b2c8b1f8c8e8e8
+ *     responses:
+ *       201:
+ *         description: Payment initiated; redirect the customer to payUrl
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 payUrl:
+ *                   type: string
+ *                 payment:
+ *                   type: object
+ *       400:
+ *         description: Invalid input or order is not pending
+ *       403:
+ *         description: Order belongs to another user
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: Order has already been paid
+ *       502:
+ *         description: Payment gateway error
+ *       500:
+ *         description: Internal server error
+ */
+export async function createMomoPayment(req, res) {
+    try {
+        const { orderId } = req.body;
+
+        if (!orderId) {
+            return res.status(400).json({ success: false, message: "Order ID is required" });
+        }
+
+        if (!mongoose.Types.ObjectId.isValid(orderId)) {
+            return res.status(400).json({ success: false, message: "Invalid order ID" });
+        }
+
+        const order = await Order.findById(orderId);
+        if (!order) {
+            return res.status(404).json({ success: false, message: "Order not found" });
+        }
+
+        const payment = await createOrderPayment(order, req.user);
+
+        res.status(201).json({ success: true, payUrl: payment.payUrl, payment });
+    } catch (error) {
+        if (error instanceof PaymentError) {
+            return res.status(error.statusCode).json({ success: false, message: error.message });
+        }
+        console.log("Error in createMomoPayment controller", error.message);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+}
+
+/**
+ * @swagger
+ * /payments/momo/ipn:
+ *   post:
+ *     summary: MoMo instant payment notification callback (called by MoMo)
+ *     tags: [Payment]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             description: Notification body signed by MoMo with HMAC SHA256
+ *     responses:
+ *       204:
+ *         description: Notification processed
+ *       400:
+ *         description: Invalid signature
+ *       404:
+ *         description: Payment not found
+ *       500:
+ *         description: Internal server error
+ */
+export async function momoIpn(req, res) {
+    try {
+        await handlePaymentNotification(req.body, "ipn");
+        res.status(204).end(); // MoMo expects an empty 204 acknowledgement
+    } catch (error) {
+        if (error instanceof PaymentError) {
+            return res.status(error.statusCode).json({ success: false, message: error.message });
+        }
+        console.log("Error in momoIpn controller", error.message);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+}
+
+/**
+ * @swagger
+ * /payments/momo/return:
+ *   get:
+ *     summary: Redirect-return handler the customer lands on after paying with MoMo
+ *     tags: [Payment]
+ *     parameters:
+ *       - in: query
+ *         name: orderId
+ *         schema:
+ *           type: string
+ *         description: The payment ID sent to MoMo, plus the other signed result fields
+ *     responses:
+ *       302:
+ *         description: Redirects to the storefront payment result page
+ *       400:
+ *         description: Invalid signature
+ *       500:
+ *         description: Internal server error
+ */
+export async function momoReturn(req, res) {
+    try {
+        const payment = await handlePaymentNotification(req.query, "return");
+        const params = new URLSearchParams({ orderId: payment.orderId.toString(), status: payment.status });
+        res.redirect(`${ENV_VARS.CLIENT_URL}/payment-result?${params.toString()}`);
+    } catch (error) {
+        if (error instanceof PaymentError) {
+            return res.status(error.statusCode).json({ success: false, message: error.message });
+        }
+        console.log("Error in momoReturn controller", error.message);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+}
+
+/**
+ * @swagger
+ * /payments/{id}/refunds:
+ *   post:
+ *     summary: Refund a payment, fully or for some order lines (Staff)
+ *     tags: [Payment]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Payment ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 description: Order lines to refund. Leave out to refund everything not refunded yet.
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     orderProductId:
+ *                       type: string
+ *                       example: 60d5ec49f1b2c8b1f8c8e8e8
+ *                     quantity:
+ *                       type: integer
+ *                       example: 1
+ *               reason:
+ *                 type: string
+ *                 example: Item arrived damaged
+ *               restock:
+ *                 type: boolean
+ *                 description: Return the refunded items to stock
+ *                 example: true
+ *               manual:
+ *                 type: boolean
+ *                 description: |
+ *                   Refund by cash or bank transfer instead of through the payment gateway.
+ *                   Cash and bank transfer payments are always refunded this way.
+ *                 example: false
+ *               reference:
+ *                 type: string
+ *                 description: Receipt or bank transfer reference of a manual refund
+ *                 example: FT24123456789
+ *     responses:
+ *       201:
+ *         description: Refund issued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 refund:
+ *                   type: object
+ *                 payment:
+ *                   type: object
+ *       400:
+ *         description: Invalid input, payment not captured or refundable, or order in a non-refundable status
+ *       403:
+ *         description: Forbidden - Missing permission
+ *       404:
+ *         description: Payment or order not found
+ *       409:
+ *         description: Payment was changed by another request
+ *       502:
+ *         description: Payment gateway rejected the refund
+ *       500:
+ *         description: Internal server error
+ */
+export async function createRefund(req, res) {
+    try {
+        const { id } = req.params;
+        const { items, reason, restock = false, manual = false, reference } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({ success: false, message: "Invalid payment ID" });
+        }
+
+        if (items !== undefined && !Array.isArray(items)) {
+            return res.status(400).json({ success: false, message: "Items must be an array" });
+        }
+
+        const payment = await Payment.findById(id);
+        if (!payment) {
+            return res.status(404).json({ success: false, message: "Payment not found" });
+        }
+
+        const result = await refundPayment(payment, {
+            items,
+            reason,
+            restock: Boolean(restock),
+            manual: Boolean(manual),
+            reference: reference ? String(reference).trim() : undefined,
+            user: req.user,
+        });
+
+        res.status(201).json({ success: true, refund: result.refund, payment: result.payment });
+    } catch (error) {
+        if (error instanceof PaymentError) {
+            return res.status(error.statusCode).json({ success: false, message: error.message });
+        }
+        console.log("Error in createRefund controller", error.message);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+}
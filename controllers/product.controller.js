@@ -1,25 +1,223 @@
-import { Product } from "../models/product.model.js";
+import mongoose from "mongoose";
+import { Product, PRODUCT_STATUS } from "../models/product.model.js";
 import { getRecommendedProducts } from '../services/recommendation.service.js';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import { ProductVariant } from "../models/productVariant.model.js";
-import { Category } from "../models/category.model.js";
-import cloudinary, { validateCloudinaryConnection } from '../config/cloudinary.js';
 import { Order } from "../models/order.model.js";
 import { OrderProduct } from "../models/orderProduct.model.js";
+import { getSearchEngine, SEARCH_SORTS } from "../services/search.service.js";
+import { listProducts, LISTING_SORTS, CursorError } from "../services/productListing.service.js";
+import { generateBarcode, renderLabel, LABEL_FORMATS } from "../services/sku.service.js";
+import { adjustStock, recordInitialStock, refreshTotalStock, writeOffVariantStock } from "../services/inventory.service.js";
+import { STOCK_MOVEMENT_TYPES } from "../models/stockMovement.model.js";
+import { scheduleStockCheck } from "../services/stockAlert.service.js";
+import { getReceivingWarehouse, WarehouseError } from "../services/warehouse.service.js";
+import { WarehouseStock } from "../models/warehouseStock.model.js";
+import {
+  addProductImages,
+  reorderProductImages,
+  setPrimaryImage,
+  updateImageDetails,
+  removeProductImage,
+  withImageUrls,
+  ProductImageError
+} from "../services/productImage.service.js";
+import { loadSeedFile, seedCatalog, SeedError } from "../services/seed.service.js";
+import {
+  detectImportFormat,
+  parseImportFile,
+  startProductImport,
+  ProductImportError
+} from "../services/productImport.service.js";
+import { buildProductExport, EXPORT_FORMATS } from "../services/productExport.service.js";
+import { ProductImport } from "../models/productImport.model.js";
+import { ATTRIBUTE_KEY_PATTERN } from "../models/category.model.js";
+import { getCategorySchema, describeAttributes } from "../services/productAttribute.service.js";
+import {
+  visibleProductCondition,
+  getProductVisibility,
+  isProductVisible,
+  softDeleteProduct,
+  restoreProduct as undeleteProduct,
+  removeVariantsFromCarts,
+  ProductLifecycleError,
+  PRODUCT_VISIBILITY,
+  NOT_DELETED
+} from "../services/productLifecycle.service.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+// Multi-value query parameters, given as ?size=M,L or ?size=M&size=L
+const parseList = (value) => (value === undefined ? [] : [].concat(value)
+  .flatMap(item => String(item).split(','))
+  .map(item => item.trim())
+  .filter(Boolean));
+
+/**
+ * Read the catalog filters shared by listing and search from the query string.
+ * @returns {{ filters?: object, error?: string }}
+ */
+const parseCatalogFilters = (query) => {
+  const categoryIds = parseList(query.category);
+  if (categoryIds.some(id => !mongoose.Types.ObjectId.isValid(id) && !/^[a-z0-9-]+$/i.test(id))) {
+    return { error: "Invalid category ID or slug" };
+  }
+
+  const filters = {
+    categoryIds,
+    materials: parseList(query.material),
+    sizes: parseList(query.size),
+    colors: parseList(query.color),
+    inStock: query.inStock === 'true',
+  };
+
+  for (const key of ['minPrice', 'maxPrice', 'minRating']) {
+    if (query[key] === undefined || query[key] === '') continue;
+    const value = Number(query[key]);
+    if (!Number.isFinite(value) || value < 0) {
+      return { error: `${key} must be a non-negative number` };
+    }
+    filters[key] = value;
+  }
+
+  const { attributes, error } = parseAttributeFilters(query.attr);
+  if (error) {
+    return { error };
+  }
+  filters.attributes = attributes;
+
+  return { filters };
+};
+
+/**
+ * Read attribute filters, given as ?attr[fit]=slim,regular for a list of
+ * values or ?attr[sleeve_length][min]=60&attr[sleeve_length][max]=70 for a range.
+ * @returns {{ attributes?: object[], error?: string }}
+ */
+const parseAttributeFilters = (attr) => {
+  if (attr === undefined) {
+    return { attributes: [] };
+  }
+  if (typeof attr !== 'object' || Array.isArray(attr)) {
+    return { error: "attr must be given as attr[key]=value" };
+  }
+
+  const attributes = [];
+  for (const [key, value] of Object.entries(attr)) {
+    if (!ATTRIBUTE_KEY_PATTERN.test(key)) {
+      return { error: `Invalid attribute key ${key}` };
+    }
+
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      const range = { key };
+      for (const bound of ['min', 'max']) {
+        if (value[bound] === undefined || value[bound] === '') continue;
+        const number = Number(value[bound]);
+        if (!Number.isFinite(number)) {
+          return { error: `attr[${key}][${bound}] must be a number` };
+        }
+        range[bound] = number;
+      }
+      if (range.min === undefined && range.max === undefined) {
+        return { error: `attr[${key}] needs min or max` };
+      }
+      attributes.push(range);
+      continue;
+    }
+
+    const values = parseList(value);
+    if (values.length > 0) {
+      attributes.push({ key, values });
+    }
+  }
+  return { attributes };
+};
+
 /**
  * @swagger
  * /products:
  *   get:
- *     summary: Get all products (Public)
+ *     summary: List products with filters, sorting and cursor pagination (Public)
+ *     description: |
+ *       Built for infinite scroll: pass nextCursor from the previous response
+ *       as cursor to get the next page. The order is stable, so products don't
+ *       repeat or go missing between pages. A cursor only works with the sort
+ *       it was issued for.
  *     tags: [Product]
+ *     parameters:
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Comma-separated category IDs or slugs; subcategories are included
+ *       - in: query
+ *         name: minPrice
+ *         schema:
+ *           type: number
+ *         description: Minimum price (inclusive)
+ *       - in: query
+ *         name: maxPrice
+ *         schema:
+ *           type: number
+ *         description: Maximum price (exclusive)
+ *       - in: query
+ *         name: material
+ *         schema:
+ *           type: string
+ *         description: Comma-separated materials
+ *       - in: query
+ *         name: minRating
+ *         schema:
+ *           type: number
+ *         description: Minimum average rating
+ *       - in: query
+ *         name: inStock
+ *         schema:
+ *           type: boolean
+ *         description: Only products with stock left
+ *       - in: query
+ *         name: size
+ *         schema:
+ *           type: string
+ *         description: Comma-separated sizes with stock available
+ *       - in: query
+ *         name: color
+ *         schema:
+ *           type: string
+ *         description: Comma-separated colors with stock available
+ *       - in: query
+ *         name: attr
+ *         style: deepObject
+ *         explode: true
+ *         schema:
+ *           type: object
+ *           additionalProperties: true
+ *         description: |
+ *           Attribute filters, e.g. attr[fit]=slim,regular for any of the values or
+ *           attr[sleeve_length][min]=60&attr[sleeve_length][max]=70 for a range (inclusive)
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [newest, price_asc, price_desc, rating, best_selling]
+ *           default: newest
+ *         description: Sort order
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor returned with the previous page
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Number of items per page
  *     responses:
  *       200:
- *         description: List of products retrieved successfully
+ *         description: A page of products
  *         content:
  *           application/json:
  *             schema:
@@ -42,14 +240,40 @@ const __dirname = dirname(__filename);
  *                         type: number
  *                       categoryId:
  *                         type: string
+ *                       soldCount:
+ *                         type: number
+ *                         description: Units sold in confirmed to delivered orders, less refunds; only with sort=best_selling
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ *                 hasMore:
+ *                   type: boolean
+ *       400:
+ *         description: Invalid filter, sort or cursor
  *       500:
  *         description: Internal server error
  */
 export async function getAllProducts(req, res) {
   try {
-    const products = await Product.find();
-    res.status(200).json({ success: true, products });
+    const { sort = 'newest', cursor, limit = 20 } = req.query;
+
+    const { filters, error } = parseCatalogFilters(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    if (!LISTING_SORTS[sort]) {
+      return res.status(400).json({ success: false, message: `Invalid sort. Allowed: ${Object.keys(LISTING_SORTS).join(", ")}` });
+    }
+
+    const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+    const result = await listProducts({ filters, sort, cursor, limit: pageSize });
+
+    res.status(200).json({ success: true, ...result, products: result.products.map(product => withImageUrls(product)) });
   } catch (error) {
+    if (error instanceof CursorError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
     console.log("Error in getAllProducts controller", error.message);
     res.status(500).json({ success: false, message: "Internal server error" });
   }
@@ -59,7 +283,7 @@ export async function getAllProducts(req, res) {
  * @swagger
  * /products:
  *   post:
- *     summary: Create a new product (Protected)
+ *     summary: Create a new product (Staff)
  *     tags: [Product]
  *     security:
  *       - bearerAuth: []
@@ -87,11 +311,29 @@ export async function getAllProducts(req, res) {
  *               categoryId:
  *                 type: string
  *                 example: 60d5ec49f1b2c8b1f8c8e8e8
+ *               status:
+ *                 type: string
+ *                 enum: [draft, active, archived]
+ *                 default: active
+ *                 description: Create as draft to prepare the product before customers see it
+ *               publishAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: An active product stays hidden until then
+ *               unpublishAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: An active product is hidden from then on
+ *               attributes:
+ *                 type: object
+ *                 additionalProperties: true
+ *                 description: Values of the category's attributes by key, see GET /categories/{idOrSlug}/attributes
+ *                 example: { fit: Slim, sleeve_length: 64, machine_washable: true }
  *     responses:
  *       201:
  *         description: Product created successfully
  *       400:
- *         description: Invalid input
+ *         description: Invalid input, or attributes that don't match the category's attribute schema
  *       401:
  *         description: Unauthorized - No token provided or invalid token
  *       500:
@@ -99,17 +341,20 @@ export async function getAllProducts(req, res) {
  */
 export async function createProduct(req, res) {
   try {
-    const { title, description, price, categoryId } = req.body;
+    const { title, description, price, categoryId, status, publishAt, unpublishAt, attributes } = req.body;
 
     if (!title || !description || !price || !categoryId) {
       return res.status(400).json({ success: false, message: "All fields are required" });
     }
 
-    const newProduct = new Product({ title, description, price, categoryId });
+    const newProduct = new Product({ title, description, price, categoryId, status, publishAt, unpublishAt, attributes });
     await newProduct.save();
 
     res.status(201).json({ success: true, product: newProduct });
   } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
     console.log("Error in createProduct controller", error.message);
     res.status(500).json({ success: false, message: "Internal server error" });
   }
@@ -119,7 +364,8 @@ export async function createProduct(req, res) {
  * @swagger
  * /products/inventory:
  *   get:
- *     summary: Get product inventory (Protected)
+ *     summary: Get product inventory (Staff)
+ *     description: Stock per product, summed from its variants, with the variants at or below their reorder point flagged.
  *     tags: [Product]
  *     security:
  *       - bearerAuth: []
@@ -133,12 +379,35 @@ export async function createProduct(req, res) {
  *               items:
  *                 type: object
  *                 properties:
+ *                   productId:
+ *                     type: string
  *                   name:
  *                     type: string
  *                   category:
  *                     type: string
  *                   quantity:
  *                     type: number
+ *                   lowStockVariants:
+ *                     type: integer
+ *                   variants:
+ *                     type: array
+ *                     items:
+ *                       type: object
+ *                       properties:
+ *                         _id:
+ *                           type: string
+ *                         sku:
+ *                           type: string
+ *                         size:
+ *                           type: string
+ *                         color:
+ *                           type: string
+ *                         quantity:
+ *                           type: number
+ *                         reorderPoint:
+ *                           type: number
+ *                         lowStock:
+ *                           type: boolean
  *       401:
  *         description: Unauthorized - No token provided or invalid token
  *       500:
@@ -146,12 +415,37 @@ export async function createProduct(req, res) {
  */
 export const getProductInventory = async (req, res) => {
   try {
-    const products = await Product.find().populate('categoryId', 'name');
-    const formattedProducts = products.map(product => ({
-      name: product.title,
-      category: product.categoryId.name,
-      quantity: product.quantity
-    }));
+    const [products, variants] = await Promise.all([
+      Product.find(NOT_DELETED).populate('categoryId', 'name').sort({ title: 1 }),
+      ProductVariant.find().sort({ size: 1, color: 1 })
+    ]);
+
+    const variantsByProduct = new Map();
+    for (const variant of variants) {
+      const key = variant.productId.toString();
+      if (!variantsByProduct.has(key)) variantsByProduct.set(key, []);
+      variantsByProduct.get(key).push({
+        _id: variant._id,
+        sku: variant.sku,
+        size: variant.size,
+        color: variant.color,
+        quantity: variant.quantity,
+        reorderPoint: variant.getReorderPoint(),
+        lowStock: variant.quantity <= variant.getReorderPoint()
+      });
+    }
+
+    const formattedProducts = products.map(product => {
+      const productVariants = variantsByProduct.get(product._id.toString()) || [];
+      return {
+        productId: product._id,
+        name: product.title,
+        category: product.categoryId ? product.categoryId.name : null,
+        quantity: productVariants.reduce((sum, variant) => sum + variant.quantity, 0),
+        lowStockVariants: productVariants.filter(variant => variant.lowStock).length,
+        variants: productVariants
+      };
+    });
     res.json(formattedProducts);
   } catch (error) {
     res.status(500).json({ message: error.message });
@@ -162,10 +456,77 @@ export const getProductInventory = async (req, res) => {
  * @swagger
  * /products/search:
  *   get:
- *     summary: Get products with pagination and search (Public)
+ *     summary: Search products with relevance ranking and filter facets (Public)
+ *     description: |
+ *       Full-text search over title, material and description. Misspelled or
+ *       unfinished words are corrected when nothing matches, in which case
+ *       correctedQuery holds the query that was actually searched. Facet counts
+ *       for the filter sidebar are returned alongside the results; each facet
+ *       ignores its own filter so the other options stay visible.
  *     tags: [Product]
  *     parameters:
  *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search term for product title, material or description
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Comma-separated category IDs or slugs; subcategories are included
+ *       - in: query
+ *         name: material
+ *         schema:
+ *           type: string
+ *         description: Comma-separated materials
+ *       - in: query
+ *         name: minPrice
+ *         schema:
+ *           type: number
+ *         description: Minimum price (inclusive)
+ *       - in: query
+ *         name: maxPrice
+ *         schema:
+ *           type: number
+ *         description: Maximum price (exclusive), matching the upper bound of a price band
+ *       - in: query
+ *         name: minRating
+ *         schema:
+ *           type: number
+ *         description: Minimum average rating
+ *       - in: query
+ *         name: inStock
+ *         schema:
+ *           type: boolean
+ *         description: Only products with stock left
+ *       - in: query
+ *         name: size
+ *         schema:
+ *           type: string
+ *         description: Comma-separated sizes with stock available
+ *       - in: query
+ *         name: color
+ *         schema:
+ *           type: string
+ *         description: Comma-separated colors with stock available
+ *       - in: query
+ *         name: attr
+ *         style: deepObject
+ *         explode: true
+ *         schema:
+ *           type: object
+ *           additionalProperties: true
+ *         description: |
+ *           Attribute filters, e.g. attr[fit]=slim,regular for any of the values or
+ *           attr[sleeve_length][min]=60&attr[sleeve_length][max]=70 for a range (inclusive)
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [relevance, newest, price_asc, price_desc, rating]
+ *         description: Sort order; relevance when searching, newest otherwise
+ *       - in: query
  *         name: page
  *         schema:
  *           type: integer
@@ -177,62 +538,114 @@ export const getProductInventory = async (req, res) => {
  *           type: integer
  *           default: 10
  *         description: Number of items per page
- *       - in: query
- *         name: category
- *         schema:
- *           type: string
- *         description: Category filter
- *       - in: query
- *         name: search
- *         schema:
- *           type: string
- *         description: Search term for product title or description
  *     responses:
  *       200:
- *         description: List of products with pagination
+ *         description: Matching products, facet counts and pagination
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
+ *                 success:
+ *                   type: boolean
  *                 products:
  *                   type: array
  *                   items:
  *                     type: object
+ *                 correctedQuery:
+ *                   type: string
+ *                   nullable: true
+ *                 facets:
+ *                   type: object
+ *                   properties:
+ *                     categories:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           _id:
+ *                             type: string
+ *                           name:
+ *                             type: string
+ *                           count:
+ *                             type: integer
+ *                     materials:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           value:
+ *                             type: string
+ *                           count:
+ *                             type: integer
+ *                     priceBands:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           min:
+ *                             type: number
+ *                           max:
+ *                             type: number
+ *                             nullable: true
+ *                           count:
+ *                             type: integer
+ *                     sizes:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                     colors:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                 total:
+ *                   type: integer
  *                 totalPages:
  *                   type: integer
  *                 currentPage:
  *                   type: integer
+ *       400:
+ *         description: Invalid filter or sort
  *       500:
  *         description: Internal server error
  */
 export const getProducts = async (req, res) => {
   try {
-    const { page = 1, limit = 10, category, search } = req.query;
-    const query = {};
+    const { page = 1, limit = 10, search = '', sort } = req.query;
+
+    const { filters, error } = parseCatalogFilters(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
 
-    if (category) query.category = category;
-    if (search) {
-      query.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } }
-      ];
+    const sortKey = sort || (String(search).trim() ? 'relevance' : 'newest');
+    if (!SEARCH_SORTS[sortKey]) {
+      return res.status(400).json({ success: false, message: `Invalid sort. Allowed: ${Object.keys(SEARCH_SORTS).join(", ")}` });
     }
 
-    const products = await Product.find(query)
-      .limit(limit * 1)
-      .skip((page - 1) * limit)
-      .populate('categoryId');
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 10, 1), 100);
 
-    const count = await Product.countDocuments(query);
+    const result = await getSearchEngine().search({
+      q: String(search),
+      filters,
+      sort: sortKey,
+      page: pageNumber,
+      limit: pageSize,
+    });
 
-    res.json({
-      products,
-      totalPages: Math.ceil(count / limit),
-      currentPage: page
+    res.status(200).json({
+      success: true,
+      products: result.products.map(product => withImageUrls(product)),
+      correctedQuery: result.correctedQuery,
+      facets: result.facets,
+      total: result.total,
+      totalPages: Math.ceil(result.total / pageSize),
+      currentPage: pageNumber
     });
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    console.log("Error in getProducts controller", error.message);
+    res.status(500).json({ success: false, message: "Internal server error" });
   }
 };
 
@@ -249,31 +662,52 @@ export const getProducts = async (req, res) => {
  *         schema:
  *           type: string
  *         description: Product ID
+ *       - in: query
+ *         name: color
+ *         schema:
+ *           type: string
+ *         description: Only the images of this color and those of the whole product
  *     responses:
  *       200:
- *         description: Product details retrieved successfully
+ *         description: |
+ *           Product details, with each image's thumbnail, medium and zoom URLs in the default format, WebP and AVIF.
+ *           specifications lists the attributes with their labels and units, and sizeChart is the category's size chart.
+ *           Both follow the attribute schema of the category and its parents.
  *       404:
- *         description: Product not found
+ *         description: Product not found, or not visible to customers (draft, scheduled, archived or deleted)
  *       500:
  *         description: Internal server error
  */
 export const getProductById = async (req, res) => {
   try {
     const product = await Product.findById(req.params.id).populate('categoryId');
-    if (!product) {
+    if (!isProductVisible(product)) {
       return res.status(404).json({ message: 'Product not found' });
     }
-    res.json(product);
+    const schema = await getCategorySchema(product.categoryId?._id);
+    res.json({
+      ...withImageUrls(product, { color: req.query.color }),
+      specifications: describeAttributes(product.attributes, schema?.attributes),
+      sizeChart: schema?.sizeChart || null,
+    });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 };
 
+// Fields staff may change on a product. The gallery and deletion have their own
+// endpoints; stock, rating and review count are derived from variants and reviews.
+const PRODUCT_FIELDS = ['title', 'description', 'price', 'categoryId', 'material', 'status', 'publishAt', 'unpublishAt', 'attributes'];
+
+const pickProductFields = (body) => Object.fromEntries(
+  PRODUCT_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
 /**
  * @swagger
  * /products/id/{id}:
  *   put:
- *     summary: Update a product (Protected)
+ *     summary: Update a product (Staff)
  *     tags: [Product]
  *     security:
  *       - bearerAuth: []
@@ -299,28 +733,59 @@ export const getProductById = async (req, res) => {
  *                 type: number
  *               categoryId:
  *                 type: string
+ *               material:
+ *                 type: string
+ *               status:
+ *                 type: string
+ *                 enum: [draft, active, archived]
+ *               publishAt:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *                 description: An active product stays hidden until then; null publishes right away
+ *               unpublishAt:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *                 description: An active product is hidden from then on; null keeps it up
+ *               attributes:
+ *                 type: object
+ *                 additionalProperties: true
+ *                 description: Attribute values merged into the current ones; null removes an attribute
  *     responses:
  *       200:
  *         description: Product updated successfully
+ *       400:
+ *         description: Invalid status, publish dates or attributes
  *       401:
  *         description: Unauthorized - No token provided or invalid token
  *       404:
- *         description: Product not found
+ *         description: Product not found or deleted
  *       500:
  *         description: Internal server error
  */
 export const updateProduct = async (req, res) => {
   try {
-    const product = await Product.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true }
-    );
+    const changes = pickProductFields(req.body);
+    const product = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Product.findOne({ _id: req.params.id, ...NOT_DELETED })
+      : null;
     if (!product) {
       return res.status(404).json({ message: 'Product not found' });
     }
+
+    if (changes.attributes && typeof changes.attributes === 'object') {
+      changes.attributes = { ...product.attributes, ...changes.attributes };
+    }
+
+    // Saved rather than updated in place so the publish dates and attributes are checked
+    product.set(changes);
+    await product.save();
     res.json(product);
   } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ message: error.message });
+    }
     res.status(500).json({ message: error.message });
   }
 };
@@ -329,7 +794,10 @@ export const updateProduct = async (req, res) => {
  * @swagger
  * /products/{id}:
  *   delete:
- *     summary: Delete a product (Protected)
+ *     summary: Delete a product (Admin)
+ *     description: |
+ *       The product is hidden from the storefront and removed from carts, but kept so orders and reviews
+ *       still point to it. Its variants, images and stock are kept too, and it can be restored.
  *     tags: [Product]
  *     security:
  *       - bearerAuth: []
@@ -347,146 +815,1254 @@ export const updateProduct = async (req, res) => {
  *         description: Unauthorized - No token provided or invalid token
  *       404:
  *         description: Product not found
+ *       409:
+ *         description: Product is already deleted
  *       500:
  *         description: Internal server error
  */
 export const deleteProduct = async (req, res) => {
   try {
-    const product = await Product.findByIdAndDelete(req.params.id);
+    const product = mongoose.Types.ObjectId.isValid(req.params.id) ? await Product.findById(req.params.id) : null;
     if (!product) {
       return res.status(404).json({ message: 'Product not found' });
     }
+    await softDeleteProduct(product, { user: req.user._id });
     res.json({ message: 'Product deleted successfully' });
   } catch (error) {
+    if (error instanceof ProductLifecycleError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     res.status(500).json({ message: error.message });
   }
 };
 
 /**
  * @swagger
- * /products/recommend:
+ * /products/{id}/restore:
  *   post:
- *     summary: Get recommended products based on a product name (Public)
+ *     summary: Restore a deleted product (Admin)
+ *     description: The product comes back with the status and publish dates it had.
  *     tags: [Product]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - productName
- *             properties:
- *               productName:
- *                 type: string
- *                 example: "Sample Product"
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Product ID
  *     responses:
  *       200:
- *         description: List of recommended products
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 recommendations:
- *                   type: array
- *                   items:
- *                     type: object
- *                 similarProducts:
- *                   type: array
- *                   items:
- *                     type: object
- *       400:
- *         description: Invalid input
+ *         description: Product restored
+ *       401:
+ *         description: Unauthorized - No token provided or invalid token
  *       404:
- *         description: No similar product found
+ *         description: Product not found
+ *       409:
+ *         description: Product is not deleted
  *       500:
  *         description: Internal server error
  */
-export const recommendProducts = async (req, res) => {
+export const restoreProduct = async (req, res) => {
   try {
-    const { productName } = req.body;
-
-    if (!productName) {
-      return res.status(400).json({ message: 'Product name is required.' });
+    const product = mongoose.Types.ObjectId.isValid(req.params.id) ? await Product.findById(req.params.id) : null;
+    if (!product) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
     }
 
-    const similarProduct = await Product.findOne({ title: { $regex: productName, $options: 'i' } });
-
-    if (!similarProduct) {
-      return res.status(404).json({ message: 'No similar product found.' });
+    await undeleteProduct(product);
+    res.status(200).json({ success: true, product, visibility: getProductVisibility(product) });
+  } catch (error) {
+    if (error instanceof ProductLifecycleError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
     }
+    console.log("Error in restoreProduct controller", error.message);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+};
 
-    const recommendations = await getRecommendedProducts(similarProduct.title);
-
-    const recommendedProductNames = recommendations
-      .map(rec => rec.Item)
-      .filter(item => item);
-
-    const products = await Product.find();
-
-    const similarProducts = products.filter(product =>
-      recommendedProductNames.some(recName =>
-        product.title && product.title.toLowerCase().includes(recName.toLowerCase())
-      )
-    );
+// Staff search matches titles literally
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * @swagger
+ * /products/manage:
+ *   get:
+ *     summary: List products for staff, including drafts, scheduled and archived products (Staff)
+ *     tags: [Product]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, active, archived]
+ *       - in: query
+ *         name: visibility
+ *         schema:
+ *           type: string
+ *           enum: [draft, scheduled, live, expired, archived, deleted]
+ *         description: Where the products stand for customers right now
+ *       - in: query
+ *         name: includeDeleted
+ *         schema:
+ *           type: boolean
+ *         description: Also list deleted products
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Part of the title
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Products with their visibility, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 products:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     currentPage:
+ *                       type: integer
+ *                     totalPages:
+ *                       type: integer
+ *                     totalProducts:
+ *                       type: integer
+ *       400:
+ *         description: Invalid status or visibility
+ *       401:
+ *         description: Unauthorized - No token provided or invalid token
+ *       500:
+ *         description: Internal server error
+ */
+export const getManagedProducts = async (req, res) => {
+  try {
+    const { status, visibility, includeDeleted, search, page = 1, limit = 20 } = req.query;
+
+    if (status && !Object.values(PRODUCT_STATUS).includes(status)) {
+      return res.status(400).json({ success: false, message: `Invalid status. Allowed: ${Object.values(PRODUCT_STATUS).join(", ")}` });
+    }
+    if (visibility && !Object.values(PRODUCT_VISIBILITY).includes(visibility)) {
+      return res.status(400).json({ success: false, message: `Invalid visibility. Allowed: ${Object.values(PRODUCT_VISIBILITY).join(", ")}` });
+    }
+
+    const now = new Date();
+    const visibilityConditions = {
+      [PRODUCT_VISIBILITY.DRAFT]: { status: PRODUCT_STATUS.DRAFT, ...NOT_DELETED },
+      [PRODUCT_VISIBILITY.SCHEDULED]: { status: PRODUCT_STATUS.ACTIVE, publishAt: { $gt: now }, ...NOT_DELETED },
+      [PRODUCT_VISIBILITY.LIVE]: visibleProductCondition(now),
+      [PRODUCT_VISIBILITY.EXPIRED]: { status: PRODUCT_STATUS.ACTIVE, publishAt: { $not: { $gt: now } }, unpublishAt: { $lte: now }, ...NOT_DELETED },
+      [PRODUCT_VISIBILITY.ARCHIVED]: { status: PRODUCT_STATUS.ARCHIVED, ...NOT_DELETED },
+      [PRODUCT_VISIBILITY.DELETED]: { isDeleted: true },
+    };
+
+    const conditions = [];
+    if (visibility) conditions.push(visibilityConditions[visibility]);
+    else if (includeDeleted !== 'true') conditions.push(NOT_DELETED);
+    if (status) conditions.push({ status });
+    if (search && String(search).trim()) conditions.push({ title: new RegExp(escapeRegex(String(search).trim()), 'i') });
+    const query = conditions.length > 0 ? { $and: conditions } : {};
+
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    const [products, totalProducts] = await Promise.all([
+      Product.find(query)
+        .populate('categoryId', 'name slug')
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize),
+      Product.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      products: products.map(product => ({ ...product.toObject(), visibility: getProductVisibility(product, now) })),
+      pagination: {
+        currentPage: pageNumber,
+        totalPages: Math.ceil(totalProducts / pageSize),
+        totalProducts
+      }
+    });
+  } catch (error) {
+    console.log("Error in getManagedProducts controller", error.message);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+};
+
+// Respond to the errors of gallery changes; returns false for anything else
+const handleProductImageError = (error, res) => {
+  if (error instanceof ProductImageError) {
+    res.status(error.statusCode).json({ success: false, message: error.message });
+    return true;
+  }
+  if (error.name === 'ValidationError') {
+    res.status(400).json({ success: false, message: error.message });
+    return true;
+  }
+  return false;
+};
+
+const findProduct = (id) => (mongoose.Types.ObjectId.isValid(id) ? Product.findOne({ _id: id, ...NOT_DELETED }) : null);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ProductImage:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         url:
+ *           type: string
+ *         public_id:
+ *           type: string
+ *         alt:
+ *           type: string
+ *         color:
+ *           type: string
+ *           nullable: true
+ *           description: Variant color the image shows; null when it shows the whole product
+ *         isPrimary:
+ *           type: boolean
+ *         sizes:
+ *           type: object
+ *           description: URLs per size (thumbnail, medium, zoom), each in the default format, webp and avif
+ *           additionalProperties:
+ *             type: object
+ *             properties:
+ *               url:
+ *                 type: string
+ *               webp:
+ *                 type: string
+ *               avif:
+ *                 type: string
+ */
+
+/**
+ * @swagger
+ * /products/id/{id}/images:
+ *   get:
+ *     summary: Get a product's image gallery (Public)
+ *     tags: [Product]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Product ID
+ *       - in: query
+ *         name: color
+ *         schema:
+ *           type: string
+ *         description: Only the images of this color and those of the whole product, the color's own first
+ *     responses:
+ *       200:
+ *         description: The gallery in display order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 images:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ProductImage'
+ *                 primaryImage:
+ *                   $ref: '#/components/schemas/ProductImage'
+ *       404:
+ *         description: Product not found
+ *       500:
+ *         description: Internal server error
+ */
+export const getProductImages = async (req, res) => {
+  try {
+    const product = await findProduct(req.params.id);
+    if (!isProductVisible(product)) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+
+    const { images, primaryImage } = withImageUrls(product, { color: req.query.color });
+    res.status(200).json({ success: true, images, primaryImage });
+  } catch (error) {
+    console.log("Error in getProductImages controller", error.message);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+};
+
+/**
+ * @swagger
+ * /products/{id}/images:
+ *   post:
+ *     summary: Upload images to a product's gallery (Staff)
+ *     description: The images are added after the existing ones. The first image of a product becomes its primary image.
+ *     tags: [Product]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Product ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - images
+ *             properties:
+ *               images:
+ *                 type: array
+ *                 maxItems: 10
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *                 description: JPEG, PNG or WebP, at most 5 MB each
+ *               color:
+ *                 type: string
+ *                 description: Variant color the images show; leave out for the whole product
+ *               alt:
+ *                 type: string
+ *                 description: Alt text; defaults to the product title
+ *     responses:
+ *       201:
+ *         description: Images added
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 images:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ProductImage'
+ *       400:
+ *         description: No images, invalid file, unknown color or gallery full
+ *       401:
+ *         description: Unauthorized - No token provided or invalid token
+ *       404:
+ *         description: Product not found
+ *       500:
+ *         description: Internal server error
+ */
+export const uploadProductImages = async (req, res) => {
+  try {
+    const product = await findProduct(req.params.id);
+    if (!product) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+
+    const added = await addProductImages(product, req.files, { color: req.body.color, alt: req.body.alt });
+    const addedIds = added.map(image => image._id.toString());
+    const images = withImageUrls(product).images.filter(image => addedIds.includes(image._id.toString()));
+
+    res.status(201).json({ success: true, images });
+  } catch (error) {
+    if (handleProductImageError(error, res)) return;
+    console.log("Error in uploadProductImages controller", error.message);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+};
+
+/**
+ * @swagger
+ * /products/{id}/images/order:
+ *   put:
+ *     summary: Reorder a product's gallery (Staff)
+ *     tags: [Product]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Product ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - imageIds
+ *             properties:
+ *               imageIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Every image ID of the product, in the new order
+ *     responses:
+ *       200:
+ *         description: Gallery reordered
+ *       400:
+ *         description: imageIds doesn't list every image exactly once
+ *       401:
+ *         description: Unauthorized - No token provided or invalid token
+ *       404:
+ *         description: Product not found
+ *       500:
+ *         description: Internal server error
+ */
+export const updateProductImageOrder = async (req, res) => {
+  try {
+    const product = await findProduct(req.params.id);
+    if (!product) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+
+    await reorderProductImages(product, req.body.imageIds);
+    res.status(200).json({ success: true, images: withImageUrls(product).images });
+  } catch (error) {
+    if (handleProductImageError(error, res)) return;
+    console.log("Error in updateProductImageOrder controller", error.message);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+};
+
+/**
+ * @swagger
+ * /products/{id}/images/{imageId}/primary:
+ *   put:
+ *     summary: Make an image the product's primary image (Staff)
+ *     description: The primary image is shown in listings and copied onto order lines.
+ *     tags: [Product]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Product ID
+ *       - in: path
+ *         name: imageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Image ID
+ *     responses:
+ *       200:
+ *         description: Primary image changed
+ *       401:
+ *         description: Unauthorized - No token provided or invalid token
+ *       404:
+ *         description: Product or image not found
+ *       500:
+ *         description: Internal server error
+ */
+export const setPrimaryProductImage = async (req, res) => {
+  try {
+    const product = await findProduct(req.params.id);
+    if (!product) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+
+    await setPrimaryImage(product, req.params.imageId);
+    res.status(200).json({ success: true, images: withImageUrls(product).images });
+  } catch (error) {
+    if (handleProductImageError(error, res)) return;
+    console.log("Error in setPrimaryProductImage controller", error.message);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+};
+
+/**
+ * @swagger
+ * /products/{id}/images/{imageId}:
+ *   put:
+ *     summary: Change an image's alt text or color (Staff)
+ *     tags: [Product]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Product ID
+ *       - in: path
+ *         name: imageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Image ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               alt:
+ *                 type: string
+ *               color:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Variant color the image shows; null for the whole product
+ *     responses:
+ *       200:
+ *         description: Image updated
+ *       400:
+ *         description: The product has no variants in this color
+ *       401:
+ *         description: Unauthorized - No token provided or invalid token
+ *       404:
+ *         description: Product or image not found
+ *       500:
+ *         description: Internal server error
+ */
+export const updateProductImage = async (req, res) => {
+  try {
+    const product = await findProduct(req.params.id);
+    if (!product) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+
+    const { alt, color } = req.body;
+    const image = await updateImageDetails(product, req.params.imageId, { alt, color });
+    res.status(200).json({ success: true, image: withImageUrls(product).images.find(entry => entry._id.equals(image._id)) });
+  } catch (error) {
+    if (handleProductImageError(error, res)) return;
+    console.log("Error in updateProductImage controller", error.message);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+};
+
+/**
+ * @swagger
+ * /products/{id}/images/{imageId}:
+ *   delete:
+ *     summary: Delete an image from a product's gallery (Staff)
+ *     description: The file is removed from storage too. When the primary image is deleted, the next image takes its place.
+ *     tags: [Product]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Product ID
+ *       - in: path
+ *         name: imageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Image ID
+ *     responses:
+ *       200:
+ *         description: Image deleted
+ *       401:
+ *         description: Unauthorized - No token provided or invalid token
+ *       404:
+ *         description: Product or image not found
+ *       500:
+ *         description: Internal server error
+ */
+export const deleteProductImage = async (req, res) => {
+  try {
+    const product = await findProduct(req.params.id);
+    if (!product) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+
+    await removeProductImage(product, req.params.imageId);
+    res.status(200).json({ success: true, message: 'Image deleted successfully' });
+  } catch (error) {
+    if (handleProductImageError(error, res)) return;
+    console.log("Error in deleteProductImage controller", error.message);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+};
+
+/**
+ * @swagger
+ * /products/recommend:
+ *   post:
+ *     summary: Get recommended products based on a product name (Public)
+ *     tags: [Product]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - productName
+ *             properties:
+ *               productName:
+ *                 type: string
+ *                 example: "Sample Product"
+ *     responses:
+ *       200:
+ *         description: List of recommended products
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 recommendations:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 similarProducts:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *       400:
+ *         description: Invalid input
+ *       404:
+ *         description: No similar product found
+ *       500:
+ *         description: Internal server error
+ */
+export const recommendProducts = async (req, res) => {
+  try {
+    const { productName } = req.body;
+
+    if (!productName) {
+      return res.status(400).json({ message: 'Product name is required.' });
+    }
+
+    const similarProduct = await Product.findOne({ title: { $regex: productName, $options: 'i' }, ...visibleProductCondition() });
+
+    if (!similarProduct) {
+      return res.status(404).json({ message: 'No similar product found.' });
+    }
+
+    const recommendations = await getRecommendedProducts(similarProduct.title);
+
+    const recommendedProductNames = recommendations
+      .map(rec => rec.Item)
+      .filter(item => item);
+
+    const products = await Product.find(visibleProductCondition());
+
+    const similarProducts = products.filter(product =>
+      recommendedProductNames.some(recName =>
+        product.title && product.title.toLowerCase().includes(recName.toLowerCase())
+      )
+    );
 
     res.status(200).json({ recommendations, similarProducts });
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * @swagger
+ * /products/variants/{id}:
+ *   get:
+ *     summary: Get all variants of a product by product ID (Protected)
+ *     tags: [Product]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Product ID
+ *     responses:
+ *       200:
+ *         description: List of product variants retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 variants:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *       401:
+ *         description: Unauthorized - No token provided or invalid token
+ *       404:
+ *         description: Product not found
+ *       500:
+ *         description: Internal server error
+ */
+export const getProductVariantsByProductId = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const product = await Product.findById(id);
+    if (!product) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+
+    const variants = await ProductVariant.find({ productId: id });
+
+    res.status(200).json({ success: true, variants });
+  } catch (error) {
+    console.log("Error in getProductVariantsByProductId controller", error.message);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+};
+
+// Explain which unique key a duplicate variant collided with
+const duplicateVariantMessage = (error) => {
+  const keys = Object.keys(error.keyPattern || {});
+  if (keys.includes('sku')) return 'SKU is already used by another variant';
+  if (keys.includes('barcode')) return 'Barcode is already used by another variant';
+  return 'A variant with this size and color already exists for this product';
+};
+
+const validateVariantFields = ({ price, weight, reorderPoint }) => {
+  if (reorderPoint !== undefined && reorderPoint !== null && (!Number.isInteger(reorderPoint) || reorderPoint < 0)) {
+    return 'Reorder point must be a non-negative integer, or null to use the default';
+  }
+  if (price !== undefined && price !== null && (typeof price !== 'number' || price < 0)) {
+    return 'Price must be a non-negative number, or null to use the product price';
+  }
+  if (weight !== undefined && weight !== null && (typeof weight !== 'number' || weight < 0)) {
+    return 'Weight must be a non-negative number of grams';
+  }
+  return null;
+};
+
+/**
+ * @swagger
+ * /products/{id}/variants:
+ *   post:
+ *     summary: Add a size/color variant to a product (Staff)
+ *     tags: [Product]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Product ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - size
+ *               - color
+ *             properties:
+ *               size:
+ *                 type: string
+ *                 example: M
+ *               color:
+ *                 type: string
+ *                 example: Navy
+ *               quantity:
+ *                 type: integer
+ *                 description: Initial stock
+ *                 example: 20
+ *               sku:
+ *                 type: string
+ *                 description: Generated from SKU_PATTERN when omitted
+ *               barcode:
+ *                 type: string
+ *                 description: EAN-8, UPC-A or EAN-13
+ *                 example: "8935049501234"
+ *               generateBarcode:
+ *                 type: boolean
+ *                 description: Assign an in-store EAN-13 when no barcode is given
+ *               price:
+ *                 type: number
+ *                 nullable: true
+ *                 description: Overrides the product price; null uses the product price
+ *               weight:
+ *                 type: number
+ *                 description: Shipping weight in grams
+ *               reorderPoint:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Raise a low-stock alert at this stock level; null uses the default
+ *               warehouseId:
+ *                 type: string
+ *                 description: Warehouse that holds the initial stock; the default warehouse when omitted
+ *     responses:
+ *       201:
+ *         description: Variant created
+ *       400:
+ *         description: Invalid input or inactive warehouse
+ *       401:
+ *         description: Unauthorized - No token provided or invalid token
+ *       404:
+ *         description: Product or warehouse not found
+ *       409:
+ *         description: Size/color combination, SKU or barcode already exists
+ *       500:
+ *         description: Internal server error
+ */
+export const createVariant = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { size, color, quantity = 0, sku, barcode, price, weight, reorderPoint, warehouseId, generateBarcode: wantsBarcode } = req.body;
+
+    if (!size || !color) {
+      return res.status(400).json({ success: false, message: 'Size and color are required' });
+    }
+
+    if (!Number.isInteger(quantity) || quantity < 0) {
+      return res.status(400).json({ success: false, message: 'Quantity must be a non-negative integer' });
+    }
+
+    const invalidField = validateVariantFields({ price, weight, reorderPoint });
+    if (invalidField) {
+      return res.status(400).json({ success: false, message: invalidField });
+    }
+
+    const product = mongoose.Types.ObjectId.isValid(id) ? await Product.findById(id) : null;
+    if (!product) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+
+    const warehouse = await getReceivingWarehouse(warehouseId);
+
+    // Saving updates the product's totalStock
+    const variant = await ProductVariant.create({
+      productId: product._id,
+      size,
+      color,
+      quantity,
+      sku: sku || undefined,
+      barcode: barcode || (wantsBarcode ? await generateBarcode() : undefined),
+      price,
+      weight,
+      reorderPoint
+    });
+    await recordInitialStock(variant, { warehouseId: warehouse._id, user: req.user._id });
+    scheduleStockCheck([variant._id]);
+
+    res.status(201).json({ success: true, variant });
+  } catch (error) {
+    if (error instanceof WarehouseError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, message: duplicateVariantMessage(error) });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.log("Error in createVariant controller", error.message);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+};
+
+/**
+ * @swagger
+ * /products/{id}/variants/{variantId}:
+ *   put:
+ *     summary: Update a product variant (Staff)
+ *     description: Stock can't be set here; use the restock endpoint instead.
+ *     tags: [Product]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Product ID
+ *       - in: path
+ *         name: variantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Variant ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               size:
+ *                 type: string
+ *               color:
+ *                 type: string
+ *               sku:
+ *                 type: string
+ *               barcode:
+ *                 type: string
+ *                 description: EAN-8, UPC-A or EAN-13; empty to clear
+ *               generateBarcode:
+ *                 type: boolean
+ *                 description: Assign an in-store EAN-13 if the variant has no barcode
+ *               price:
+ *                 type: number
+ *                 nullable: true
+ *                 description: Overrides the product price; null uses the product price
+ *               weight:
+ *                 type: number
+ *                 description: Shipping weight in grams
+ *               reorderPoint:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Raise a low-stock alert at this stock level; null uses the default
+ *     responses:
+ *       200:
+ *         description: Variant updated
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized - No token provided or invalid token
+ *       404:
+ *         description: Variant not found
+ *       409:
+ *         description: Size/color combination, SKU or barcode already exists
+ *       500:
+ *         description: Internal server error
+ */
+export const updateVariant = async (req, res) => {
+  try {
+    const { id, variantId } = req.params;
+
+    if (req.body.quantity !== undefined) {
+      return res.status(400).json({ success: false, message: 'Stock cannot be set here. Use restock instead.' });
+    }
+
+    const invalidField = validateVariantFields(req.body);
+    if (invalidField) {
+      return res.status(400).json({ success: false, message: invalidField });
+    }
+
+    const variant = mongoose.Types.ObjectId.isValid(variantId)
+      ? await ProductVariant.findOne({ _id: variantId, productId: id })
+      : null;
+    if (!variant) {
+      return res.status(404).json({ success: false, message: 'Product variant not found' });
+    }
+
+    for (const field of ['size', 'color', 'sku', 'barcode', 'price', 'weight', 'reorderPoint']) {
+      if (req.body[field] !== undefined) {
+        // Empty codes are cleared rather than stored, so they don't collide
+        variant[field] = ['sku', 'barcode'].includes(field) && req.body[field] === '' ? undefined : req.body[field];
+      }
+    }
+
+    if (req.body.generateBarcode && !variant.barcode) {
+      variant.barcode = await generateBarcode();
+    }
+
+    if (!variant.size || !variant.color) {
+      return res.status(400).json({ success: false, message: 'Size and color cannot be empty' });
+    }
+
+    await variant.save();
+    scheduleStockCheck([variant._id]); // The reorder point may have changed
+
+    res.status(200).json({ success: true, variant });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, message: duplicateVariantMessage(error) });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.log("Error in updateVariant controller", error.message);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+};
+
+/**
+ * @swagger
+ * /products/{id}/variants/{variantId}:
+ *   delete:
+ *     summary: Delete a product variant (Staff)
+ *     description: |
+ *       The variant is also removed from customers' carts. Past orders keep their snapshot.
+ *       Stock still on hand is written off first, with an adjustment in the stock ledger per warehouse.
+ *     tags: [Product]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Product ID
+ *       - in: path
+ *         name: variantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Variant ID
+ *     responses:
+ *       200:
+ *         description: Variant deleted
+ *       401:
+ *         description: Unauthorized - No token provided or invalid token
+ *       404:
+ *         description: Variant not found
+ *       409:
+ *         description: The variant's stock changed while it was written off; try again
+ *       500:
+ *         description: Internal server error
+ */
+export const deleteVariant = async (req, res) => {
+  try {
+    const { id, variantId } = req.params;
+
+    const existing = mongoose.Types.ObjectId.isValid(id) && mongoose.Types.ObjectId.isValid(variantId)
+      ? await ProductVariant.findOne({ _id: variantId, productId: id })
+      : null;
+    if (!existing) {
+      return res.status(404).json({ success: false, message: 'Product variant not found' });
+    }
+
+    // Book the remaining stock out so the ledger still adds up once the variant is gone
+    const writtenOff = await writeOffVariantStock(existing, { reason: 'Variant deleted', user: req.user._id });
+    if (!writtenOff) {
+      return res.status(409).json({ success: false, message: 'Stock of the variant changed meanwhile. Please retry.' });
+    }
+
+    // The findOneAndDelete hook updates the product's totalStock
+    const variant = await ProductVariant.findOneAndDelete({ _id: existing._id });
+    if (!variant) {
+      return res.status(404).json({ success: false, message: 'Product variant not found' });
+    }
+
+    await removeVariantsFromCarts([variant._id]);
+    await WarehouseStock.deleteMany({ productVariantId: variant._id });
+
+    res.status(200).json({ success: true, message: 'Product variant deleted successfully' });
+  } catch (error) {
+    console.log("Error in deleteVariant controller", error.message);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+};
+
+/**
+ * @swagger
+ * /products/variants/lookup:
+ *   get:
+ *     summary: Find a variant by scanned SKU or barcode (Staff)
+ *     tags: [Product]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: SKU or EAN/UPC barcode
+ *     responses:
+ *       200:
+ *         description: The variant, its product and current stock
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 variant:
+ *                   type: object
+ *                 product:
+ *                   type: object
+ *                 stock:
+ *                   type: integer
+ *                 price:
+ *                   type: number
+ *       400:
+ *         description: Code is required
+ *       401:
+ *         description: Unauthorized - No token provided or invalid token
+ *       404:
+ *         description: No variant with this code
+ *       500:
+ *         description: Internal server error
+ */
+export const lookupVariant = async (req, res) => {
+  try {
+    const code = String(req.query.code || '').trim();
+    if (!code) {
+      return res.status(400).json({ success: false, message: 'Code is required' });
+    }
+
+    // Scanners may read a UPC-A as a 13-digit EAN with a leading zero
+    const barcodes = /^0\d{12}$/.test(code) ? [code, code.slice(1)] : [code];
+    const variant = await ProductVariant.findOne({
+      $or: [{ sku: code.toUpperCase() }, { barcode: { $in: barcodes } }]
+    });
+    if (!variant) {
+      return res.status(404).json({ success: false, message: 'No variant found for this code' });
+    }
+
+    const product = await Product.findById(variant.productId).populate('categoryId', 'name');
+
+    res.status(200).json({
+      success: true,
+      variant,
+      product,
+      stock: variant.quantity,
+      price: product ? variant.getPrice(product) : variant.price
+    });
+  } catch (error) {
+    console.log("Error in lookupVariant controller", error.message);
+    res.status(500).json({ success: false, message: "Internal server error" });
   }
 };
 
 /**
  * @swagger
- * /products/variants/{id}:
+ * /products/variants/{variantId}/label:
  *   get:
- *     summary: Get all variants of a product by product ID (Protected)
+ *     summary: Render a printable barcode label for a variant (Staff)
+ *     description: Uses the variant's barcode, or its SKU as Code 128 when it has no barcode.
  *     tags: [Product]
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - in: path
- *         name: id
+ *         name: variantId
  *         required: true
  *         schema:
  *           type: string
- *         description: Product ID
+ *         description: Variant ID
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [png, svg]
+ *           default: png
+ *         description: Image format
  *     responses:
  *       200:
- *         description: List of product variants retrieved successfully
+ *         description: The label image
  *         content:
- *           application/json:
+ *           image/png:
  *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                 variants:
- *                   type: array
- *                   items:
- *                     type: object
+ *               type: string
+ *               format: binary
+ *           image/svg+xml:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid format
  *       401:
  *         description: Unauthorized - No token provided or invalid token
  *       404:
- *         description: Product not found
+ *         description: Variant not found
  *       500:
  *         description: Internal server error
  */
-export const getProductVariantsByProductId = async (req, res) => {
+export const getVariantLabel = async (req, res) => {
   try {
-    const { id } = req.params;
+    const { variantId } = req.params;
+    const { format = 'png' } = req.query;
 
-    const product = await Product.findById(id);
-    if (!product) {
-      return res.status(404).json({ success: false, message: 'Product not found' });
+    if (!LABEL_FORMATS.includes(format)) {
+      return res.status(400).json({ success: false, message: `Invalid format. Allowed: ${LABEL_FORMATS.join(", ")}` });
     }
 
-    const variants = await ProductVariant.find({ productId: id });
+    const variant = mongoose.Types.ObjectId.isValid(variantId) ? await ProductVariant.findById(variantId) : null;
+    if (!variant) {
+      return res.status(404).json({ success: false, message: 'Product variant not found' });
+    }
 
-    res.status(200).json({ success: true, variants });
+    const label = await renderLabel(variant, format);
+
+    res.set('Content-Type', label.contentType);
+    res.set('Content-Disposition', `inline; filename="${variant.sku || variant._id}.${format}"`);
+    res.status(200).send(label.body);
   } catch (error) {
-    console.log("Error in getProductVariantsByProductId controller", error.message);
+    console.log("Error in getVariantLabel controller", error.message);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+};
+
+/**
+ * @swagger
+ * /products/variants/generate-codes:
+ *   post:
+ *     summary: Give SKUs, and optionally barcodes, to variants that have none (Staff)
+ *     tags: [Product]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               barcodes:
+ *                 type: boolean
+ *                 description: Also assign in-store EAN-13 barcodes to variants without one
+ *     responses:
+ *       200:
+ *         description: Number of variants updated
+ *       401:
+ *         description: Unauthorized - No token provided or invalid token
+ *       500:
+ *         description: Internal server error
+ */
+export const generateVariantCodes = async (req, res) => {
+  try {
+    const withBarcodes = req.body?.barcodes === true;
+    const missing = [{ sku: { $in: [null, ''] } }];
+    if (withBarcodes) {
+      missing.push({ barcode: { $in: [null, ''] } });
+    }
+
+    let updated = 0;
+    const variants = ProductVariant.find({ $or: missing }).cursor();
+    for await (const variant of variants) {
+      // Saving generates the missing SKU
+      if (withBarcodes && !variant.barcode) {
+        variant.barcode = await generateBarcode();
+      }
+      await variant.save();
+      updated++;
+    }
+
+    res.status(200).json({ success: true, message: `Codes generated for ${updated} variant(s)`, updated });
+  } catch (error) {
+    console.log("Error in generateVariantCodes controller", error.message);
     res.status(500).json({ success: false, message: "Internal server error" });
   }
 };
@@ -495,7 +2071,7 @@ export const getProductVariantsByProductId = async (req, res) => {
  * @swagger
  * /products/calculate-stock:
  *   post:
- *     summary: Calculate and update total stock for all products (Protected)
+ *     summary: Calculate and update total stock for all products (Staff)
  *     tags: [Product]
  *     security:
  *       - bearerAuth: []
@@ -538,7 +2114,7 @@ export const calculateTotalStock = async (req, res) => {
  * @swagger
  * /products/variants/restock:
  *   post:
- *     summary: Restock a product variant (Protected)
+ *     summary: Restock a product variant (Staff)
  *     tags: [Product]
  *     security:
  *       - bearerAuth: []
@@ -567,6 +2143,13 @@ export const calculateTotalStock = async (req, res) => {
  *                 type: number
  *                 description: The quantity to add to current stock
  *                 example: 10
+ *               reason:
+ *                 type: string
+ *                 description: Recorded in the stock ledger
+ *                 example: Delivery from supplier
+ *               warehouseId:
+ *                 type: string
+ *                 description: Warehouse receiving the stock; the default warehouse when omitted
  *     responses:
  *       200:
  *         description: Variant restocked successfully
@@ -582,43 +2165,42 @@ export const calculateTotalStock = async (req, res) => {
  *                 variant:
  *                   type: object
  *       400:
- *         description: Invalid quantity - Quantity must be a positive number
+ *         description: Invalid quantity or inactive warehouse
  *       401:
  *         description: Unauthorized - No token provided or invalid token
  *       404:
- *         description: Variant not found - The specified variant ID does not exist
+ *         description: Variant or warehouse not found
  *       500:
  *         description: Internal server error
  */
 export const restockVariant = async (req, res) => {
   try {
-    const { productId, size, color, quantity } = req.body;
+    const { productId, size, color, quantity, reason, warehouseId } = req.body;
 
-    if (!productId || !size || !color || !quantity || quantity <= 0) {
+    if (!productId || !size || !color || !Number.isInteger(quantity) || quantity <= 0) {
       return res.status(400).json({
         success: false,
         message: 'Please provide valid productId, size, color, and quantity greater than 0'
       });
     }
 
-    const variant = await ProductVariant.findOne({ productId, size, color });
-    if (!variant) {
+    const existingVariant = await ProductVariant.findOne({ productId, size, color });
+    if (!existingVariant) {
       return res.status(404).json({
         success: false,
         message: 'Product variant not found'
       });
     }
 
-    variant.quantity += quantity;
-    await variant.save();
-
-    const product = await Product.findById(productId);
-    if (product) {
-      const variants = await ProductVariant.find({ productId: product._id });
-      const totalStock = variants.reduce((total, variant) => total + variant.quantity, 0);
-      product.totalStock = totalStock;
-      await product.save();
-    }
+    const warehouse = await getReceivingWarehouse(warehouseId);
+    const variant = await adjustStock(existingVariant._id, quantity, {
+      type: STOCK_MOVEMENT_TYPES.RESTOCK,
+      warehouseId: warehouse._id,
+      reason,
+      user: req.user._id
+    });
+    await refreshTotalStock([variant.productId]);
+    scheduleStockCheck([variant._id]);
 
     res.status(200).json({
       success: true,
@@ -626,6 +2208,9 @@ export const restockVariant = async (req, res) => {
       variant
     });
   } catch (error) {
+    if (error instanceof WarehouseError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
     console.error('Error in restockVariant controller:', error.message);
     res.status(500).json({
       success: false,
@@ -637,205 +2222,366 @@ export const restockVariant = async (req, res) => {
 
 /**
  * @swagger
- * /products/init:
+ * /products/seed:
  *   post:
- *     summary: Initialize categories and products with variants (Protected)
+ *     summary: Seed categories, products and variants from the seed file (Admin)
+ *     description: |
+ *       Reads seeds/catalog.json and creates what is missing, matching categories by slug, products by title
+ *       and variants by size and color. Nothing is deleted and existing stock is left alone. Values the file
+ *       leaves out (price, material, stock) are generated from the seed value, so the same seed always gives
+ *       the same data.
  *     tags: [Product]
  *     security:
  *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               dryRun:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Only report what would change
+ *               seed:
+ *                 type: string
+ *                 default: "1"
+ *                 description: Seed value for the generated data
  *     responses:
  *       200:
- *         description: Products and categories initialized successfully
+ *         description: What was, or in a dry run would be, created and updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 report:
+ *                   type: object
+ *                   properties:
+ *                     dryRun:
+ *                       type: boolean
+ *                     seed:
+ *                       type: string
+ *                     categories:
+ *                       type: object
+ *                       properties:
+ *                         created:
+ *                           type: array
+ *                           items:
+ *                             type: string
+ *                         updated:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               key:
+ *                                 type: string
+ *                               changes:
+ *                                 type: object
+ *                         unchanged:
+ *                           type: integer
+ *                     products:
+ *                       type: object
+ *                       description: Same shape as categories
+ *                     variants:
+ *                       type: object
+ *                       properties:
+ *                         created:
+ *                           type: array
+ *                           items:
+ *                             type: string
+ *                         unchanged:
+ *                           type: integer
+ *       400:
+ *         description: Invalid seed file
+ *       401:
+ *         description: Unauthorized - No token provided or invalid token
+ *       403:
+ *         description: Forbidden - Missing the catalog:seed permission
  *       500:
  *         description: Internal server error
  */
+export const seedProducts = async (req, res) => {
+  try {
+    const { dryRun = false, seed } = req.body || {};
 
-// Fetch product images dynamically from Cloudinary
-const fetchProductImages = async () => {
-  const productImages = {};
-  const productFolders = {
-    'Backpack': 'Clothing/Accessories/Backpack',
-    'Belt': 'Clothing/Accessories/Belt',
-    'Handbag': 'Clothing/Accessories/Handbag',
-    'Hat': 'Clothing/Accessories/Hat',
-    'Scarf': 'Clothing/Accessories/Scarf',
-    'Sunglasses': 'Clothing/Accessories/Sunglasses',
-    'Blouse': 'Clothing/Clothing/Blouse',
-    'Dress': 'Clothing/Clothing/Dress',
-    'Hoodie': 'Clothing/Clothing/Hoodie',
-    'Jeans': 'Clothing/Clothing/Jeans',
-    'Pants': 'Clothing/Clothing/Pants',
-    'Shirt': 'Clothing/Clothing/Shirt',
-    'Shorts': 'Clothing/Clothing/Shorts',
-    'Skirt': 'Clothing/Clothing/Skirts',
-    'Socks': 'Clothing/Clothing/Socks',
-    'Sweater': 'Clothing/Clothing/Sweater',
-    'T-shirt': 'Clothing/Clothing/T-shirt',
-    'Boots': 'Clothing/Footwear/Boot',
-    'Sandals': 'Clothing/Footwear/Sandals',
-    'Shoes': 'Clothing/Footwear/Shoes',
-    'Sneakers': 'Clothing/Footwear/Sneaker',
-    'Coat': 'Clothing/Outerwear/Coat',
-    'Gloves': 'Clothing/Outerwear/Gloves',
-    'Jacket': 'Clothing/Outerwear/Jacket',
-  };
-
-  const defaultImage = 'https://res.cloudinary.com/your-cloud-name/image/upload/v1/default/no-image.jpg';
+    const catalog = await loadSeedFile();
+    const report = await seedCatalog(catalog, {
+      seed: seed === undefined ? undefined : String(seed),
+      dryRun: dryRun === true || dryRun === 'true',
+      user: req.user._id
+    });
 
-  try {
-    // First validate Cloudinary connection
-    const isConnected = await validateCloudinaryConnection();
-    if (!isConnected) {
-      console.error('Failed to connect to Cloudinary. Using default images.');
-      return Object.fromEntries(
-        Object.keys(productFolders).map(key => [key, defaultImage])
-      );
-    }
-
-    // Fetch images for each product
-    for (const [productName, folderPath] of Object.entries(productFolders)) {
-      try {
-        // Search for images in the specific folder
-        const result = await cloudinary.v2.search
-          .expression(`folder:${folderPath}/*`)
-          .sort_by('created_at', 'desc')
-          .max_results(1)
-          .execute();
-
-        if (result && result.resources && result.resources.length > 0) {
-          productImages[productName] = result.resources[0].secure_url;
-          console.log(`Found image for ${productName}: ${result.resources[0].secure_url}`);
-        } else {
-          console.log(`No images found for ${productName} in folder ${folderPath}`);
-          productImages[productName] = defaultImage;
-        }
-      } catch (folderError) {
-        console.error(`Error fetching images for ${productName}:`, folderError.message);
-        productImages[productName] = defaultImage;
-      }
-    }
+    res.status(200).json({ success: true, report });
   } catch (error) {
-    console.error('Error in fetchProductImages:', error);
-    // Return default images for all products if there's an error
-    return Object.fromEntries(
-      Object.keys(productFolders).map(key => [key, defaultImage])
-    );
+    if (error instanceof SeedError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.log("Error in seedProducts controller", error.message);
+    res.status(500).json({ success: false, message: "Internal server error" });
   }
-
-  return productImages;
 };
 
-export const initializeProducts = async (req, res) => {
+/**
+ * @swagger
+ * /products/import:
+ *   post:
+ *     summary: Import products and variants from a CSV, XLSX or JSON file (Staff)
+ *     description: |
+ *       CSV and XLSX files have one row per variant with the columns productId, title, category, description,
+ *       material, price, status, size, color, sku, barcode, quantity and variantPrice; the product's fields may be left
+ *       empty on all but one of its rows. JSON files hold products with a variants array, as the JSON export
+ *       writes them. Products are matched by productId, or by title when there is none, and variants by size
+ *       and color: missing ones are created, existing ones updated with the values given. Empty cells leave
+ *       values unchanged. quantity is the stock level to reach; the difference is booked in the inventory
+ *       ledger. Rows with errors are skipped and listed in the report. Files with more rows than
+ *       IMPORT_SYNC_ROWS run in the background; poll the returned import to follow them.
+ *     tags: [Product]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, xlsx, json]
+ *         description: Defaults to the file extension
+ *       - in: query
+ *         name: async
+ *         schema:
+ *           type: boolean
+ *         description: Run in the background whatever the file size
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: At most 20 MB
+ *     responses:
+ *       200:
+ *         description: Import finished; see rowErrors for the rows that were skipped
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 import:
+ *                   $ref: '#/components/schemas/ProductImport'
+ *       202:
+ *         description: Import started in the background
+ *       400:
+ *         description: No file, unsupported format or unreadable file
+ *       401:
+ *         description: Unauthorized - No token provided or invalid token
+ *       500:
+ *         description: Internal server error
+ */
+export const importProducts = async (req, res) => {
   try {
-    // Step 1: Delete all existing data
-    await ProductVariant.deleteMany({});
-    await Product.deleteMany({});
-    await Category.deleteMany({});
-
-    // Step 2: Initialize categories
-    const categories = ["Accessories", "Clothing", "Footwear", "Outerwear"];
-    const categoryDocs = await Promise.all(
-      categories.map(name => Category.create({ name }))
-    );
+    if (!req.file) {
+      return res.status(400).json({ success: false, message: "A file is required" });
+    }
 
-    // Step 3: Map categories to IDs
-    const categoryMap = {};
-    categoryDocs.forEach(cat => {
-      categoryMap[cat.name] = cat._id;
+    const format = detectImportFormat(req.file, req.query.format);
+    const rows = await parseImportFile(req.file.buffer, format);
+    const { job, background } = await startProductImport(rows, {
+      format,
+      fileName: req.file.originalname,
+      user: req.user._id,
+      background: req.query.async === 'true'
     });
 
-    // Step 4: Fetch images from Cloudinary
-    const productImages = await fetchProductImages();
-
-    // Step 5: Define product categories
-    const productCategories = {
-      'Backpack': 'Accessories',
-      'Belt': 'Accessories',
-      'Handbag': 'Accessories',
-      'Hat': 'Accessories',
-      'Scarf': 'Accessories',
-      'Sunglasses': 'Accessories',
-      'Blouse': 'Clothing',
-      'Dress': 'Clothing',
-      'Hoodie': 'Clothing',
-      'Jeans': 'Clothing',
-      'Pants': 'Clothing',
-      'Shirt': 'Clothing',
-      'Shorts': 'Clothing',
-      'Skirt': 'Clothing',
-      'Socks': 'Clothing',
-      'Sweater': 'Clothing',
-      'T-shirt': 'Clothing',
-      'Boots': 'Footwear',
-      'Sandals': 'Footwear',
-      'Shoes': 'Footwear',
-      'Sneakers': 'Footwear',
-      'Coat': 'Outerwear',
-      'Gloves': 'Outerwear',
-      'Jacket': 'Outerwear'
-    };
-
-    const sizes = ['S', 'M', 'L', 'XL'];
-    const colors = ['White', 'Black', 'Blue', 'Green', 'Red'];
-    let productsCreated = 0;
-    let variantsCreated = 0;
+    res.status(background ? 202 : 200).json({ success: true, import: job });
+  } catch (error) {
+    if (error instanceof ProductImportError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.log("Error in importProducts controller", error.message);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+};
 
-    const uniqueProducts = Object.keys(productCategories);
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ProductImport:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         format:
+ *           type: string
+ *           enum: [csv, xlsx, json]
+ *         fileName:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [queued, running, completed, failed]
+ *         totalRows:
+ *           type: integer
+ *         processedRows:
+ *           type: integer
+ *         productsCreated:
+ *           type: integer
+ *         productsUpdated:
+ *           type: integer
+ *         variantsCreated:
+ *           type: integer
+ *         variantsUpdated:
+ *           type: integer
+ *         rowErrors:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               row:
+ *                 type: integer
+ *                 description: Spreadsheet row (the header is row 1), or position of the product in JSON
+ *               field:
+ *                 type: string
+ *               message:
+ *                 type: string
+ *         failureReason:
+ *           type: string
+ *         startedAt:
+ *           type: string
+ *           format: date-time
+ *         finishedAt:
+ *           type: string
+ *           format: date-time
+ */
 
-    // Step 6: Create products and variants
-    for (const productName of uniqueProducts) {
-      const category = productCategories[productName];
-      const categoryId = categoryMap[category];
+/**
+ * @swagger
+ * /products/import/{importId}:
+ *   get:
+ *     summary: Get the progress and report of a product import (Staff)
+ *     tags: [Product]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: importId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Import ID
+ *     responses:
+ *       200:
+ *         description: The import
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 import:
+ *                   $ref: '#/components/schemas/ProductImport'
+ *       401:
+ *         description: Unauthorized - No token provided or invalid token
+ *       404:
+ *         description: Import not found
+ *       500:
+ *         description: Internal server error
+ */
+export const getProductImport = async (req, res) => {
+  try {
+    const job = mongoose.Types.ObjectId.isValid(req.params.importId)
+      ? await ProductImport.findById(req.params.importId)
+      : null;
+    if (!job) {
+      return res.status(404).json({ success: false, message: "Import not found" });
+    }
 
-      if (!categoryId) {
-        console.log(`Category not found for product: ${ productName }`);
-        continue;
-      }
+    res.status(200).json({ success: true, import: job });
+  } catch (error) {
+    console.log("Error in getProductImport controller", error.message);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+};
 
-      const product = new Product({
-        title: productName,
-        description: `A high-quality ${productName.toLowerCase()}`,
-        price: Math.floor(Math.random() * (200 - 20) + 20) * 23000,
-        categoryId,
-        material: ['Cotton', 'Polyester', 'Leather', 'Wool', 'Denim'][Math.floor(Math.random() * 5)],
-        totalStock: 0,
-        rating: (Math.random() * (5 - 4) + 4).toFixed(1),
-        image: productImages[productName] || 'https://example.com/images/default.png'
-      });
+/**
+ * @swagger
+ * /products/export:
+ *   get:
+ *     summary: Export products and variants as CSV, XLSX or JSON (Staff)
+ *     description: The file has the layout the import reads, so it can be edited and imported again.
+ *     tags: [Product]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, xlsx, json]
+ *           default: csv
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Comma-separated category IDs or slugs; subcategories are included
+ *       - in: query
+ *         name: material
+ *         schema:
+ *           type: string
+ *         description: Comma-separated materials
+ *     responses:
+ *       200:
+ *         description: The export file
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *       400:
+ *         description: Invalid format or filter
+ *       401:
+ *         description: Unauthorized - No token provided or invalid token
+ *       500:
+ *         description: Internal server error
+ */
+export const exportProducts = async (req, res) => {
+  try {
+    const format = String(req.query.format || 'csv').toLowerCase();
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ success: false, message: `Invalid format. Allowed: ${EXPORT_FORMATS.join(", ")}` });
+    }
 
-      await product.save();
-      productsCreated++;
-
-      // Create product variants
-      for (const size of sizes) {
-        for (const color of colors) {
-          const variant = new ProductVariant({
-            productId: product._id,
-            size,
-            color,
-            quantity: Math.floor(Math.random() * 50) + 10
-          });
-
-          await variant.save();
-          variantsCreated++;
-        }
-      }
+    const { filters, error } = parseCatalogFilters(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
     }
 
-    res.status(200).json({
-      success: true,
-      message: 'Categories, products, and variants initialized successfully',
-      categoriesCreated: categories.length,
-      productsCreated,
-      variantsCreated
-    });
+    const { content, contentType } = await buildProductExport(format, filters);
+    const date = new Date().toISOString().slice(0, 10);
+    res.set('Content-Type', contentType);
+    res.set('Content-Disposition', `attachment; filename="products-${date}.${format}"`);
+    res.send(content);
   } catch (error) {
-    console.error('Error initializing products:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error initializing products',
-      error: error.message
-    });
+    console.log("Error in exportProducts controller", error.message);
+    res.status(500).json({ success: false, message: "Internal server error" });
   }
 };
 
@@ -0,0 +1,503 @@
+import mongoose from "mongoose";
+import { PurchaseOrder, PURCHASE_ORDER_STATUS } from "../models/purchaseOrder.model.js";
+import {
+    createPurchaseOrderDraft,
+    updatePurchaseOrderDraft,
+    changePurchaseOrderStatus,
+    receivePurchaseOrderItems,
+    PurchaseOrderError
+} from "../services/purchaseOrder.service.js";
+import { WarehouseError } from "../services/warehouse.service.js";
+
+// Errors from the services carry the status to respond with
+const isServiceError = error => error instanceof PurchaseOrderError || error instanceof WarehouseError;
+
+const parseDate = (value) => {
+    if (value === undefined || value === null || value === "") {
+        return undefined;
+    }
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * @swagger
+ * /purchase-orders:
+ *   get:
+ *     summary: List purchase orders, newest first (Staff)
+ *     tags: [Purchase Order]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, sent, partially_received, received, cancelled]
+ *       - in: query
+ *         name: supplierId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Number of items per page
+ *     responses:
+ *       200:
+ *         description: Purchase orders
+ *       400:
+ *         description: Invalid filter
+ *       500:
+ *         description: Internal server error
+ */
+export async function getPurchaseOrders(req, res) {
+    try {
+        const { status, supplierId, page = 1, limit = 20 } = req.query;
+        const query = {};
+
+        if (status) {
+            if (!Object.values(PURCHASE_ORDER_STATUS).includes(status)) {
+                return res.status(400).json({ success: false, message: `Invalid status. Allowed: ${Object.values(PURCHASE_ORDER_STATUS).join(", ")}` });
+            }
+            query.status = status;
+        }
+        if (supplierId) {
+            if (!mongoose.Types.ObjectId.isValid(supplierId)) {
+                return res.status(400).json({ success: false, message: "Invalid supplier ID" });
+            }
+            query.supplierId = supplierId;
+        }
+
+        const pageNumber = Math.max(parseInt(page) || 1, 1);
+        const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+        const [purchaseOrders, total] = await Promise.all([
+            PurchaseOrder.find(query)
+                .populate("supplierId", "name")
+                .populate("warehouseId", "name code")
+                .sort({ createdAt: -1 })
+                .skip((pageNumber - 1) * pageSize)
+                .limit(pageSize),
+            PurchaseOrder.countDocuments(query),
+        ]);
+
+        res.status(200).json({
+            success: true,
+            purchaseOrders,
+            pagination: {
+                currentPage: pageNumber,
+                totalPages: Math.ceil(total / pageSize),
+                totalPurchaseOrders: total,
+            },
+        });
+    } catch (error) {
+        console.log("Error in getPurchaseOrders controller", error.message);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+}
+
+/**
+ * @swagger
+ * /purchase-orders/{id}:
+ *   get:
+ *     summary: Get a purchase order with its lines and receipts (Staff)
+ *     tags: [Purchase Order]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Purchase order ID
+ *     responses:
+ *       200:
+ *         description: The purchase order
+ *       404:
+ *         description: Purchase order not found
+ *       500:
+ *         description: Internal server error
+ */
+export async function getPurchaseOrderById(req, res) {
+    try {
+        const { id } = req.params;
+
+        const purchaseOrder = mongoose.Types.ObjectId.isValid(id)
+            ? await PurchaseOrder.findById(id)
+                .populate("supplierId")
+                .populate("warehouseId", "name code")
+                .populate("createdBy receipts.receivedBy", "username firstName lastName")
+            : null;
+        if (!purchaseOrder) {
+            return res.status(404).json({ success: false, message: "Purchase order not found" });
+        }
+
+        res.status(200).json({ success: true, purchaseOrder });
+    } catch (error) {
+        console.log("Error in getPurchaseOrderById controller", error.message);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+}
+
+/**
+ * @swagger
+ * /purchase-orders:
+ *   post:
+ *     summary: Create a draft purchase order (Staff)
+ *     description: |
+ *       Unit costs and supplier SKUs default to the supplier's terms for each
+ *       variant, and the expected date to the longest lead time of the lines.
+ *     tags: [Purchase Order]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - supplierId
+ *               - lines
+ *             properties:
+ *               supplierId:
+ *                 type: string
+ *               warehouseId:
+ *                 type: string
+ *                 description: Delivery warehouse; the default warehouse when omitted
+ *               expectedAt:
+ *                 type: string
+ *                 format: date
+ *               note:
+ *                 type: string
+ *               lines:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     productVariantId:
+ *                       type: string
+ *                     quantity:
+ *                       type: integer
+ *                       example: 50
+ *                     unitCost:
+ *                       type: number
+ *                       description: Overrides the supplier's cost price
+ *     responses:
+ *       201:
+ *         description: Purchase order created
+ *       400:
+ *         description: Invalid input
+ *       404:
+ *         description: Supplier, variant or warehouse not found
+ *       500:
+ *         description: Internal server error
+ */
+export async function createPurchaseOrder(req, res) {
+    try {
+        const { supplierId, warehouseId, lines, note } = req.body;
+
+        const expectedAt = parseDate(req.body.expectedAt);
+        if (expectedAt === null) {
+            return res.status(400).json({ success: false, message: "Invalid expected date" });
+        }
+
+        const purchaseOrder = await createPurchaseOrderDraft({
+            supplierId,
+            warehouseId,
+            lines,
+            expectedAt,
+            note,
+            user: req.user._id,
+        });
+
+        res.status(201).json({ success: true, purchaseOrder });
+    } catch (error) {
+        if (isServiceError(error)) {
+            return res.status(error.statusCode).json({ success: false, message: error.message });
+        }
+        if (error.name === "ValidationError") {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+        console.log("Error in createPurchaseOrder controller", error.message);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+}
+
+/**
+ * @swagger
+ * /purchase-orders/{id}:
+ *   put:
+ *     summary: Edit a draft purchase order (Staff)
+ *     tags: [Purchase Order]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Purchase order ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               warehouseId:
+ *                 type: string
+ *                 nullable: true
+ *               expectedAt:
+ *                 type: string
+ *                 format: date
+ *               note:
+ *                 type: string
+ *               lines:
+ *                 type: array
+ *                 description: Replaces all lines
+ *                 items:
+ *                   type: object
+ *     responses:
+ *       200:
+ *         description: Purchase order updated
+ *       400:
+ *         description: Invalid input
+ *       404:
+ *         description: Purchase order, variant or warehouse not found
+ *       409:
+ *         description: The purchase order is no longer a draft
+ *       500:
+ *         description: Internal server error
+ */
+export async function updatePurchaseOrder(req, res) {
+    try {
+        const { id } = req.params;
+        const { warehouseId, lines, note } = req.body;
+
+        const expectedAt = parseDate(req.body.expectedAt);
+        if (expectedAt === null) {
+            return res.status(400).json({ success: false, message: "Invalid expected date" });
+        }
+
+        const purchaseOrder = mongoose.Types.ObjectId.isValid(id) ? await PurchaseOrder.findById(id) : null;
+        if (!purchaseOrder) {
+            return res.status(404).json({ success: false, message: "Purchase order not found" });
+        }
+
+        const updated = await updatePurchaseOrderDraft(purchaseOrder, { warehouseId, lines, expectedAt, note });
+
+        res.status(200).json({ success: true, purchaseOrder: updated });
+    } catch (error) {
+        if (isServiceError(error)) {
+            return res.status(error.statusCode).json({ success: false, message: error.message });
+        }
+        if (error.name === "ValidationError") {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+        console.log("Error in updatePurchaseOrder controller", error.message);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+}
+
+/**
+ * @swagger
+ * /purchase-orders/{id}/status:
+ *   put:
+ *     summary: Send or cancel a purchase order (Staff)
+ *     description: |
+ *       Drafts can be sent or cancelled. Sent and partially received orders
+ *       can be cancelled, which closes them without the outstanding units.
+ *       The received statuses are set by booking deliveries.
+ *     tags: [Purchase Order]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Purchase order ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [sent, cancelled]
+ *     responses:
+ *       200:
+ *         description: Status updated
+ *       400:
+ *         description: Transition not allowed
+ *       404:
+ *         description: Purchase order not found
+ *       409:
+ *         description: The purchase order changed concurrently
+ *       500:
+ *         description: Internal server error
+ */
+export async function updatePurchaseOrderStatus(req, res) {
+    try {
+        const { id } = req.params;
+        const { status } = req.body;
+
+        if (!Object.values(PURCHASE_ORDER_STATUS).includes(status)) {
+            return res.status(400).json({ success: false, message: `Invalid status. Allowed: ${Object.values(PURCHASE_ORDER_STATUS).join(", ")}` });
+        }
+
+        const purchaseOrder = mongoose.Types.ObjectId.isValid(id) ? await PurchaseOrder.findById(id) : null;
+        if (!purchaseOrder) {
+            return res.status(404).json({ success: false, message: "Purchase order not found" });
+        }
+
+        const updated = await changePurchaseOrderStatus(purchaseOrder, status);
+
+        res.status(200).json({ success: true, purchaseOrder: updated });
+    } catch (error) {
+        if (isServiceError(error)) {
+            return res.status(error.statusCode).json({ success: false, message: error.message });
+        }
+        console.log("Error in updatePurchaseOrderStatus controller", error.message);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+}
+
+/**
+ * @swagger
+ * /purchase-orders/{id}/receive:
+ *   post:
+ *     summary: Book a delivery against a purchase order (Staff)
+ *     description: |
+ *       Adds the received units to stock as restock movements, like a manual
+ *       restock, and moves the order to partially_received or received.
+ *       Without items, everything still outstanding is received.
+ *     tags: [Purchase Order]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Purchase order ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     lineId:
+ *                       type: string
+ *                     quantity:
+ *                       type: integer
+ *                       example: 20
+ *               warehouseId:
+ *                 type: string
+ *                 description: Overrides the purchase order's delivery warehouse
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Delivery booked
+ *       400:
+ *         description: Invalid lines or quantities
+ *       404:
+ *         description: Purchase order or warehouse not found
+ *       409:
+ *         description: The purchase order isn't open for deliveries
+ *       500:
+ *         description: Internal server error
+ */
+export async function receivePurchaseOrder(req, res) {
+    try {
+        const { id } = req.params;
+        const { items, warehouseId, note } = req.body || {};
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(404).json({ success: false, message: "Purchase order not found" });
+        }
+        if (items !== undefined && !Array.isArray(items)) {
+            return res.status(400).json({ success: false, message: "items must be an array of { lineId, quantity }" });
+        }
+
+        const purchaseOrder = await receivePurchaseOrderItems(id, { items, warehouseId, note, user: req.user._id });
+
+        res.status(200).json({ success: true, message: "Delivery received", purchaseOrder });
+    } catch (error) {
+        if (isServiceError(error)) {
+            return res.status(error.statusCode).json({ success: false, message: error.message });
+        }
+        console.log("Error in receivePurchaseOrder controller", error.message);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+}
+
+/**
+ * @swagger
+ * /purchase-orders/{id}:
+ *   delete:
+ *     summary: Delete a draft purchase order (Staff)
+ *     description: Orders that have been sent are cancelled instead.
+ *     tags: [Purchase Order]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Purchase order ID
+ *     responses:
+ *       200:
+ *         description: Purchase order deleted
+ *       404:
+ *         description: Purchase order not found
+ *       409:
+ *         description: The purchase order is no longer a draft
+ *       500:
+ *         description: Internal server error
+ */
+export async function deletePurchaseOrder(req, res) {
+    try {
+        const { id } = req.params;
+
+        const purchaseOrder = mongoose.Types.ObjectId.isValid(id) ? await PurchaseOrder.findById(id) : null;
+        if (!purchaseOrder) {
+            return res.status(404).json({ success: false, message: "Purchase order not found" });
+        }
+
+        const deleted = await PurchaseOrder.findOneAndDelete({ _id: purchaseOrder._id, status: PURCHASE_ORDER_STATUS.DRAFT });
+        if (!deleted) {
+            return res.status(409).json({ success: false, message: "Only draft purchase orders can be deleted. Cancel it instead." });
+        }
+
+        res.status(200).json({ success: true, message: "Purchase order deleted" });
+    } catch (error) {
+        console.log("Error in deletePurchaseOrder controller", error.message);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+}
@@ -1,20 +1,51 @@
-import { Review } from "../models/review.model.js";
+import mongoose from "mongoose";
+import { Review, REVIEW_STATUS } from "../models/review.model.js";
+import { Product } from "../models/product.model.js";
+import { Order, ORDER_STATUS } from "../models/order.model.js";
+import { OrderProduct } from "../models/orderProduct.model.js";
+import { PERMISSIONS, hasPermission } from "../config/roles.js";
+import { uploadImages, deleteImages } from "../services/storage.service.js";
+import { MAX_REVIEW_IMAGES } from "../middleware/upload.js";
+import { screenReview, FLAGS_BEFORE_REVIEW } from "../services/reviewModeration.service.js";
+
+// Sort options accepted by the product reviews listing
+const REVIEW_SORTS = {
+    newest: { createdAt: -1 },
+    oldest: { createdAt: 1 },
+    highest: { rating: -1, createdAt: -1 },
+    lowest: { rating: 1, createdAt: -1 },
+};
+
+// Reports staff haven't dealt with yet; reports from before flags could be resolved have no resolved field
+const UNRESOLVED_FLAG = { resolved: { $ne: true } };
+
+// Check that the user received at least one delivered order containing the product
+const hasDeliveredPurchase = async (userId, productId) => {
+    const deliveredOrderIds = await Order.find({ userId, status: ORDER_STATUS.DELIVERED }).distinct("_id");
+    if (deliveredOrderIds.length === 0) {
+        return false;
+    }
+    const purchase = await OrderProduct.exists({ orderId: { $in: deliveredOrderIds }, productId });
+    return Boolean(purchase);
+};
 
 /**
  * @swagger
  * /reviews:
  *   get:
- *     summary: Get all reviews
+ *     summary: Get all published reviews
  *     tags: [Review]
  *     responses:
  *       200:
- *         description: List of reviews
+ *         description: List of published reviews
  *       500:
  *         description: Internal server error
  */
 export async function getAllReviews(req, res) {
     try {
-        const reviews = await Review.find();
+        const reviews = await Review.find({ status: REVIEW_STATUS.PUBLISHED })
+            .select("-flags")
+            .populate("user", "username firstName lastName");
         res.status(200).json({ success: true, reviews });
     } catch (error) {
         console.log("Error in getAllReviews controller", error.message);
@@ -22,22 +53,136 @@ export async function getAllReviews(req, res) {
     }
 }
 
+/**
+ * @swagger
+ * /products/id/{id}/reviews:
+ *   get:
+ *     summary: Get the published reviews of a product (Public)
+ *     tags: [Review]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Product ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Number of items per page
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [newest, oldest, highest, lowest]
+ *           default: newest
+ *         description: Sort order
+ *     responses:
+ *       200:
+ *         description: Reviews of the product with pagination
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 reviews:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 rating:
+ *                   type: number
+ *                 reviewCount:
+ *                   type: integer
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     currentPage:
+ *                       type: integer
+ *                     totalPages:
+ *                       type: integer
+ *                     totalReviews:
+ *                       type: integer
+ *       400:
+ *         description: Invalid sort option
+ *       404:
+ *         description: Product not found
+ *       500:
+ *         description: Internal server error
+ */
+export async function getProductReviews(req, res) {
+    try {
+        const { id } = req.params;
+        const { page = 1, limit = 10, sort = "newest" } = req.query;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(404).json({ success: false, message: "Product not found" });
+        }
+
+        if (!REVIEW_SORTS[sort]) {
+            return res.status(400).json({ success: false, message: `Invalid sort. Allowed: ${Object.keys(REVIEW_SORTS).join(", ")}` });
+        }
+
+        const product = await Product.findById(id).select("rating reviewCount");
+        if (!product) {
+            return res.status(404).json({ success: false, message: "Product not found" });
+        }
+
+        const pageNumber = Math.max(parseInt(page) || 1, 1);
+        const pageSize = Math.min(Math.max(parseInt(limit) || 10, 1), 50);
+        const query = { product: id, status: REVIEW_STATUS.PUBLISHED };
+
+        const [reviews, totalReviews] = await Promise.all([
+            Review.find(query)
+                .select("-flags")
+                .populate("user", "username firstName lastName")
+                .sort(REVIEW_SORTS[sort])
+                .skip((pageNumber - 1) * pageSize)
+                .limit(pageSize),
+            Review.countDocuments(query),
+        ]);
+
+        res.status(200).json({
+            success: true,
+            reviews,
+            rating: product.rating,
+            reviewCount: product.reviewCount,
+            pagination: {
+                currentPage: pageNumber,
+                totalPages: Math.ceil(totalReviews / pageSize),
+                totalReviews,
+            },
+        });
+    } catch (error) {
+        console.log("Error in getProductReviews controller", error.message);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+}
+
 /**
  * @swagger
  * /reviews:
  *   post:
- *     summary: Create a new review
+ *     summary: Review a product from a delivered order (Protected)
  *     tags: [Review]
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
- *         application/json:
+ *         multipart/form-data:
  *           schema:
  *             type: object
  *             properties:
- *               user:
- *                 type: string
- *                 example: 60d5ec49f1b2c8b1f8c8e8e8
  *               product:
  *                 type: string
  *                 example: 60d5ec49f1b2c8b1f8c8e8e8
@@ -47,28 +192,501 @@ export async function getAllReviews(req, res) {
  *               comment:
  *                 type: string
  *                 example: Great product!
+ *               images:
+ *                 type: array
+ *                 description: Up to 5 JPEG, PNG or WebP photos, 5 MB each
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               product:
+ *                 type: string
+ *               rating:
+ *                 type: number
+ *               comment:
+ *                 type: string
  *     responses:
  *       201:
- *         description: Review created successfully
+ *         description: Review created; it is public once its status is published
  *       400:
  *         description: Invalid input
+ *       403:
+ *         description: Only customers with a delivered order containing the product may review it
+ *       404:
+ *         description: Product not found
+ *       409:
+ *         description: The user has already reviewed this product
  *       500:
  *         description: Internal server error
  */
 export async function createReview(req, res) {
     try {
-        const { user, product, rating, comment } = req.body;
+        const { product, rating, comment } = req.body;
+        const userId = req.user._id;
 
-        if (!user || !product || !rating || !comment) {
+        if (!product || !rating || !comment) {
             return res.status(400).json({ success: false, message: "All fields are required" });
         }
 
-        const newReview = new Review({ user, product, rating, comment });
-        await newReview.save();
+        if (!Number.isInteger(Number(rating)) || rating < 1 || rating > 5) {
+            return res.status(400).json({ success: false, message: "Rating must be a whole number between 1 and 5" });
+        }
+
+        if (!mongoose.Types.ObjectId.isValid(product) || !(await Product.exists({ _id: product }))) {
+            return res.status(404).json({ success: false, message: "Product not found" });
+        }
+
+        if (!(await hasDeliveredPurchase(userId, product))) {
+            return res.status(403).json({ success: false, message: "You can only review products from your delivered orders" });
+        }
+
+        const existingReview = await Review.exists({ user: userId, product });
+        if (existingReview) {
+            return res.status(409).json({ success: false, message: "You have already reviewed this product" });
+        }
+
+        // Only upload once the review is known to be allowed
+        const images = await uploadImages(req.files, `reviews/${product}`);
+
+        const screening = screenReview(comment);
+        const newReview = new Review({
+            user: userId,
+            product,
+            rating,
+            comment,
+            images,
+            status: screening.status,
+            moderationReason: screening.reason,
+        });
+        try {
+            await newReview.save();
+        } catch (error) {
+            await deleteImages(images);
+            throw error;
+        }
 
-        res.status(201).json({ success: true, review: newReview });
+        res.status(201).json({
+            success: true,
+            message: newReview.status === REVIEW_STATUS.PUBLISHED ? "Review published" : "Review submitted for moderation",
+            review: newReview,
+        });
     } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({ success: false, message: "You have already reviewed this product" });
+        }
         console.log("Error in createReview controller", error.message);
         res.status(500).json({ success: false, message: "Internal server error" });
     }
-} 
\ No newline at end of file
+}
+
+/**
+ * @swagger
+ * /reviews/{id}:
+ *   put:
+ *     summary: Edit your own review (Protected)
+ *     tags: [Review]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Review ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               rating:
+ *                 type: number
+ *                 example: 5
+ *               comment:
+ *                 type: string
+ *                 example: Even better after a month of use
+ *               images:
+ *                 type: array
+ *                 description: Photos to add; a review holds at most 5
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *               removeImages:
+ *                 type: array
+ *                 description: public_ids of photos to remove
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Review updated successfully
+ *       400:
+ *         description: Invalid input
+ *       403:
+ *         description: The review belongs to another user
+ *       404:
+ *         description: Review not found
+ *       500:
+ *         description: Internal server error
+ */
+export async function updateReview(req, res) {
+    try {
+        const { id } = req.params;
+        const { rating, comment } = req.body;
+        const newFiles = req.files || [];
+        const removeImages = [].concat(req.body.removeImages || []); // One value arrives as a plain string
+
+        if (rating === undefined && comment === undefined && newFiles.length === 0 && removeImages.length === 0) {
+            return res.status(400).json({ success: false, message: "No fields to update" });
+        }
+
+        if (rating !== undefined && (!Number.isInteger(Number(rating)) || rating < 1 || rating > 5)) {
+            return res.status(400).json({ success: false, message: "Rating must be a whole number between 1 and 5" });
+        }
+
+        if (comment !== undefined && !String(comment).trim()) {
+            return res.status(400).json({ success: false, message: "Comment cannot be empty" });
+        }
+
+        const review = mongoose.Types.ObjectId.isValid(id) ? await Review.findById(id) : null;
+        if (!review) {
+            return res.status(404).json({ success: false, message: "Review not found" });
+        }
+
+        if (review.user.toString() !== req.user._id.toString()) {
+            return res.status(403).json({ success: false, message: "You can only edit your own reviews" });
+        }
+
+        const removedImages = review.images.filter(image => removeImages.includes(image.public_id));
+        const keptImages = review.images.filter(image => !removeImages.includes(image.public_id));
+        if (keptImages.length + newFiles.length > MAX_REVIEW_IMAGES) {
+            return res.status(400).json({ success: false, message: `A review can have at most ${MAX_REVIEW_IMAGES} images` });
+        }
+
+        const addedImages = await uploadImages(newFiles, `reviews/${review.product}`);
+
+        if (rating !== undefined) review.rating = rating;
+        if (comment !== undefined) review.comment = comment;
+        review.images = [...keptImages, ...addedImages];
+
+        // Edited reviews go through moderation again
+        const screening = screenReview(review.comment);
+        review.status = screening.status;
+        review.moderationReason = screening.reason;
+        review.moderatedBy = undefined;
+        review.moderatedAt = undefined;
+        try {
+            await review.save(); // Triggers the product rating update
+        } catch (error) {
+            await deleteImages(addedImages);
+            throw error;
+        }
+
+        // Only drop the old files once the review no longer points at them
+        await deleteImages(removedImages);
+
+        res.status(200).json({ success: true, review });
+    } catch (error) {
+        console.log("Error in updateReview controller", error.message);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+}
+
+/**
+ * @swagger
+ * /reviews/{id}:
+ *   delete:
+ *     summary: Delete your own review, or any review as staff (Protected)
+ *     tags: [Review]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Review ID
+ *     responses:
+ *       200:
+ *         description: Review deleted successfully
+ *       403:
+ *         description: The review belongs to another user
+ *       404:
+ *         description: Review not found
+ *       500:
+ *         description: Internal server error
+ */
+export async function deleteReview(req, res) {
+    try {
+        const { id } = req.params;
+
+        const review = mongoose.Types.ObjectId.isValid(id) ? await Review.findById(id) : null;
+        if (!review) {
+            return res.status(404).json({ success: false, message: "Review not found" });
+        }
+
+        const isOwner = review.user.toString() === req.user._id.toString();
+        if (!isOwner && !hasPermission(req.user, PERMISSIONS.REVIEWS_MODERATE)) {
+            return res.status(403).json({ success: false, message: "You can only delete your own reviews" });
+        }
+
+        await Review.findOneAndDelete({ _id: review._id }); // Triggers the product rating update
+        await deleteImages(review.images);
+
+        res.status(200).json({ success: true, message: "Review deleted successfully" });
+    } catch (error) {
+        console.log("Error in deleteReview controller", error.message);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+}
+
+/**
+ * @swagger
+ * /reviews/moderation:
+ *   get:
+ *     summary: List reviews for moderation (Staff)
+ *     tags: [Review]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, published, rejected]
+ *           default: pending
+ *         description: Moderation status to list
+ *       - in: query
+ *         name: flagged
+ *         schema:
+ *           type: boolean
+ *         description: Only reviews with reports staff haven't resolved yet
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Number of items per page
+ *     responses:
+ *       200:
+ *         description: Reviews in the requested status, oldest first
+ *       400:
+ *         description: Invalid status
+ *       403:
+ *         description: Forbidden - Missing permission
+ *       500:
+ *         description: Internal server error
+ */
+export async function getModerationQueue(req, res) {
+    try {
+        const { status = REVIEW_STATUS.PENDING, flagged, page = 1, limit = 20 } = req.query;
+
+        if (!Object.values(REVIEW_STATUS).includes(status)) {
+            return res.status(400).json({ success: false, message: `Invalid status. Allowed: ${Object.values(REVIEW_STATUS).join(", ")}` });
+        }
+
+        const query = { status };
+        if (flagged === "true") {
+            query.flags = { $elemMatch: UNRESOLVED_FLAG };
+        }
+
+        const pageNumber = Math.max(parseInt(page) || 1, 1);
+        const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+        const [reviews, totalReviews] = await Promise.all([
+            Review.find(query)
+                .populate("user", "username firstName lastName")
+                .populate("product", "title image")
+                .sort({ createdAt: 1 }) // Oldest first, so nothing waits forever
+                .skip((pageNumber - 1) * pageSize)
+                .limit(pageSize),
+            Review.countDocuments(query),
+        ]);
+
+        res.status(200).json({
+            success: true,
+            reviews,
+            pagination: {
+                currentPage: pageNumber,
+                totalPages: Math.ceil(totalReviews / pageSize),
+                totalReviews,
+            },
+        });
+    } catch (error) {
+        console.log("Error in getModerationQueue controller", error.message);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+}
+
+/**
+ * @swagger
+ * /reviews/{id}/moderation:
+ *   put:
+ *     summary: Approve or reject a review (Staff)
+ *     description: Publishing a review resolves its reports; it goes back to moderation only after new ones.
+ *     tags: [Review]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Review ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [published, rejected]
+ *               reason:
+ *                 type: string
+ *                 description: Required when rejecting
+ *                 example: Contains personal contact details
+ *     responses:
+ *       200:
+ *         description: Review moderated
+ *       400:
+ *         description: Invalid status or missing reason
+ *       403:
+ *         description: Forbidden - Missing permission
+ *       404:
+ *         description: Review not found
+ *       500:
+ *         description: Internal server error
+ */
+export async function moderateReview(req, res) {
+    try {
+        const { id } = req.params;
+        const { status, reason } = req.body;
+
+        if (![REVIEW_STATUS.PUBLISHED, REVIEW_STATUS.REJECTED].includes(status)) {
+            return res.status(400).json({ success: false, message: "Status must be published or rejected" });
+        }
+
+        if (status === REVIEW_STATUS.REJECTED && !reason) {
+            return res.status(400).json({ success: false, message: "A reason is required when rejecting a review" });
+        }
+
+        const review = mongoose.Types.ObjectId.isValid(id) ? await Review.findById(id) : null;
+        if (!review) {
+            return res.status(404).json({ success: false, message: "Review not found" });
+        }
+
+        // Rejected reviews never come back, so their photos can go
+        const removedImages = status === REVIEW_STATUS.REJECTED ? review.images : [];
+
+        review.status = status;
+        review.moderationReason = reason;
+        review.moderatedBy = req.user._id;
+        review.moderatedAt = new Date();
+        if (status === REVIEW_STATUS.REJECTED) {
+            review.images = [];
+        } else {
+            // Staff looked at the reports; only new ones count towards hiding the review again
+            review.flags.forEach(flag => { flag.resolved = true; });
+        }
+        await review.save(); // Triggers the product rating update
+
+        await deleteImages(removedImages);
+
+        res.status(200).json({ success: true, review });
+    } catch (error) {
+        console.log("Error in moderateReview controller", error.message);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+}
+
+/**
+ * @swagger
+ * /reviews/{id}/flag:
+ *   post:
+ *     summary: Report a review as inappropriate (Protected)
+ *     tags: [Review]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Review ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: Spam
+ *     responses:
+ *       200:
+ *         description: Review reported
+ *       400:
+ *         description: Users can't report their own review
+ *       404:
+ *         description: Review not found
+ *       409:
+ *         description: The user has already reported this review
+ *       500:
+ *         description: Internal server error
+ */
+export async function flagReview(req, res) {
+    try {
+        const { id } = req.params;
+        const { reason } = req.body;
+        const userId = req.user._id;
+
+        const review = mongoose.Types.ObjectId.isValid(id) ? await Review.findById(id) : null;
+        if (!review || review.status !== REVIEW_STATUS.PUBLISHED) {
+            return res.status(404).json({ success: false, message: "Review not found" });
+        }
+
+        if (review.user.toString() === userId.toString()) {
+            return res.status(400).json({ success: false, message: "You can't report your own review" });
+        }
+
+        // Only add the flag if this user has no open report on the review yet
+        const flaggedReview = await Review.findOneAndUpdate(
+            { _id: review._id, flags: { $not: { $elemMatch: { ...UNRESOLVED_FLAG, user: userId } } } },
+            { $push: { flags: { user: userId, reason } } },
+            { new: true }
+        );
+        if (!flaggedReview) {
+            return res.status(409).json({ success: false, message: "You have already reported this review" });
+        }
+
+        // Enough reports since staff last published the review send it back to them
+        const openFlags = flaggedReview.flags.filter(flag => !flag.resolved).length;
+        if (flaggedReview.status === REVIEW_STATUS.PUBLISHED && openFlags >= FLAGS_BEFORE_REVIEW) {
+            flaggedReview.status = REVIEW_STATUS.PENDING;
+            flaggedReview.moderationReason = `Reported by ${openFlags} customers`;
+            await flaggedReview.save(); // Triggers the product rating update
+        }
+
+        res.status(200).json({ success: true, message: "Review reported" });
+    } catch (error) {
+        console.log("Error in flagReview controller", error.message);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+}
@@ -1,39 +1,199 @@
-import { Supplier } from "../models/supplier.model.js";
+import mongoose from "mongoose";
+import { Supplier, PAYMENT_TERMS } from "../models/supplier.model.js";
+import { SupplierProduct } from "../models/supplierProduct.model.js";
+import { Product } from "../models/product.model.js";
+import { ProductVariant } from "../models/productVariant.model.js";
+import { PurchaseOrder, PURCHASE_ORDER_STATUS } from "../models/purchaseOrder.model.js";
+
+// Purchase order statuses that still expect goods from the supplier
+const OPEN_PURCHASE_ORDER_STATUSES = [PURCHASE_ORDER_STATUS.SENT, PURCHASE_ORDER_STATUS.PARTIALLY_RECEIVED];
+
+// Suppliers that haven't been deleted; older documents have no isDeleted field
+const NOT_DELETED = { isDeleted: { $ne: true } };
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Fields staff may set on a supplier; contacts have their own endpoints after creation
+const SUPPLIER_FIELDS = ["name", "address", "phone", "email", "taxId", "paymentTerms", "notes"];
+
+const pickSupplierFields = (body) => Object.fromEntries(
+    SUPPLIER_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+// Respond to the errors saving a supplier can raise; returns false for anything else
+const handleSupplierSaveError = (error, res) => {
+    if (error.code === 11000) {
+        const field = Object.keys(error.keyPattern || {}).includes("taxId") ? "tax ID" : "name";
+        res.status(409).json({ success: false, message: `A supplier with this ${field} already exists` });
+        return true;
+    }
+    if (error.name === "ValidationError") {
+        res.status(400).json({ success: false, message: Object.values(error.errors).map(err => err.message).join(", ") });
+        return true;
+    }
+    return false;
+};
+
+const findSupplier = (id) => (mongoose.Types.ObjectId.isValid(id) ? Supplier.findOne({ _id: id, ...NOT_DELETED }) : null);
 
 /**
  * @swagger
  * /suppliers:
  *   get:
- *     summary: Get all suppliers
+ *     summary: Search suppliers (Staff)
  *     tags: [Supplier]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Matches name, tax ID, phone, email and contact names/emails
+ *       - in: query
+ *         name: paymentTerms
+ *         schema:
+ *           type: string
+ *           enum: [prepaid, cod, net_15, net_30, net_45, net_60]
+ *       - in: query
+ *         name: includeDeleted
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Also list deleted suppliers
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Number of items per page
  *     responses:
  *       200:
- *         description: List of suppliers
+ *         description: Suppliers sorted by name
+ *       400:
+ *         description: Invalid filter
+ *       401:
+ *         description: Unauthorized - No token provided or invalid token
  *       500:
  *         description: Internal server error
  */
 export async function getAllSuppliers(req, res) {
     try {
-        const suppliers = await Supplier.find();
-        res.status(200).json({ success: true, suppliers });
+        const { search, paymentTerms, includeDeleted, page = 1, limit = 20 } = req.query;
+        const query = includeDeleted === "true" ? {} : { ...NOT_DELETED };
+
+        if (paymentTerms) {
+            if (!PAYMENT_TERMS.includes(paymentTerms)) {
+                return res.status(400).json({ success: false, message: `Invalid payment terms. Allowed: ${PAYMENT_TERMS.join(", ")}` });
+            }
+            query.paymentTerms = paymentTerms;
+        }
+
+        if (search && String(search).trim()) {
+            const pattern = new RegExp(escapeRegex(String(search).trim()), "i");
+            query.$or = [
+                { name: pattern },
+                { taxId: pattern },
+                { phone: pattern },
+                { email: pattern },
+                { "contacts.name": pattern },
+                { "contacts.email": pattern },
+            ];
+        }
+
+        const pageNumber = Math.max(parseInt(page) || 1, 1);
+        const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+        const [suppliers, total] = await Promise.all([
+            Supplier.find(query)
+                .collation({ locale: "en", strength: 2 })
+                .sort({ name: 1, _id: 1 })
+                .skip((pageNumber - 1) * pageSize)
+                .limit(pageSize),
+            Supplier.countDocuments(query),
+        ]);
+
+        res.status(200).json({
+            success: true,
+            suppliers,
+            pagination: {
+                currentPage: pageNumber,
+                totalPages: Math.ceil(total / pageSize),
+                totalSuppliers: total,
+            },
+        });
     } catch (error) {
         console.log("Error in getAllSuppliers controller", error.message);
         res.status(500).json({ success: false, message: "Internal server error" });
     }
 }
 
+/**
+ * @swagger
+ * /suppliers/{id}:
+ *   get:
+ *     summary: Get a supplier (Staff)
+ *     tags: [Supplier]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Supplier ID
+ *     responses:
+ *       200:
+ *         description: The supplier with its number of linked products and open purchase orders
+ *       404:
+ *         description: Supplier not found
+ *       500:
+ *         description: Internal server error
+ */
+export async function getSupplierById(req, res) {
+    try {
+        const supplier = await findSupplier(req.params.id);
+        if (!supplier) {
+            return res.status(404).json({ success: false, message: "Supplier not found" });
+        }
+
+        const [productCount, openPurchaseOrders] = await Promise.all([
+            SupplierProduct.countDocuments({ supplierId: supplier._id }),
+            PurchaseOrder.countDocuments({ supplierId: supplier._id, status: { $in: OPEN_PURCHASE_ORDER_STATUSES } }),
+        ]);
+
+        res.status(200).json({ success: true, supplier, productCount, openPurchaseOrders });
+    } catch (error) {
+        console.log("Error in getSupplierById controller", error.message);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+}
+
 /**
  * @swagger
  * /suppliers:
  *   post:
- *     summary: Create a new supplier
+ *     summary: Create a new supplier (Staff)
  *     tags: [Supplier]
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
+ *             required:
+ *               - name
+ *               - address
+ *               - phone
  *             properties:
  *               name:
  *                 type: string
@@ -43,29 +203,702 @@ export async function getAllSuppliers(req, res) {
  *                 example: Supplier Address
  *               phone:
  *                 type: string
- *                 example: 123-456-7890
+ *                 example: "+84 28 3822 1234"
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               taxId:
+ *                 type: string
+ *                 example: "0301234567"
+ *               paymentTerms:
+ *                 type: string
+ *                 enum: [prepaid, cod, net_15, net_30, net_45, net_60]
+ *                 default: net_30
+ *               notes:
+ *                 type: string
+ *               contacts:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/SupplierContact'
  *     responses:
  *       201:
  *         description: Supplier created successfully
  *       400:
  *         description: Invalid input
+ *       409:
+ *         description: A supplier with this name or tax ID already exists
  *       500:
  *         description: Internal server error
  */
 export async function createSupplier(req, res) {
     try {
-        const { name, address, phone } = req.body;
+        const { contacts = [] } = req.body;
 
-        if (!name || !address || !phone) {
-            return res.status(400).json({ success: false, message: "All fields are required" });
+        if (!Array.isArray(contacts)) {
+            return res.status(400).json({ success: false, message: "contacts must be an array" });
         }
 
-        const newSupplier = new Supplier({ name, address, phone });
+        const newSupplier = new Supplier({ ...pickSupplierFields(req.body), contacts });
         await newSupplier.save();
 
         res.status(201).json({ success: true, supplier: newSupplier });
     } catch (error) {
+        if (handleSupplierSaveError(error, res)) return;
         console.log("Error in createSupplier controller", error.message);
         res.status(500).json({ success: false, message: "Internal server error" });
     }
-} 
\ No newline at end of file
+}
+
+/**
+ * @swagger
+ * /suppliers/{id}:
+ *   put:
+ *     summary: Update a supplier (Staff)
+ *     tags: [Supplier]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Supplier ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               address:
+ *                 type: string
+ *               phone:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *               taxId:
+ *                 type: string
+ *               paymentTerms:
+ *                 type: string
+ *                 enum: [prepaid, cod, net_15, net_30, net_45, net_60]
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Supplier updated
+ *       400:
+ *         description: Invalid input
+ *       404:
+ *         description: Supplier not found
+ *       409:
+ *         description: A supplier with this name or tax ID already exists
+ *       500:
+ *         description: Internal server error
+ */
+export async function updateSupplier(req, res) {
+    try {
+        const supplier = await findSupplier(req.params.id);
+        if (!supplier) {
+            return res.status(404).json({ success: false, message: "Supplier not found" });
+        }
+
+        supplier.set(pickSupplierFields(req.body));
+        await supplier.save();
+
+        res.status(200).json({ success: true, supplier });
+    } catch (error) {
+        if (handleSupplierSaveError(error, res)) return;
+        console.log("Error in updateSupplier controller", error.message);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+}
+
+/**
+ * @swagger
+ * /suppliers/{id}:
+ *   delete:
+ *     summary: Delete a supplier (Staff)
+ *     description: |
+ *       The supplier is hidden rather than removed, so past purchase orders
+ *       keep pointing at it. Suppliers with open purchase orders can't be deleted.
+ *     tags: [Supplier]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Supplier ID
+ *     responses:
+ *       200:
+ *         description: Supplier deleted
+ *       404:
+ *         description: Supplier not found
+ *       409:
+ *         description: The supplier has open purchase orders
+ *       500:
+ *         description: Internal server error
+ */
+export async function deleteSupplier(req, res) {
+    try {
+        const supplier = await findSupplier(req.params.id);
+        if (!supplier) {
+            return res.status(404).json({ success: false, message: "Supplier not found" });
+        }
+
+        const openOrders = await PurchaseOrder.countDocuments({ supplierId: supplier._id, status: { $in: OPEN_PURCHASE_ORDER_STATUSES } });
+        if (openOrders > 0) {
+            return res.status(409).json({ success: false, message: `The supplier has ${openOrders} open purchase order(s). Receive or cancel them first.` });
+        }
+
+        supplier.isDeleted = true;
+        supplier.deletedAt = new Date();
+        supplier.deletedBy = req.user._id;
+        await supplier.save();
+
+        res.status(200).json({ success: true, message: "Supplier deleted successfully" });
+    } catch (error) {
+        console.log("Error in deleteSupplier controller", error.message);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+}
+
+/**
+ * @swagger
+ * /suppliers/{id}/restore:
+ *   post:
+ *     summary: Restore a deleted supplier (Staff)
+ *     tags: [Supplier]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Supplier ID
+ *     responses:
+ *       200:
+ *         description: Supplier restored
+ *       404:
+ *         description: Deleted supplier not found
+ *       409:
+ *         description: Another supplier now uses the same name or tax ID
+ *       500:
+ *         description: Internal server error
+ */
+export async function restoreSupplier(req, res) {
+    try {
+        const { id } = req.params;
+
+        const supplier = mongoose.Types.ObjectId.isValid(id) ? await Supplier.findOne({ _id: id, isDeleted: true }) : null;
+        if (!supplier) {
+            return res.status(404).json({ success: false, message: "Deleted supplier not found" });
+        }
+
+        supplier.isDeleted = false;
+        supplier.deletedAt = undefined;
+        supplier.deletedBy = undefined;
+        await supplier.save();
+
+        res.status(200).json({ success: true, supplier });
+    } catch (error) {
+        if (handleSupplierSaveError(error, res)) return;
+        console.log("Error in restoreSupplier controller", error.message);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SupplierContact:
+ *       type: object
+ *       required:
+ *         - name
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: Nguyen Van A
+ *         email:
+ *           type: string
+ *           format: email
+ *         phone:
+ *           type: string
+ *           example: "0903 123 456"
+ *         role:
+ *           type: string
+ *           example: Sales
+ *         isPrimary:
+ *           type: boolean
+ */
+
+/**
+ * @swagger
+ * /suppliers/{id}/contacts:
+ *   post:
+ *     summary: Add a contact person to a supplier (Staff)
+ *     tags: [Supplier]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Supplier ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SupplierContact'
+ *     responses:
+ *       201:
+ *         description: Contact added
+ *       400:
+ *         description: Invalid input
+ *       404:
+ *         description: Supplier not found
+ *       500:
+ *         description: Internal server error
+ */
+export async function addSupplierContact(req, res) {
+    try {
+        const { name, email, phone, role, isPrimary = false } = req.body;
+
+        const supplier = await findSupplier(req.params.id);
+        if (!supplier) {
+            return res.status(404).json({ success: false, message: "Supplier not found" });
+        }
+
+        // A new primary contact takes over from the old one
+        if (isPrimary === true) {
+            supplier.contacts.forEach(contact => { contact.isPrimary = false; });
+        }
+        supplier.contacts.push({ name, email, phone, role, isPrimary: isPrimary === true });
+        await supplier.save();
+
+        res.status(201).json({ success: true, contact: supplier.contacts[supplier.contacts.length - 1], supplier });
+    } catch (error) {
+        if (handleSupplierSaveError(error, res)) return;
+        console.log("Error in addSupplierContact controller", error.message);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+}
+
+/**
+ * @swagger
+ * /suppliers/{id}/contacts/{contactId}:
+ *   put:
+ *     summary: Update a supplier's contact person (Staff)
+ *     tags: [Supplier]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Supplier ID
+ *       - in: path
+ *         name: contactId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Contact ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SupplierContact'
+ *     responses:
+ *       200:
+ *         description: Contact updated
+ *       400:
+ *         description: Invalid input
+ *       404:
+ *         description: Supplier or contact not found
+ *       500:
+ *         description: Internal server error
+ */
+export async function updateSupplierContact(req, res) {
+    try {
+        const { contactId } = req.params;
+        const { name, email, phone, role, isPrimary } = req.body;
+
+        const supplier = await findSupplier(req.params.id);
+        const contact = supplier && mongoose.Types.ObjectId.isValid(contactId) ? supplier.contacts.id(contactId) : null;
+        if (!contact) {
+            return res.status(404).json({ success: false, message: "Contact not found" });
+        }
+
+        if (isPrimary === true) {
+            supplier.contacts.forEach(other => { other.isPrimary = false; });
+        }
+        if (name !== undefined) contact.name = name;
+        if (email !== undefined) contact.email = email;
+        if (phone !== undefined) contact.phone = phone;
+        if (role !== undefined) contact.role = role;
+        if (isPrimary !== undefined) contact.isPrimary = isPrimary === true;
+        await supplier.save();
+
+        res.status(200).json({ success: true, contact, supplier });
+    } catch (error) {
+        if (handleSupplierSaveError(error, res)) return;
+        console.log("Error in updateSupplierContact controller", error.message);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+}
+
+/**
+ * @swagger
+ * /suppliers/{id}/contacts/{contactId}:
+ *   delete:
+ *     summary: Remove a contact person from a supplier (Staff)
+ *     tags: [Supplier]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Supplier ID
+ *       - in: path
+ *         name: contactId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Contact ID
+ *     responses:
+ *       200:
+ *         description: Contact removed
+ *       404:
+ *         description: Supplier or contact not found
+ *       500:
+ *         description: Internal server error
+ */
+export async function removeSupplierContact(req, res) {
+    try {
+        const { contactId } = req.params;
+
+        const supplier = await findSupplier(req.params.id);
+        const contact = supplier && mongoose.Types.ObjectId.isValid(contactId) ? supplier.contacts.id(contactId) : null;
+        if (!contact) {
+            return res.status(404).json({ success: false, message: "Contact not found" });
+        }
+
+        contact.deleteOne();
+        await supplier.save();
+
+        res.status(200).json({ success: true, supplier });
+    } catch (error) {
+        console.log("Error in removeSupplierContact controller", error.message);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+}
+
+// Check the terms a supplier gives for a product
+const validateSupplierTerms = ({ costPrice, leadTimeDays, minOrderQuantity }) => {
+    if (costPrice !== undefined && (typeof costPrice !== "number" || costPrice < 0)) {
+        return "Cost price must be a non-negative number";
+    }
+    if (leadTimeDays !== undefined && (!Number.isInteger(leadTimeDays) || leadTimeDays < 0)) {
+        return "Lead time must be a non-negative number of days";
+    }
+    if (minOrderQuantity !== undefined && (!Number.isInteger(minOrderQuantity) || minOrderQuantity < 1)) {
+        return "Minimum order quantity must be a positive integer";
+    }
+    return null;
+};
+
+/**
+ * @swagger
+ * /suppliers/{id}/products:
+ *   get:
+ *     summary: List the products a supplier sells us, with their terms (Staff)
+ *     tags: [Supplier]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Supplier ID
+ *     responses:
+ *       200:
+ *         description: Supplier products
+ *       404:
+ *         description: Supplier not found
+ *       500:
+ *         description: Internal server error
+ */
+export async function getSupplierProducts(req, res) {
+    try {
+        const { id } = req.params;
+
+        const supplier = mongoose.Types.ObjectId.isValid(id) ? await Supplier.findById(id) : null;
+        if (!supplier) {
+            return res.status(404).json({ success: false, message: "Supplier not found" });
+        }
+
+        const products = await SupplierProduct.find({ supplierId: supplier._id })
+            .populate("productId", "title image price")
+            .populate("productVariantId", "sku size color")
+            .sort({ createdAt: -1 });
+
+        res.status(200).json({ success: true, supplier, products });
+    } catch (error) {
+        console.log("Error in getSupplierProducts controller", error.message);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+}
+
+/**
+ * @swagger
+ * /suppliers/{id}/products:
+ *   post:
+ *     summary: Link a product to a supplier (Staff)
+ *     description: Without productVariantId the terms apply to every variant of the product.
+ *     tags: [Supplier]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Supplier ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - productId
+ *               - costPrice
+ *             properties:
+ *               productId:
+ *                 type: string
+ *               productVariantId:
+ *                 type: string
+ *                 description: Terms for one variant only
+ *               supplierSku:
+ *                 type: string
+ *                 example: AX-2201-BLK
+ *               costPrice:
+ *                 type: number
+ *                 example: 120000
+ *               leadTimeDays:
+ *                 type: integer
+ *                 example: 14
+ *               minOrderQuantity:
+ *                 type: integer
+ *                 example: 10
+ *     responses:
+ *       201:
+ *         description: Product linked
+ *       400:
+ *         description: Invalid input
+ *       404:
+ *         description: Supplier, product or variant not found
+ *       409:
+ *         description: The product is already linked to this supplier
+ *       500:
+ *         description: Internal server error
+ */
+export async function addSupplierProduct(req, res) {
+    try {
+        const { id } = req.params;
+        const { productId, productVariantId, supplierSku, costPrice, leadTimeDays, minOrderQuantity } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(productId) || costPrice === undefined) {
+            return res.status(400).json({ success: false, message: "A valid productId and costPrice are required" });
+        }
+
+        const invalidField = validateSupplierTerms({ costPrice, leadTimeDays, minOrderQuantity });
+        if (invalidField) {
+            return res.status(400).json({ success: false, message: invalidField });
+        }
+
+        const supplier = await findSupplier(id);
+        if (!supplier) {
+            return res.status(404).json({ success: false, message: "Supplier not found" });
+        }
+
+        const product = await Product.findById(productId);
+        if (!product) {
+            return res.status(404).json({ success: false, message: "Product not found" });
+        }
+
+        if (productVariantId) {
+            const variant = mongoose.Types.ObjectId.isValid(productVariantId)
+                ? await ProductVariant.findOne({ _id: productVariantId, productId: product._id })
+                : null;
+            if (!variant) {
+                return res.status(404).json({ success: false, message: "Product variant not found" });
+            }
+        }
+
+        const supplierProduct = await SupplierProduct.create({
+            supplierId: supplier._id,
+            productId: product._id,
+            productVariantId: productVariantId || null,
+            supplierSku,
+            costPrice,
+            leadTimeDays,
+            minOrderQuantity,
+        });
+
+        res.status(201).json({ success: true, supplierProduct });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({ success: false, message: "This product is already linked to the supplier" });
+        }
+        if (error.name === "ValidationError") {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+        console.log("Error in addSupplierProduct controller", error.message);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+}
+
+/**
+ * @swagger
+ * /suppliers/{id}/products/{linkId}:
+ *   put:
+ *     summary: Update the terms of a supplier product (Staff)
+ *     tags: [Supplier]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Supplier ID
+ *       - in: path
+ *         name: linkId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Supplier product ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               supplierSku:
+ *                 type: string
+ *               costPrice:
+ *                 type: number
+ *               leadTimeDays:
+ *                 type: integer
+ *               minOrderQuantity:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Terms updated
+ *       400:
+ *         description: Invalid input
+ *       404:
+ *         description: Supplier product not found
+ *       500:
+ *         description: Internal server error
+ */
+export async function updateSupplierProduct(req, res) {
+    try {
+        const { id, linkId } = req.params;
+        const { supplierSku, costPrice, leadTimeDays, minOrderQuantity } = req.body;
+
+        const invalidField = validateSupplierTerms({ costPrice, leadTimeDays, minOrderQuantity });
+        if (invalidField) {
+            return res.status(400).json({ success: false, message: invalidField });
+        }
+
+        const update = {};
+        if (supplierSku !== undefined) update.supplierSku = supplierSku;
+        if (costPrice !== undefined) update.costPrice = costPrice;
+        if (leadTimeDays !== undefined) update.leadTimeDays = leadTimeDays;
+        if (minOrderQuantity !== undefined) update.minOrderQuantity = minOrderQuantity;
+
+        const supplierProduct = mongoose.Types.ObjectId.isValid(linkId)
+            ? await SupplierProduct.findOneAndUpdate({ _id: linkId, supplierId: id }, { $set: update }, { new: true, runValidators: true })
+            : null;
+        if (!supplierProduct) {
+            return res.status(404).json({ success: false, message: "Supplier product not found" });
+        }
+
+        res.status(200).json({ success: true, supplierProduct });
+    } catch (error) {
+        console.log("Error in updateSupplierProduct controller", error.message);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+}
+
+/**
+ * @swagger
+ * /suppliers/{id}/products/{linkId}:
+ *   delete:
+ *     summary: Unlink a product from a supplier (Staff)
+ *     description: Existing purchase orders keep their lines.
+ *     tags: [Supplier]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Supplier ID
+ *       - in: path
+ *         name: linkId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Supplier product ID
+ *     responses:
+ *       200:
+ *         description: Product unlinked
+ *       404:
+ *         description: Supplier product not found
+ *       500:
+ *         description: Internal server error
+ */
+export async function removeSupplierProduct(req, res) {
+    try {
+        const { id, linkId } = req.params;
+
+        const supplierProduct = mongoose.Types.ObjectId.isValid(linkId)
+            ? await SupplierProduct.findOneAndDelete({ _id: linkId, supplierId: id })
+            : null;
+        if (!supplierProduct) {
+            return res.status(404).json({ success: false, message: "Supplier product not found" });
+        }
+
+        res.status(200).json({ success: true, message: "Product unlinked from supplier" });
+    } catch (error) {
+        console.log("Error in removeSupplierProduct controller", error.message);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+}
@@ -3,6 +3,10 @@ import jwt from "jsonwebtoken"; // Import jwt for token verification
 import { ENV_VARS } from "../config/envVars.js"; // Import environment variables
 import mongoose from "mongoose";
 import bcrypt from 'bcrypt'; // Import bcrypt
+import { ROLES, PERMISSIONS } from "../config/roles.js";
+
+// Whether a role from the request body is known; the schema trims and lowercases it on save
+const isKnownRole = (role) => typeof role === 'string' && Object.values(ROLES).includes(role.trim().toLowerCase());
 
 // Get all staff users
 /**
@@ -40,6 +44,8 @@ import bcrypt from 'bcrypt'; // Import bcrypt
  *                         type: string
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Missing permission
  *       500:
  *         description: Server error
  */
@@ -67,8 +73,10 @@ export const getStaffUsers = async (req, res) => {
  * @swagger
  * /users:
  *   post:
- *     summary: Create a new user
+ *     summary: Create a new user (Admin)
  *     tags: [User]
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -83,7 +91,13 @@ export const getStaffUsers = async (req, res) => {
  *                 example: johndoe
  *               role:
  *                 type: string
+ *                 enum: [customer, staff, admin]
  *                 example: staff
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["suppliers:write"]
  *               password:
  *                 type: string
  *                 example: securepassword
@@ -109,19 +123,29 @@ export const getStaffUsers = async (req, res) => {
  *       201:
  *         description: User created successfully
  *       400:
- *         description: All fields are required
+ *         description: All fields are required or invalid role
+ *       403:
+ *         description: Forbidden - Missing permission
  *       500:
  *         description: Internal server error
  */
 export const createUser = async (req, res) => {
   try {
-    const { _id, username, role, password, firstName, lastName, email, gender, address, phoneNumber } = req.body;
+    const { _id, username, role, permissions = [], password, firstName, lastName, email, gender, address, phoneNumber } = req.body;
 
     // Check for required fields
     if (!username || !role || !password || !firstName || !lastName || !email) {
       return res.status(400).json({ success: false, message: 'All fields are required' });
     }
 
+    // Check that the role and extra permissions are known
+    if (!isKnownRole(role)) {
+      return res.status(400).json({ success: false, message: `Invalid role. Allowed roles: ${Object.values(ROLES).join(', ')}` });
+    }
+    if (!Array.isArray(permissions) || permissions.some(p => !Object.values(PERMISSIONS).includes(p))) {
+      return res.status(400).json({ success: false, message: 'Invalid permissions' });
+    }
+
     // Check if the provided _id is valid (if provided)
     if (_id && typeof _id !== 'string') {
       return res.status(400).json({ success: false, message: 'Invalid user ID format' });
@@ -135,6 +159,7 @@ export const createUser = async (req, res) => {
       _id: _id || undefined, // Use provided _id or let MongoDB generate one
       username, 
       role, 
+      permissions,
       password: hashedPassword, // Store the hashed password
       firstName, 
       lastName, 
@@ -276,8 +301,8 @@ export const updateUser = async (req, res) => {
     const decoded = jwt.verify(token, ENV_VARS.JWT_SECRET);
     const userId = decoded.userId; // Get user ID from the decoded token
 
-    // Get the fields to update from the request body
-    const updates = req.body;
+    // Get the fields to update from the request body; users can't change their own role
+    const { role, permissions, ...updates } = req.body;
 
     // Update the user in the database
     const updatedUser = await User.findByIdAndUpdate(userId, updates, { new: true, runValidators: true });
@@ -423,6 +448,10 @@ export const updateUserById = async (req, res) => {
       return res.status(400).json({ success: false, message: "No fields to update" });
     }
 
+    if (updates.role !== undefined && !isKnownRole(updates.role)) {
+      return res.status(400).json({ success: false, message: `Invalid role. Allowed roles: ${Object.values(ROLES).join(', ')}` });
+    }
+
     // Update the user in the database
     const updatedUser = await User.findByIdAndUpdate(id, updates, { new: true, runValidators: true });
 
@@ -0,0 +1,528 @@
+import mongoose from "mongoose";
+import { Warehouse } from "../models/warehouse.model.js";
+import { WarehouseStock } from "../models/warehouseStock.model.js";
+import { StockTransfer } from "../models/stockTransfer.model.js";
+import { ProductVariant } from "../models/productVariant.model.js";
+import { allocateUnassignedStock, transferStock, WarehouseError } from "../services/warehouse.service.js";
+
+/**
+ * @swagger
+ * /warehouses:
+ *   get:
+ *     summary: List warehouses (Staff)
+ *     tags: [Warehouse]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *         description: Only active (true) or inactive (false) warehouses
+ *     responses:
+ *       200:
+ *         description: Warehouses in fulfillment priority order, with their total stock
+ *       500:
+ *         description: Internal server error
+ */
+export async function getWarehouses(req, res) {
+    try {
+        const { active } = req.query;
+        const query = {};
+        if (active === "true" || active === "false") {
+            query.isActive = active === "true";
+        }
+
+        const [warehouses, totals] = await Promise.all([
+            Warehouse.find(query).sort({ priority: 1, createdAt: 1 }),
+            WarehouseStock.aggregate([
+                { $group: { _id: "$warehouseId", quantity: { $sum: "$quantity" } } },
+            ]),
+        ]);
+        const quantities = new Map(totals.map(entry => [entry._id.toString(), entry.quantity]));
+
+        res.status(200).json({
+            success: true,
+            warehouses: warehouses.map(warehouse => ({
+                ...warehouse.toObject(),
+                totalStock: quantities.get(warehouse._id.toString()) || 0,
+            })),
+        });
+    } catch (error) {
+        console.log("Error in getWarehouses controller", error.message);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+}
+
+/**
+ * @swagger
+ * /warehouses:
+ *   post:
+ *     summary: Create a warehouse (Staff)
+ *     tags: [Warehouse]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - code
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: District 7 storage
+ *               code:
+ *                 type: string
+ *                 example: HCM2
+ *               address:
+ *                 type: string
+ *               priority:
+ *                 type: integer
+ *                 description: Lower numbers are picked first when fulfilling orders
+ *                 example: 1
+ *               isDefault:
+ *                 type: boolean
+ *                 description: Make this the warehouse that receives stock when none is given
+ *     responses:
+ *       201:
+ *         description: Warehouse created
+ *       400:
+ *         description: Invalid input
+ *       409:
+ *         description: Name or code already in use
+ *       500:
+ *         description: Internal server error
+ */
+export async function createWarehouse(req, res) {
+    try {
+        const { name, code, address, priority, isDefault = false } = req.body;
+
+        if (!name || !code) {
+            return res.status(400).json({ success: false, message: "Name and code are required" });
+        }
+        if (priority !== undefined && !Number.isInteger(priority)) {
+            return res.status(400).json({ success: false, message: "Priority must be an integer" });
+        }
+
+        if (isDefault === true) {
+            await Warehouse.updateMany({ isDefault: true }, { $set: { isDefault: false } });
+        }
+
+        const warehouse = await Warehouse.create({ name, code, address, priority, isDefault: isDefault === true });
+
+        res.status(201).json({ success: true, warehouse });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({ success: false, message: "A warehouse with this name or code already exists" });
+        }
+        if (error.name === "ValidationError") {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+        console.log("Error in createWarehouse controller", error.message);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+}
+
+/**
+ * @swagger
+ * /warehouses/{id}:
+ *   put:
+ *     summary: Update a warehouse (Staff)
+ *     description: |
+ *       A warehouse can only be deactivated once its stock has been moved
+ *       elsewhere, and the default warehouse can't be deactivated.
+ *     tags: [Warehouse]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Warehouse ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *               address:
+ *                 type: string
+ *               priority:
+ *                 type: integer
+ *               isDefault:
+ *                 type: boolean
+ *                 description: Only true is accepted; set another warehouse as default to move the flag
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Warehouse updated
+ *       400:
+ *         description: Invalid input
+ *       404:
+ *         description: Warehouse not found
+ *       409:
+ *         description: Name or code already in use, or the warehouse still holds stock
+ *       500:
+ *         description: Internal server error
+ */
+export async function updateWarehouse(req, res) {
+    try {
+        const { id } = req.params;
+        const { name, code, address, priority, isDefault, isActive } = req.body;
+
+        const warehouse = mongoose.Types.ObjectId.isValid(id) ? await Warehouse.findById(id) : null;
+        if (!warehouse) {
+            return res.status(404).json({ success: false, message: "Warehouse not found" });
+        }
+
+        if (priority !== undefined && !Number.isInteger(priority)) {
+            return res.status(400).json({ success: false, message: "Priority must be an integer" });
+        }
+        if (isDefault === false && warehouse.isDefault) {
+            return res.status(400).json({ success: false, message: "Set another warehouse as default instead" });
+        }
+
+        const makeDefault = isDefault === true && !warehouse.isDefault;
+        const willBeActive = isActive === undefined ? warehouse.isActive : isActive === true;
+        if ((warehouse.isDefault || makeDefault) && !willBeActive) {
+            return res.status(400).json({ success: false, message: "The default warehouse must be active" });
+        }
+
+        if (isActive === false && warehouse.isActive) {
+            const stocked = await WarehouseStock.exists({ warehouseId: warehouse._id, quantity: { $gt: 0 } });
+            if (stocked) {
+                return res.status(409).json({ success: false, message: "Transfer the stock out of this warehouse before deactivating it" });
+            }
+        }
+
+        if (name !== undefined) warehouse.name = name;
+        if (code !== undefined) warehouse.code = code;
+        if (address !== undefined) warehouse.address = address;
+        if (priority !== undefined) warehouse.priority = priority;
+        if (isActive !== undefined) warehouse.isActive = isActive === true;
+
+        if (makeDefault) {
+            await Warehouse.updateMany({ _id: { $ne: warehouse._id }, isDefault: true }, { $set: { isDefault: false } });
+            warehouse.isDefault = true;
+        }
+
+        await warehouse.save();
+
+        res.status(200).json({ success: true, warehouse });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({ success: false, message: "A warehouse with this name or code already exists" });
+        }
+        if (error.name === "ValidationError") {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+        console.log("Error in updateWarehouse controller", error.message);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+}
+
+/**
+ * @swagger
+ * /warehouses/{id}/stock:
+ *   get:
+ *     summary: List the stock held in a warehouse (Staff)
+ *     tags: [Warehouse]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Warehouse ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *         description: Number of items per page
+ *     responses:
+ *       200:
+ *         description: Variants in stock in the warehouse
+ *       404:
+ *         description: Warehouse not found
+ *       500:
+ *         description: Internal server error
+ */
+export async function getWarehouseStock(req, res) {
+    try {
+        const { id } = req.params;
+        const { page = 1, limit = 50 } = req.query;
+
+        const warehouse = mongoose.Types.ObjectId.isValid(id) ? await Warehouse.findById(id) : null;
+        if (!warehouse) {
+            return res.status(404).json({ success: false, message: "Warehouse not found" });
+        }
+
+        const pageNumber = Math.max(parseInt(page) || 1, 1);
+        const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+        const query = { warehouseId: warehouse._id, quantity: { $gt: 0 } };
+
+        const [stock, total] = await Promise.all([
+            WarehouseStock.find(query)
+                .populate("productVariantId", "sku size color")
+                .populate("productId", "title")
+                .sort({ productId: 1, _id: 1 })
+                .skip((pageNumber - 1) * pageSize)
+                .limit(pageSize),
+            WarehouseStock.countDocuments(query),
+        ]);
+
+        res.status(200).json({
+            success: true,
+            warehouse,
+            stock,
+            pagination: {
+                currentPage: pageNumber,
+                totalPages: Math.ceil(total / pageSize),
+                totalItems: total,
+            },
+        });
+    } catch (error) {
+        console.log("Error in getWarehouseStock controller", error.message);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+}
+
+/**
+ * @swagger
+ * /warehouses/variants/{variantId}/stock:
+ *   get:
+ *     summary: Show where the stock of a variant is held (Staff)
+ *     tags: [Warehouse]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: variantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Variant ID
+ *     responses:
+ *       200:
+ *         description: Stock per warehouse and the variant's total
+ *       404:
+ *         description: Variant not found
+ *       500:
+ *         description: Internal server error
+ */
+export async function getVariantStock(req, res) {
+    try {
+        const { variantId } = req.params;
+
+        const variant = mongoose.Types.ObjectId.isValid(variantId) ? await ProductVariant.findById(variantId) : null;
+        if (!variant) {
+            return res.status(404).json({ success: false, message: "Product variant not found" });
+        }
+
+        const stock = await WarehouseStock.find({ productVariantId: variant._id })
+            .populate("warehouseId", "name code priority isActive");
+
+        res.status(200).json({
+            success: true,
+            variant,
+            total: variant.quantity,
+            warehouses: stock
+                .filter(entry => entry.warehouseId)
+                .map(entry => ({ warehouse: entry.warehouseId, quantity: entry.quantity })),
+        });
+    } catch (error) {
+        console.log("Error in getVariantStock controller", error.message);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+}
+
+/**
+ * @swagger
+ * /warehouses/transfers:
+ *   post:
+ *     summary: Move stock between warehouses (Staff)
+ *     description: All lines are moved together or not at all.
+ *     tags: [Warehouse]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - fromWarehouseId
+ *               - toWarehouseId
+ *               - items
+ *             properties:
+ *               fromWarehouseId:
+ *                 type: string
+ *               toWarehouseId:
+ *                 type: string
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     productVariantId:
+ *                       type: string
+ *                     quantity:
+ *                       type: integer
+ *                       example: 5
+ *               note:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Stock transferred
+ *       400:
+ *         description: Invalid input or inactive destination
+ *       404:
+ *         description: Warehouse not found
+ *       409:
+ *         description: Not enough stock in the source warehouse
+ *       500:
+ *         description: Internal server error
+ */
+export async function createTransfer(req, res) {
+    try {
+        const { fromWarehouseId, toWarehouseId, items, note } = req.body;
+
+        if (!fromWarehouseId || !toWarehouseId) {
+            return res.status(400).json({ success: false, message: "Source and destination warehouses are required" });
+        }
+
+        const transfer = await transferStock({ fromWarehouseId, toWarehouseId, items, note, user: req.user._id });
+
+        res.status(201).json({ success: true, transfer });
+    } catch (error) {
+        if (error instanceof WarehouseError) {
+            return res.status(error.statusCode).json({ success: false, message: error.message });
+        }
+        console.log("Error in createTransfer controller", error.message);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+}
+
+/**
+ * @swagger
+ * /warehouses/transfers:
+ *   get:
+ *     summary: List stock transfers, newest first (Staff)
+ *     tags: [Warehouse]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: warehouseId
+ *         schema:
+ *           type: string
+ *         description: Only transfers into or out of this warehouse
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Number of items per page
+ *     responses:
+ *       200:
+ *         description: Stock transfers
+ *       400:
+ *         description: Invalid warehouse ID
+ *       500:
+ *         description: Internal server error
+ */
+export async function getTransfers(req, res) {
+    try {
+        const { warehouseId, page = 1, limit = 20 } = req.query;
+        const query = {};
+
+        if (warehouseId) {
+            if (!mongoose.Types.ObjectId.isValid(warehouseId)) {
+                return res.status(400).json({ success: false, message: "Invalid warehouse ID" });
+            }
+            query.$or = [{ fromWarehouseId: warehouseId }, { toWarehouseId: warehouseId }];
+        }
+
+        const pageNumber = Math.max(parseInt(page) || 1, 1);
+        const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+        const [transfers, total] = await Promise.all([
+            StockTransfer.find(query)
+                .populate("fromWarehouseId toWarehouseId", "name code")
+                .populate("createdBy", "username firstName lastName")
+                .sort({ createdAt: -1 })
+                .skip((pageNumber - 1) * pageSize)
+                .limit(pageSize),
+            StockTransfer.countDocuments(query),
+        ]);
+
+        res.status(200).json({
+            success: true,
+            transfers,
+            pagination: {
+                currentPage: pageNumber,
+                totalPages: Math.ceil(total / pageSize),
+                totalTransfers: total,
+            },
+        });
+    } catch (error) {
+        console.log("Error in getTransfers controller", error.message);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+}
+
+/**
+ * @swagger
+ * /warehouses/allocate-unassigned:
+ *   post:
+ *     summary: Put stock that isn't in any warehouse into the default warehouse (Staff)
+ *     description: |
+ *       Also runs at startup. Stock from before warehouses existed, or added
+ *       directly to variants, is only counted once it is in a warehouse.
+ *     tags: [Warehouse]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: How many variants and units were assigned
+ *       500:
+ *         description: Internal server error
+ */
+export async function allocateStock(req, res) {
+    try {
+        const result = await allocateUnassignedStock();
+
+        res.status(200).json({ success: true, ...result });
+    } catch (error) {
+        console.log("Error in allocateStock controller", error.message);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+}
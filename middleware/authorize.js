@@ -0,0 +1,18 @@
+import { getUserPermissions } from "../config/roles.js";
+
+// Must run after protectRoute; passes when the user holds every listed permission
+export const authorize = (...permissions) => (req, res, next) => {
+	if (!req.user) {
+		return res.status(401).json({ success: false, message: "Unauthorized - No Token Provided" });
+	}
+
+	const granted = getUserPermissions(req.user);
+	const missing = permissions.filter((permission) => !granted.has(permission));
+
+	if (missing.length > 0) {
+		return res.status(403).json({ success: false, message: "Forbidden - Missing permission: " + missing.join(", ") });
+	}
+
+	next();
+};
+
@@ -0,0 +1,60 @@
+import multer from "multer";
+
+export const IMAGE_MIME_TYPES = ["image/jpeg", "image/png", "image/webp"];
+export const MAX_IMAGE_SIZE = 5 * 1024 * 1024; // 5 MB
+export const MAX_REVIEW_IMAGES = 5;
+export const MAX_PRODUCT_IMAGE_UPLOADS = 10; // Per request; the gallery itself holds more
+export const MAX_IMPORT_FILE_SIZE = 20 * 1024 * 1024; // 20 MB
+
+// Keep files in memory; they are handed to the storage service afterwards
+const imageUpload = (maxFiles) => multer({
+	storage: multer.memoryStorage(),
+	limits: { fileSize: MAX_IMAGE_SIZE, files: maxFiles },
+	fileFilter: (req, file, cb) => {
+		if (!IMAGE_MIME_TYPES.includes(file.mimetype)) {
+			return cb(new multer.MulterError("LIMIT_UNEXPECTED_FILE", file.fieldname));
+		}
+		cb(null, true);
+	},
+});
+
+// Turn multer's errors into the API's JSON error responses
+const handleUploadErrors = (middleware, overrides = {}) => (req, res, next) => {
+	middleware(req, res, (error) => {
+		if (!error) {
+			return next();
+		}
+		if (error instanceof multer.MulterError) {
+			const messages = {
+				LIMIT_FILE_SIZE: `Each image must be at most ${MAX_IMAGE_SIZE / (1024 * 1024)} MB`,
+				LIMIT_FILE_COUNT: "Too many images",
+				LIMIT_UNEXPECTED_FILE: `Only ${IMAGE_MIME_TYPES.join(", ")} images are allowed in the ${error.field} field`,
+				...overrides,
+			};
+			return res.status(400).json({ success: false, message: messages[error.code] || error.message });
+		}
+		next(error);
+	});
+};
+
+/**
+ * Parse up to maxFiles images from a multipart field.
+ * @param {string} field - The multipart field name.
+ * @param {number} maxFiles
+ */
+export const parseImages = (field, maxFiles) => handleUploadErrors(imageUpload(maxFiles).array(field, maxFiles));
+
+export const parseReviewImages = parseImages("images", MAX_REVIEW_IMAGES);
+
+export const parseProductImages = parseImages("images", MAX_PRODUCT_IMAGE_UPLOADS);
+
+export const parseCategoryImage = handleUploadErrors(imageUpload(1).single("image"));
+
+// The format is checked by the import service, from the file extension
+export const parseImportFile = handleUploadErrors(
+	multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_IMPORT_FILE_SIZE, files: 1 } }).single("file"),
+	{
+		LIMIT_FILE_SIZE: `The file must be at most ${MAX_IMPORT_FILE_SIZE / (1024 * 1024)} MB`,
+		LIMIT_UNEXPECTED_FILE: "Upload the file in the file field",
+	}
+);
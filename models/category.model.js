@@ -1,4 +1,96 @@
 import mongoose from 'mongoose';
+import { generateSlug } from '../services/category.service.js';
+
+export const ATTRIBUTE_TYPES = {
+  ENUM: 'enum', // One of the listed options
+  NUMBER: 'number',
+  TEXT: 'text',
+  BOOLEAN: 'boolean',
+};
+
+export const ATTRIBUTE_KEY_PATTERN = /^[a-z][a-z0-9_]*$/;
+
+// One product attribute the category defines, e.g. fit or season
+const attributeDefinitionSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String, // Name in Product.attributes and in listing filters
+      required: [true, 'Attribute key is required'],
+      trim: true,
+      match: [ATTRIBUTE_KEY_PATTERN, 'Attribute keys may only contain lowercase letters, digits and underscores, starting with a letter'],
+    },
+    label: {
+      type: String,
+      required: [true, 'Attribute label is required'],
+      trim: true,
+    },
+    type: {
+      type: String,
+      enum: Object.values(ATTRIBUTE_TYPES),
+      required: [true, 'Attribute type is required'],
+    },
+    options: {
+      type: [String], // Allowed values of an enum attribute
+      default: undefined,
+    },
+    unit: {
+      type: String, // Shown after number values, e.g. cm
+      trim: true,
+    },
+    min: {
+      type: Number,
+    },
+    max: {
+      type: Number,
+    },
+    required: {
+      type: Boolean,
+      default: false,
+    },
+    filterable: {
+      type: Boolean, // Offered as a listing filter
+      default: true,
+    },
+  },
+  { _id: false }
+);
+
+attributeDefinitionSchema.pre('validate', function () {
+  if (this.type === ATTRIBUTE_TYPES.ENUM && !(this.options?.length > 0)) {
+    this.invalidate('options', `Enum attribute ${this.key} needs at least one option`);
+  }
+  if (this.type !== ATTRIBUTE_TYPES.ENUM && this.options?.length > 0) {
+    this.invalidate('options', `Only enum attributes have options; ${this.key} is ${this.type}`);
+  }
+  if (this.min !== undefined && this.max !== undefined && this.min > this.max) {
+    this.invalidate('max', `max of ${this.key} must not be below min`);
+  }
+});
+
+// Measurements per size, e.g. chest and length in cm
+const sizeChartSchema = new mongoose.Schema(
+  {
+    unit: {
+      type: String,
+      trim: true,
+    },
+    columns: {
+      type: [String], // Measurement names, in the order of each row's values
+      required: true,
+    },
+    rows: [
+      {
+        _id: false,
+        size: {
+          type: String,
+          required: true,
+        },
+        values: [String],
+      },
+    ],
+  },
+  { _id: false }
+);
 
 const categorySchema = mongoose.Schema(
   {
@@ -6,7 +98,47 @@ const categorySchema = mongoose.Schema(
       type: String,
       required: [true, 'Category name is required'], // Custom error message
       trim: true, // Removes whitespace from both ends of the string
-      unique: true, // Ensures category names are unique
+    },
+    slug: {
+      type: String, // URL-friendly name, generated from the name when not given
+      required: true,
+      trim: true,
+      lowercase: true,
+      match: [/^[a-z0-9]+(-[a-z0-9]+)*$/, 'Slug may only contain lowercase letters, digits and single dashes'],
+    },
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category', // null for top-level categories
+      default: null,
+    },
+    ancestors: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Category', // From the root down to the parent; kept in sync by the category service
+      },
+    ],
+    sortOrder: {
+      type: Number, // Position among siblings, lowest first
+      default: 0,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    image: {
+      url: String,
+      public_id: String,
+    },
+    attributes: {
+      type: [attributeDefinitionSchema], // Subcategories inherit them and may add their own
+      validate: {
+        validator: definitions => new Set(definitions.map(definition => definition.key)).size === definitions.length,
+        message: 'Attribute keys must be unique within a category',
+      },
+    },
+    sizeChart: {
+      type: sizeChartSchema, // Subcategories without their own use the nearest ancestor's
+      default: undefined,
     },
   },
   {
@@ -14,4 +146,17 @@ const categorySchema = mongoose.Schema(
   }
 );
 
+// Names are unique among siblings, ignoring case
+categorySchema.index({ parent: 1, name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+// Partial so categories from before slugs existed don't block building the index
+categorySchema.index({ slug: 1 }, { unique: true, partialFilterExpression: { slug: { $type: 'string' } } });
+categorySchema.index({ ancestors: 1 });
+categorySchema.index({ parent: 1, sortOrder: 1, name: 1 });
+
+categorySchema.pre('validate', async function () {
+  if (!this.slug && this.name) {
+    this.slug = await generateSlug(this.name, this._id);
+  }
+});
+
 export const Category = mongoose.model('Category', categorySchema);
@@ -1,5 +1,55 @@
 import mongoose from 'mongoose';
 
+// Order lifecycle statuses
+export const ORDER_STATUS = {
+  PENDING: 'Pending',
+  CONFIRMED: 'Confirmed',
+  PACKED: 'Packed',
+  IN_TRANSIT: 'In-transit',
+  DELIVERED: 'Delivered',
+  CANCELLED: 'Cancelled',
+  REFUNDED: 'Refunded',
+};
+
+// Allowed next statuses for each status
+export const ORDER_STATUS_TRANSITIONS = {
+  [ORDER_STATUS.PENDING]: [ORDER_STATUS.CONFIRMED, ORDER_STATUS.CANCELLED],
+  [ORDER_STATUS.CONFIRMED]: [ORDER_STATUS.PACKED, ORDER_STATUS.CANCELLED],
+  [ORDER_STATUS.PACKED]: [ORDER_STATUS.IN_TRANSIT, ORDER_STATUS.CANCELLED],
+  [ORDER_STATUS.IN_TRANSIT]: [ORDER_STATUS.DELIVERED],
+  [ORDER_STATUS.DELIVERED]: [ORDER_STATUS.REFUNDED],
+  [ORDER_STATUS.CANCELLED]: [ORDER_STATUS.REFUNDED],
+  [ORDER_STATUS.REFUNDED]: [],
+};
+
+const statusHistorySchema = new mongoose.Schema(
+  {
+    from: {
+      type: String,
+      enum: [...Object.values(ORDER_STATUS), null],
+      default: null,
+    },
+    to: {
+      type: String,
+      enum: Object.values(ORDER_STATUS),
+      required: true,
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User', // User who made the change
+    },
+    note: {
+      type: String,
+      trim: true,
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
 const orderSchema = mongoose.Schema(
   {
     total: {
@@ -22,16 +72,31 @@ const orderSchema = mongoose.Schema(
     status: {
       type: String,
       required: true,
+      enum: Object.values(ORDER_STATUS),
+      default: ORDER_STATUS.PENDING,
     },
+    statusHistory: [statusHistorySchema], // Timeline of status changes
     shippingAddress: {
       type: String,
     }
   },
   {
     timestamps: true, // Automatically manages createdAt and updatedAt fields
+    toObject: { virtuals: true },
+    toJSON: { virtuals: true },
   }
 );
 
+// Order lines live in their own collection; expose them for populate('products')
+orderSchema.virtual('products', {
+  ref: 'OrderProduct',
+  localField: '_id',
+  foreignField: 'orderId',
+});
 
+// Check whether the order can move from one status to another
+orderSchema.statics.canTransition = function (from, to) {
+  return (ORDER_STATUS_TRANSITIONS[from] || []).includes(to);
+};
 
 export const Order = mongoose.model('Order', orderSchema);
@@ -12,13 +12,46 @@ const orderProductSchema = new mongoose.Schema(
       ref: 'Product', // References the Product model
       required: [true, 'Product ID is required'], // Custom error message
     },
+    productVariantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ProductVariant', // References the purchased ProductVariant
+    },
+    // Snapshot of the purchased item, kept as it was at checkout time
+    productTitle: {
+      type: String,
+      trim: true,
+    },
+    productImage: {
+      type: String,
+      default: '',
+    },
+    size: {
+      type: String,
+    },
+    color: {
+      type: String,
+    },
+    allocations: [
+      {
+        warehouseId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Warehouse', // Warehouse the units ship from
+          required: true,
+        },
+        quantity: {
+          type: Number,
+          required: true,
+          min: 1,
+        },
+      },
+    ],
     quantity: {
       type: Number,
       required: [true, 'Quantity is required'], // Custom error message
       min: [1, 'Quantity cannot be less than 1'], // Validation for non-negative and minimum 1 quantity
     },
     price: {
-      type: Number,
+      type: Number, // Unit price at purchase time
       required: [true, 'Price is required'], // Custom error message
       min: [0, 'Price cannot be negative'], // Ensures non-negative price
     },
@@ -28,4 +61,7 @@ const orderProductSchema = new mongoose.Schema(
   }
 );
 
+// Sales per product, e.g. for best-selling sorting
+orderProductSchema.index({ productId: 1 });
+
 export const OrderProduct = mongoose.model('OrderProduct', orderProductSchema);
@@ -1,5 +1,110 @@
 import mongoose from 'mongoose';
 
+// Payment statuses
+export const PAYMENT_STATUS = {
+  INITIATED: 'initiated',
+  AUTHORIZED: 'authorized',
+  CAPTURED: 'captured',
+  FAILED: 'failed',
+  PARTIALLY_REFUNDED: 'partially_refunded',
+  REFUNDED: 'refunded',
+};
+
+export const REFUND_STATUS = {
+  PENDING: 'pending',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+};
+
+export const PAYMENT_METHODS = ['Credit Card', 'Debit Card', 'PayPal', 'Bank Transfer', 'Cash', 'MoMo'];
+
+// Raw request/response bodies exchanged with the gateway, kept for auditing
+const gatewayPayloadSchema = new mongoose.Schema(
+  {
+    event: {
+      type: String, // e.g. create, ipn, return
+      required: true,
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    receivedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+// A refund issued against the payment, either for the whole payment or for some order lines
+const refundSchema = new mongoose.Schema(
+  {
+    amount: {
+      type: Number,
+      required: [true, 'Refund amount is required'],
+      min: [0, 'Refund amount cannot be negative'],
+    },
+    items: [
+      {
+        orderProductId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'OrderProduct',
+          required: true,
+        },
+        productVariantId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'ProductVariant',
+        },
+        quantity: {
+          type: Number,
+          required: true,
+          min: [1, 'Quantity cannot be less than 1'],
+        },
+        amount: {
+          type: Number,
+          required: true,
+          min: 0,
+        },
+      },
+    ],
+    reason: {
+      type: String,
+      trim: true,
+    },
+    status: {
+      type: String,
+      enum: Object.values(REFUND_STATUS),
+      default: REFUND_STATUS.PENDING,
+    },
+    manual: {
+      type: Boolean, // Refunded by cash/bank outside the gateway
+      default: false,
+    },
+    restocked: {
+      type: Boolean, // Items were returned to ProductVariant stock
+      default: false,
+    },
+    reference: {
+      type: String, // Receipt or bank transfer reference of a manual refund
+      trim: true,
+    },
+    gatewayRefundId: {
+      type: String, // Refund transaction reference returned by the gateway
+      trim: true,
+    },
+    gatewayPayload: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
 const paymentSchema = new mongoose.Schema(
   {
     paymentId: {
@@ -11,17 +116,73 @@ const paymentSchema = new mongoose.Schema(
     method: {
       type: String,
       required: [true, 'Payment method is required'], // Custom error message
-      enum: ['Credit Card', 'Debit Card', 'PayPal', 'Bank Transfer', 'Cash'], // Limits allowed payment methods
+      enum: PAYMENT_METHODS, // Limits allowed payment methods
     },
     orderId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Order', // References the Order model
       required: [true, 'Order ID is required'], // Custom error message
     },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User', // Owner of the order being paid
+    },
+    amount: {
+      type: Number,
+      required: [true, 'Amount is required'], // Custom error message
+      min: [0, 'Amount cannot be negative'], // Ensures non-negative amount
+    },
+    currency: {
+      type: String,
+      default: 'VND',
+      uppercase: true,
+      trim: true,
+    },
+    status: {
+      type: String,
+      enum: Object.values(PAYMENT_STATUS),
+      default: PAYMENT_STATUS.INITIATED,
+    },
+    gateway: {
+      type: String, // Gateway that processed the payment, e.g. momo
+      trim: true,
+    },
+    transactionId: {
+      type: String, // Transaction reference returned by the gateway, or the reference staff gave a manual payment
+      trim: true,
+    },
+    requestId: {
+      type: String, // Request reference sent to the gateway
+      trim: true,
+    },
+    payUrl: {
+      type: String, // Where the customer completes the payment
+    },
+    capturedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User', // Staff member who confirmed a manual payment
+    },
+    capturedAt: {
+      type: Date,
+    },
+    gatewayPayloads: [gatewayPayloadSchema],
+    refunds: [refundSchema],
+    refundedAmount: {
+      type: Number, // Sum of pending and succeeded refunds
+      default: 0,
+      min: 0,
+    },
+    needsRefund: {
+      type: Boolean, // Settled after its order was already paid or closed, so the money has to go back
+      default: false,
+    },
   },
   {
     timestamps: true, // Automatically adds `createdAt` and `updatedAt` fields
   }
 );
 
+paymentSchema.index({ orderId: 1, status: 1 });
+paymentSchema.index({ userId: 1, createdAt: -1 });
+
 export const Payment = mongoose.model('Payment', paymentSchema);
@@ -1,4 +1,36 @@
 import mongoose from 'mongoose';
+import { validateProductAttributes } from '../services/productAttribute.service.js';
+
+export const PRODUCT_STATUS = {
+  DRAFT: 'draft', // Being prepared, never shown to customers
+  ACTIVE: 'active', // Shown to customers within its publish window
+  ARCHIVED: 'archived', // No longer sold, kept for reference
+};
+
+// One picture of the product gallery; the order of the array is the display order
+const productImageSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true,
+  },
+  public_id: {
+    type: String, // Key in the storage, used to build resized URLs and delete the file
+  },
+  alt: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  color: {
+    type: String, // Shown for the variants of this color; null when it shows the whole product
+    trim: true,
+    default: null,
+  },
+  isPrimary: {
+    type: Boolean,
+    default: false,
+  },
+});
 
 const productSchema = new mongoose.Schema(
   {
@@ -28,6 +60,11 @@ const productSchema = new mongoose.Schema(
       min: 0,
       max: 5,
     },
+    reviewCount: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
     material: {
       type: String,
       trim: true,
@@ -38,15 +75,82 @@ const productSchema = new mongoose.Schema(
       min: 0
     },
     image: {
-      type: String,
+      type: String, // URL of the primary gallery image, copied onto order lines
       default: ''
-    }
+    },
+    images: {
+      type: [productImageSchema],
+      validate: {
+        validator: images => images.filter(image => image.isPrimary).length <= 1,
+        message: 'A product can only have one primary image',
+      },
+    },
+
+    attributes: {
+      type: mongoose.Schema.Types.Mixed, // Specification values by key, typed by the category's attribute schema
+      default: {},
+    },
+
+    status: {
+      type: String,
+      enum: Object.values(PRODUCT_STATUS),
+      default: PRODUCT_STATUS.ACTIVE,
+    },
+    publishAt: {
+      type: Date, // An active product stays hidden until then
+      default: null,
+    },
+    unpublishAt: {
+      type: Date, // An active product is hidden from then on
+      default: null,
+      validate: {
+        validator: function (value) {
+          return !value || !this.publishAt || value > this.publishAt;
+        },
+        message: 'unpublishAt must be after publishAt',
+      },
+    },
+    isDeleted: {
+      type: Boolean, // Deleted products are kept so orders and reviews still point to them
+      default: false,
+    },
+    deletedAt: {
+      type: Date,
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
   },
   {
     timestamps: true,
   }
 );
 
+// Full-text search over the catalog, titles weigh the most
+productSchema.index(
+  { title: 'text', material: 'text', description: 'text' },
+  { name: 'product_text_search', weights: { title: 10, material: 4, description: 1 } }
+);
+
+// Listing sorts
+productSchema.index({ createdAt: -1 });
+productSchema.index({ price: 1 });
+productSchema.index({ rating: -1, reviewCount: -1 });
+
+// Storefront visibility
+productSchema.index({ status: 1, isDeleted: 1, publishAt: 1, unpublishAt: 1 });
+
+// Attribute filters of the listing, e.g. attributes.fit
+productSchema.index({ 'attributes.$**': 1 });
+
+// Attributes must follow the category's schema; checked again when the category changes
+productSchema.pre('validate', async function () {
+  if (this.isNew || this.isModified('attributes') || this.isModified('categoryId')) {
+    await validateProductAttributes(this);
+  }
+});
+
 // Middleware để tự động cập nhật totalStock
 productSchema.methods.updateTotalStock = async function() {
   const ProductVariant = mongoose.model('ProductVariant');
@@ -0,0 +1,90 @@
+import mongoose from 'mongoose';
+
+export const PRODUCT_IMPORT_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed', // Finished; rows with errors are listed in the report
+  FAILED: 'failed', // Stopped by an unexpected error or a server restart
+};
+
+// A row that couldn't be imported
+const rowErrorSchema = new mongoose.Schema(
+  {
+    row: {
+      type: Number, // Spreadsheet row (the header is row 1), or position of the product in JSON
+      required: true,
+    },
+    field: {
+      type: String,
+    },
+    message: {
+      type: String,
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
+// A bulk import of products, run in the background when the file is large
+const productImportSchema = new mongoose.Schema(
+  {
+    format: {
+      type: String,
+      enum: ['csv', 'xlsx', 'json'],
+      required: true,
+    },
+    fileName: {
+      type: String,
+    },
+    status: {
+      type: String,
+      enum: Object.values(PRODUCT_IMPORT_STATUS),
+      default: PRODUCT_IMPORT_STATUS.QUEUED,
+    },
+    totalRows: {
+      type: Number,
+      default: 0,
+    },
+    processedRows: {
+      type: Number,
+      default: 0,
+    },
+    productsCreated: {
+      type: Number,
+      default: 0,
+    },
+    productsUpdated: {
+      type: Number,
+      default: 0,
+    },
+    variantsCreated: {
+      type: Number,
+      default: 0,
+    },
+    variantsUpdated: {
+      type: Number,
+      default: 0,
+    },
+    rowErrors: [rowErrorSchema],
+    failureReason: {
+      type: String,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    startedAt: {
+      type: Date,
+    },
+    finishedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+productImportSchema.index({ createdAt: -1 });
+
+export const ProductImport = mongoose.model('ProductImport', productImportSchema);
@@ -1,4 +1,6 @@
 import mongoose from 'mongoose';
+import { ENV_VARS } from '../config/envVars.js';
+import { generateSku, isValidBarcode } from '../services/sku.service.js';
 
 const productVariantSchema = new mongoose.Schema(
   {
@@ -21,12 +23,68 @@ const productVariantSchema = new mongoose.Schema(
       default: 0,
       min: 0
     },
+    sku: {
+      type: String, // Generated from SKU_PATTERN when not given
+      trim: true,
+      uppercase: true,
+    },
+    barcode: {
+      type: String,
+      trim: true,
+      validate: {
+        validator: isValidBarcode,
+        message: props => `${props.value} is not a valid EAN-8, UPC-A or EAN-13 barcode`,
+      },
+    },
+    price: {
+      type: Number, // Overrides the product price when set
+      min: 0,
+      default: null,
+    },
+    weight: {
+      type: Number, // Shipping weight in grams
+      min: 0,
+    },
+    reorderPoint: {
+      type: Number, // Alert when stock falls to this level; DEFAULT_REORDER_POINT when not set
+      min: 0,
+      default: null,
+    },
   },
   {
     timestamps: true,
   }
 );
 
+// One variant per size/color of a product
+productVariantSchema.index({ productId: 1, size: 1, color: 1 }, { unique: true });
+productVariantSchema.index({ sku: 1 }, { unique: true, partialFilterExpression: { sku: { $type: 'string' } } });
+productVariantSchema.index({ barcode: 1 }, { unique: true, partialFilterExpression: { barcode: { $type: 'string' } } });
+
+/**
+ * Unit price of the variant: its own price, or the product's when it has none.
+ * @param {object} product - The parent Product.
+ * @returns {number}
+ */
+productVariantSchema.methods.getPrice = function (product) {
+  return this.price ?? product.price;
+};
+
+/**
+ * Stock level at which the variant should be reordered.
+ * @returns {number}
+ */
+productVariantSchema.methods.getReorderPoint = function () {
+  return this.reorderPoint ?? ENV_VARS.DEFAULT_REORDER_POINT;
+};
+
+// Every variant gets an SKU so it can be scanned in the warehouse
+productVariantSchema.pre('validate', async function () {
+  if (!this.sku) {
+    this.sku = await generateSku(this);
+  }
+});
+
 // Middleware để cập nhật totalStock của product sau khi lưu variant
 productVariantSchema.post('save', async function () {
   const Product = mongoose.model('Product');
@@ -37,12 +95,20 @@ productVariantSchema.post('save', async function () {
 });
 
 // Middleware để cập nhật totalStock của product sau khi xóa variant
-productVariantSchema.post('remove', async function () {
+const refreshProductStock = async (variant) => {
+  if (!variant) return;
   const Product = mongoose.model('Product');
-  const product = await Product.findById(this.productId);
+  const product = await Product.findById(variant.productId);
   if (product) {
     await product.updateTotalStock();
   }
+};
+
+productVariantSchema.post('deleteOne', { document: true, query: false }, async function () {
+  await refreshProductStock(this);
 });
 
+// findByIdAndDelete/findOneAndDelete pass the deleted variant to the hook
+productVariantSchema.post('findOneAndDelete', refreshProductStock);
+
 export const ProductVariant = mongoose.model('ProductVariant', productVariantSchema);
@@ -0,0 +1,157 @@
+import mongoose from 'mongoose';
+
+// Purchase order lifecycle statuses
+export const PURCHASE_ORDER_STATUS = {
+  DRAFT: 'draft',
+  SENT: 'sent',
+  PARTIALLY_RECEIVED: 'partially_received',
+  RECEIVED: 'received',
+  CANCELLED: 'cancelled',
+};
+
+// Statuses that can be set by hand; the received statuses follow from receipts
+export const PURCHASE_ORDER_STATUS_TRANSITIONS = {
+  [PURCHASE_ORDER_STATUS.DRAFT]: [PURCHASE_ORDER_STATUS.SENT, PURCHASE_ORDER_STATUS.CANCELLED],
+  [PURCHASE_ORDER_STATUS.SENT]: [PURCHASE_ORDER_STATUS.CANCELLED],
+  [PURCHASE_ORDER_STATUS.PARTIALLY_RECEIVED]: [PURCHASE_ORDER_STATUS.CANCELLED], // Closes the order short
+  [PURCHASE_ORDER_STATUS.RECEIVED]: [],
+  [PURCHASE_ORDER_STATUS.CANCELLED]: [],
+};
+
+const purchaseOrderLineSchema = new mongoose.Schema({
+  productVariantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ProductVariant',
+    required: [true, 'Product variant is required'],
+  },
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+  },
+  // Snapshot of what was ordered, so later catalog edits don't change the order
+  sku: {
+    type: String,
+  },
+  supplierSku: {
+    type: String,
+  },
+  description: {
+    type: String,
+  },
+  quantity: {
+    type: Number,
+    required: [true, 'Quantity is required'],
+    min: [1, 'Quantity cannot be less than 1'],
+  },
+  receivedQuantity: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  unitCost: {
+    type: Number,
+    required: [true, 'Unit cost is required'],
+    min: [0, 'Unit cost cannot be negative'],
+  },
+});
+
+const receiptSchema = new mongoose.Schema({
+  warehouseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse',
+  },
+  items: [
+    {
+      _id: false,
+      lineId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+      },
+      quantity: {
+        type: Number,
+        required: true,
+        min: 1,
+      },
+    },
+  ],
+  note: {
+    type: String,
+    trim: true,
+  },
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+const purchaseOrderSchema = new mongoose.Schema(
+  {
+    number: {
+      type: String, // Human-readable reference, e.g. PO-20240501-4F2A
+      required: true,
+      unique: true,
+    },
+    supplierId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Supplier',
+      required: [true, 'Supplier is required'],
+    },
+    warehouseId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Warehouse', // Where the goods are delivered; the default warehouse when empty
+    },
+    status: {
+      type: String,
+      enum: Object.values(PURCHASE_ORDER_STATUS),
+      default: PURCHASE_ORDER_STATUS.DRAFT,
+    },
+    lines: {
+      type: [purchaseOrderLineSchema],
+      validate: {
+        validator: lines => lines.length > 0,
+        message: 'A purchase order needs at least one line',
+      },
+    },
+    receipts: [receiptSchema], // One entry per delivery
+    expectedAt: {
+      type: Date,
+    },
+    sentAt: {
+      type: Date,
+    },
+    receivedAt: {
+      type: Date, // When the last line was fully received
+    },
+    note: {
+      type: String,
+      trim: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+    toObject: { virtuals: true },
+    toJSON: { virtuals: true },
+  }
+);
+
+purchaseOrderSchema.index({ supplierId: 1, createdAt: -1 });
+purchaseOrderSchema.index({ status: 1, createdAt: -1 });
+
+purchaseOrderSchema.virtual('total').get(function () {
+  return (this.lines || []).reduce((sum, line) => sum + line.unitCost * line.quantity, 0);
+});
+
+// Check whether the purchase order can be moved to a status by hand
+purchaseOrderSchema.statics.canTransition = function (from, to) {
+  return (PURCHASE_ORDER_STATUS_TRANSITIONS[from] || []).includes(to);
+};
+
+export const PurchaseOrder = mongoose.model('PurchaseOrder', purchaseOrderSchema);
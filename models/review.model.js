@@ -0,0 +1,113 @@
+import mongoose from 'mongoose';
+
+// Moderation statuses; only published reviews are public and count toward the rating
+export const REVIEW_STATUS = {
+  PENDING: 'pending',
+  PUBLISHED: 'published',
+  REJECTED: 'rejected',
+};
+
+const reviewSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true,
+    },
+    rating: {
+      type: Number,
+      required: true,
+      min: 1,
+      max: 5,
+    },
+    comment: {
+      type: String,
+      required: true,
+    },
+    images: [
+      {
+        url: String,
+        public_id: String,
+      },
+    ],
+    status: {
+      type: String,
+      enum: Object.values(REVIEW_STATUS),
+      default: REVIEW_STATUS.PENDING,
+    },
+    moderationReason: {
+      type: String, // Why the review was held or rejected, by staff or the automatic filter
+      trim: true,
+    },
+    moderatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User', // Empty when the automatic filter decided
+    },
+    moderatedAt: {
+      type: Date,
+    },
+    // Reports from customers
+    flags: [
+      {
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+          required: true,
+        },
+        reason: {
+          type: String,
+          trim: true,
+        },
+        resolved: {
+          type: Boolean, // Handled by staff publishing the review again; no longer counts towards hiding it
+          default: false,
+        },
+        createdAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Prevent multiple reviews from the same user for the same product
+reviewSchema.index({ user: 1, product: 1 }, { unique: true });
+reviewSchema.index({ product: 1, status: 1, createdAt: -1 });
+reviewSchema.index({ status: 1, createdAt: 1 });
+
+// Recalculate the product's average rating and review count from its published reviews
+reviewSchema.statics.updateProductRating = async function (productId) {
+  const [stats] = await this.aggregate([
+    { $match: { product: new mongoose.Types.ObjectId(productId), status: REVIEW_STATUS.PUBLISHED } },
+    { $group: { _id: '$product', average: { $avg: '$rating' }, count: { $sum: 1 } } },
+  ]);
+
+  const Product = mongoose.model('Product');
+  await Product.findByIdAndUpdate(productId, {
+    rating: stats ? Math.round(stats.average * 10) / 10 : 0,
+    reviewCount: stats ? stats.count : 0,
+  });
+};
+
+// Middleware để cập nhật rating của product sau khi lưu review
+reviewSchema.post('save', async function () {
+  await this.constructor.updateProductRating(this.product);
+});
+
+// Middleware để cập nhật rating của product sau khi xóa review
+reviewSchema.post('findOneAndDelete', async function (doc) {
+  if (doc) {
+    await doc.constructor.updateProductRating(doc.product);
+  }
+});
+
+export const Review = mongoose.model('Review', reviewSchema);
@@ -0,0 +1,92 @@
+import mongoose from 'mongoose';
+
+export const STOCK_ALERT_STATUS = {
+  OPEN: 'open', // Variant is at or below its reorder point
+  ACKNOWLEDGED: 'acknowledged', // Staff have seen it, stock is still low
+  RESOLVED: 'resolved', // Stock went back above the reorder point
+};
+
+// Result of sending an alert through one notification channel
+const deliverySchema = new mongoose.Schema(
+  {
+    channel: {
+      type: String,
+      required: true,
+    },
+    success: {
+      type: Boolean,
+      required: true,
+    },
+    error: {
+      type: String,
+    },
+    sentAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+const stockAlertSchema = new mongoose.Schema(
+  {
+    productVariantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ProductVariant',
+      required: true,
+    },
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+    },
+    productTitle: {
+      type: String,
+      trim: true,
+    },
+    sku: {
+      type: String,
+    },
+    size: {
+      type: String,
+    },
+    color: {
+      type: String,
+    },
+    quantity: {
+      type: Number, // Stock when the alert was raised
+      required: true,
+    },
+    reorderPoint: {
+      type: Number,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: Object.values(STOCK_ALERT_STATUS),
+      default: STOCK_ALERT_STATUS.OPEN,
+    },
+    acknowledgedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    acknowledgedAt: {
+      type: Date,
+    },
+    resolvedAt: {
+      type: Date,
+    },
+    deliveries: [deliverySchema],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// At most one unresolved alert per variant
+stockAlertSchema.index(
+  { productVariantId: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: [STOCK_ALERT_STATUS.OPEN, STOCK_ALERT_STATUS.ACKNOWLEDGED] } } }
+);
+stockAlertSchema.index({ status: 1, createdAt: -1 });
+
+export const StockAlert = mongoose.model('StockAlert', stockAlertSchema);
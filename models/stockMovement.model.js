@@ -0,0 +1,92 @@
+import mongoose from 'mongoose';
+
+// Why a variant's stock changed
+export const STOCK_MOVEMENT_TYPES = {
+  RESTOCK: 'restock',
+  SALE: 'sale',
+  CANCEL: 'cancel',
+  RETURN: 'return',
+  ADJUSTMENT: 'adjustment',
+  TRANSFER: 'transfer',
+};
+
+// Documents a movement can point back to
+export const STOCK_REFERENCE_MODELS = ['Order', 'Payment', 'StockTransfer', 'PurchaseOrder', 'ProductImport'];
+
+// One change to ProductVariant.quantity. Entries are never edited or removed,
+// so the sum of a variant's movements should always equal its quantity.
+const stockMovementSchema = new mongoose.Schema(
+  {
+    productVariantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ProductVariant',
+      required: [true, 'Product variant is required'],
+    },
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+    },
+    warehouseId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Warehouse', // Where the stock changed
+    },
+    type: {
+      type: String,
+      enum: Object.values(STOCK_MOVEMENT_TYPES),
+      required: [true, 'Movement type is required'],
+    },
+    quantity: {
+      type: Number, // Signed change: positive adds stock, negative removes it
+      required: [true, 'Quantity is required'],
+      validate: {
+        validator: value => Number.isInteger(value) && value !== 0,
+        message: 'Quantity must be a non-zero integer',
+      },
+    },
+    balance: {
+      type: Number, // Variant quantity across all warehouses right after the movement
+      required: true,
+      min: 0,
+    },
+    reason: {
+      type: String,
+      trim: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User', // Who made the change; empty for system changes
+    },
+    referenceModel: {
+      type: String,
+      enum: STOCK_REFERENCE_MODELS,
+    },
+    referenceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'referenceModel', // The document behind the change
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+stockMovementSchema.index({ productVariantId: 1, createdAt: -1 });
+stockMovementSchema.index({ referenceModel: 1, referenceId: 1 });
+
+// The ledger is append-only
+const rejectChange = async function () {
+  throw new Error('Stock movements cannot be changed or deleted');
+};
+
+stockMovementSchema.pre('save', async function () {
+  if (!this.isNew) {
+    await rejectChange();
+  }
+});
+
+for (const operation of ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteMany', 'findOneAndDelete']) {
+  stockMovementSchema.pre(operation, rejectChange);
+}
+stockMovementSchema.pre('deleteOne', { document: true, query: true }, rejectChange);
+
+export const StockMovement = mongoose.model('StockMovement', stockMovementSchema);
@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+
+// Stock moved from one warehouse to another
+const stockTransferSchema = new mongoose.Schema(
+  {
+    fromWarehouseId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Warehouse',
+      required: true,
+    },
+    toWarehouseId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Warehouse',
+      required: true,
+    },
+    items: [
+      {
+        productVariantId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'ProductVariant',
+          required: true,
+        },
+        quantity: {
+          type: Number,
+          required: true,
+          min: [1, 'Quantity cannot be less than 1'],
+        },
+      },
+    ],
+    note: {
+      type: String,
+      trim: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+stockTransferSchema.index({ createdAt: -1 });
+
+export const StockTransfer = mongoose.model('StockTransfer', stockTransferSchema);
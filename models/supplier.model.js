@@ -1,18 +1,91 @@
 import mongoose from 'mongoose';
 
+// When we pay a supplier's invoices
+export const PAYMENT_TERMS = ['prepaid', 'cod', 'net_15', 'net_30', 'net_45', 'net_60'];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// Digits with optional leading +, spaces, dots, dashes and parentheses, e.g. +84 28 3822 1234
+const PHONE_PATTERN = /^\+?[\d\s().-]{8,20}$/;
+// Vietnamese tax codes have 10 digits, branches add a 3-digit suffix
+const TAX_ID_PATTERN = /^\d{10}(-\d{3})?$/;
+
+const contactSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Contact name is required'],
+    trim: true,
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    match: [EMAIL_PATTERN, 'Invalid contact email'],
+  },
+  phone: {
+    type: String,
+    trim: true,
+    match: [PHONE_PATTERN, 'Invalid contact phone number'],
+  },
+  role: {
+    type: String, // e.g. Sales, Accounting, Warehouse
+    trim: true,
+  },
+  isPrimary: {
+    type: Boolean,
+    default: false,
+  },
+});
+
 const supplierSchema = new mongoose.Schema(
   {
     name: {
       type: String,
-      required: true,
+      required: [true, 'Supplier name is required'],
+      trim: true,
     },
     address: {
       type: String,
-      required: true,
+      required: [true, 'Address is required'],
+      trim: true,
+      minlength: [5, 'Address is too short'],
     },
     phone: {
       type: String,
-      required: true,
+      required: [true, 'Phone number is required'],
+      trim: true,
+      match: [PHONE_PATTERN, 'Invalid phone number'],
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      match: [EMAIL_PATTERN, 'Invalid email'],
+    },
+    taxId: {
+      type: String,
+      trim: true,
+      match: [TAX_ID_PATTERN, 'Tax ID must be 10 digits, optionally followed by a 3-digit branch suffix'],
+    },
+    paymentTerms: {
+      type: String,
+      enum: { values: PAYMENT_TERMS, message: `Payment terms must be one of: ${PAYMENT_TERMS.join(', ')}` },
+      default: 'net_30',
+    },
+    contacts: [contactSchema],
+    notes: {
+      type: String,
+      trim: true,
+    },
+    isDeleted: {
+      type: Boolean, // Soft delete keeps purchase orders and product links intact
+      default: false,
+    },
+    deletedAt: {
+      type: Date,
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
     },
   },
   {
@@ -20,4 +93,20 @@ const supplierSchema = new mongoose.Schema(
   }
 );
 
+// Names and tax IDs are unique among suppliers that haven't been deleted
+supplierSchema.index(
+  { name: 1 },
+  { unique: true, partialFilterExpression: { isDeleted: false }, collation: { locale: 'en', strength: 2 } }
+);
+supplierSchema.index(
+  { taxId: 1 },
+  { unique: true, partialFilterExpression: { isDeleted: false, taxId: { $type: 'string' } } }
+);
+
+// At most one primary contact
+supplierSchema.path('contacts').validate(
+  contacts => contacts.filter(contact => contact.isPrimary).length <= 1,
+  'Only one contact can be the primary contact'
+);
+
 export const Supplier = mongoose.model('Supplier', supplierSchema);
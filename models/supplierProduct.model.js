@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+
+// A product a supplier sells us, with their terms. Without a variant the
+// terms apply to every variant of the product; a variant-specific entry wins.
+const supplierProductSchema = new mongoose.Schema(
+  {
+    supplierId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Supplier',
+      required: [true, 'Supplier is required'],
+    },
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: [true, 'Product is required'],
+    },
+    productVariantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ProductVariant',
+      default: null,
+    },
+    supplierSku: {
+      type: String, // The supplier's own code for the item, printed on purchase orders
+      trim: true,
+    },
+    costPrice: {
+      type: Number, // What we pay per unit
+      required: [true, 'Cost price is required'],
+      min: [0, 'Cost price cannot be negative'],
+    },
+    leadTimeDays: {
+      type: Number, // Days from sending a purchase order to delivery
+      min: [0, 'Lead time cannot be negative'],
+      default: 0,
+    },
+    minOrderQuantity: {
+      type: Number,
+      min: [1, 'Minimum order quantity must be at least 1'],
+      default: 1,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+supplierProductSchema.index({ supplierId: 1, productId: 1, productVariantId: 1 }, { unique: true });
+supplierProductSchema.index({ productId: 1 });
+
+export const SupplierProduct = mongoose.model('SupplierProduct', supplierProductSchema);
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { ROLES, PERMISSIONS, hasPermission } from '../config/roles.js';
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -9,7 +10,16 @@ const userSchema = new mongoose.Schema({
   role: {
     type: String,
     required: true,
+    lowercase: true,
+    trim: true,
+    enum: Object.values(ROLES),
+    default: ROLES.CUSTOMER,
   },
+  // Extra permissions granted on top of the role
+  permissions: [{
+    type: String,
+    enum: Object.values(PERMISSIONS),
+  }],
   password: {
     type: String,
     required: true,
@@ -43,4 +53,8 @@ const userSchema = new mongoose.Schema({
   timestamps: true,
 });
 
+userSchema.methods.hasPermission = function (permission) {
+  return hasPermission(this, permission);
+};
+
 export const User = mongoose.model('User', userSchema);
@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+
+const warehouseSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Warehouse name is required'],
+      trim: true,
+      unique: true,
+    },
+    code: {
+      type: String,
+      required: [true, 'Warehouse code is required'], // Short code used on labels and reports, e.g. HCM1
+      trim: true,
+      uppercase: true,
+      unique: true,
+    },
+    address: {
+      type: String,
+      trim: true,
+    },
+    priority: {
+      type: Number, // Lower numbers are picked first when fulfilling orders
+      default: 0,
+    },
+    isDefault: {
+      type: Boolean, // Receives stock when no warehouse is given
+      default: false,
+    },
+    isActive: {
+      type: Boolean, // Inactive warehouses don't ship orders or receive stock
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Only one default warehouse
+warehouseSchema.index({ isDefault: 1 }, { unique: true, partialFilterExpression: { isDefault: true } });
+
+export const Warehouse = mongoose.model('Warehouse', warehouseSchema);
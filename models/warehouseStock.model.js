@@ -0,0 +1,36 @@
+import mongoose from 'mongoose';
+
+// Stock of one variant in one warehouse. ProductVariant.quantity is the sum
+// over all warehouses and is updated in the same transaction.
+const warehouseStockSchema = new mongoose.Schema(
+  {
+    warehouseId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Warehouse',
+      required: true,
+    },
+    productVariantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ProductVariant',
+      required: true,
+    },
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      default: 0,
+      min: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+warehouseStockSchema.index({ warehouseId: 1, productVariantId: 1 }, { unique: true });
+warehouseStockSchema.index({ productVariantId: 1 });
+
+export const WarehouseStock = mongoose.model('WarehouseStock', warehouseStockSchema);
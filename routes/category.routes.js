@@ -1,5 +1,19 @@
 import express from 'express';
-import { getAllCategories, createCategory } from '../controllers/category.controller.js';
+import {
+  getAllCategories,
+  getCategoryTree,
+  getCategory,
+  getCategoryBreadcrumbs,
+  getCategoryAttributes,
+  createCategory,
+  updateCategory,
+  updateCategoryAttributes,
+  deleteCategory
+} from '../controllers/category.controller.js';
+import { protectRoute } from '../middleware/protectRoute.js';
+import { authorize } from '../middleware/authorize.js';
+import { PERMISSIONS } from '../config/roles.js';
+import { parseCategoryImage } from '../middleware/upload.js';
 
 const router = express.Router();
 
@@ -11,6 +25,13 @@ const router = express.Router();
  */
 
 router.get('/', getAllCategories);
-router.post('/', createCategory);
+router.get('/tree', getCategoryTree);
+router.get('/:idOrSlug', getCategory);
+router.get('/:idOrSlug/breadcrumbs', getCategoryBreadcrumbs);
+router.get('/:idOrSlug/attributes', getCategoryAttributes);
+router.post('/', protectRoute, authorize(PERMISSIONS.CATEGORIES_WRITE), parseCategoryImage, createCategory);
+router.put('/:id', protectRoute, authorize(PERMISSIONS.CATEGORIES_WRITE), parseCategoryImage, updateCategory);
+router.put('/:id/attributes', protectRoute, authorize(PERMISSIONS.CATEGORIES_WRITE), updateCategoryAttributes);
+router.delete('/:id', protectRoute, authorize(PERMISSIONS.CATEGORIES_WRITE), deleteCategory);
 
-export default router; 
\ No newline at end of file
+export default router;
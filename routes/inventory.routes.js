@@ -0,0 +1,33 @@
+import express from 'express';
+import {
+  getMovements,
+  reconcileStock,
+  getLowStockReport,
+  getStockAlerts,
+  acknowledgeStockAlert,
+  runStockCheck
+} from '../controllers/inventory.controller.js';
+import { protectRoute } from '../middleware/protectRoute.js';
+import { authorize } from '../middleware/authorize.js';
+import { PERMISSIONS } from '../config/roles.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Inventory
+ *   description: Stock ledger and inventory checks
+ */
+
+// All routes require authentication
+router.use(protectRoute);
+
+router.get('/variants/:variantId/movements', authorize(PERMISSIONS.INVENTORY_READ), getMovements);
+router.post('/reconcile', authorize(PERMISSIONS.INVENTORY_WRITE), reconcileStock);
+router.get('/low-stock', authorize(PERMISSIONS.INVENTORY_READ), getLowStockReport);
+router.get('/alerts', authorize(PERMISSIONS.INVENTORY_READ), getStockAlerts);
+router.post('/alerts/check', authorize(PERMISSIONS.INVENTORY_WRITE), runStockCheck);
+router.put('/alerts/:id/acknowledge', authorize(PERMISSIONS.INVENTORY_READ), acknowledgeStockAlert);
+
+export default router;
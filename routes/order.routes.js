@@ -6,9 +6,12 @@ import {
   getUserOrders,
   updateOrderStatus,
   getOrderDetails,
-  getPendingOrders
+  getPendingOrders,
+  getOrderHistory
 } from '../controllers/order.controller.js';
 import { protectRoute } from '../middleware/protectRoute.js';
+import { authorize } from '../middleware/authorize.js';
+import { PERMISSIONS } from '../config/roles.js';
 
 const router = express.Router();
 
@@ -24,11 +27,12 @@ router.use(protectRoute);
 
 // Order routes
 router.post('/', createOrder);                          // Create new order
-router.get('/', getAllOrders);                          // Get all orders (admin)
+router.get('/', authorize(PERMISSIONS.ORDERS_READ_ALL), getAllOrders);             // Get all orders (staff)
 router.get('/user', getUserOrders);                     // Get user's orders
-router.get('/pending', getPendingOrders);               // Get pending orders
+router.get('/pending', authorize(PERMISSIONS.ORDERS_READ_ALL), getPendingOrders);  // Get pending orders (staff)
 router.get('/detail/:orderId', getOrderDetails);        // Get detailed order info
 router.get('/id/:orderId', getOrderById);              // Get basic order info
-router.put('/status', updateOrderStatus);               // Update order status
+router.get('/id/:orderId/history', getOrderHistory);    // Get order status timeline
+router.put('/status', authorize(PERMISSIONS.ORDERS_UPDATE_STATUS), updateOrderStatus); // Update order status (staff)
 
 export default router;
\ No newline at end of file
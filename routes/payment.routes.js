@@ -1,5 +1,8 @@
 import express from 'express';
-import { getAllPayments, createPayment } from '../controllers/payment.controller.js';
+import { getAllPayments, createPayment, capturePayment, createMomoPayment, momoIpn, momoReturn, createRefund } from '../controllers/payment.controller.js';
+import { protectRoute } from '../middleware/protectRoute.js';
+import { authorize } from '../middleware/authorize.js';
+import { PERMISSIONS } from '../config/roles.js';
 
 const router = express.Router();
 
@@ -10,7 +13,17 @@ const router = express.Router();
  *   description: Payment management
  */
 
-router.get('/', getAllPayments);
+// Gateway callbacks are public; they are authenticated by their signature
+router.post('/momo/ipn', momoIpn);
+router.get('/momo/return', momoReturn);
+
+// All other routes require authentication
+router.use(protectRoute);
+
+router.post('/momo', createMomoPayment);
+router.get('/', getAllPayments); // Staff see all payments, customers their own
 router.post('/', createPayment);
+router.post('/:id/capture', authorize(PERMISSIONS.PAYMENTS_RECORD), capturePayment);
+router.post('/:id/refunds', authorize(PERMISSIONS.PAYMENTS_REFUND), createRefund);
 
 export default router; 
\ No newline at end of file
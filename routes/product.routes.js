@@ -7,14 +7,35 @@ import {
   getProductById,
   updateProduct,
   deleteProduct,
+  restoreProduct,
+  getManagedProducts,
   recommendProducts,
   getProductVariantsByProductId,
+  createVariant,
+  updateVariant,
+  deleteVariant,
+  lookupVariant,
+  getVariantLabel,
+  generateVariantCodes,
   calculateTotalStock,
   restockVariant,
-  initializeProducts,
+  getProductImages,
+  uploadProductImages,
+  updateProductImageOrder,
+  setPrimaryProductImage,
+  updateProductImage,
+  deleteProductImage,
+  seedProducts,
+  importProducts,
+  getProductImport,
+  exportProducts,
   getTopSellingProducts
 } from '../controllers/product.controller.js';
+import { getProductReviews } from '../controllers/review.controller.js';
 import { protectRoute } from '../middleware/protectRoute.js';
+import { authorize } from '../middleware/authorize.js';
+import { PERMISSIONS } from '../config/roles.js';
+import { parseProductImages, parseImportFile } from '../middleware/upload.js';
 
 const router = express.Router();
 
@@ -29,17 +50,39 @@ const router = express.Router();
 router.get('/', getAllProducts);
 router.get('/search', getProducts);
 router.get('/id/:id', getProductById);
+router.get('/id/:id/reviews', getProductReviews);
+router.get('/id/:id/images', getProductImages);
 router.post('/recommend', recommendProducts);
 
 // Protected routes (require authentication)
-router.post('/', protectRoute, createProduct);
-router.get('/inventory', protectRoute, getProductInventory);
-router.put('/id/:id', protectRoute, updateProduct);
-router.delete('/:id', protectRoute, deleteProduct);
+// Scanner lookup is registered first so "lookup" isn't read as a product ID
+router.get('/variants/lookup', protectRoute, authorize(PERMISSIONS.INVENTORY_READ), lookupVariant);
 router.get('/variants/:id', protectRoute, getProductVariantsByProductId);
-router.post('/calculate-stock', protectRoute, calculateTotalStock);
-router.post('/variants/restock', protectRoute, restockVariant);
-router.post('/init', protectRoute, initializeProducts);
-router.get('/top-selling', protectRoute, getTopSellingProducts);
+
+// Staff routes (require specific permissions)
+router.post('/', protectRoute, authorize(PERMISSIONS.PRODUCTS_WRITE), createProduct);
+router.get('/manage', protectRoute, authorize(PERMISSIONS.PRODUCTS_WRITE), getManagedProducts);
+router.get('/inventory', protectRoute, authorize(PERMISSIONS.INVENTORY_READ), getProductInventory);
+router.put('/id/:id', protectRoute, authorize(PERMISSIONS.PRODUCTS_WRITE), updateProduct);
+router.delete('/:id', protectRoute, authorize(PERMISSIONS.PRODUCTS_DELETE), deleteProduct);
+router.post('/:id/restore', protectRoute, authorize(PERMISSIONS.PRODUCTS_DELETE), restoreProduct);
+router.post('/calculate-stock', protectRoute, authorize(PERMISSIONS.INVENTORY_WRITE), calculateTotalStock);
+router.post('/:id/variants', protectRoute, authorize(PERMISSIONS.PRODUCTS_WRITE), createVariant);
+router.put('/:id/variants/:variantId', protectRoute, authorize(PERMISSIONS.PRODUCTS_WRITE), updateVariant);
+router.delete('/:id/variants/:variantId', protectRoute, authorize(PERMISSIONS.PRODUCTS_WRITE), deleteVariant);
+// "order" is registered before :imageId so it isn't read as an image ID
+router.post('/:id/images', protectRoute, authorize(PERMISSIONS.PRODUCTS_WRITE), parseProductImages, uploadProductImages);
+router.put('/:id/images/order', protectRoute, authorize(PERMISSIONS.PRODUCTS_WRITE), updateProductImageOrder);
+router.put('/:id/images/:imageId/primary', protectRoute, authorize(PERMISSIONS.PRODUCTS_WRITE), setPrimaryProductImage);
+router.put('/:id/images/:imageId', protectRoute, authorize(PERMISSIONS.PRODUCTS_WRITE), updateProductImage);
+router.delete('/:id/images/:imageId', protectRoute, authorize(PERMISSIONS.PRODUCTS_WRITE), deleteProductImage);
+router.get('/variants/:variantId/label', protectRoute, authorize(PERMISSIONS.INVENTORY_READ), getVariantLabel);
+router.post('/variants/generate-codes', protectRoute, authorize(PERMISSIONS.PRODUCTS_WRITE), generateVariantCodes);
+router.post('/variants/restock', protectRoute, authorize(PERMISSIONS.INVENTORY_WRITE), restockVariant);
+router.post('/import', protectRoute, authorize(PERMISSIONS.PRODUCTS_WRITE, PERMISSIONS.INVENTORY_WRITE), parseImportFile, importProducts);
+router.get('/import/:importId', protectRoute, authorize(PERMISSIONS.PRODUCTS_WRITE), getProductImport);
+router.get('/export', protectRoute, authorize(PERMISSIONS.PRODUCTS_WRITE), exportProducts);
+router.post('/seed', protectRoute, authorize(PERMISSIONS.CATALOG_SEED), seedProducts);
+router.get('/top-selling', protectRoute, authorize(PERMISSIONS.ORDERS_READ_ALL), getTopSellingProducts);
 
 export default router; 
\ No newline at end of file
@@ -0,0 +1,36 @@
+import express from 'express';
+import {
+  getPurchaseOrders,
+  getPurchaseOrderById,
+  createPurchaseOrder,
+  updatePurchaseOrder,
+  updatePurchaseOrderStatus,
+  receivePurchaseOrder,
+  deletePurchaseOrder
+} from '../controllers/purchaseOrder.controller.js';
+import { protectRoute } from '../middleware/protectRoute.js';
+import { authorize } from '../middleware/authorize.js';
+import { PERMISSIONS } from '../config/roles.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Purchase Order
+ *   description: Ordering stock from suppliers and receiving deliveries
+ */
+
+// All routes require authentication
+router.use(protectRoute);
+
+router.get('/', authorize(PERMISSIONS.SUPPLIERS_READ), getPurchaseOrders);
+router.post('/', authorize(PERMISSIONS.SUPPLIERS_WRITE), createPurchaseOrder);
+router.get('/:id', authorize(PERMISSIONS.SUPPLIERS_READ), getPurchaseOrderById);
+router.put('/:id', authorize(PERMISSIONS.SUPPLIERS_WRITE), updatePurchaseOrder);
+router.delete('/:id', authorize(PERMISSIONS.SUPPLIERS_WRITE), deletePurchaseOrder);
+router.put('/:id/status', authorize(PERMISSIONS.SUPPLIERS_WRITE), updatePurchaseOrderStatus);
+// Receiving puts goods into stock, so it also needs inventory access
+router.post('/:id/receive', authorize(PERMISSIONS.SUPPLIERS_WRITE, PERMISSIONS.INVENTORY_WRITE), receivePurchaseOrder);
+
+export default router;
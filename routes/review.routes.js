@@ -1,5 +1,17 @@
 import express from 'express';
-import { getAllReviews, createReview } from '../controllers/review.controller.js';
+import {
+  getAllReviews,
+  createReview,
+  updateReview,
+  deleteReview,
+  getModerationQueue,
+  moderateReview,
+  flagReview
+} from '../controllers/review.controller.js';
+import { protectRoute } from '../middleware/protectRoute.js';
+import { authorize } from '../middleware/authorize.js';
+import { PERMISSIONS } from '../config/roles.js';
+import { parseReviewImages } from '../middleware/upload.js';
 
 const router = express.Router();
 
@@ -11,6 +23,13 @@ const router = express.Router();
  */
 
 router.get('/', getAllReviews);
-router.post('/', createReview);
+router.post('/', protectRoute, parseReviewImages, createReview);
+router.put('/:id', protectRoute, parseReviewImages, updateReview);
+router.delete('/:id', protectRoute, deleteReview);
+router.post('/:id/flag', protectRoute, flagReview);
 
-export default router; 
\ No newline at end of file
+// Staff moderation
+router.get('/moderation', protectRoute, authorize(PERMISSIONS.REVIEWS_MODERATE), getModerationQueue);
+router.put('/:id/moderation', protectRoute, authorize(PERMISSIONS.REVIEWS_MODERATE), moderateReview);
+
+export default router;
@@ -1,5 +1,22 @@
 import express from 'express';
-import { getAllSuppliers, createSupplier } from '../controllers/supplier.controller.js';
+import {
+  getAllSuppliers,
+  getSupplierById,
+  createSupplier,
+  updateSupplier,
+  deleteSupplier,
+  restoreSupplier,
+  addSupplierContact,
+  updateSupplierContact,
+  removeSupplierContact,
+  getSupplierProducts,
+  addSupplierProduct,
+  updateSupplierProduct,
+  removeSupplierProduct
+} from '../controllers/supplier.controller.js';
+import { protectRoute } from '../middleware/protectRoute.js';
+import { authorize } from '../middleware/authorize.js';
+import { PERMISSIONS } from '../config/roles.js';
 
 const router = express.Router();
 
@@ -10,7 +27,21 @@ const router = express.Router();
  *   description: Supplier management
  */
 
-router.get('/', getAllSuppliers);
-router.post('/', createSupplier);
+// Suppliers are internal data; every route is staff-only
+router.use(protectRoute);
 
-export default router; 
\ No newline at end of file
+router.get('/', authorize(PERMISSIONS.SUPPLIERS_READ), getAllSuppliers);
+router.post('/', authorize(PERMISSIONS.SUPPLIERS_WRITE), createSupplier);
+router.get('/:id', authorize(PERMISSIONS.SUPPLIERS_READ), getSupplierById);
+router.put('/:id', authorize(PERMISSIONS.SUPPLIERS_WRITE), updateSupplier);
+router.delete('/:id', authorize(PERMISSIONS.SUPPLIERS_WRITE), deleteSupplier);
+router.post('/:id/restore', authorize(PERMISSIONS.SUPPLIERS_WRITE), restoreSupplier);
+router.post('/:id/contacts', authorize(PERMISSIONS.SUPPLIERS_WRITE), addSupplierContact);
+router.put('/:id/contacts/:contactId', authorize(PERMISSIONS.SUPPLIERS_WRITE), updateSupplierContact);
+router.delete('/:id/contacts/:contactId', authorize(PERMISSIONS.SUPPLIERS_WRITE), removeSupplierContact);
+router.get('/:id/products', authorize(PERMISSIONS.SUPPLIERS_READ), getSupplierProducts);
+router.post('/:id/products', authorize(PERMISSIONS.SUPPLIERS_WRITE), addSupplierProduct);
+router.put('/:id/products/:linkId', authorize(PERMISSIONS.SUPPLIERS_WRITE), updateSupplierProduct);
+router.delete('/:id/products/:linkId', authorize(PERMISSIONS.SUPPLIERS_WRITE), removeSupplierProduct);
+
+export default router;
@@ -9,6 +9,8 @@ import {
   updateUserById
 } from "../controllers/user.controller.js";
 import { protectRoute } from "../middleware/protectRoute.js";
+import { authorize } from "../middleware/authorize.js";
+import { PERMISSIONS } from "../config/roles.js";
 
 const router = express.Router();
 
@@ -20,24 +22,24 @@ const router = express.Router();
  */
 
 // Route to update user information
-router.put("/update", updateUser);
+router.put("/update", protectRoute, updateUser);
 
 // Route to get all staff users
-router.get("/staff", getStaffUsers);
+router.get("/staff", protectRoute, authorize(PERMISSIONS.USERS_READ), getStaffUsers);
 
 // Route to create a new user
-router.post("/", createUser);
+router.post("/", protectRoute, authorize(PERMISSIONS.USERS_MANAGE), createUser);
 
 // Route to get current logged-in user information
 router.get("/me", protectRoute, getCurrentUser);
 
 // Route to get user by ID
-router.get("/:id", protectRoute, getUserById);
+router.get("/:id", protectRoute, authorize(PERMISSIONS.USERS_READ), getUserById);
 
 // Route to delete user
-router.delete("/:id", protectRoute, deleteUser);
+router.delete("/:id", protectRoute, authorize(PERMISSIONS.USERS_MANAGE), deleteUser);
 
 // Route to update user information
-router.put('/:id', protectRoute, updateUserById);
+router.put('/:id', protectRoute, authorize(PERMISSIONS.USERS_MANAGE), updateUserById);
 
 export default router; 
\ No newline at end of file
@@ -0,0 +1,37 @@
+import express from 'express';
+import {
+  getWarehouses,
+  createWarehouse,
+  updateWarehouse,
+  getWarehouseStock,
+  getVariantStock,
+  createTransfer,
+  getTransfers,
+  allocateStock
+} from '../controllers/warehouse.controller.js';
+import { protectRoute } from '../middleware/protectRoute.js';
+import { authorize } from '../middleware/authorize.js';
+import { PERMISSIONS } from '../config/roles.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Warehouse
+ *   description: Storage locations, their stock and transfers between them
+ */
+
+// All routes require authentication
+router.use(protectRoute);
+
+router.get('/', authorize(PERMISSIONS.INVENTORY_READ), getWarehouses);
+router.post('/', authorize(PERMISSIONS.INVENTORY_WRITE), createWarehouse);
+router.get('/transfers', authorize(PERMISSIONS.INVENTORY_READ), getTransfers);
+router.post('/transfers', authorize(PERMISSIONS.INVENTORY_WRITE), createTransfer);
+router.post('/allocate-unassigned', authorize(PERMISSIONS.INVENTORY_WRITE), allocateStock);
+router.get('/variants/:variantId/stock', authorize(PERMISSIONS.INVENTORY_READ), getVariantStock);
+router.put('/:id', authorize(PERMISSIONS.INVENTORY_WRITE), updateWarehouse);
+router.get('/:id/stock', authorize(PERMISSIONS.INVENTORY_READ), getWarehouseStock);
+
+export default router;
@@ -0,0 +1,32 @@
+// Seed the catalog from the command line.
+//
+//   npm run seed -- [--file seeds/catalog.json] [--seed 1] [--dry-run]
+//
+// Prints the report as JSON. See services/seed.service.js for how records are matched.
+import path from "path";
+import { parseArgs } from "util";
+import mongoose from "mongoose";
+import { connectDB } from "../config/db.js";
+import { loadSeedFile, seedCatalog, DEFAULT_SEED_FILE } from "../services/seed.service.js";
+
+const { values } = parseArgs({
+	options: {
+		file: { type: "string", default: DEFAULT_SEED_FILE },
+		seed: { type: "string" },
+		"dry-run": { type: "boolean", default: false },
+	},
+});
+
+const run = async () => {
+	const catalog = await loadSeedFile(path.resolve(values.file));
+	await connectDB();
+	const report = await seedCatalog(catalog, { seed: values.seed, dryRun: values["dry-run"] });
+	console.log(JSON.stringify(report, null, 2));
+};
+
+run()
+	.catch((error) => {
+		console.error("Error seeding the catalog: " + error.message);
+		process.exitCode = 1;
+	})
+	.finally(() => mongoose.disconnect());
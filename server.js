@@ -12,14 +12,21 @@ import orderRoutes from "./routes/order.routes.js";
 import paymentRoutes from "./routes/payment.routes.js";
 import categoryRoutes from "./routes/category.routes.js";
 import supplierRoutes from "./routes/supplier.routes.js";
-// import reviewRoutes from "./routes/review.routes.js";
+import reviewRoutes from "./routes/review.routes.js";
 import cartRoutes from "./routes/cart.routes.js"; // Import the cart routes
+import inventoryRoutes from "./routes/inventory.routes.js";
+import warehouseRoutes from "./routes/warehouse.routes.js";
+import purchaseOrderRoutes from "./routes/purchaseOrder.routes.js";
 
 
 import { ENV_VARS } from "./config/envVars.js";
 import { connectDB } from "./config/db.js";
 import { protectRoute } from "./middleware/protectRoute.js";
 import { setupSwagger } from "./config/swagger.js";
+import { allocateUnassignedStock } from "./services/warehouse.service.js";
+import { migrateCategories } from "./services/category.service.js";
+import { failInterruptedImports } from "./services/productImport.service.js";
+import { migrateProductStatus } from "./services/productLifecycle.service.js";
 
 const app = express();
 
@@ -33,17 +40,21 @@ const __dirname = path.resolve();
 
 app.use(express.json()); // will allow us to parse req.body
 app.use(cookieParser());
+app.use("/uploads", express.static(path.join(__dirname, "uploads"))); // Files from the local storage driver
 
 app.use("/api/v1/auth", authRoutes);
 app.use("/api/v1/users", userRoutes);
 
 app.use("/api/v1/products", productRoutes);
 app.use("/api/v1/orders", protectRoute, orderRoutes);
-app.use("/api/v1/payments", protectRoute, paymentRoutes);
+app.use("/api/v1/payments", paymentRoutes); // Routes apply protectRoute themselves; gateway callbacks are public
 app.use("/api/v1/categories", categoryRoutes);
 app.use("/api/v1/suppliers", supplierRoutes);
-// app.use("/api/v1/reviews", reviewRoutes);
+app.use("/api/v1/reviews", reviewRoutes);
 app.use("/api/v1/cart", protectRoute, cartRoutes); // Add the cart routes
+app.use("/api/v1/inventory", inventoryRoutes);
+app.use("/api/v1/warehouses", warehouseRoutes);
+app.use("/api/v1/purchase-orders", purchaseOrderRoutes);
 
 
 if (ENV_VARS.NODE_ENV === "production") {
@@ -59,6 +70,13 @@ setupSwagger(app);
 app.listen(PORT, () => {
   console.log("Server started at http://localhost:" + PORT);
   console.log("Swagger API documentation available at: http://localhost:" + PORT + "/api-docs");
-  connectDB();
+  connectDB()
+    .then(async () => {
+      await allocateUnassignedStock(); // Stock from before warehouses existed goes to the default warehouse
+      await migrateCategories(); // Slugs for categories from before the hierarchy
+      await failInterruptedImports(); // Background imports don't survive a restart
+      await migrateProductStatus(); // Products from before statuses stay on sale
+    })
+    .catch(error => console.error("Error migrating data: " + error.message));
   validateCloudinaryConnection();
 });
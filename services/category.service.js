@@ -0,0 +1,256 @@
+import mongoose from 'mongoose';
+import { Category } from '../models/category.model.js';
+import { Product } from '../models/product.model.js';
+import {
+    checkCategorySchemaChange,
+    findNonConformingProducts,
+    getCategorySchema,
+    summarizeNonConforming
+} from './productAttribute.service.js';
+
+export class CategoryError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'CategoryError';
+        this.statusCode = statusCode;
+    }
+}
+
+/**
+ * Turn a name into a URL-friendly slug, e.g. "Áo khoác" -> "ao-khoac".
+ * @param {string} value
+ * @returns {string}
+ */
+export const slugify = (value) => String(value)
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+    .replace(/[đĐ]/g, 'd')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+/**
+ * Generate a slug for a category name that no other category uses yet,
+ * adding -2, -3, ... when needed.
+ * @param {string} name
+ * @param {string} [excludeId] - The category the slug is for, when it already exists.
+ * @returns {Promise<string>}
+ */
+export const generateSlug = async (name, excludeId) => {
+    const base = slugify(name) || 'category';
+    const taken = await Category.find({ slug: new RegExp(`^${base}(-\\d+)?$`), _id: { $ne: excludeId } }).distinct('slug');
+    if (!taken.includes(base)) {
+        return base;
+    }
+    let suffix = 2;
+    while (taken.includes(`${base}-${suffix}`)) {
+        suffix++;
+    }
+    return `${base}-${suffix}`;
+};
+
+/**
+ * Bring categories from before the hierarchy up to date: give them slugs and
+ * drop the old index that kept names unique across the whole catalog, which
+ * would stop subcategories in different branches sharing a name.
+ * Runs at startup and is safe to run again.
+ */
+export const migrateCategories = async () => {
+    const indexes = await Category.collection.indexes().catch(() => []);
+    if (indexes.some(index => index.name === 'name_1' && index.unique)) {
+        await Category.collection.dropIndex('name_1');
+    }
+
+    const withoutSlug = await Category.find({ slug: { $exists: false } });
+    for (const category of withoutSlug) {
+        await category.save(); // The validate hook generates the slug
+    }
+};
+
+/**
+ * Find a category by ID or slug.
+ * @param {string} idOrSlug
+ * @returns {Promise<object|null>}
+ */
+export const findCategory = (idOrSlug) => (mongoose.Types.ObjectId.isValid(idOrSlug)
+    ? Category.findById(idOrSlug)
+    : Category.findOne({ slug: String(idOrSlug).toLowerCase() }));
+
+/**
+ * Expand categories, given by ID or slug, to themselves and all their descendants.
+ * @param {string[]} idsOrSlugs
+ * @returns {Promise<object[]>} - Category ObjectIds; unknown categories are left out.
+ */
+export const getCategoryIdsWithDescendants = async (idsOrSlugs) => {
+    const ids = idsOrSlugs.filter(value => mongoose.Types.ObjectId.isValid(value));
+    const slugs = idsOrSlugs.filter(value => !mongoose.Types.ObjectId.isValid(value)).map(value => value.toLowerCase());
+
+    const roots = await Category.find({ $or: [{ _id: { $in: ids } }, { slug: { $in: slugs } }] }).distinct('_id');
+    if (roots.length === 0) {
+        return [];
+    }
+    return Category.find({ $or: [{ _id: { $in: roots } }, { ancestors: { $in: roots } }] }).distinct('_id');
+};
+
+/**
+ * Nest categories into a tree, siblings ordered by sortOrder then name.
+ * @param {object[]} categories - Plain category objects.
+ * @returns {object[]} - The top-level categories, each with children.
+ */
+export const buildCategoryTree = (categories) => {
+    const nodes = new Map(categories.map(category => [category._id.toString(), { ...category, children: [] }]));
+    const roots = [];
+
+    for (const node of nodes.values()) {
+        const parent = node.parent && nodes.get(node.parent.toString());
+        (parent ? parent.children : roots).push(node);
+    }
+
+    const sortNodes = (list) => {
+        list.sort((a, b) => a.sortOrder - b.sortOrder || a.name.localeCompare(b.name));
+        list.forEach(node => sortNodes(node.children));
+        return list;
+    };
+    return sortNodes(roots);
+};
+
+/**
+ * The path from the root down to a category.
+ * @param {object} category
+ * @returns {Promise<{ _id: object, name: string, slug: string }[]>}
+ */
+export const getBreadcrumbs = async (category) => {
+    const ancestors = await Category.find({ _id: { $in: category.ancestors } }).select('name slug').lean();
+    const byId = new Map(ancestors.map(ancestor => [ancestor._id.toString(), ancestor]));
+    return [
+        ...category.ancestors.map(id => byId.get(id.toString())).filter(Boolean),
+        { _id: category._id, name: category.name, slug: category.slug },
+    ];
+};
+
+/**
+ * Work out the ancestors of a category placed under the given parent.
+ * @param {string|null} parentId
+ * @param {string} [categoryId] - The category being moved; it can't go under itself or a descendant.
+ * @returns {Promise<object[]>}
+ */
+export const resolveAncestors = async (parentId, categoryId) => {
+    if (!parentId) {
+        return [];
+    }
+
+    const parent = mongoose.Types.ObjectId.isValid(parentId) ? await Category.findById(parentId) : null;
+    if (!parent) {
+        throw new CategoryError('Parent category not found', 404);
+    }
+    if (categoryId && (parent._id.equals(categoryId) || parent.ancestors.some(id => id.equals(categoryId)))) {
+        throw new CategoryError('A category cannot be moved under itself or one of its subcategories');
+    }
+    return [...parent.ancestors, parent._id];
+};
+
+/**
+ * Check that a category can take the attributes it would inherit under new
+ * ancestors: no key defined twice, and its products and those of its
+ * subcategories still match unless force is set.
+ * @param {object} category - The Category document.
+ * @param {object[]} ancestors - The ancestors it would get.
+ * @param {{ force?: boolean }} [options]
+ */
+const assertAttributesFit = async (category, ancestors, { force = false } = {}) => {
+    const { conflicts, nonConforming } = await checkCategorySchemaChange(category, { ancestors });
+    if (conflicts.length > 0) {
+        throw new CategoryError(`Attributes clash with the new parent: ${conflicts.join('; ')}`, 409);
+    }
+    if (nonConforming.total > 0 && !force) {
+        throw new CategoryError(`${summarizeNonConforming(nonConforming)}. Update them first or move with force.`, 409);
+    }
+};
+
+/**
+ * Move a category under a new parent and update the ancestors of all its
+ * descendants to match.
+ * @param {object} category - The Category document.
+ * @param {string|null} parentId - The new parent, or null for top level.
+ * @param {{ force?: boolean }} [options] - force moves even when products no longer match the inherited attributes.
+ */
+export const moveCategory = async (category, parentId, { force = false } = {}) => {
+    const ancestors = await resolveAncestors(parentId, category._id);
+    await assertAttributesFit(category, ancestors, { force });
+    const previousDepth = category.ancestors.length;
+
+    category.parent = parentId || null;
+    category.ancestors = ancestors;
+    await category.save();
+
+    // Descendants keep their path below the moved category
+    const descendants = await Category.find({ ancestors: category._id });
+    if (descendants.length > 0) {
+        await Category.bulkWrite(descendants.map(descendant => ({
+            updateOne: {
+                filter: { _id: descendant._id },
+                update: { $set: { ancestors: [...ancestors, ...descendant.ancestors.slice(previousDepth)] } },
+            },
+        })));
+    }
+};
+
+/**
+ * Delete a category. A category that still has products or subcategories is
+ * only deleted when another category is given to take them over; otherwise
+ * the deletion is blocked. So is a takeover that would leave products not
+ * matching their new attributes, unless force is set.
+ * @param {object} category - The Category document.
+ * @param {{ reassignTo?: string, force?: boolean }} [options]
+ * @returns {Promise<{ productsMoved: number, childrenMoved: number }>}
+ */
+export const deleteCategory = async (category, { reassignTo, force = false } = {}) => {
+    const [productCount, children] = await Promise.all([
+        Product.countDocuments({ categoryId: category._id }),
+        Category.find({ parent: category._id }),
+    ]);
+
+    if ((productCount > 0 || children.length > 0) && !reassignTo) {
+        throw new CategoryError(
+            `The category has ${productCount} product(s) and ${children.length} subcategory(ies). Pass reassignTo to move them to another category.`,
+            409
+        );
+    }
+
+    let target = null;
+    if (reassignTo) {
+        target = await findCategory(reassignTo);
+        if (!target) {
+            throw new CategoryError('Category to reassign to not found', 404);
+        }
+        if (target._id.equals(category._id) || target.ancestors.some(id => id.equals(category._id))) {
+            throw new CategoryError('Cannot reassign to the category itself or one of its subcategories');
+        }
+
+        // Check everything before moving anything, so a refusal leaves the tree as it was
+        for (const child of children) {
+            await assertAttributesFit(child, [...target.ancestors, target._id], { force });
+        }
+        if (productCount > 0 && !force) {
+            const { attributes } = await getCategorySchema(target._id);
+            const nonConforming = await findNonConformingProducts({ categoryId: category._id }, () => attributes);
+            if (nonConforming.total > 0) {
+                throw new CategoryError(`${summarizeNonConforming(nonConforming)}. Update them first or delete with force.`, 409);
+            }
+        }
+    }
+
+    let productsMoved = 0;
+    if (productCount > 0) {
+        const result = await Product.updateMany({ categoryId: category._id }, { $set: { categoryId: target._id } });
+        productsMoved = result.modifiedCount;
+    }
+
+    for (const child of children) {
+        await moveCategory(child, target._id, { force: true });
+    }
+
+    await Category.deleteOne({ _id: category._id });
+
+    return { productsMoved, childrenMoved: children.length };
+};
@@ -0,0 +1,263 @@
+import mongoose from 'mongoose';
+import { ProductVariant } from '../models/productVariant.model.js';
+import { Product } from '../models/product.model.js';
+import { WarehouseStock } from '../models/warehouseStock.model.js';
+import { StockMovement, STOCK_MOVEMENT_TYPES } from '../models/stockMovement.model.js';
+import { getDefaultWarehouse } from './warehouse.service.js';
+
+// Thrown inside a transaction to roll back a change that can't be applied
+class InsufficientStockError extends Error {}
+
+/**
+ * Run work inside the given transaction, or in a new one when there is none.
+ * @param {object|undefined} session
+ * @param {function(object): Promise<*>} work
+ * @returns {Promise<*>}
+ */
+export const runInTransaction = async (session, work) => {
+    if (session) {
+        return work(session);
+    }
+
+    const ownSession = await mongoose.startSession();
+    try {
+        let result;
+        await ownSession.withTransaction(async () => {
+            result = await work(ownSession);
+        });
+        return result;
+    } finally {
+        await ownSession.endSession();
+    }
+};
+
+/**
+ * Change the stock of a variant in one warehouse and record the change in the
+ * stock ledger. The warehouse stock, the variant's total and the ledger entry
+ * are written in one transaction (requires a replica set). Removals only go
+ * through while the warehouse has enough stock left, so concurrent sales can't
+ * oversell. Product.totalStock is not refreshed here.
+ * When a session is passed and null comes back, the caller must abort its
+ * transaction, as part of the change may already be written.
+ * @param {string} variantId - The ProductVariant to change.
+ * @param {number} quantity - Units to add (positive) or remove (negative).
+ * @param {object} movement
+ * @param {string} movement.type - One of STOCK_MOVEMENT_TYPES.
+ * @param {string} [movement.warehouseId] - Warehouse to change; the default warehouse when omitted.
+ * @param {string} [movement.reason] - Free-text explanation.
+ * @param {string} [movement.user] - Who made the change.
+ * @param {{ model: string, id: string }} [movement.reference] - The document behind the change.
+ * @param {object} [movement.session] - Mongoose session of a running transaction.
+ * @returns {Promise<object|null>} - The updated variant, or null if it doesn't exist or has too little stock.
+ */
+export const adjustStock = async (variantId, quantity, { type, warehouseId, reason, user, reference, session } = {}) => {
+    try {
+        return await runInTransaction(session, async (transaction) => {
+            const warehouse = warehouseId || (await getDefaultWarehouse())._id;
+            const enough = quantity < 0 ? { quantity: { $gte: -quantity } } : {};
+
+            const variant = await ProductVariant.findOneAndUpdate(
+                { _id: variantId, ...enough },
+                { $inc: { quantity } },
+                { new: true, session: transaction }
+            );
+            if (!variant) {
+                throw new InsufficientStockError();
+            }
+
+            const stock = await WarehouseStock.findOneAndUpdate(
+                { warehouseId: warehouse, productVariantId: variant._id, ...enough },
+                { $inc: { quantity }, $setOnInsert: { productId: variant.productId } },
+                { new: true, upsert: quantity > 0, session: transaction }
+            );
+            if (!stock) {
+                throw new InsufficientStockError();
+            }
+
+            await StockMovement.create([{
+                productVariantId: variant._id,
+                productId: variant.productId,
+                warehouseId: warehouse,
+                type,
+                quantity,
+                balance: variant.quantity,
+                reason,
+                user,
+                referenceModel: reference?.model,
+                referenceId: reference?.id,
+            }], { session: transaction });
+
+            return variant;
+        });
+    } catch (error) {
+        if (error instanceof InsufficientStockError) {
+            return null;
+        }
+        throw error;
+    }
+};
+
+/**
+ * Take all stock of a variant off the books, one ledger entry per warehouse,
+ * e.g. before the variant is deleted. All warehouses are written off in one
+ * transaction, so a sale in between leaves everything untouched.
+ * @param {object} variant - The ProductVariant.
+ * @param {{ reason?: string, user?: string }} [options]
+ * @returns {Promise<boolean>} - false when the stock changed meanwhile; try again.
+ */
+export const writeOffVariantStock = async (variant, { reason, user } = {}) => {
+    const stocks = await WarehouseStock.find({ productVariantId: variant._id, quantity: { $gt: 0 } });
+    if (stocks.length === 0) {
+        return true;
+    }
+
+    try {
+        await runInTransaction(undefined, async (session) => {
+            for (const stock of stocks) {
+                const updated = await adjustStock(variant._id, -stock.quantity, {
+                    type: STOCK_MOVEMENT_TYPES.ADJUSTMENT,
+                    warehouseId: stock.warehouseId,
+                    reason,
+                    user,
+                    session,
+                });
+                if (!updated) {
+                    throw new InsufficientStockError();
+                }
+            }
+        });
+        return true;
+    } catch (error) {
+        if (error instanceof InsufficientStockError) {
+            return false;
+        }
+        throw error;
+    }
+};
+
+/**
+ * Recalculate Product.totalStock for the given products, e.g. after
+ * adjustStock, which doesn't run the variant save hook.
+ * @param {Iterable<string>} productIds
+ */
+export const refreshTotalStock = async (productIds) => {
+    for (const productId of productIds) {
+        const product = await Product.findById(productId);
+        if (product) {
+            await product.updateTotalStock();
+        }
+    }
+};
+
+/**
+ * Record the stock a variant starts with, e.g. when it is created, and put it
+ * in a warehouse.
+ * @param {object} variant - The new ProductVariant document.
+ * @param {{ warehouseId?: string, reason?: string, user?: string }} [options]
+ */
+export const recordInitialStock = async (variant, { warehouseId, reason = 'Initial stock', user } = {}) => {
+    if (variant.quantity <= 0) {
+        return;
+    }
+
+    const warehouse = warehouseId || (await getDefaultWarehouse())._id;
+    await WarehouseStock.updateOne(
+        { warehouseId: warehouse, productVariantId: variant._id },
+        { $inc: { quantity: variant.quantity }, $setOnInsert: { productId: variant.productId } },
+        { upsert: true }
+    );
+
+    await StockMovement.create({
+        productVariantId: variant._id,
+        productId: variant.productId,
+        warehouseId: warehouse,
+        type: STOCK_MOVEMENT_TYPES.ADJUSTMENT,
+        quantity: variant.quantity,
+        balance: variant.quantity,
+        reason,
+        user,
+    });
+};
+
+/**
+ * List the stock movements of a variant, newest first.
+ * @param {string} variantId
+ * @param {{ type?: string, from?: Date, to?: Date, page?: number, limit?: number }} [options]
+ * @returns {Promise<{ movements: object[], total: number }>}
+ */
+export const getVariantMovements = async (variantId, { type, from, to, page = 1, limit = 50 } = {}) => {
+    const query = { productVariantId: variantId };
+    if (type) {
+        query.type = type;
+    }
+    if (from || to) {
+        query.createdAt = {};
+        if (from) query.createdAt.$gte = from;
+        if (to) query.createdAt.$lte = to;
+    }
+
+    const [movements, total] = await Promise.all([
+        StockMovement.find(query)
+            .populate('user', 'username firstName lastName')
+            .sort({ createdAt: -1, _id: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit),
+        StockMovement.countDocuments(query),
+    ]);
+
+    return { movements, total };
+};
+
+/**
+ * Compare each variant's quantity with the sum of its ledger movements.
+ * With fix, an adjustment movement is recorded for every difference so the
+ * ledger matches the stock again; stock itself is never changed. Run it while
+ * no orders are being placed, or a sale in flight may show up as a difference.
+ * @param {object} [options]
+ * @param {string[]} [options.variantIds] - Only check these variants.
+ * @param {boolean} [options.fix] - Record adjustments for the differences found.
+ * @param {string} [options.user] - Who ran the reconciliation.
+ * @returns {Promise<{ checked: number, discrepancies: object[], fixed: number }>}
+ */
+export const reconcileInventory = async ({ variantIds, fix = false, user } = {}) => {
+    const ids = variantIds ? variantIds.map(id => new mongoose.Types.ObjectId(id)) : null;
+
+    const [variants, ledger] = await Promise.all([
+        ProductVariant.find(ids ? { _id: { $in: ids } } : {}).select('productId size color sku quantity'),
+        StockMovement.aggregate([
+            ...(ids ? [{ $match: { productVariantId: { $in: ids } } }] : []),
+            { $group: { _id: '$productVariantId', quantity: { $sum: '$quantity' } } },
+        ]),
+    ]);
+
+    const ledgerQuantities = new Map(ledger.map(entry => [entry._id.toString(), entry.quantity]));
+    const discrepancies = variants
+        .map(variant => {
+            const ledgerQuantity = ledgerQuantities.get(variant._id.toString()) || 0;
+            return {
+                productVariantId: variant._id,
+                productId: variant.productId,
+                sku: variant.sku,
+                size: variant.size,
+                color: variant.color,
+                quantity: variant.quantity,
+                ledgerQuantity,
+                difference: variant.quantity - ledgerQuantity,
+            };
+        })
+        .filter(entry => entry.difference !== 0);
+
+    if (fix && discrepancies.length > 0) {
+        await StockMovement.insertMany(discrepancies.map(entry => ({
+            productVariantId: entry.productVariantId,
+            productId: entry.productId,
+            type: STOCK_MOVEMENT_TYPES.ADJUSTMENT,
+            quantity: entry.difference,
+            balance: entry.quantity,
+            reason: 'Reconciliation with current stock',
+            user,
+        })));
+    }
+
+    return { checked: variants.length, discrepancies, fixed: fix ? discrepancies.length : 0 };
+};
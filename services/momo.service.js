@@ -1,69 +1,195 @@
 import axios from 'axios';
 import crypto from 'crypto';
+import { ENV_VARS } from '../config/envVars.js';
 
-// MoMo payment parameters
-const accessKey = 'F8BBA842ECF85';
-const secretKey = 'K951B6PE1waDMi640xX08PD3vg6EkVlz';
-const orderInfo = 'pay with MoMo';
-const partnerCode = 'MOMO';
-const redirectUrl = 'https://webhook.site/b3088a6a-2d17-4f8d-a383-71389a6c600b';
-const ipnUrl = 'https://webhook.site/b3088a6a-2d17-4f8d-a383-71389a6c600b';
-const requestType = "payWithMethod";
-const amount = '50000';
-const orderId = partnerCode + new Date().getTime();
-const requestId = orderId;
-const extraData = '';
-const orderGroupId = '';
-const autoCapture = true;
-const lang = 'vi';
-
-// Create the raw signature
-const rawSignature = `accessKey=${accessKey}&amount=${amount}&extraData=${extraData}&ipnUrl=${ipnUrl}&orderId=${orderId}&orderInfo=${orderInfo}&partnerCode=${partnerCode}&redirectUrl=${redirectUrl}&requestId=${requestId}&requestType=${requestType}`;
-
-// Generate the signature
-const signature = crypto.createHmac('sha256', secretKey)
-    .update(rawSignature)
-    .digest('hex');
-
-// Prepare the request body
-const requestBody = {
-    partnerCode: partnerCode,
-    partnerName: "Test",
-    storeId: "MomoTestStore",
-    requestId: requestId,
-    amount: amount,
-    orderId: orderId,
-    orderInfo: orderInfo,
-    redirectUrl: redirectUrl,
-    ipnUrl: ipnUrl,
-    lang: lang,
-    requestType: requestType,
-    autoCapture: autoCapture,
-    extraData: extraData,
-    orderGroupId: orderGroupId,
-    signature: signature
+// Field order MoMo uses when signing IPN and redirect notifications
+const NOTIFICATION_SIGNATURE_FIELDS = [
+    'accessKey', 'amount', 'extraData', 'message', 'orderId', 'orderInfo', 'orderType',
+    'partnerCode', 'payType', 'requestId', 'responseTime', 'resultCode', 'transId',
+];
+
+// Result codes MoMo sends for a successful (captured) or authorized payment
+const RESULT_SUCCESS = 0;
+const RESULT_AUTHORIZED = 9000;
+
+/**
+ * Sign a MoMo raw signature string with HMAC SHA256.
+ * @param {string} rawSignature - The `key=value&...` string to sign.
+ * @param {string} secretKey - The partner secret key.
+ * @returns {string} - The hex encoded signature.
+ */
+export const signMomo = (rawSignature, secretKey) => {
+    return crypto.createHmac('sha256', secretKey)
+        .update(rawSignature)
+        .digest('hex');
 };
 
-// Function to initiate payment
-const initiatePayment = async () => {
-    try {
-        const response = await axios.post('https://test-payment.momo.vn/v2/gateway/api/create', requestBody, {
-            headers: {
-                'Content-Type': 'application/json',
-            }
-        });
-
-        console.log(`Status: ${response.status}`);
-        console.log(`Headers: ${JSON.stringify(response.headers)}`);
-        console.log('Body: ', response.data);
-        console.log('Result Code: ', response.data.resultCode);
-        
-        return response.data; // Return the response data for further processing
-    } catch (error) {
-        console.error(`Error during payment request: ${error.message}`);
-        throw error; // Rethrow the error for handling in the calling function
+/**
+ * Build the raw signature string of a notification sent by MoMo.
+ * @param {object} payload - The IPN body or redirect query.
+ * @param {string} accessKey - The partner access key.
+ * @returns {string}
+ */
+export const buildNotificationSignature = (payload, accessKey) => {
+    const values = { ...payload, accessKey };
+    return NOTIFICATION_SIGNATURE_FIELDS
+        .map(field => `${field}=${values[field] ?? ''}`)
+        .join('&');
+};
+
+// Compare two hex signatures without leaking timing information
+const signaturesMatch = (expected, received) => {
+    if (typeof received !== 'string' || received.length !== expected.length) {
+        return false;
     }
+    return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(received));
 };
 
-// Export the initiatePayment function
-export default initiatePayment;
+/**
+ * Create a MoMo payment gateway.
+ * Credentials default to config/envVars.js and can be overridden, e.g. in tests.
+ * @param {object} [options]
+ * @returns {object} - A gateway with createPayment, verifyNotification and parseNotification.
+ */
+export const createMomoGateway = (options = {}) => {
+    const config = {
+        endpoint: ENV_VARS.MOMO_ENDPOINT,
+        partnerCode: ENV_VARS.MOMO_PARTNER_CODE,
+        accessKey: ENV_VARS.MOMO_ACCESS_KEY,
+        secretKey: ENV_VARS.MOMO_SECRET_KEY,
+        redirectUrl: ENV_VARS.MOMO_REDIRECT_URL || `${ENV_VARS.SERVER_URL}/api/v1/payments/momo/return`,
+        ipnUrl: ENV_VARS.MOMO_IPN_URL || `${ENV_VARS.SERVER_URL}/api/v1/payments/momo/ipn`,
+        requestType: 'payWithMethod',
+        lang: 'vi',
+        ...options,
+    };
+
+    const assertConfigured = () => {
+        if (!config.partnerCode || !config.accessKey || !config.secretKey) {
+            throw new Error('MoMo credentials are not configured');
+        }
+    };
+
+    /**
+     * Ask MoMo for a payment URL.
+     * @param {{ paymentId: string, amount: number, orderInfo: string, extraData?: string }} params
+     * @returns {Promise<{ payUrl: string, requestId: string, raw: object }>}
+     */
+    const createPayment = async ({ paymentId, amount, orderInfo, extraData = '' }) => {
+        assertConfigured();
+
+        const requestId = paymentId;
+        const roundedAmount = Math.round(amount); // MoMo only accepts whole VND amounts
+        const rawSignature = `accessKey=${config.accessKey}&amount=${roundedAmount}&extraData=${extraData}&ipnUrl=${config.ipnUrl}&orderId=${paymentId}&orderInfo=${orderInfo}&partnerCode=${config.partnerCode}&redirectUrl=${config.redirectUrl}&requestId=${requestId}&requestType=${config.requestType}`;
+
+        const requestBody = {
+            partnerCode: config.partnerCode,
+            requestId,
+            amount: roundedAmount,
+            orderId: paymentId,
+            orderInfo,
+            redirectUrl: config.redirectUrl,
+            ipnUrl: config.ipnUrl,
+            lang: config.lang,
+            requestType: config.requestType,
+            autoCapture: true,
+            extraData,
+            signature: signMomo(rawSignature, config.secretKey),
+        };
+
+        try {
+            const response = await axios.post(`${config.endpoint}/create`, requestBody, {
+                headers: { 'Content-Type': 'application/json' },
+            });
+
+            if (response.data.resultCode !== RESULT_SUCCESS) {
+                throw new Error(`MoMo rejected the payment: ${response.data.message}`);
+            }
+
+            return { payUrl: response.data.payUrl, requestId, raw: response.data };
+        } catch (error) {
+            console.error(`Error during MoMo payment request: ${error.message}`);
+            throw error;
+        }
+    };
+
+    /**
+     * Check the HMAC signature of an IPN body or redirect query.
+     * @param {object} payload
+     * @returns {boolean}
+     */
+    const verifyNotification = (payload) => {
+        assertConfigured();
+        if (!payload || payload.partnerCode !== config.partnerCode) {
+            return false;
+        }
+        const expected = signMomo(buildNotificationSignature(payload, config.accessKey), config.secretKey);
+        return signaturesMatch(expected, payload.signature);
+    };
+
+    /**
+     * Normalize a verified notification.
+     * @param {object} payload
+     * @returns {{ paymentId: string, amount: number, success: boolean, authorized: boolean, transactionId: string, resultCode: number, message: string }}
+     */
+    const parseNotification = (payload) => {
+        const resultCode = Number(payload.resultCode);
+        return {
+            paymentId: payload.orderId,
+            amount: Number(payload.amount),
+            success: resultCode === RESULT_SUCCESS || resultCode === RESULT_AUTHORIZED,
+            authorized: resultCode === RESULT_AUTHORIZED, // Funds held, not yet captured
+            transactionId: payload.transId ? String(payload.transId) : undefined,
+            resultCode,
+            message: payload.message,
+        };
+    };
+
+    /**
+     * Refund all or part of a captured MoMo transaction.
+     * @param {{ refundId: string, transactionId: string, amount: number, description?: string }} params
+     * @returns {Promise<{ success: boolean, refundTransactionId?: string, message: string, raw: object }>}
+     */
+    const refund = async ({ refundId, transactionId, amount, description = '' }) => {
+        assertConfigured();
+
+        const roundedAmount = Math.round(amount);
+        const rawSignature = `accessKey=${config.accessKey}&amount=${roundedAmount}&description=${description}&orderId=${refundId}&partnerCode=${config.partnerCode}&requestId=${refundId}&transId=${transactionId}`;
+
+        const requestBody = {
+            partnerCode: config.partnerCode,
+            orderId: refundId, // MoMo needs a fresh orderId for every refund request
+            requestId: refundId,
+            amount: roundedAmount,
+            transId: Number(transactionId),
+            lang: config.lang,
+            description,
+            signature: signMomo(rawSignature, config.secretKey),
+        };
+
+        try {
+            const response = await axios.post(`${config.endpoint}/refund`, requestBody, {
+                headers: { 'Content-Type': 'application/json' },
+            });
+
+            return {
+                success: response.data.resultCode === RESULT_SUCCESS,
+                refundTransactionId: response.data.transId ? String(response.data.transId) : undefined,
+                message: response.data.message,
+                raw: response.data,
+            };
+        } catch (error) {
+            console.error(`Error during MoMo refund request: ${error.message}`);
+            throw error;
+        }
+    };
+
+    return {
+        name: 'momo',
+        method: 'MoMo',
+        createPayment,
+        verifyNotification,
+        parseNotification,
+        refund,
+    };
+};
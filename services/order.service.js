@@ -0,0 +1,280 @@
+import mongoose from 'mongoose';
+import { Order, ORDER_STATUS } from '../models/order.model.js';
+import { OrderProduct } from '../models/orderProduct.model.js';
+import { ProductVariant } from '../models/productVariant.model.js';
+import { Product } from '../models/product.model.js';
+import { Cart } from '../models/cart.model.js';
+import { STOCK_MOVEMENT_TYPES } from '../models/stockMovement.model.js';
+import { adjustStock, refreshTotalStock, runInTransaction } from './inventory.service.js';
+import { planFulfillment } from './warehouse.service.js';
+import { scheduleStockCheck } from './stockAlert.service.js';
+import { isProductVisible } from './productLifecycle.service.js';
+
+// Error raised when checkout can't proceed; carries the HTTP status to respond with
+export class CheckoutError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'CheckoutError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Turn the user's cart into an order inside a single transaction.
+ * Each line is shipped from the warehouses picked by planFulfillment. Stock
+ * is reserved with conditional decrements, so two concurrent checkouts can't
+ * oversell a variant, and any failure rolls back the order, its lines, the
+ * stock reservations, their ledger entries and the cart clearing together.
+ * Requires MongoDB to run as a replica set.
+ * @param {string} userId - The ID of the user checking out.
+ * @param {{ shippingAddress?: string }} [options]
+ * @returns {Promise<object>} - The created order.
+ */
+export const placeOrderFromCart = async (userId, { shippingAddress } = {}) => {
+  const session = await mongoose.startSession();
+  const productIds = new Set();
+  const variantIds = new Set();
+  let order;
+
+  try {
+    // withTransaction retries on transient errors, so the callback starts from scratch each time
+    await session.withTransaction(async () => {
+      productIds.clear();
+      variantIds.clear();
+      // Known up front so the stock ledger can point at the order
+      const orderId = new mongoose.Types.ObjectId();
+
+      const cart = await Cart.findOne({ user: userId }).session(session);
+      if (!cart) {
+        throw new CheckoutError('Cart not found', 404);
+      }
+
+      if (cart.items.length === 0) {
+        throw new CheckoutError('Cart is empty. Cannot create an order.');
+      }
+
+      const plan = await planFulfillment(
+        cart.items.map(item => ({ productVariantId: item.productVariant, quantity: item.quantity })),
+        { session }
+      );
+      if (!plan) {
+        throw new CheckoutError('Insufficient stock for some items in the cart');
+      }
+
+      const orderItems = [];
+      for (const [index, item] of cart.items.entries()) {
+        const productVariant = await ProductVariant.findById(item.productVariant).session(session);
+        if (!productVariant) {
+          throw new CheckoutError('Product variant not found', 404);
+        }
+
+        const product = await Product.findById(productVariant.productId).session(session);
+        if (!product) {
+          throw new CheckoutError('Product not found', 404);
+        }
+        if (!isProductVisible(product)) {
+          throw new CheckoutError(`${product.title} is no longer available. Please remove it from your cart.`);
+        }
+
+        // Reserve stock only if enough is left at the moment of the write
+        for (const allocation of plan[index]) {
+          const reserved = await adjustStock(productVariant._id, -allocation.quantity, {
+            type: STOCK_MOVEMENT_TYPES.SALE,
+            warehouseId: allocation.warehouseId,
+            user: userId,
+            reference: { model: 'Order', id: orderId },
+            session
+          });
+          if (!reserved) {
+            throw new CheckoutError(`Insufficient stock for variant of product ID ${productVariant.productId}`);
+          }
+        }
+
+        productIds.add(product._id.toString());
+        variantIds.add(productVariant._id.toString());
+        // Snapshot what was bought so later catalog edits don't rewrite history
+        orderItems.push({
+          productId: product._id,
+          productVariantId: productVariant._id,
+          productTitle: product.title,
+          productImage: product.image,
+          size: productVariant.size,
+          color: productVariant.color,
+          allocations: plan[index],
+          quantity: item.quantity,
+          price: productVariant.getPrice(product)
+        });
+      }
+
+      const total = orderItems.reduce((sum, item) => sum + item.price * item.quantity, 0);
+
+      [order] = await Order.create([{
+        _id: orderId,
+        userId,
+        total,
+        status: ORDER_STATUS.PENDING,
+        statusHistory: [{ from: null, to: ORDER_STATUS.PENDING, changedBy: userId }],
+        shippingAddress
+      }], { session });
+
+      await OrderProduct.create(
+        orderItems.map(item => ({ ...item, orderId: order._id })),
+        { session, ordered: true }
+      );
+
+      cart.items = [];
+      cart.totalAmount = 0;
+      await cart.save({ session });
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  // Totals are derived data, so refresh them once the transaction has committed
+  await refreshTotalStock(productIds);
+  scheduleStockCheck(variantIds);
+
+  return order;
+};
+
+/**
+ * Put items back into stock inside a transaction. Product totals and stock
+ * alerts have to see the committed stock, so they are left to
+ * refreshRestockedStock.
+ * @param {object[]} items - As for restockItems.
+ * @param {object} movement - As for restockItems.
+ * @param {object} session - Mongoose session of a running transaction.
+ * @returns {Promise<{ restocked: number, productIds: Set<string>, variantIds: Set<string> }>}
+ */
+const returnToStock = async (items, movement, session) => {
+  const productIds = new Set();
+  const variantIds = new Set();
+  let restocked = 0;
+
+  for (const item of items) {
+    if (!item.productVariantId) continue; // Older order lines don't record the variant
+
+    // Additions only fail for deleted variants, before anything is written, so they are skipped
+    const variant = await adjustStock(item.productVariantId, item.quantity, {
+      ...movement,
+      warehouseId: item.warehouseId || item.allocations?.[0]?.warehouseId,
+      session
+    });
+
+    if (variant) {
+      productIds.add(variant.productId.toString());
+      variantIds.add(variant._id.toString());
+      restocked += item.quantity;
+    }
+  }
+
+  return { restocked, productIds, variantIds };
+};
+
+/**
+ * Refresh what derives from the stock once a restock has committed.
+ * @param {{ productIds: Set<string>, variantIds: Set<string> }} changed - From returnToStock.
+ */
+const refreshRestockedStock = async ({ productIds, variantIds }) => {
+  // adjustStock skips the variant save hook, so refresh totals here
+  await refreshTotalStock(productIds);
+  scheduleStockCheck(variantIds); // Resolves alerts of variants that are no longer low
+};
+
+/**
+ * Return purchased quantities back to the variant stock, all in one
+ * transaction. Each item goes back to its warehouseId, or to the warehouse its
+ * order line shipped from, or to the default warehouse.
+ * @param {Array<{ productVariantId?: string, warehouseId?: string, allocations?: object[], quantity: number }>} items - Order lines or parts of them.
+ * @param {{ type: string, reason?: string, user?: string, reference?: { model: string, id: string } }} movement - How to record the return in the stock ledger.
+ * @returns {Promise<number>} - The number of units returned to stock.
+ */
+export const restockItems = async (items, movement) => {
+  const changed = await runInTransaction(undefined, session => returnToStock(items, movement, session));
+  await refreshRestockedStock(changed);
+  return changed.restocked;
+};
+
+/**
+ * The lines of an order split into the parts that shipped from each warehouse,
+ * so every unit goes back where it came from.
+ * @param {string} orderId
+ * @param {object} [session] - Mongoose session of a running transaction.
+ * @returns {Promise<object[]>} - Items for restockItems.
+ */
+const orderItemsToRestock = async (orderId, session) => {
+  const orderProducts = await OrderProduct.find({ orderId }).session(session || null);
+  return orderProducts.flatMap(line => (line.allocations.length > 0
+    ? line.allocations.map(allocation => ({
+      productVariantId: line.productVariantId,
+      warehouseId: allocation.warehouseId,
+      quantity: allocation.quantity
+    }))
+    : [line]));
+};
+
+/**
+ * How returning the stock of a cancelled order is recorded in the ledger.
+ * @param {string} orderId
+ * @param {{ user?: string, reason?: string }} options
+ */
+const cancelMovement = (orderId, { user, reason = 'Order cancelled' }) => ({
+  type: STOCK_MOVEMENT_TYPES.CANCEL,
+  reason,
+  user,
+  reference: { model: 'Order', id: orderId }
+});
+
+/**
+ * Return the purchased quantities of a cancelled order back to the variant stock.
+ * @param {string} orderId - The ID of the order whose lines should be restocked.
+ * @param {{ user?: string, reason?: string }} [options]
+ * @returns {Promise<number>} - The number of units returned to stock.
+ */
+export const restockOrderItems = async (orderId, options = {}) =>
+  restockItems(await orderItemsToRestock(orderId), cancelMovement(orderId, options));
+
+/**
+ * Move an order to a new status, record the change in its history and run
+ * the side effects of the new status. A cancelled order is restocked in the
+ * same transaction as the status change, so neither happens without the other.
+ * The caller is responsible for checking the transition with Order.canTransition.
+ * @param {object} order - The order document in its current status.
+ * @param {string} status - The status to move to.
+ * @param {{ changedBy?: string, note?: string }} [options]
+ * @returns {Promise<object|null>} - The updated order, or null if the order's status changed concurrently.
+ */
+export const changeOrderStatus = async (order, status, { changedBy, note } = {}) => {
+  const update = { status };
+  if (status === ORDER_STATUS.DELIVERED) {
+    update.finalDate = new Date();
+  }
+
+  let restock = null;
+  const updatedOrder = await runInTransaction(undefined, async (session) => {
+    restock = null;
+
+    // Only update if nobody else moved the order in the meantime
+    const updated = await Order.findOneAndUpdate(
+      { _id: order._id, status: order.status },
+      {
+        $set: update,
+        $push: { statusHistory: { from: order.status, to: status, changedBy, note } },
+      },
+      { new: true, runValidators: true, session }
+    );
+
+    if (updated && status === ORDER_STATUS.CANCELLED) {
+      const items = await orderItemsToRestock(updated._id, session);
+      restock = await returnToStock(items, cancelMovement(updated._id, { user: changedBy, reason: note || undefined }), session);
+    }
+
+    return updated;
+  });
+
+  if (restock) {
+    await refreshRestockedStock(restock);
+  }
+
+  return updatedOrder;
+};
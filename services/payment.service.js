@@ -0,0 +1,272 @@
+import { ENV_VARS } from '../config/envVars.js';
+import { PERMISSIONS, hasPermission } from '../config/roles.js';
+import { Payment, PAYMENT_STATUS } from '../models/payment.model.js';
+import { Order, ORDER_STATUS } from '../models/order.model.js';
+import { changeOrderStatus } from './order.service.js';
+import { createMomoGateway } from './momo.service.js';
+import { createStubGateway } from './stubPayment.service.js';
+
+// Error raised when a payment can't proceed; carries the HTTP status to respond with
+export class PaymentError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'PaymentError';
+        this.statusCode = statusCode;
+    }
+}
+
+// Gateways selectable through PAYMENT_GATEWAY. The stub approves every payment
+// and signs with a well-known key, so production can't select it.
+const gatewayFactories = {
+    momo: createMomoGateway,
+    ...(ENV_VARS.NODE_ENV !== 'production' && { stub: createStubGateway }),
+};
+
+let activeGateway = null;
+
+/**
+ * Get the configured payment gateway, creating it on first use.
+ * @returns {object}
+ */
+export const getPaymentGateway = () => {
+    if (!activeGateway) {
+        const factory = gatewayFactories[ENV_VARS.PAYMENT_GATEWAY];
+        if (!factory) {
+            throw new Error(`Unknown payment gateway: ${ENV_VARS.PAYMENT_GATEWAY}`);
+        }
+        activeGateway = factory();
+    }
+    return activeGateway;
+};
+
+/**
+ * Replace the payment gateway, e.g. with createStubGateway() in tests.
+ * @param {object|null} gateway - Pass null to go back to the configured gateway.
+ */
+export const setPaymentGateway = (gateway) => {
+    activeGateway = gateway;
+};
+
+// Statuses that mean the order's money has been secured
+const PAID_STATUSES = [PAYMENT_STATUS.AUTHORIZED, PAYMENT_STATUS.CAPTURED];
+
+/**
+ * Check that the user may pay for the order and that it still needs paying.
+ * @param {object} order
+ * @param {object} user
+ * @param {{ allowStaff?: boolean }} [options] - allowStaff lets staff who record payments pay for other users' orders.
+ */
+const assertOrderPayable = async (order, user, { allowStaff = false } = {}) => {
+    const isOwner = order.userId.toString() === user._id.toString();
+    if (!isOwner && !(allowStaff && hasPermission(user, PERMISSIONS.PAYMENTS_RECORD))) {
+        throw new PaymentError('You are not authorized to pay for this order', 403);
+    }
+
+    if (order.status !== ORDER_STATUS.PENDING) {
+        throw new PaymentError(`Only pending orders can be paid. Current status: ${order.status}`);
+    }
+
+    const alreadyPaid = await Payment.exists({ orderId: order._id, status: { $in: PAID_STATUSES } });
+    if (alreadyPaid) {
+        throw new PaymentError('Order has already been paid', 409);
+    }
+};
+
+// Payment IDs double as the gateway orderId, which must be unique per attempt
+const generatePaymentId = (order) => `${order._id}-${Date.now()}`;
+
+/**
+ * Start a gateway payment for the full total of an order.
+ * @param {object} order - The order document to pay for.
+ * @param {object} user - The user paying; must own the order.
+ * @returns {Promise<object>} - The initiated Payment, including its payUrl.
+ */
+export const createOrderPayment = async (order, user) => {
+    await assertOrderPayable(order, user);
+
+    const gateway = getPaymentGateway();
+    const paymentId = generatePaymentId(order);
+
+    const payment = await Payment.create({
+        paymentId,
+        method: gateway.method,
+        orderId: order._id,
+        userId: order.userId,
+        amount: order.total,
+        gateway: gateway.name,
+        status: PAYMENT_STATUS.INITIATED,
+    });
+
+    try {
+        const result = await gateway.createPayment({
+            paymentId,
+            amount: order.total,
+            orderInfo: `Payment for order ${order._id}`,
+        });
+        payment.payUrl = result.payUrl;
+        payment.requestId = result.requestId;
+        payment.gatewayPayloads.push({ event: 'create', payload: result.raw });
+        await payment.save();
+    } catch (error) {
+        payment.status = PAYMENT_STATUS.FAILED;
+        payment.gatewayPayloads.push({ event: 'create', payload: { error: error.message } });
+        await payment.save();
+        throw new PaymentError(`Payment gateway error: ${error.message}`, 502);
+    }
+
+    return payment;
+};
+
+/**
+ * Record a payment that is settled outside a gateway, e.g. cash on delivery.
+ * It stays initiated until staff confirm the money arrived with captureManualPayment.
+ * @param {object} order - The order document to pay for.
+ * @param {object} user - The user paying, or staff with the payments:record permission.
+ * @param {{ method: string, amount?: number, currency?: string }} details
+ * @returns {Promise<object>} - The initiated Payment.
+ */
+export const createManualPayment = async (order, user, { method, amount, currency }) => {
+    await assertOrderPayable(order, user, { allowStaff: true });
+
+    if (amount !== undefined && Number(amount) !== order.total) {
+        throw new PaymentError(`Payment amount ${amount} does not match order total ${order.total}`);
+    }
+
+    return Payment.create({
+        paymentId: generatePaymentId(order),
+        method,
+        orderId: order._id,
+        userId: order.userId,
+        amount: order.total,
+        currency,
+        status: PAYMENT_STATUS.INITIATED,
+    });
+};
+
+/**
+ * Confirm a pending order once a payment for it has been secured.
+ * A payment that settles when the order was already paid or closed, e.g. the
+ * second of two payments started by a double click, is flagged with
+ * needsRefund instead, so staff can refund it.
+ * @param {object} payment - The payment as it was before it settled.
+ * @param {{ changedBy?: string, note?: string }} options
+ */
+const confirmPaidOrder = async (payment, { changedBy, note }) => {
+    const order = await Order.findById(payment.orderId);
+    if (!order) {
+        return;
+    }
+
+    const confirmed = order.status === ORDER_STATUS.PENDING
+        && await changeOrderStatus(order, ORDER_STATUS.CONFIRMED, { changedBy, note });
+    // An authorized payment being captured confirmed its order when it was authorized
+    if (!confirmed && payment.status === PAYMENT_STATUS.INITIATED) {
+        console.error(`Payment ${payment.paymentId} settled for order in status ${order.status}, flagged for refund`);
+        await Payment.updateOne({ _id: payment._id }, { $set: { needsRefund: true } });
+    }
+};
+
+/**
+ * Confirm that the money of a manual payment (cash, bank transfer) arrived:
+ * the payment is captured and its order confirmed, as a gateway notification would.
+ * @param {object} payment - The Payment document; must not belong to a gateway.
+ * @param {object} user - The staff member confirming the payment.
+ * @param {{ reference?: string }} [details] - e.g. the bank transfer reference.
+ * @returns {Promise<object>} - The captured Payment.
+ */
+export const captureManualPayment = async (payment, user, { reference } = {}) => {
+    if (payment.gateway) {
+        throw new PaymentError(`Payments through ${payment.gateway} are captured by the gateway`);
+    }
+    if (payment.status !== PAYMENT_STATUS.INITIATED) {
+        throw new PaymentError(`Only initiated payments can be captured. Current status: ${payment.status}`, 409);
+    }
+
+    const order = await Order.findById(payment.orderId);
+    if (!order) {
+        throw new PaymentError('Order not found', 404);
+    }
+    if ([ORDER_STATUS.CANCELLED, ORDER_STATUS.REFUNDED].includes(order.status)) {
+        throw new PaymentError(`Payments for ${order.status.toLowerCase()} orders can't be captured`);
+    }
+
+    const otherPaid = await Payment.exists({ _id: { $ne: payment._id }, orderId: order._id, status: { $in: PAID_STATUSES } });
+    if (otherPaid) {
+        throw new PaymentError('Order has already been paid by another payment', 409);
+    }
+
+    // Conditional update so a double click or two staff members can't capture twice
+    const updatedPayment = await Payment.findOneAndUpdate(
+        { _id: payment._id, status: PAYMENT_STATUS.INITIATED },
+        {
+            $set: { status: PAYMENT_STATUS.CAPTURED, transactionId: reference, capturedBy: user._id, capturedAt: new Date() },
+        },
+        { new: true }
+    );
+    if (!updatedPayment) {
+        throw new PaymentError('Payment was changed by another request. Please retry.', 409);
+    }
+
+    await confirmPaidOrder(payment, {
+        changedBy: user._id,
+        note: `Paid by ${payment.method.toLowerCase()}${reference ? `, reference ${reference}` : ''}`,
+    });
+
+    return updatedPayment;
+};
+
+/**
+ * Apply a gateway notification (IPN or redirect-return) to its Payment and Order.
+ * Safe to call several times with the same notification: only the first call
+ * that moves the payment forward changes anything.
+ * @param {object} payload - The notification as sent by the gateway.
+ * @param {string} [event] - Where the notification came from, e.g. ipn or return.
+ * @returns {Promise<object>} - The Payment after the notification was applied.
+ */
+export const handlePaymentNotification = async (payload, event = 'ipn') => {
+    const gateway = getPaymentGateway();
+
+    if (!gateway.verifyNotification(payload)) {
+        throw new PaymentError('Invalid payment signature');
+    }
+
+    const result = gateway.parseNotification(payload);
+    const payment = await Payment.findOne({ paymentId: result.paymentId });
+    if (!payment) {
+        throw new PaymentError('Payment not found', 404);
+    }
+
+    const amountMatches = Math.round(result.amount) === Math.round(payment.amount);
+    if (result.success && !amountMatches) {
+        console.error(`Payment ${payment.paymentId} amount mismatch: expected ${payment.amount}, got ${result.amount}`);
+    }
+
+    let status = PAYMENT_STATUS.FAILED;
+    if (result.success && amountMatches) {
+        status = result.authorized ? PAYMENT_STATUS.AUTHORIZED : PAYMENT_STATUS.CAPTURED;
+    }
+
+    // Initiated payments can settle either way; authorized ones can only be captured
+    const fromStatuses = status === PAYMENT_STATUS.CAPTURED
+        ? [PAYMENT_STATUS.INITIATED, PAYMENT_STATUS.AUTHORIZED]
+        : [PAYMENT_STATUS.INITIATED];
+
+    // Conditional update so duplicate or concurrent notifications can't apply twice
+    const updatedPayment = await Payment.findOneAndUpdate(
+        { _id: payment._id, status: { $in: fromStatuses } },
+        {
+            $set: { status, transactionId: result.transactionId },
+            $push: { gatewayPayloads: { event, payload } },
+        },
+        { new: true }
+    );
+    if (!updatedPayment) {
+        return payment;
+    }
+
+    if (PAID_STATUSES.includes(status)) {
+        await confirmPaidOrder(payment, { note: `Paid via ${gateway.name}, transaction ${result.transactionId}` });
+    }
+
+    return updatedPayment;
+};
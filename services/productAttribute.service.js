@@ -0,0 +1,241 @@
+import mongoose from 'mongoose';
+import { Category, ATTRIBUTE_TYPES } from '../models/category.model.js';
+import { Product } from '../models/product.model.js';
+import { NOT_DELETED } from './productLifecycle.service.js';
+
+// Longest value a text attribute can hold, e.g. care instructions
+const MAX_TEXT_LENGTH = 2000;
+
+// How many non-conforming products a schema check lists by name
+const NON_CONFORMING_SAMPLE = 20;
+
+/**
+ * The attribute schema and size chart that apply to products of a category:
+ * its own attributes plus those of its ancestors. A key is defined only once
+ * along the path, see checkCategorySchemaChange.
+ * @param {string|object} categoryId
+ * @returns {Promise<{ attributes: object[], sizeChart: object|null }|null>} - null when the category doesn't exist.
+ *   Each attribute has the category it comes from and whether it is inherited.
+ */
+export const getCategorySchema = async (categoryId) => {
+    const category = mongoose.Types.ObjectId.isValid(categoryId)
+        ? await Category.findById(categoryId).select('ancestors attributes sizeChart').lean()
+        : null;
+    if (!category) {
+        return null;
+    }
+
+    const ancestors = await Category.find({ _id: { $in: category.ancestors } }).select('attributes sizeChart').lean();
+    const byId = new Map(ancestors.map(ancestor => [ancestor._id.toString(), ancestor]));
+    const path = [...category.ancestors.map(id => byId.get(id.toString())).filter(Boolean), category];
+
+    const attributes = new Map();
+    let sizeChart = null;
+    for (const entry of path) {
+        for (const definition of entry.attributes || []) {
+            attributes.set(definition.key, { ...definition, category: entry._id, inherited: entry !== category });
+        }
+        if (entry.sizeChart?.columns?.length > 0) {
+            sizeChart = entry.sizeChart;
+        }
+    }
+
+    return { attributes: [...attributes.values()], sizeChart };
+};
+
+/**
+ * Check one value against its definition and convert it, e.g. "42" to 42 for
+ * numbers or "slim" to "Slim" for enum options.
+ * @returns {{ value?: *, error?: string }}
+ */
+const normalizeValue = (definition, value) => {
+    switch (definition.type) {
+        case ATTRIBUTE_TYPES.NUMBER: {
+            const number = typeof value === 'number' || (typeof value === 'string' && value.trim() !== '') ? Number(value) : NaN;
+            if (!Number.isFinite(number)) {
+                return { error: 'must be a number' };
+            }
+            if (definition.min !== undefined && number < definition.min) {
+                return { error: `must be at least ${definition.min}` };
+            }
+            if (definition.max !== undefined && number > definition.max) {
+                return { error: `must be at most ${definition.max}` };
+            }
+            return { value: number };
+        }
+        case ATTRIBUTE_TYPES.BOOLEAN: {
+            if (typeof value === 'boolean') return { value };
+            if (value === 'true' || value === 'false') return { value: value === 'true' };
+            return { error: 'must be true or false' };
+        }
+        case ATTRIBUTE_TYPES.ENUM: {
+            const option = definition.options.find(candidate => candidate.toLowerCase() === String(value).trim().toLowerCase());
+            return option ? { value: option } : { error: `must be one of ${definition.options.join(', ')}` };
+        }
+        default: {
+            if (typeof value !== 'string' && typeof value !== 'number') {
+                return { error: 'must be text' };
+            }
+            const text = String(value).trim();
+            if (text.length > MAX_TEXT_LENGTH) {
+                return { error: `must be at most ${MAX_TEXT_LENGTH} characters` };
+            }
+            return { value: text };
+        }
+    }
+};
+
+/**
+ * Check product attributes against an attribute schema.
+ * null, undefined and empty values count as not set.
+ * @param {object} values - Attribute values by key.
+ * @param {object[]} definitions - From getCategorySchema.
+ * @returns {{ attributes: object, errors: Object<string, string> }} - The converted values, and error messages by key.
+ */
+export const normalizeAttributes = (values = {}, definitions = []) => {
+    const attributes = {};
+    const errors = {};
+    const byKey = new Map(definitions.map(definition => [definition.key, definition]));
+
+    for (const [key, value] of Object.entries(values || {})) {
+        if (value === null || value === undefined || value === '') continue;
+
+        const definition = byKey.get(key);
+        if (!definition) {
+            errors[key] = `${key} is not an attribute of this category`;
+            continue;
+        }
+        const result = normalizeValue(definition, value);
+        if (result.error) {
+            errors[key] = `${definition.label} ${result.error}`;
+        } else {
+            attributes[key] = result.value;
+        }
+    }
+
+    for (const definition of definitions) {
+        if (definition.required && attributes[definition.key] === undefined && !errors[definition.key]) {
+            errors[definition.key] = `${definition.label} is required`;
+        }
+    }
+
+    return { attributes, errors };
+};
+
+/**
+ * Validate a product's attributes against its category's schema, converting
+ * the values in place. Errors are reported on the product as validation errors.
+ * Called by the Product validate hook.
+ * @param {object} product - The Product document.
+ */
+export const validateProductAttributes = async (product) => {
+    const schema = await getCategorySchema(product.categoryId);
+    if (!schema) {
+        // A missing category is reported by the category check itself
+        return;
+    }
+
+    const { attributes, errors } = normalizeAttributes(product.attributes, schema.attributes);
+    for (const [key, message] of Object.entries(errors)) {
+        product.invalidate(`attributes.${key}`, message);
+    }
+    product.attributes = attributes;
+};
+
+/**
+ * A product's attributes as shown on the product page: label, value and unit,
+ * in the order the category defines them.
+ * @param {object} values - Product.attributes.
+ * @param {object[]} definitions - From getCategorySchema.
+ * @returns {{ key: string, label: string, value: *, unit?: string }[]}
+ */
+export const describeAttributes = (values = {}, definitions = []) => definitions
+    .filter(definition => values?.[definition.key] !== undefined)
+    .map(({ key, label, unit }) => ({ key, label, value: values[key], unit }));
+
+/**
+ * Products matching the filter whose attributes fail their category's schema.
+ * Deleted products are left out.
+ * @param {object} filter - Product conditions.
+ * @param {function(string): object[]} definitionsFor - The attribute definitions for a category ID.
+ * @returns {Promise<{ total: number, products: { _id: string, title: string, categoryId: string, errors: object }[] }>}
+ *   total counts them all; products lists the first ones.
+ */
+export const findNonConformingProducts = async (filter, definitionsFor) => {
+    const result = { total: 0, products: [] };
+    const cursor = Product.find({ ...filter, ...NOT_DELETED }).select('title categoryId attributes').lean().cursor();
+    for await (const product of cursor) {
+        const { errors } = normalizeAttributes(product.attributes, definitionsFor(product.categoryId.toString()));
+        if (Object.keys(errors).length === 0) continue;
+
+        result.total += 1;
+        if (result.products.length < NON_CONFORMING_SAMPLE) {
+            result.products.push({ _id: product._id, title: product.title, categoryId: product.categoryId, errors });
+        }
+    }
+    return result;
+};
+
+/**
+ * Check a change to a category before it is saved: a new list of its own
+ * attributes, or a new place in the tree. A key may only be defined once
+ * along a path, so a subcategory can't give an inherited attribute another
+ * meaning. The products of the category and its subcategories are checked
+ * against the schema they would get.
+ * @param {object} category - The Category as currently saved.
+ * @param {{ attributes?: object[], ancestors?: object[] }} changes - What would change; the rest stays as saved.
+ * @returns {Promise<{ conflicts: string[], nonConforming: { total: number, products: object[] } }>}
+ *   Products are only checked when there are no conflicts.
+ */
+export const checkCategorySchemaChange = async (category, { attributes = category.attributes, ancestors = category.ancestors } = {}) => {
+    const [parents, descendants] = await Promise.all([
+        Category.find({ _id: { $in: ancestors } }).select('name attributes').lean(),
+        Category.find({ ancestors: category._id }).select('name ancestors attributes').lean(),
+    ]);
+
+    const byId = new Map([...parents, ...descendants].map(entry => [entry._id.toString(), entry]));
+    byId.set(category._id.toString(), { _id: category._id, name: category.name, attributes });
+
+    // Paths as they would be after the change; descendants keep their part below the category
+    const paths = new Map([[category._id.toString(), [...ancestors, category._id]]]);
+    for (const descendant of descendants) {
+        const below = descendant.ancestors.slice(descendant.ancestors.findIndex(id => id.equals(category._id)) + 1);
+        paths.set(descendant._id.toString(), [...ancestors, category._id, ...below, descendant._id]);
+    }
+
+    const conflicts = new Set();
+    const schemas = new Map();
+    for (const [id, path] of paths) {
+        const owners = new Map();
+        for (const entry of path.map(entryId => byId.get(entryId.toString())).filter(Boolean)) {
+            for (const definition of entry.attributes || []) {
+                const owner = owners.get(definition.key);
+                if (owner && owner !== entry) {
+                    conflicts.add(`${definition.key} of ${entry.name} is already defined by ${owner.name}`);
+                }
+                owners.set(definition.key, entry);
+            }
+        }
+        schemas.set(id, [...owners.entries()].map(([key, entry]) => entry.attributes.find(definition => definition.key === key)));
+    }
+
+    if (conflicts.size > 0) {
+        return { conflicts: [...conflicts], nonConforming: { total: 0, products: [] } };
+    }
+
+    const nonConforming = await findNonConformingProducts(
+        { categoryId: { $in: [...paths.keys()] } },
+        categoryId => schemas.get(categoryId) || []
+    );
+    return { conflicts: [], nonConforming };
+};
+
+/**
+ * Describe non-conforming products in one line for an error message.
+ * @param {{ total: number, products: object[] }} nonConforming - From findNonConformingProducts.
+ * @returns {string}
+ */
+export const summarizeNonConforming = ({ total, products }) => {
+    const examples = products.slice(0, 3).map(product => `"${product.title}" (${Object.values(product.errors).join(', ')})`);
+    return `${total} product(s) would no longer match their category's attributes, e.g. ${examples.join('; ')}`;
+};
@@ -0,0 +1,99 @@
+import ExcelJS from 'exceljs';
+import { stringify } from 'csv-stringify/sync';
+import { Product } from '../models/product.model.js';
+import { ProductVariant } from '../models/productVariant.model.js';
+import { buildFilterClauses, combineClauses } from './search.service.js';
+import { PRODUCT_COLUMNS, IMPORT_FORMATS } from './productImport.service.js';
+
+export const EXPORT_FORMATS = IMPORT_FORMATS;
+
+const CONTENT_TYPES = {
+    csv: 'text/csv; charset=utf-8',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    json: 'application/json; charset=utf-8',
+};
+
+/**
+ * The catalog in the shape the JSON import reads: products with their variants.
+ * Drafts and other hidden products are included; deleted products are not.
+ * @param {object} [filters] - See buildFilterClauses.
+ * @returns {Promise<object[]>}
+ */
+const loadProducts = async (filters = {}) => {
+    const products = await Product.find(combineClauses(await buildFilterClauses(filters, { includeHidden: true })))
+        .populate('categoryId', 'slug name')
+        .sort({ title: 1 })
+        .lean();
+    const variants = await ProductVariant.find({ productId: { $in: products.map(product => product._id) } })
+        .sort({ size: 1, color: 1 })
+        .lean();
+
+    const byProduct = new Map();
+    for (const variant of variants) {
+        const key = variant.productId.toString();
+        if (!byProduct.has(key)) byProduct.set(key, []);
+        byProduct.get(key).push(variant);
+    }
+
+    return products.map(product => ({
+        productId: product._id.toString(),
+        title: product.title,
+        // Categories from before slugs are exported by ID, which the import accepts too
+        category: product.categoryId?.slug || product.categoryId?._id?.toString() || '',
+        description: product.description,
+        material: product.material,
+        price: product.price,
+        status: product.status,
+        variants: (byProduct.get(product._id.toString()) || []).map(variant => ({
+            size: variant.size,
+            color: variant.color,
+            sku: variant.sku,
+            barcode: variant.barcode,
+            quantity: variant.quantity,
+            price: variant.price,
+        })),
+    }));
+};
+
+// One row per variant, as the CSV and XLSX import read them
+const toRows = (products) => products.flatMap(({ variants, ...product }) => {
+    if (variants.length === 0) {
+        return [product];
+    }
+    return variants.map(variant => ({
+        ...product,
+        size: variant.size,
+        color: variant.color,
+        sku: variant.sku,
+        barcode: variant.barcode,
+        quantity: variant.quantity,
+        variantPrice: variant.price,
+    }));
+});
+
+/**
+ * Export the catalog in a format the import reads back.
+ * @param {string} format - One of EXPORT_FORMATS.
+ * @param {object} [filters] - See buildFilterClauses.
+ * @returns {Promise<{ content: Buffer|string, contentType: string }>}
+ */
+export const buildProductExport = async (format, filters) => {
+    const products = await loadProducts(filters);
+
+    if (format === 'json') {
+        return { content: JSON.stringify(products, null, 2), contentType: CONTENT_TYPES.json };
+    }
+
+    const rows = toRows(products);
+    if (format === 'csv') {
+        // The BOM lets spreadsheet apps recognize UTF-8, e.g. for Vietnamese titles
+        return { content: '\uFEFF' + stringify(rows, { header: true, columns: PRODUCT_COLUMNS }), contentType: CONTENT_TYPES.csv };
+    }
+
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet('Products');
+    sheet.columns = PRODUCT_COLUMNS.map(key => ({ header: key, key, width: key === 'description' ? 40 : 16 }));
+    sheet.getRow(1).font = { bold: true };
+    sheet.addRows(rows);
+    return { content: Buffer.from(await workbook.xlsx.writeBuffer()), contentType: CONTENT_TYPES.xlsx };
+};
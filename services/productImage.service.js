@@ -0,0 +1,172 @@
+import mongoose from 'mongoose';
+import { ProductVariant } from '../models/productVariant.model.js';
+import { uploadImages, deleteImages, getImageUrls } from './storage.service.js';
+
+// Most pictures a product gallery can hold
+export const MAX_PRODUCT_IMAGES = 20;
+
+export class ProductImageError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'ProductImageError';
+        this.statusCode = statusCode;
+    }
+}
+
+const findImage = (product, imageId) => {
+    const image = mongoose.Types.ObjectId.isValid(imageId) ? product.images.id(imageId) : null;
+    if (!image) {
+        throw new ProductImageError('Image not found', 404);
+    }
+    return image;
+};
+
+/**
+ * Check that the product has variants in a color, ignoring case.
+ * @returns {Promise<string|null>} - The color as the variants spell it; null for no color.
+ */
+const resolveColor = async (product, color) => {
+    if (!color) {
+        return null;
+    }
+    const variant = await ProductVariant.findOne({ productId: product._id, color: String(color).trim() })
+        .collation({ locale: 'en', strength: 2 });
+    if (!variant) {
+        throw new ProductImageError(`The product has no variants in color ${color}`);
+    }
+    return variant.color;
+};
+
+// Keep exactly one primary image while the gallery has any, and mirror it to product.image
+const syncPrimaryImage = (product) => {
+    if (product.images.length > 0 && !product.images.some(image => image.isPrimary)) {
+        product.images[0].isPrimary = true;
+    }
+    product.image = product.images.find(image => image.isPrimary)?.url || '';
+};
+
+/**
+ * Upload pictures to a product's gallery, after the ones it already has.
+ * A product from before the gallery keeps its old image as the first picture.
+ * @param {object} product - The Product document.
+ * @param {Array<{ buffer: Buffer, mimetype: string }>} files - Parsed by multer.
+ * @param {{ color?: string, alt?: string }} [details] - Applied to every uploaded picture.
+ * @returns {Promise<object[]>} - The added gallery images.
+ */
+export const addProductImages = async (product, files, { color, alt } = {}) => {
+    if (!files || files.length === 0) {
+        throw new ProductImageError('At least one image is required');
+    }
+
+    if (product.images.length === 0 && product.image) {
+        product.images.push({ url: product.image, alt: product.title, isPrimary: true });
+    }
+    if (product.images.length + files.length > MAX_PRODUCT_IMAGES) {
+        throw new ProductImageError(`A product can have at most ${MAX_PRODUCT_IMAGES} images`);
+    }
+
+    const imageColor = await resolveColor(product, color);
+    const uploaded = await uploadImages(files, `products/${product._id}`);
+
+    try {
+        const start = product.images.length;
+        uploaded.forEach(({ url, public_id }) => {
+            product.images.push({ url, public_id, alt: alt || product.title, color: imageColor });
+        });
+        syncPrimaryImage(product);
+        await product.save();
+        return product.images.slice(start);
+    } catch (error) {
+        await deleteImages(uploaded);
+        throw error;
+    }
+};
+
+/**
+ * Put the gallery in a new order.
+ * @param {object} product - The Product document.
+ * @param {string[]} imageIds - Every image of the gallery, in the new order.
+ */
+export const reorderProductImages = async (product, imageIds) => {
+    const ids = Array.isArray(imageIds) ? imageIds.map(String) : [];
+    const current = product.images.map(image => image._id.toString());
+
+    if (ids.length !== current.length || new Set(ids).size !== ids.length || !ids.every(id => current.includes(id))) {
+        throw new ProductImageError('imageIds must list every image of the product exactly once');
+    }
+
+    product.images = ids.map(id => product.images.id(id));
+    await product.save();
+};
+
+/**
+ * Make an image the one shown in listings and on order lines.
+ * @param {object} product - The Product document.
+ * @param {string} imageId
+ */
+export const setPrimaryImage = async (product, imageId) => {
+    const primary = findImage(product, imageId);
+    product.images.forEach(image => {
+        image.isPrimary = image._id.equals(primary._id);
+    });
+    syncPrimaryImage(product);
+    await product.save();
+};
+
+/**
+ * Change the alt text or color of an image.
+ * @param {object} product - The Product document.
+ * @param {string} imageId
+ * @param {{ alt?: string, color?: string|null }} details - Pass a null color to show the image for every variant.
+ * @returns {Promise<object>} - The updated image.
+ */
+export const updateImageDetails = async (product, imageId, { alt, color }) => {
+    const image = findImage(product, imageId);
+    if (alt !== undefined) image.alt = alt;
+    if (color !== undefined) image.color = await resolveColor(product, color);
+    await product.save();
+    return image;
+};
+
+/**
+ * Remove an image from the gallery and from the storage. When it was the
+ * primary image, the next one takes its place.
+ * @param {object} product - The Product document.
+ * @param {string} imageId
+ */
+export const removeProductImage = async (product, imageId) => {
+    const image = findImage(product, imageId);
+    const removed = { public_id: image.public_id };
+
+    product.images.pull(image._id);
+    syncPrimaryImage(product);
+    await product.save();
+
+    await deleteImages([removed]);
+};
+
+/**
+ * The product as returned to clients, with the resized URLs of every image.
+ * Products from before the gallery show their old image as the only picture.
+ * @param {object} product - A Product document or plain object.
+ * @param {{ color?: string }} [options] - Only the pictures of this color and
+ *   those of the whole product, the color's own first.
+ * @returns {object}
+ */
+export const withImageUrls = (product, { color } = {}) => {
+    const plain = typeof product.toObject === 'function' ? product.toObject() : { ...product };
+
+    let images = plain.images?.length > 0
+        ? plain.images
+        : plain.image ? [{ url: plain.image, alt: plain.title, color: null, isPrimary: true }] : [];
+
+    if (color) {
+        const wanted = String(color).toLowerCase();
+        const ofColor = images.filter(image => image.color?.toLowerCase() === wanted);
+        images = [...ofColor, ...images.filter(image => !image.color)];
+    }
+
+    plain.images = images.map(image => ({ ...image, sizes: getImageUrls(image) }));
+    plain.primaryImage = plain.images.find(image => image.isPrimary) || plain.images[0] || null;
+    return plain;
+};
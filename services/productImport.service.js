@@ -0,0 +1,495 @@
+import path from 'path';
+import mongoose from 'mongoose';
+import ExcelJS from 'exceljs';
+import { parse } from 'csv-parse/sync';
+import { ENV_VARS } from '../config/envVars.js';
+import { Product, PRODUCT_STATUS } from '../models/product.model.js';
+import { ProductVariant } from '../models/productVariant.model.js';
+import { ProductImport, PRODUCT_IMPORT_STATUS } from '../models/productImport.model.js';
+import { STOCK_MOVEMENT_TYPES } from '../models/stockMovement.model.js';
+import { findCategory } from './category.service.js';
+import { adjustStock, recordInitialStock, refreshTotalStock } from './inventory.service.js';
+import { scheduleStockCheck } from './stockAlert.service.js';
+import { NOT_DELETED } from './productLifecycle.service.js';
+
+export const IMPORT_FORMATS = ['csv', 'xlsx', 'json'];
+
+// Columns of CSV and XLSX files: one row per variant, the product's fields repeated on each
+export const PRODUCT_COLUMNS = [
+    'productId',
+    'title',
+    'category',
+    'description',
+    'material',
+    'price',
+    'status',
+    'size',
+    'color',
+    'sku',
+    'barcode',
+    'quantity',
+    'variantPrice',
+];
+
+const PRODUCT_FIELDS = ['title', 'category', 'description', 'material', 'price', 'status'];
+
+// Product fields that need converting; they return null for an invalid value
+const PRODUCT_FIELD_PARSERS = {
+    price: {
+        parse: value => toNumber(value),
+        message: 'Price must be a non-negative number',
+    },
+    status: {
+        parse: value => (value === undefined ? undefined : Object.values(PRODUCT_STATUS).includes(value.toLowerCase()) ? value.toLowerCase() : null),
+        message: `Status must be one of ${Object.values(PRODUCT_STATUS).join(', ')}`,
+    },
+};
+
+// Most rows one file can hold
+export const MAX_IMPORT_ROWS = 20000;
+
+// How often a running import saves its progress
+const PROGRESS_INTERVAL = 100;
+
+// Same comparison as the seed and category lookups: case-insensitive
+const CASE_INSENSITIVE = { locale: 'en', strength: 2 };
+
+export class ProductImportError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'ProductImportError';
+        this.statusCode = statusCode;
+    }
+}
+
+/**
+ * Work out the format of an uploaded file from the format asked for or the
+ * file extension.
+ * @param {{ originalname?: string }} file
+ * @param {string} [format]
+ * @returns {string} - One of IMPORT_FORMATS.
+ */
+export const detectImportFormat = (file, format) => {
+    const detected = (format || path.extname(file?.originalname || '').slice(1)).toLowerCase();
+    if (!IMPORT_FORMATS.includes(detected)) {
+        throw new ProductImportError(`Unsupported file format. Allowed: ${IMPORT_FORMATS.join(', ')}`);
+    }
+    return detected;
+};
+
+// Empty cells are "not given", so they never overwrite existing values
+const clean = (value) => {
+    if (value === undefined || value === null) return undefined;
+    const text = String(value).trim();
+    return text === '' ? undefined : text;
+};
+
+const normalizeRow = (record, row) => ({
+    row,
+    ...Object.fromEntries(PRODUCT_COLUMNS.map(column => [column, clean(record[column])])),
+});
+
+const parseCsv = (buffer) => {
+    let records;
+    try {
+        records = parse(buffer, { columns: header => header.map(name => name.trim()), bom: true, skip_empty_lines: true });
+    } catch (error) {
+        throw new ProductImportError(`The CSV file can't be read: ${error.message}`);
+    }
+    // Numbered like spreadsheet rows, the header being row 1
+    return records.map((record, index) => normalizeRow(record, index + 2));
+};
+
+const parseXlsx = async (buffer) => {
+    const workbook = new ExcelJS.Workbook();
+    try {
+        await workbook.xlsx.load(buffer);
+    } catch (error) {
+        throw new ProductImportError(`The XLSX file can't be read: ${error.message}`);
+    }
+
+    const sheet = workbook.worksheets[0];
+    if (!sheet) {
+        return [];
+    }
+
+    const header = [];
+    sheet.getRow(1).eachCell((cell, column) => {
+        header[column] = cell.text.trim();
+    });
+
+    const rows = [];
+    sheet.eachRow((sheetRow, rowNumber) => {
+        if (rowNumber === 1) return;
+        const record = {};
+        sheetRow.eachCell((cell, column) => {
+            if (header[column]) record[header[column]] = cell.text;
+        });
+        rows.push(normalizeRow(record, rowNumber));
+    });
+    return rows;
+};
+
+// JSON holds products with a variants array, as the JSON export writes them
+const parseJson = (buffer) => {
+    let data;
+    try {
+        data = JSON.parse(buffer.toString('utf8'));
+    } catch (error) {
+        throw new ProductImportError(`The JSON file can't be read: ${error.message}`);
+    }
+    return flattenProducts(Array.isArray(data) ? data : data?.products);
+};
+
+/**
+ * Turn products in the JSON shape into import rows, one per variant.
+ * @param {object[]} products - { productId?, title, category, ..., variants: [{ size, color, ... }] }
+ * @returns {object[]}
+ */
+export const flattenProducts = (products) => {
+    if (!Array.isArray(products)) {
+        throw new ProductImportError('Expected an array of products');
+    }
+
+    return products.flatMap((product, index) => {
+        const { variants, ...fields } = product || {};
+        const base = { ...fields, productId: fields.productId ?? fields._id };
+        if (!Array.isArray(variants) || variants.length === 0) {
+            return [normalizeRow(base, index + 1)];
+        }
+        return variants.map(variant => normalizeRow({
+            ...base,
+            size: variant?.size,
+            color: variant?.color,
+            sku: variant?.sku,
+            barcode: variant?.barcode,
+            quantity: variant?.quantity,
+            variantPrice: variant?.price,
+        }, index + 1));
+    });
+};
+
+/**
+ * Read the rows of an import file.
+ * @param {Buffer} buffer
+ * @param {string} format - One of IMPORT_FORMATS.
+ * @returns {Promise<object[]>} - Rows keyed by PRODUCT_COLUMNS, plus the row number.
+ */
+export const parseImportFile = async (buffer, format) => {
+    const parsers = { csv: parseCsv, xlsx: parseXlsx, json: parseJson };
+    const rows = await parsers[format](buffer);
+
+    if (rows.length === 0) {
+        throw new ProductImportError('The file has no rows');
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+        throw new ProductImportError(`A file can have at most ${MAX_IMPORT_ROWS} rows`);
+    }
+    return rows;
+};
+
+const toNumber = (value, { integer = false } = {}) => {
+    if (value === undefined) return undefined;
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < 0 || (integer && !Number.isInteger(number))) {
+        return null;
+    }
+    return number;
+};
+
+/**
+ * Check the rows of one product against each other and convert their values.
+ * @param {object[]} rows - Rows sharing a product.
+ * @returns {{ product: object, variants: object[], errors: object[] }}
+ */
+const validateGroup = (rows) => {
+    const errors = [];
+    const product = {};
+    const variants = [];
+    const seen = new Set();
+
+    for (const row of rows) {
+        const rowErrors = [];
+
+        // Product fields may be left empty on all but one row, but must not disagree
+        for (const field of PRODUCT_FIELDS) {
+            const parser = PRODUCT_FIELD_PARSERS[field];
+            const value = parser ? parser.parse(row[field]) : row[field];
+            if (value === null) {
+                rowErrors.push({ row: row.row, field, message: parser.message });
+            } else if (value !== undefined) {
+                if (product[field] !== undefined && product[field] !== value) {
+                    rowErrors.push({ row: row.row, field, message: `Conflicts with ${field} "${product[field]}" on an earlier row of the same product` });
+                } else {
+                    product[field] = value;
+                }
+            }
+        }
+
+        if (!row.size && !row.color) {
+            errors.push(...rowErrors);
+            continue;
+        }
+        if (!row.size || !row.color) {
+            rowErrors.push({ row: row.row, field: row.size ? 'color' : 'size', message: 'Size and color must be given together' });
+        }
+
+        const quantity = toNumber(row.quantity, { integer: true });
+        if (quantity === null) {
+            rowErrors.push({ row: row.row, field: 'quantity', message: 'Quantity must be a non-negative integer' });
+        }
+        const price = toNumber(row.variantPrice);
+        if (price === null) {
+            rowErrors.push({ row: row.row, field: 'variantPrice', message: 'Variant price must be a non-negative number' });
+        }
+
+        const key = `${row.size}/${row.color}`.toLowerCase();
+        if (seen.has(key)) {
+            rowErrors.push({ row: row.row, message: `Variant ${row.size}/${row.color} appears more than once for this product` });
+        }
+        seen.add(key);
+
+        if (rowErrors.length > 0) {
+            errors.push(...rowErrors);
+            continue;
+        }
+        variants.push({ row: row.row, size: row.size, color: row.color, sku: row.sku, barcode: row.barcode, quantity, price });
+    }
+
+    return { product, variants, errors };
+};
+
+// Rows of the same product: matched by productId when given, otherwise by title
+const groupRows = (rows, errors) => {
+    const groups = new Map();
+    for (const row of rows) {
+        if (row.productId && !mongoose.Types.ObjectId.isValid(row.productId)) {
+            errors.push({ row: row.row, field: 'productId', message: 'Invalid product ID' });
+            continue;
+        }
+        if (!row.productId && !row.title) {
+            errors.push({ row: row.row, field: 'title', message: 'Title is required when there is no product ID' });
+            continue;
+        }
+        const key = row.productId ? `id:${row.productId}` : `title:${row.title.toLowerCase()}`;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(row);
+    }
+    return [...groups.values()];
+};
+
+// A readable message for the errors saving a product or variant can raise
+const describeSaveError = (error) => {
+    if (error.code === 11000) {
+        const field = Object.keys(error.keyPattern || {}).find(key => ['sku', 'barcode'].includes(key));
+        return field ? `Another variant already uses this ${field}` : 'Duplicate variant';
+    }
+    if (error.name === 'ValidationError') {
+        return Object.values(error.errors).map(item => item.message).join(', ');
+    }
+    return null;
+};
+
+/**
+ * Create or update one product and its variants from its rows.
+ * @returns {Promise<object[]>} - Row errors.
+ */
+const importGroup = async (rows, job, { categories, touchedProducts, touchedVariants }) => {
+    const { product: fields, variants, errors } = validateGroup(rows);
+    const firstRow = rows[0].row;
+    const productId = rows[0].productId;
+
+    let product = productId
+        ? await Product.findById(productId)
+        : await Product.findOne({ title: fields.title, ...NOT_DELETED }).collation(CASE_INSENSITIVE);
+    if (productId && !product) {
+        return [...errors, { row: firstRow, field: 'productId', message: 'Product not found' }];
+    }
+    if (product?.isDeleted) {
+        return [...errors, { row: firstRow, field: 'productId', message: 'The product is deleted; restore it before importing into it' }];
+    }
+
+    if (fields.category !== undefined) {
+        const key = fields.category.toLowerCase();
+        if (!categories.has(key)) {
+            categories.set(key, await findCategory(fields.category));
+        }
+        const category = categories.get(key);
+        if (!category) {
+            return [...errors, { row: firstRow, field: 'category', message: `Category ${fields.category} not found` }];
+        }
+        fields.categoryId = category._id;
+    }
+    delete fields.category;
+
+    if (!product) {
+        const missing = ['categoryId', 'description', 'price'].filter(field => fields[field] === undefined);
+        if (missing.length > 0) {
+            const names = missing.map(field => (field === 'categoryId' ? 'category' : field));
+            return [...errors, { row: firstRow, message: `New products need ${names.join(', ')}` }];
+        }
+    }
+
+    try {
+        if (product) {
+            product.set(fields);
+            if (product.isModified()) {
+                await product.save();
+                job.productsUpdated++;
+            }
+        } else {
+            product = await Product.create(fields);
+            job.productsCreated++;
+        }
+    } catch (error) {
+        const message = describeSaveError(error);
+        if (!message) throw error;
+        return [...errors, { row: firstRow, message }];
+    }
+
+    const existingVariants = await ProductVariant.find({ productId: product._id });
+    for (const row of variants) {
+        const variant = existingVariants.find(candidate =>
+            candidate.size.toLowerCase() === row.size.toLowerCase() && candidate.color.toLowerCase() === row.color.toLowerCase());
+
+        try {
+            if (!variant) {
+                const created = await ProductVariant.create({
+                    productId: product._id,
+                    size: row.size,
+                    color: row.color,
+                    sku: row.sku,
+                    barcode: row.barcode,
+                    quantity: row.quantity ?? 0,
+                    price: row.price ?? null,
+                });
+                await recordInitialStock(created, { reason: `Product import ${job._id}`, user: job.createdBy });
+                job.variantsCreated++;
+                touchedVariants.add(created._id.toString());
+                continue;
+            }
+
+            const changes = { sku: row.sku, barcode: row.barcode, price: row.price };
+            variant.set(Object.fromEntries(Object.entries(changes).filter(([, value]) => value !== undefined)));
+            const modified = variant.isModified();
+            if (modified) {
+                await variant.save();
+            }
+
+            // The file gives the stock level to reach; the difference goes through the ledger
+            const delta = row.quantity === undefined ? 0 : row.quantity - variant.quantity;
+            if (delta !== 0) {
+                const adjusted = await adjustStock(variant._id, delta, {
+                    type: STOCK_MOVEMENT_TYPES.ADJUSTMENT,
+                    reason: `Product import ${job._id}`,
+                    user: job.createdBy,
+                    reference: { model: 'ProductImport', id: job._id },
+                });
+                if (!adjusted) {
+                    errors.push({ row: row.row, field: 'quantity', message: 'Not enough stock in the default warehouse to lower the quantity' });
+                    continue;
+                }
+                touchedProducts.add(product._id.toString());
+                touchedVariants.add(variant._id.toString());
+            }
+            if (modified || delta !== 0) {
+                job.variantsUpdated++;
+            }
+        } catch (error) {
+            const message = describeSaveError(error);
+            if (!message) throw error;
+            errors.push({ row: row.row, message });
+        }
+    }
+
+    return errors;
+};
+
+/**
+ * Import rows into the catalog, creating or updating products and variants.
+ * Rows with errors are skipped and listed on the job; the other rows are
+ * imported. Stock changes of existing variants go through the ledger.
+ * @param {object} job - The ProductImport document; counts and errors are saved on it.
+ * @param {object[]} rows - From parseImportFile.
+ * @returns {Promise<object>} - The finished job.
+ */
+export const runProductImport = async (job, rows) => {
+    const context = { categories: new Map(), touchedProducts: new Set(), touchedVariants: new Set() };
+
+    job.status = PRODUCT_IMPORT_STATUS.RUNNING;
+    job.startedAt = new Date();
+    job.totalRows = rows.length;
+    await job.save();
+
+    try {
+        const errors = [];
+        const groups = groupRows(rows, errors);
+        let lastSaved = 0;
+
+        for (const group of groups) {
+            errors.push(...await importGroup(group, job, context));
+            job.processedRows += group.length;
+
+            if (job.processedRows - lastSaved >= PROGRESS_INTERVAL) {
+                lastSaved = job.processedRows;
+                await ProductImport.updateOne({ _id: job._id }, {
+                    $set: {
+                        processedRows: job.processedRows,
+                        productsCreated: job.productsCreated,
+                        productsUpdated: job.productsUpdated,
+                        variantsCreated: job.variantsCreated,
+                        variantsUpdated: job.variantsUpdated,
+                    },
+                });
+            }
+        }
+
+        job.processedRows = rows.length;
+        job.rowErrors = errors.sort((a, b) => a.row - b.row);
+        job.status = PRODUCT_IMPORT_STATUS.COMPLETED;
+    } catch (error) {
+        job.status = PRODUCT_IMPORT_STATUS.FAILED;
+        job.failureReason = error.message;
+    }
+
+    job.finishedAt = new Date();
+    await job.save();
+
+    // Totals are derived data, so refresh them once the changes are in
+    await refreshTotalStock(context.touchedProducts);
+    scheduleStockCheck(context.touchedVariants);
+
+    return job;
+};
+
+/**
+ * Start an import. Small files are imported right away; files with more rows
+ * than IMPORT_SYNC_ROWS, or when asked, run in the background and the job can
+ * be polled.
+ * @param {object[]} rows - From parseImportFile.
+ * @param {{ format: string, fileName?: string, user?: string, background?: boolean }} options
+ * @returns {Promise<{ job: object, background: boolean }>}
+ */
+export const startProductImport = async (rows, { format, fileName, user, background = false }) => {
+    const job = await ProductImport.create({ format, fileName, totalRows: rows.length, createdBy: user });
+
+    if (background || rows.length > ENV_VARS.IMPORT_SYNC_ROWS) {
+        runProductImport(job, rows).catch(error => {
+            console.error(`Error in product import ${job._id}:`, error.message);
+        });
+        return { job, background: true };
+    }
+
+    return { job: await runProductImport(job, rows), background: false };
+};
+
+/**
+ * Mark imports that were running when the server stopped as failed.
+ * Runs at startup.
+ */
+export const failInterruptedImports = async () => {
+    await ProductImport.updateMany(
+        { status: { $in: [PRODUCT_IMPORT_STATUS.QUEUED, PRODUCT_IMPORT_STATUS.RUNNING] } },
+        { $set: { status: PRODUCT_IMPORT_STATUS.FAILED, failureReason: 'The server restarted before the import finished', finishedAt: new Date() } }
+    );
+};
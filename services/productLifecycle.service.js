@@ -0,0 +1,132 @@
+import { Product, PRODUCT_STATUS } from '../models/product.model.js';
+import { ProductVariant } from '../models/productVariant.model.js';
+import { Cart } from '../models/cart.model.js';
+
+// Where a product stands for customers, derived from its status, dates and deletion
+export const PRODUCT_VISIBILITY = {
+    DRAFT: 'draft',
+    SCHEDULED: 'scheduled', // Active, publishAt still ahead
+    LIVE: 'live',
+    EXPIRED: 'expired', // Active, unpublishAt passed
+    ARCHIVED: 'archived',
+    DELETED: 'deleted',
+};
+
+export const NOT_DELETED = { isDeleted: { $ne: true } };
+
+export class ProductLifecycleError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'ProductLifecycleError';
+        this.statusCode = statusCode;
+    }
+}
+
+/**
+ * MongoDB condition matching the products customers can see right now.
+ * Publish dates are checked at query time, so scheduled products appear and
+ * disappear on the minute without a background job.
+ * @param {Date} [now]
+ * @returns {object}
+ */
+export const visibleProductCondition = (now = new Date()) => ({
+    status: PRODUCT_STATUS.ACTIVE,
+    ...NOT_DELETED,
+    $and: [
+        { $or: [{ publishAt: null }, { publishAt: { $lte: now } }] },
+        { $or: [{ unpublishAt: null }, { unpublishAt: { $gt: now } }] },
+    ],
+});
+
+/**
+ * Where a product stands for customers.
+ * @param {object} product
+ * @param {Date} [now]
+ * @returns {string} - One of PRODUCT_VISIBILITY.
+ */
+export const getProductVisibility = (product, now = new Date()) => {
+    if (product.isDeleted) return PRODUCT_VISIBILITY.DELETED;
+    if (product.status === PRODUCT_STATUS.DRAFT) return PRODUCT_VISIBILITY.DRAFT;
+    if (product.status === PRODUCT_STATUS.ARCHIVED) return PRODUCT_VISIBILITY.ARCHIVED;
+    if (product.publishAt && product.publishAt > now) return PRODUCT_VISIBILITY.SCHEDULED;
+    if (product.unpublishAt && product.unpublishAt <= now) return PRODUCT_VISIBILITY.EXPIRED;
+    return PRODUCT_VISIBILITY.LIVE;
+};
+
+/**
+ * Whether customers can see and buy a product right now.
+ * @param {object|null} product
+ * @returns {boolean}
+ */
+export const isProductVisible = (product) => Boolean(product) && getProductVisibility(product) === PRODUCT_VISIBILITY.LIVE;
+
+/**
+ * Delete a product while keeping it for order history: it disappears from the
+ * storefront and from carts, and its variants, images and stock are kept so it
+ * can be restored.
+ * @param {object} product - The Product document.
+ * @param {{ user?: string }} [options] - Who deleted it.
+ */
+export const softDeleteProduct = async (product, { user } = {}) => {
+    if (product.isDeleted) {
+        throw new ProductLifecycleError('Product is already deleted', 409);
+    }
+
+    product.isDeleted = true;
+    product.deletedAt = new Date();
+    product.deletedBy = user;
+    await product.save();
+
+    const variantIds = await ProductVariant.find({ productId: product._id }).distinct('_id');
+    await removeVariantsFromCarts(variantIds);
+};
+
+/**
+ * Take variants out of every cart that holds them and recalculate the
+ * totals of those carts from the items left.
+ * @param {string[]} variantIds
+ */
+export const removeVariantsFromCarts = async (variantIds) => {
+    const cartIds = await Cart.find({ 'items.productVariant': { $in: variantIds } }).distinct('_id');
+    if (cartIds.length === 0) {
+        return;
+    }
+
+    await Cart.updateMany(
+        { _id: { $in: cartIds } },
+        { $pull: { items: { productVariant: { $in: variantIds } } } }
+    );
+
+    for (const cart of await Cart.find({ _id: { $in: cartIds } })) {
+        const variants = await ProductVariant.find({ _id: { $in: cart.items.map(item => item.productVariant) } }).populate('productId');
+        const byId = new Map(variants.map(variant => [variant._id.toString(), variant]));
+        cart.totalAmount = cart.items.reduce((total, item) => {
+            const variant = byId.get(item.productVariant.toString());
+            return variant?.productId ? total + variant.getPrice(variant.productId) * item.quantity : total;
+        }, 0);
+        await cart.save();
+    }
+};
+
+/**
+ * Bring back a deleted product with the status it had.
+ * @param {object} product - The Product document.
+ */
+export const restoreProduct = async (product) => {
+    if (!product.isDeleted) {
+        throw new ProductLifecycleError('Product is not deleted', 409);
+    }
+
+    product.isDeleted = false;
+    product.deletedAt = undefined;
+    product.deletedBy = undefined;
+    await product.save();
+};
+
+/**
+ * Give products from before statuses existed the active status, so the
+ * storefront keeps showing them. Runs at startup and is safe to run again.
+ */
+export const migrateProductStatus = async () => {
+    await Product.updateMany({ status: { $exists: false } }, { $set: { status: PRODUCT_STATUS.ACTIVE } });
+};
@@ -0,0 +1,182 @@
+import mongoose from 'mongoose';
+import { Product } from '../models/product.model.js';
+import { OrderProduct } from '../models/orderProduct.model.js';
+import { Order, ORDER_STATUS } from '../models/order.model.js';
+import { Payment, REFUND_STATUS } from '../models/payment.model.js';
+import { buildFilterClauses, combineClauses } from './search.service.js';
+
+// Sort keys of each listing order; _id is always appended so ties keep a stable order
+export const LISTING_SORTS = {
+    newest: [['createdAt', -1]],
+    price_asc: [['price', 1]],
+    price_desc: [['price', -1]],
+    rating: [['rating', -1], ['reviewCount', -1]],
+    best_selling: [['soldCount', -1]],
+};
+
+// Orders whose items count as sold for best_selling; pending orders aren't paid yet
+const SOLD_ORDER_STATUSES = [ORDER_STATUS.CONFIRMED, ORDER_STATUS.PACKED, ORDER_STATUS.IN_TRANSIT, ORDER_STATUS.DELIVERED];
+
+// Error raised for a cursor that was tampered with or belongs to another sort
+export class CursorError extends Error {
+    constructor(message = 'Invalid cursor') {
+        super(message);
+        this.name = 'CursorError';
+        this.statusCode = 400;
+    }
+}
+
+const getSortKeys = (sort) => [...LISTING_SORTS[sort], ['_id', 1]];
+
+/**
+ * Encode the position after a product as an opaque cursor.
+ * @param {object} product - The last product of a page.
+ * @param {string} sort - One of LISTING_SORTS.
+ * @returns {string}
+ */
+const encodeCursor = (product, sort) => {
+    const values = getSortKeys(sort).map(([field]) => {
+        const value = product[field];
+        return value instanceof Date ? value.toISOString() : value ?? null;
+    });
+    return Buffer.from(JSON.stringify({ sort, values })).toString('base64url');
+};
+
+const decodeCursor = (cursor, sort) => {
+    let decoded;
+    try {
+        decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    } catch {
+        throw new CursorError();
+    }
+
+    const keys = getSortKeys(sort);
+    if (!decoded || decoded.sort !== sort || !Array.isArray(decoded.values) || decoded.values.length !== keys.length) {
+        throw new CursorError('Cursor does not match the requested sort');
+    }
+
+    return keys.map(([field], index) => {
+        const value = decoded.values[index];
+        if (field === '_id') {
+            if (!mongoose.Types.ObjectId.isValid(value)) throw new CursorError();
+            return new mongoose.Types.ObjectId(value);
+        }
+        if (field === 'createdAt') {
+            const date = new Date(value);
+            if (Number.isNaN(date.getTime())) throw new CursorError();
+            return date;
+        }
+        return value;
+    });
+};
+
+// Products strictly after the cursor in sort order: (a > x) or (a = x and b > y) or ...
+const buildCursorMatch = (sort, values) => {
+    const keys = getSortKeys(sort);
+    return {
+        $or: keys.map(([field, direction], index) => {
+            const condition = {};
+            keys.slice(0, index).forEach(([previous], previousIndex) => {
+                condition[previous] = values[previousIndex];
+            });
+            condition[field] = { [direction === 1 ? '$gt' : '$lt']: values[index] };
+            return condition;
+        }),
+    };
+};
+
+/**
+ * List products page by page for infinite scroll.
+ * Pages are cut with a cursor instead of skip, so products added or sold
+ * while the customer scrolls don't shift the list.
+ * @param {object} params
+ * @param {object} [params.filters] - See buildFilterClauses.
+ * @param {string} [params.sort] - One of LISTING_SORTS.
+ * @param {string} [params.cursor] - nextCursor of the previous page.
+ * @param {number} [params.limit]
+ * @returns {Promise<{ products: object[], nextCursor: string|null, hasMore: boolean }>}
+ */
+export const listProducts = async ({ filters = {}, sort = 'newest', cursor, limit = 20 }) => {
+    const clauses = await buildFilterClauses(filters);
+    const pipeline = [{ $match: combineClauses(clauses) }];
+
+    if (sort === 'best_selling') {
+        pipeline.push(
+            {
+                $lookup: {
+                    from: OrderProduct.collection.name,
+                    localField: '_id',
+                    foreignField: 'productId',
+                    pipeline: [
+                        {
+                            $lookup: {
+                                from: Order.collection.name,
+                                localField: 'orderId',
+                                foreignField: '_id',
+                                pipeline: [{ $match: { status: { $in: SOLD_ORDER_STATUSES } } }, { $project: { _id: 1 } }],
+                                as: 'order',
+                            },
+                        },
+                        { $match: { 'order.0': { $exists: true } } },
+                        // Units of the line given back through partial refunds
+                        {
+                            $lookup: {
+                                from: Payment.collection.name,
+                                localField: 'orderId',
+                                foreignField: 'orderId',
+                                let: { lineId: '$_id' },
+                                pipeline: [
+                                    { $unwind: '$refunds' },
+                                    { $match: { 'refunds.status': { $ne: REFUND_STATUS.FAILED } } },
+                                    { $unwind: '$refunds.items' },
+                                    { $match: { $expr: { $eq: ['$refunds.items.orderProductId', '$$lineId'] } } },
+                                    { $group: { _id: null, quantity: { $sum: '$refunds.items.quantity' } } },
+                                ],
+                                as: 'refunded',
+                            },
+                        },
+                        {
+                            $group: {
+                                _id: null,
+                                quantity: { $sum: { $subtract: ['$quantity', { $ifNull: [{ $first: '$refunded.quantity' }, 0] }] } },
+                            },
+                        },
+                    ],
+                    as: 'sales',
+                },
+            },
+            { $addFields: { soldCount: { $ifNull: [{ $first: '$sales.quantity' }, 0] } } },
+            { $project: { sales: 0 } }
+        );
+    }
+
+    // Products from before reviews were counted have no reviewCount; a missing
+    // field would fall outside the cursor's $lt and drop out of the list
+    if (sort === 'rating') {
+        pipeline.push({
+            $addFields: { rating: { $ifNull: ['$rating', 0] }, reviewCount: { $ifNull: ['$reviewCount', 0] } },
+        });
+    }
+
+    if (cursor) {
+        pipeline.push({ $match: buildCursorMatch(sort, decodeCursor(cursor, sort)) });
+    }
+
+    // One extra product tells whether there is another page
+    pipeline.push(
+        { $sort: Object.fromEntries(getSortKeys(sort)) },
+        { $limit: limit + 1 }
+    );
+
+    const products = await Product.aggregate(pipeline);
+    const hasMore = products.length > limit;
+    if (hasMore) {
+        products.pop();
+    }
+
+    return {
+        products,
+        nextCursor: hasMore ? encodeCursor(products[products.length - 1], sort) : null,
+        hasMore,
+    };
+};
@@ -0,0 +1,306 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import { PurchaseOrder, PURCHASE_ORDER_STATUS } from '../models/purchaseOrder.model.js';
+import { Supplier } from '../models/supplier.model.js';
+import { SupplierProduct } from '../models/supplierProduct.model.js';
+import { ProductVariant } from '../models/productVariant.model.js';
+import { STOCK_MOVEMENT_TYPES } from '../models/stockMovement.model.js';
+import { adjustStock, refreshTotalStock } from './inventory.service.js';
+import { getReceivingWarehouse } from './warehouse.service.js';
+import { scheduleStockCheck } from './stockAlert.service.js';
+
+// Statuses in which deliveries can be booked
+const RECEIVABLE_STATUSES = [PURCHASE_ORDER_STATUS.SENT, PURCHASE_ORDER_STATUS.PARTIALLY_RECEIVED];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export class PurchaseOrderError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'PurchaseOrderError';
+        this.statusCode = statusCode;
+    }
+}
+
+const generateNumber = () => {
+    const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+    return `PO-${date}-${crypto.randomBytes(2).toString('hex').toUpperCase()}`;
+};
+
+/**
+ * Find the terms a supplier gives for a variant. An entry for the variant
+ * itself wins over one for the whole product.
+ * @param {string} supplierId
+ * @param {object} variant - The ProductVariant document.
+ * @returns {Promise<object|null>} - The SupplierProduct, or null if the supplier doesn't sell it.
+ */
+export const getSupplierTerms = async (supplierId, variant) => {
+    const terms = await SupplierProduct.find({
+        supplierId,
+        productId: variant.productId,
+        productVariantId: { $in: [variant._id, null] },
+    });
+    return terms.find(entry => entry.productVariantId) || terms[0] || null;
+};
+
+/**
+ * Validate requested lines and fill in the product snapshot and, where not
+ * given, the supplier's SKU and cost price.
+ * @param {string} supplierId
+ * @param {{ productVariantId: string, quantity: number, unitCost?: number }[]} lines
+ * @returns {Promise<{ lines: object[], leadTimeDays: number }>} - The lines and the longest lead time among them.
+ */
+const buildLines = async (supplierId, lines) => {
+    if (!Array.isArray(lines) || lines.length === 0) {
+        throw new PurchaseOrderError('At least one line is required');
+    }
+
+    const seen = new Set();
+    const built = [];
+    let leadTimeDays = 0;
+
+    for (const line of lines) {
+        const { productVariantId, quantity, unitCost } = line || {};
+        if (!mongoose.Types.ObjectId.isValid(productVariantId)) {
+            throw new PurchaseOrderError('Each line needs a valid productVariantId');
+        }
+        if (seen.has(String(productVariantId))) {
+            throw new PurchaseOrderError(`Variant ${productVariantId} appears on more than one line`);
+        }
+        seen.add(String(productVariantId));
+
+        if (!Number.isInteger(quantity) || quantity < 1) {
+            throw new PurchaseOrderError(`Invalid quantity for variant ${productVariantId}`);
+        }
+        if (unitCost !== undefined && (typeof unitCost !== 'number' || unitCost < 0)) {
+            throw new PurchaseOrderError(`Invalid unit cost for variant ${productVariantId}`);
+        }
+
+        const variant = await ProductVariant.findById(productVariantId).populate('productId', 'title');
+        if (!variant) {
+            throw new PurchaseOrderError(`Product variant ${productVariantId} not found`, 404);
+        }
+
+        const terms = await getSupplierTerms(supplierId, variant);
+        const cost = unitCost ?? terms?.costPrice;
+        if (cost === undefined) {
+            throw new PurchaseOrderError(`No cost price for variant ${productVariantId}. Give a unitCost or link the product to this supplier.`);
+        }
+        if (terms && quantity < terms.minOrderQuantity) {
+            throw new PurchaseOrderError(`The supplier's minimum order for variant ${productVariantId} is ${terms.minOrderQuantity}`);
+        }
+        leadTimeDays = Math.max(leadTimeDays, terms?.leadTimeDays || 0);
+
+        built.push({
+            productVariantId: variant._id,
+            productId: variant.productId?._id,
+            sku: variant.sku,
+            supplierSku: terms?.supplierSku,
+            description: [variant.productId?.title, variant.size, variant.color].filter(Boolean).join(' / '),
+            quantity,
+            unitCost: cost,
+        });
+    }
+
+    return { lines: built, leadTimeDays };
+};
+
+/**
+ * Create a draft purchase order. Lines default to the supplier's cost price,
+ * and the expected delivery date to the longest lead time of the lines.
+ * @param {object} order
+ * @param {string} order.supplierId
+ * @param {object[]} order.lines - { productVariantId, quantity, unitCost? }
+ * @param {string} [order.warehouseId] - Where the goods are delivered.
+ * @param {Date} [order.expectedAt]
+ * @param {string} [order.note]
+ * @param {string} [order.user] - Who created the order.
+ * @returns {Promise<object>} - The PurchaseOrder.
+ */
+export const createPurchaseOrderDraft = async ({ supplierId, lines, warehouseId, expectedAt, note, user }) => {
+    const supplier = mongoose.Types.ObjectId.isValid(supplierId) ? await Supplier.findOne({ _id: supplierId, isDeleted: { $ne: true } }) : null;
+    if (!supplier) {
+        throw new PurchaseOrderError('Supplier not found', 404);
+    }
+
+    const warehouse = warehouseId ? await getReceivingWarehouse(warehouseId) : null;
+    const built = await buildLines(supplier._id, lines);
+
+    // The random part of the number can collide, so try a few times
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await PurchaseOrder.create({
+                number: generateNumber(),
+                supplierId: supplier._id,
+                warehouseId: warehouse?._id,
+                lines: built.lines,
+                expectedAt: expectedAt || new Date(Date.now() + built.leadTimeDays * DAY_MS),
+                note,
+                createdBy: user,
+            });
+        } catch (error) {
+            if (error.code === 11000 && attempt < 4) continue;
+            throw error;
+        }
+    }
+};
+
+/**
+ * Change a draft purchase order. Orders that have been sent can't be edited.
+ * @param {object} purchaseOrder - The PurchaseOrder document.
+ * @param {{ lines?: object[], warehouseId?: string|null, expectedAt?: Date, note?: string }} changes
+ * @returns {Promise<object>} - The updated PurchaseOrder.
+ */
+export const updatePurchaseOrderDraft = async (purchaseOrder, { lines, warehouseId, expectedAt, note }) => {
+    if (purchaseOrder.status !== PURCHASE_ORDER_STATUS.DRAFT) {
+        throw new PurchaseOrderError('Only draft purchase orders can be edited', 409);
+    }
+
+    const update = {};
+    if (lines !== undefined) {
+        update.lines = (await buildLines(purchaseOrder.supplierId, lines)).lines;
+    }
+    if (warehouseId !== undefined) {
+        update.warehouseId = warehouseId ? (await getReceivingWarehouse(warehouseId))._id : null;
+    }
+    if (expectedAt !== undefined) update.expectedAt = expectedAt;
+    if (note !== undefined) update.note = note;
+
+    // Only save while still a draft, in case it was sent in the meantime
+    const updated = await PurchaseOrder.findOneAndUpdate(
+        { _id: purchaseOrder._id, status: PURCHASE_ORDER_STATUS.DRAFT },
+        { $set: update },
+        { new: true, runValidators: true }
+    );
+    if (!updated) {
+        throw new PurchaseOrderError('Only draft purchase orders can be edited', 409);
+    }
+    return updated;
+};
+
+/**
+ * Send or cancel a purchase order. Received statuses are set by receipts.
+ * @param {object} purchaseOrder - The PurchaseOrder document in its current status.
+ * @param {string} status
+ * @returns {Promise<object>} - The updated PurchaseOrder.
+ */
+export const changePurchaseOrderStatus = async (purchaseOrder, status) => {
+    if (!PurchaseOrder.canTransition(purchaseOrder.status, status)) {
+        throw new PurchaseOrderError(`Cannot change purchase order status from ${purchaseOrder.status} to ${status}`);
+    }
+
+    const update = { status };
+    if (status === PURCHASE_ORDER_STATUS.SENT) {
+        update.sentAt = new Date();
+    }
+
+    // Only update if nobody else changed the status in the meantime
+    const updated = await PurchaseOrder.findOneAndUpdate(
+        { _id: purchaseOrder._id, status: purchaseOrder.status },
+        { $set: update },
+        { new: true }
+    );
+    if (!updated) {
+        throw new PurchaseOrderError('The purchase order was changed by someone else. Please reload and try again.', 409);
+    }
+    return updated;
+};
+
+/**
+ * Book a delivery against a purchase order. The received units go into stock
+ * the same way as a manual restock, as restock movements pointing at the
+ * purchase order, and the stock and the order are updated in one transaction.
+ * @param {string} purchaseOrderId
+ * @param {object} receipt
+ * @param {{ lineId: string, quantity: number }[]} [receipt.items] - Everything still outstanding when omitted.
+ * @param {string} [receipt.warehouseId] - Overrides the order's delivery warehouse.
+ * @param {string} [receipt.note]
+ * @param {string} [receipt.user] - Who received the goods.
+ * @returns {Promise<object>} - The updated PurchaseOrder.
+ */
+export const receivePurchaseOrderItems = async (purchaseOrderId, { items, warehouseId, note, user }) => {
+    const session = await mongoose.startSession();
+    const productIds = new Set();
+    const variantIds = new Set();
+    let purchaseOrder;
+
+    try {
+        await session.withTransaction(async () => {
+            productIds.clear();
+            variantIds.clear();
+
+            purchaseOrder = await PurchaseOrder.findById(purchaseOrderId).session(session);
+            if (!purchaseOrder) {
+                throw new PurchaseOrderError('Purchase order not found', 404);
+            }
+            if (!RECEIVABLE_STATUSES.includes(purchaseOrder.status)) {
+                throw new PurchaseOrderError(`Purchase orders in status ${purchaseOrder.status} can't be received`, 409);
+            }
+
+            const requested = items && items.length > 0
+                ? items
+                : purchaseOrder.lines
+                    .filter(line => line.receivedQuantity < line.quantity)
+                    .map(line => ({ lineId: line._id, quantity: line.quantity - line.receivedQuantity }));
+
+            const received = new Map();
+            for (const { lineId, quantity } of requested) {
+                const line = mongoose.Types.ObjectId.isValid(lineId) ? purchaseOrder.lines.id(lineId) : null;
+                if (!line) {
+                    throw new PurchaseOrderError(`Line ${lineId} is not on this purchase order`);
+                }
+                if (!Number.isInteger(quantity) || quantity < 1) {
+                    throw new PurchaseOrderError(`Invalid quantity for line ${lineId}`);
+                }
+                const outstanding = line.quantity - line.receivedQuantity - (received.get(line) || 0);
+                if (quantity > outstanding) {
+                    throw new PurchaseOrderError(`Only ${outstanding} unit(s) of line ${lineId} are outstanding`);
+                }
+                received.set(line, (received.get(line) || 0) + quantity);
+            }
+
+            const warehouse = await getReceivingWarehouse(warehouseId || purchaseOrder.warehouseId);
+
+            for (const [line, quantity] of received) {
+                const variant = await adjustStock(line.productVariantId, quantity, {
+                    type: STOCK_MOVEMENT_TYPES.RESTOCK,
+                    warehouseId: warehouse._id,
+                    reason: `Purchase order ${purchaseOrder.number}`,
+                    user,
+                    reference: { model: 'PurchaseOrder', id: purchaseOrder._id },
+                    session,
+                });
+                if (!variant) {
+                    throw new PurchaseOrderError(`Product variant ${line.productVariantId} no longer exists`, 409);
+                }
+
+                line.receivedQuantity += quantity;
+                productIds.add(variant.productId.toString());
+                variantIds.add(variant._id.toString());
+            }
+
+            purchaseOrder.receipts.push({
+                warehouseId: warehouse._id,
+                items: [...received].map(([line, quantity]) => ({ lineId: line._id, quantity })),
+                note,
+                receivedBy: user,
+            });
+
+            const complete = purchaseOrder.lines.every(line => line.receivedQuantity >= line.quantity);
+            purchaseOrder.status = complete ? PURCHASE_ORDER_STATUS.RECEIVED : PURCHASE_ORDER_STATUS.PARTIALLY_RECEIVED;
+            if (complete) {
+                purchaseOrder.receivedAt = new Date();
+            }
+
+            await purchaseOrder.save({ session });
+        });
+    } finally {
+        await session.endSession();
+    }
+
+    // Totals are derived data, so refresh them once the transaction has committed
+    await refreshTotalStock(productIds);
+    scheduleStockCheck(variantIds);
+
+    return purchaseOrder;
+};
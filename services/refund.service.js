@@ -0,0 +1,271 @@
+import mongoose from 'mongoose';
+import { Payment, PAYMENT_STATUS, REFUND_STATUS } from '../models/payment.model.js';
+import { Order, ORDER_STATUS } from '../models/order.model.js';
+import { OrderProduct } from '../models/orderProduct.model.js';
+import { STOCK_MOVEMENT_TYPES } from '../models/stockMovement.model.js';
+import { getPaymentGateway, PaymentError } from './payment.service.js';
+import { changeOrderStatus, restockItems } from './order.service.js';
+
+// Payment statuses that still have money left to refund; manual payments get there through captureManualPayment
+const REFUNDABLE_STATUSES = [PAYMENT_STATUS.CAPTURED, PAYMENT_STATUS.PARTIALLY_REFUNDED];
+
+// Order statuses in which money may go back to the customer
+const REFUNDABLE_ORDER_STATUSES = [ORDER_STATUS.DELIVERED, ORDER_STATUS.CANCELLED];
+
+// Quantities already refunded per order line, ignoring failed refunds
+const getRefundedQuantities = (payment) => {
+    const quantities = new Map();
+    for (const refund of payment.refunds) {
+        if (refund.status === REFUND_STATUS.FAILED) continue;
+        for (const item of refund.items) {
+            const key = item.orderProductId.toString();
+            quantities.set(key, (quantities.get(key) || 0) + item.quantity);
+        }
+    }
+    return quantities;
+};
+
+/**
+ * Split units returned from an order line across the warehouses it shipped
+ * from, in allocation order, after the units earlier refunds already took.
+ * @param {object} line - The OrderProduct.
+ * @param {number} quantity - Units returned now.
+ * @param {number} alreadyReturned - Units of the line refunded before.
+ * @returns {Array<{ productVariantId: string, warehouseId?: string, quantity: number }>} - Items for restockItems.
+ */
+const splitReturnedUnits = (line, quantity, alreadyReturned) => {
+    if (line.allocations.length === 0) {
+        return [{ productVariantId: line.productVariantId, quantity }];
+    }
+
+    const parts = [];
+    let skip = alreadyReturned;
+    let remaining = quantity;
+    for (const allocation of line.allocations) {
+        const skipped = Math.min(skip, allocation.quantity);
+        skip -= skipped;
+        const taken = Math.min(allocation.quantity - skipped, remaining);
+        if (taken > 0) {
+            parts.push({ productVariantId: line.productVariantId, warehouseId: allocation.warehouseId, quantity: taken });
+            remaining -= taken;
+        }
+    }
+    // Allocations of older lines may not add up to the line; the rest goes where the line last shipped from
+    if (remaining > 0) {
+        parts.push({ productVariantId: line.productVariantId, warehouseId: line.allocations.at(-1).warehouseId, quantity: remaining });
+    }
+    return parts;
+};
+
+/**
+ * Work out which order lines a refund covers and how much it is worth.
+ * Without requested items the refund covers everything not refunded yet.
+ */
+const buildRefundItems = (payment, orderProducts, requestedItems) => {
+    const refunded = getRefundedQuantities(payment);
+    const linesById = new Map(orderProducts.map(line => [line._id.toString(), line]));
+    const remainingAmount = payment.amount - payment.refundedAmount;
+
+    if (!requestedItems || requestedItems.length === 0) {
+        const items = orderProducts
+            .map(line => ({
+                orderProductId: line._id,
+                productVariantId: line.productVariantId,
+                quantity: line.quantity - (refunded.get(line._id.toString()) || 0),
+                amount: 0,
+            }))
+            .filter(item => item.quantity > 0);
+        items.forEach(item => {
+            item.amount = item.quantity * linesById.get(item.orderProductId.toString()).price;
+        });
+        return { items, amount: remainingAmount };
+    }
+
+    // Merge duplicate lines so the quantity check sees the full request
+    const requested = new Map();
+    for (const { orderProductId, quantity } of requestedItems) {
+        if (!orderProductId || !linesById.has(String(orderProductId))) {
+            throw new PaymentError(`Order line ${orderProductId} does not belong to this payment's order`);
+        }
+        if (!Number.isInteger(quantity) || quantity < 1) {
+            throw new PaymentError(`Invalid quantity for order line ${orderProductId}`);
+        }
+        requested.set(String(orderProductId), (requested.get(String(orderProductId)) || 0) + quantity);
+    }
+
+    const items = [];
+    for (const [orderProductId, quantity] of requested) {
+        const line = linesById.get(orderProductId);
+        const available = line.quantity - (refunded.get(orderProductId) || 0);
+        if (quantity > available) {
+            throw new PaymentError(`Only ${available} unit(s) of order line ${orderProductId} can still be refunded`);
+        }
+        items.push({
+            orderProductId: line._id,
+            productVariantId: line.productVariantId,
+            quantity,
+            amount: quantity * line.price,
+        });
+    }
+
+    const amount = items.reduce((sum, item) => sum + item.amount, 0);
+    if (amount > remainingAmount) {
+        throw new PaymentError(`Refund of ${amount} exceeds the ${remainingAmount} left on this payment`);
+    }
+
+    return { items, amount };
+};
+
+/**
+ * Refund a captured payment, fully or for some order lines.
+ * The refund is reserved on the payment before the gateway is called, so two
+ * concurrent refunds can't exceed the amount paid; a failed gateway refund
+ * releases the reservation again. Payments recorded without a gateway (cash,
+ * bank transfer) are always refunded manually, without calling the gateway.
+ * @param {object} payment - The Payment document to refund.
+ * @param {object} options
+ * @param {Array<{ orderProductId: string, quantity: number }>} [options.items] - Lines to refund; all remaining lines when omitted.
+ * @param {string} [options.reason] - Why the refund was issued.
+ * @param {boolean} [options.restock] - Return the refunded items to ProductVariant stock.
+ * @param {boolean} [options.manual] - Refund by cash/bank instead of through the gateway.
+ * @param {string} [options.reference] - Receipt or bank transfer reference of a manual refund.
+ * @param {object} options.user - The staff member issuing the refund.
+ * @returns {Promise<{ payment: object, refund: object }>}
+ */
+export const refundPayment = async (payment, { items: requestedItems, reason, restock = false, manual = false, reference, user }) => {
+    if (!payment.gateway && payment.status === PAYMENT_STATUS.INITIATED) {
+        throw new PaymentError('The money of this payment was never confirmed. Capture the payment before refunding it.');
+    }
+    if (!REFUNDABLE_STATUSES.includes(payment.status)) {
+        throw new PaymentError(`Only captured payments can be refunded. Current status: ${payment.status}`);
+    }
+
+    const order = await Order.findById(payment.orderId);
+    if (!order) {
+        throw new PaymentError('Order not found', 404);
+    }
+
+    // A payment flagged with needsRefund never paid for the order, so it is refunded on its own
+    if (!payment.needsRefund && !REFUNDABLE_ORDER_STATUSES.includes(order.status)) {
+        throw new PaymentError(`Orders in status ${order.status} can't be refunded. Cancel the order or wait for delivery first.`);
+    }
+
+    const orderProducts = await OrderProduct.find({ orderId: order._id });
+    const { items, amount } = buildRefundItems(payment, orderProducts, requestedItems);
+    if (amount <= 0) {
+        throw new PaymentError('Nothing left to refund on this payment');
+    }
+
+    const isManual = manual || !payment.gateway;
+    const gateway = isManual ? null : getPaymentGateway();
+    if (gateway && gateway.name !== payment.gateway) {
+        throw new PaymentError(`Payment was made through ${payment.gateway}, which is not the active gateway. Use a manual refund instead.`);
+    }
+
+    // Reserve the refund; fails if another refund changed the payment meanwhile
+    const refundId = new mongoose.Types.ObjectId();
+    const reserved = await Payment.findOneAndUpdate(
+        { _id: payment._id, refundedAmount: payment.refundedAmount, status: { $in: REFUNDABLE_STATUSES } },
+        {
+            $inc: { refundedAmount: amount },
+            $push: {
+                refunds: {
+                    _id: refundId,
+                    amount,
+                    items,
+                    reason,
+                    manual: isManual,
+                    reference: isManual ? reference : undefined,
+                    createdBy: user._id,
+                    status: isManual ? REFUND_STATUS.SUCCEEDED : REFUND_STATUS.PENDING,
+                },
+            },
+        },
+        { new: true, runValidators: true }
+    );
+    if (!reserved) {
+        throw new PaymentError('Payment was changed by another request. Please retry.', 409);
+    }
+
+    let refundStatus = REFUND_STATUS.SUCCEEDED;
+    const refundUpdate = {};
+    if (gateway) {
+        try {
+            const result = await gateway.refund({
+                refundId: refundId.toString(),
+                transactionId: payment.transactionId,
+                amount,
+                description: reason || `Refund for order ${order._id}`,
+            });
+            refundStatus = result.success ? REFUND_STATUS.SUCCEEDED : REFUND_STATUS.FAILED;
+            refundUpdate['refunds.$[refund].gatewayRefundId'] = result.refundTransactionId;
+            refundUpdate['refunds.$[refund].gatewayPayload'] = result.raw;
+        } catch (error) {
+            refundStatus = REFUND_STATUS.FAILED;
+            refundUpdate['refunds.$[refund].gatewayPayload'] = { error: error.message };
+        }
+    }
+
+    if (refundStatus === REFUND_STATUS.FAILED) {
+        await Payment.findByIdAndUpdate(
+            payment._id,
+            {
+                $set: { ...refundUpdate, 'refunds.$[refund].status': REFUND_STATUS.FAILED },
+                $inc: { refundedAmount: -amount },
+            },
+            { arrayFilters: [{ 'refund._id': refundId }] }
+        );
+        throw new PaymentError('The payment gateway rejected the refund', 502);
+    }
+
+    const fullyRefunded = reserved.refundedAmount >= reserved.amount;
+    let updatedPayment = await Payment.findByIdAndUpdate(
+        payment._id,
+        {
+            $set: {
+                ...refundUpdate,
+                'refunds.$[refund].status': REFUND_STATUS.SUCCEEDED,
+                status: fullyRefunded ? PAYMENT_STATUS.REFUNDED : PAYMENT_STATUS.PARTIALLY_REFUNDED,
+            },
+        },
+        { new: true, arrayFilters: [{ 'refund._id': refundId }] }
+    );
+
+    // Cancelled orders were already restocked when they were cancelled
+    const shouldRestock = restock && !payment.needsRefund && order.status !== ORDER_STATUS.CANCELLED;
+    if (shouldRestock) {
+        // Returns go back to the warehouses the line shipped from
+        const lines = new Map(orderProducts.map(line => [line._id.toString(), line]));
+        const refunded = getRefundedQuantities(payment);
+        const returned = items.flatMap(item => splitReturnedUnits(
+            lines.get(item.orderProductId.toString()),
+            item.quantity,
+            refunded.get(item.orderProductId.toString()) || 0
+        ));
+        // The money is already back, so a failed restock only leaves restocked unset on the refund
+        try {
+            await restockItems(returned, {
+                type: STOCK_MOVEMENT_TYPES.RETURN,
+                reason: reason || 'Refunded items returned',
+                user: user._id,
+                reference: { model: 'Payment', id: payment._id },
+            });
+            updatedPayment = await Payment.findByIdAndUpdate(
+                payment._id,
+                { $set: { 'refunds.$[refund].restocked': true } },
+                { new: true, arrayFilters: [{ 'refund._id': refundId }] }
+            );
+        } catch (error) {
+            console.error(`Refund ${refundId} succeeded but its items were not restocked:`, error.message);
+        }
+    }
+
+    if (fullyRefunded && !payment.needsRefund && Order.canTransition(order.status, ORDER_STATUS.REFUNDED)) {
+        await changeOrderStatus(order, ORDER_STATUS.REFUNDED, {
+            changedBy: user._id,
+            note: reason || 'Payment refunded',
+        });
+    }
+
+    return { payment: updatedPayment, refund: updatedPayment.refunds.id(refundId) };
+};
@@ -0,0 +1,61 @@
+import { ENV_VARS } from '../config/envVars.js';
+import { REVIEW_STATUS } from '../models/review.model.js';
+
+// Words that hold a review for staff; extend as needed
+const BLOCKED_WORDS = [
+    'fuck', 'shit', 'bitch', 'bastard', 'asshole', 'dick', 'cunt',
+    'đm', 'vcl', 'vkl', 'đéo', 'lồn', 'cặc', 'địt',
+];
+
+// Number of customer reports that sends a published review back to the queue
+export const FLAGS_BEFORE_REVIEW = 3;
+
+const LINK_PATTERN = /(https?:\/\/|www\.)\S+/i;
+const PHONE_PATTERN = /(\+?\d[\s.-]?){9,}/;
+const REPEATED_CHARACTERS_PATTERN = /(.)\1{6,}/;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const BLOCKED_WORDS_PATTERN = new RegExp(`(^|[^\\p{L}])(${BLOCKED_WORDS.map(escapeRegex).join('|')})(?=$|[^\\p{L}])`, 'iu');
+
+/**
+ * Look for profanity and common spam signals in a review comment.
+ * @param {string} comment
+ * @returns {string|null} - Why the comment looks problematic, or null when it looks clean.
+ */
+export const detectReviewProblems = (comment = '') => {
+    if (BLOCKED_WORDS_PATTERN.test(comment)) {
+        return 'Contains blocked language';
+    }
+    if (LINK_PATTERN.test(comment)) {
+        return 'Contains a link';
+    }
+    if (PHONE_PATTERN.test(comment)) {
+        return 'Contains a phone number';
+    }
+    if (REPEATED_CHARACTERS_PATTERN.test(comment)) {
+        return 'Contains repeated characters';
+    }
+    const letters = comment.replace(/[^\p{L}]/gu, '');
+    if (letters.length >= 20 && letters === letters.toUpperCase()) {
+        return 'Written in all caps';
+    }
+    return null;
+};
+
+/**
+ * Decide the status of a newly written or edited review.
+ * In manual mode every review waits for staff; in auto mode clean reviews are
+ * published straight away and only suspicious ones wait.
+ * @param {string} comment
+ * @returns {{ status: string, reason?: string }}
+ */
+export const screenReview = (comment) => {
+    const problem = detectReviewProblems(comment);
+    if (problem) {
+        return { status: REVIEW_STATUS.PENDING, reason: `Automatic filter: ${problem}` };
+    }
+    if (ENV_VARS.REVIEW_MODERATION === 'auto') {
+        return { status: REVIEW_STATUS.PUBLISHED };
+    }
+    return { status: REVIEW_STATUS.PENDING };
+};
@@ -0,0 +1,374 @@
+import { ENV_VARS } from '../config/envVars.js';
+import { Product } from '../models/product.model.js';
+import { ProductVariant } from '../models/productVariant.model.js';
+import { Category } from '../models/category.model.js';
+import { getCategoryIdsWithDescendants } from './category.service.js';
+import { visibleProductCondition, NOT_DELETED } from './productLifecycle.service.js';
+
+// Lower bounds (VND) of the price bands in the storefront filter sidebar; the last band is open-ended
+export const PRICE_BANDS = [0, 500000, 1000000, 2000000, 5000000];
+
+// Sort orders accepted by search; _id keeps the order stable between pages
+export const SEARCH_SORTS = {
+    relevance: { score: -1, rating: -1, _id: 1 },
+    newest: { createdAt: -1, _id: -1 },
+    price_asc: { price: 1, _id: 1 },
+    price_desc: { price: -1, _id: 1 },
+    rating: { rating: -1, reviewCount: -1, _id: 1 },
+};
+
+// Words known to the catalog, used to correct misspelled queries
+const VOCABULARY_TTL = 5 * 60 * 1000;
+let vocabularyCache = null;
+
+const tokenize = (text = '') => String(text)
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(token => token.length > 1);
+
+const loadVocabulary = async () => {
+    if (vocabularyCache && vocabularyCache.expiresAt > Date.now()) {
+        return vocabularyCache.words;
+    }
+
+    const [titles, materials, categories] = await Promise.all([
+        Product.distinct('title', visibleProductCondition()),
+        Product.distinct('material', visibleProductCondition()),
+        Category.distinct('name'),
+    ]);
+    const words = [...new Set([...titles, ...materials, ...categories].flatMap(tokenize))];
+    vocabularyCache = { words, expiresAt: Date.now() + VOCABULARY_TTL };
+    return words;
+};
+
+// Edit distance counting a swap of two neighbouring letters as one typo (e.g. "sheos" -> "shoes")
+const editDistance = (a, b) => {
+    const rows = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+    for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+            }
+        }
+    }
+    return rows[a.length][b.length];
+};
+
+// Short words must match exactly, longer ones may contain one or two typos
+const allowedTypos = (term) => (term.length < 4 ? 0 : term.length < 8 ? 1 : 2);
+
+const correctTerm = (term, vocabulary) => {
+    if (vocabulary.includes(term)) {
+        return term;
+    }
+
+    // Unfinished words, e.g. "sneak" -> "sneakers"
+    if (term.length >= 3) {
+        const completions = vocabulary.filter(word => word.startsWith(term));
+        if (completions.length > 0) {
+            return completions.reduce((shortest, word) => (word.length < shortest.length ? word : shortest));
+        }
+    }
+
+    let best = term;
+    let bestDistance = allowedTypos(term) + 1;
+    for (const word of vocabulary) {
+        if (Math.abs(word.length - term.length) >= bestDistance) continue;
+        const distance = editDistance(term, word);
+        if (distance < bestDistance) {
+            best = word;
+            bestDistance = distance;
+        }
+    }
+    return best;
+};
+
+/**
+ * Replace misspelled or unfinished words of a query with the closest catalog words.
+ * @param {string} q - The search query.
+ * @returns {Promise<string|null>} - The corrected query, or null when nothing changed.
+ */
+export const correctQuery = async (q) => {
+    const terms = tokenize(q);
+    if (terms.length === 0) {
+        return null;
+    }
+
+    const vocabulary = await loadVocabulary();
+    const corrected = terms.map(term => correctTerm(term, vocabulary));
+    return corrected.join(' ') === terms.join(' ') ? null : corrected.join(' ');
+};
+
+// Sizes and colors only count when the variant is in stock
+const buildVariantMatch = ({ sizes = [], colors = [] }) => {
+    const match = { quantity: { $gt: 0 } };
+    if (sizes.length > 0) match.size = { $in: sizes };
+    if (colors.length > 0) match.color = { $in: colors };
+    return match;
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Condition for one attribute filter. Values come from the query string, so
+ * each one matches text and enum values regardless of case, and numbers and
+ * booleans when it reads as one.
+ * @param {{ key: string, values?: string[], min?: number, max?: number }} filter
+ * @returns {object}
+ */
+const buildAttributeCondition = ({ key, values, min, max }) => {
+    const path = `attributes.${key}`;
+    if (!values) {
+        const range = {};
+        if (min !== undefined) range.$gte = min;
+        if (max !== undefined) range.$lte = max;
+        return { [path]: range };
+    }
+
+    const matches = values.flatMap(value => {
+        const candidates = [new RegExp(`^${escapeRegex(value)}$`, 'i')];
+        if (value.trim() !== '' && Number.isFinite(Number(value))) candidates.push(Number(value));
+        if (value === 'true' || value === 'false') candidates.push(value === 'true');
+        return candidates;
+    });
+    return { [path]: { $in: matches } };
+};
+
+/**
+ * Turn catalog filters into Product conditions, keyed by filter so facets can
+ * leave out their own filter. A category filter also matches the products of
+ * its subcategories. Only products customers can see are matched, unless
+ * includeHidden is set; deleted products are never matched.
+ * @param {{ categoryIds?: string[], materials?: string[], minPrice?: number, maxPrice?: number, minRating?: number, inStock?: boolean, sizes?: string[], colors?: string[], attributes?: object[] }} filters
+ *   attributes are { key, values } or { key, min, max }, see buildAttributeCondition.
+ * @param {{ includeHidden?: boolean }} [options] - includeHidden also matches drafts, archived and scheduled products, for staff.
+ * @returns {Promise<object>} - Conditions keyed by visibility, category, material, price, rating, stock, variant and attributes.
+ */
+export const buildFilterClauses = async (filters, { includeHidden = false } = {}) => {
+    const { categoryIds = [], materials = [], minPrice, maxPrice, minRating, inStock, sizes = [], colors = [], attributes = [] } = filters;
+    const clauses = {
+        visibility: includeHidden ? NOT_DELETED : visibleProductCondition(),
+    };
+    if (categoryIds.length > 0) {
+        clauses.category = { categoryId: { $in: await getCategoryIdsWithDescendants(categoryIds) } };
+    }
+    if (materials.length > 0) {
+        clauses.material = { material: { $in: materials } };
+    }
+    if (minPrice !== undefined || maxPrice !== undefined) {
+        const price = {};
+        if (minPrice !== undefined) price.$gte = minPrice;
+        if (maxPrice !== undefined) price.$lt = maxPrice;
+        clauses.price = { price };
+    }
+    if (minRating !== undefined) {
+        clauses.rating = { rating: { $gte: minRating } };
+    }
+    if (inStock) {
+        clauses.stock = { totalStock: { $gt: 0 } };
+    }
+    if (sizes.length > 0 || colors.length > 0) {
+        const productIds = await ProductVariant.distinct('productId', buildVariantMatch({ sizes, colors }));
+        clauses.variant = { _id: { $in: productIds } };
+    }
+    if (attributes.length > 0) {
+        clauses.attributes = { $and: attributes.map(buildAttributeCondition) };
+    }
+    return clauses;
+};
+
+/**
+ * Merge filter conditions into a single $match, optionally leaving some out.
+ * @param {object} clauses - As returned by buildFilterClauses.
+ * @param {...string} excluded - Keys of the conditions to leave out.
+ * @returns {object}
+ */
+export const combineClauses = (clauses, ...excluded) => {
+    const conditions = Object.entries(clauses)
+        .filter(([key]) => !excluded.includes(key))
+        .map(([, condition]) => condition);
+    return conditions.length > 0 ? { $and: conditions } : {};
+};
+
+// Number of matching products that have an in-stock variant with each size/color
+const countVariantValues = (field, variantMatch) => [
+    {
+        $lookup: {
+            from: ProductVariant.collection.name,
+            localField: '_id',
+            foreignField: 'productId',
+            pipeline: [{ $match: variantMatch }, { $project: { [field]: 1 } }],
+            as: 'variants',
+        },
+    },
+    { $unwind: '$variants' },
+    { $group: { _id: { product: '$_id', value: `$variants.${field}` } } },
+    { $group: { _id: '$_id.value', count: { $sum: 1 } } },
+    { $sort: { _id: 1 } },
+    { $project: { _id: 0, value: '$_id', count: 1 } },
+];
+
+const formatPriceBands = (buckets) => PRICE_BANDS.map((min, index) => {
+    const isLast = index === PRICE_BANDS.length - 1;
+    const bucket = buckets.find(item => item._id === (isLast ? 'above' : min));
+    return { min, max: isLast ? null : PRICE_BANDS[index + 1], count: bucket ? bucket.count : 0 };
+});
+
+const runSearch = async ({ q, filters, sort, page, limit }) => {
+    const clauses = await buildFilterClauses(filters);
+
+    // $text has to be the first stage; every facet then ignores its own filter
+    // so the sidebar keeps showing the other options of an active filter
+    const pipeline = [];
+    if (q) {
+        pipeline.push({ $match: { $text: { $search: q } } });
+        pipeline.push({ $addFields: { score: { $meta: 'textScore' } } });
+    }
+
+    const sortStage = q || sort !== 'relevance' ? SEARCH_SORTS[sort] : SEARCH_SORTS.newest;
+
+    pipeline.push({
+        $facet: {
+            products: [
+                { $match: combineClauses(clauses) },
+                { $sort: sortStage },
+                { $skip: (page - 1) * limit },
+                { $limit: limit },
+                {
+                    $lookup: {
+                        from: Category.collection.name,
+                        localField: 'categoryId',
+                        foreignField: '_id',
+                        as: 'categoryId',
+                    },
+                },
+                { $unwind: { path: '$categoryId', preserveNullAndEmptyArrays: true } },
+            ],
+            total: [{ $match: combineClauses(clauses) }, { $count: 'count' }],
+            categories: [
+                { $match: combineClauses(clauses, 'category') },
+                { $group: { _id: '$categoryId', count: { $sum: 1 } } },
+                {
+                    $lookup: {
+                        from: Category.collection.name,
+                        localField: '_id',
+                        foreignField: '_id',
+                        as: 'category',
+                    },
+                },
+                { $unwind: '$category' },
+                { $project: { _id: 1, name: '$category.name', count: 1 } },
+                { $sort: { name: 1 } },
+            ],
+            materials: [
+                { $match: { ...combineClauses(clauses, 'material'), material: { $nin: [null, ''] } } },
+                { $group: { _id: '$material', count: { $sum: 1 } } },
+                { $sort: { _id: 1 } },
+                { $project: { _id: 0, value: '$_id', count: 1 } },
+            ],
+            priceBands: [
+                { $match: combineClauses(clauses, 'price') },
+                {
+                    $bucket: {
+                        groupBy: '$price',
+                        boundaries: PRICE_BANDS,
+                        default: 'above',
+                        output: { count: { $sum: 1 } },
+                    },
+                },
+            ],
+            sizes: [
+                { $match: combineClauses(clauses, 'variant') },
+                ...countVariantValues('size', buildVariantMatch({ colors: filters.colors })),
+            ],
+            colors: [
+                { $match: combineClauses(clauses, 'variant') },
+                ...countVariantValues('color', buildVariantMatch({ sizes: filters.sizes })),
+            ],
+        },
+    });
+
+    const [result] = await Product.aggregate(pipeline);
+
+    return {
+        products: result.products,
+        total: result.total.length > 0 ? result.total[0].count : 0,
+        facets: {
+            categories: result.categories,
+            materials: result.materials,
+            priceBands: formatPriceBands(result.priceBands),
+            sizes: result.sizes,
+            colors: result.colors,
+        },
+    };
+};
+
+/**
+ * Search engine backed by the MongoDB text index on Product.
+ * Results are ranked by text score; when nothing matches, the query is
+ * corrected against the catalog vocabulary and searched once more.
+ * @returns {object} - An engine with search.
+ */
+export const createMongoSearchEngine = () => {
+    /**
+     * @param {object} params
+     * @param {string} [params.q] - Free-text query.
+     * @param {object} [params.filters] - See buildFilterClauses.
+     * @param {string} [params.sort] - One of SEARCH_SORTS.
+     * @param {number} [params.page]
+     * @param {number} [params.limit]
+     * @returns {Promise<{ products: object[], total: number, facets: object, correctedQuery: string|null }>}
+     */
+    const search = async ({ q = '', filters = {}, sort = 'relevance', page = 1, limit = 10 }) => {
+        const query = q.trim();
+        const result = await runSearch({ q: query, filters, sort, page, limit });
+
+        if (query && result.total === 0) {
+            const correctedQuery = await correctQuery(query);
+            if (correctedQuery) {
+                const corrected = await runSearch({ q: correctedQuery, filters, sort, page, limit });
+                return { ...corrected, correctedQuery };
+            }
+        }
+
+        return { ...result, correctedQuery: null };
+    };
+
+    return { name: 'mongo', search };
+};
+
+// Search engines selectable through SEARCH_ENGINE
+const searchEngineFactories = {
+    mongo: createMongoSearchEngine,
+};
+
+let activeEngine = null;
+
+/**
+ * Get the configured search engine, creating it on first use.
+ * @returns {object}
+ */
+export const getSearchEngine = () => {
+    if (!activeEngine) {
+        const factory = searchEngineFactories[ENV_VARS.SEARCH_ENGINE];
+        if (!factory) {
+            throw new Error(`Unknown search engine: ${ENV_VARS.SEARCH_ENGINE}`);
+        }
+        activeEngine = factory();
+    }
+    return activeEngine;
+};
+
+/**
+ * Replace the search engine, e.g. with an adapter for an external search service.
+ * The engine must implement search() with the same parameters and result as
+ * createMongoSearchEngine.
+ * @param {object|null} engine - Pass null to go back to the configured engine.
+ */
+export const setSearchEngine = (engine) => {
+    activeEngine = engine;
+};
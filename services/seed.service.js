@@ -0,0 +1,380 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import cloudinary from '../config/cloudinary.js';
+import { ENV_VARS } from '../config/envVars.js';
+import { Category } from '../models/category.model.js';
+import { Product } from '../models/product.model.js';
+import { ProductVariant } from '../models/productVariant.model.js';
+import { findCategory, slugify, resolveAncestors, moveCategory } from './category.service.js';
+import { recordInitialStock } from './inventory.service.js';
+import { NOT_DELETED } from './productLifecycle.service.js';
+
+export const DEFAULT_SEED_FILE = path.resolve('seeds', 'catalog.json');
+
+// Seed value used when none is given, so repeated runs generate the same data
+export const DEFAULT_SEED = '1';
+
+// Same comparison as the category name index: case-insensitive
+const CASE_INSENSITIVE = { locale: 'en', strength: 2 };
+
+export class SeedError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'SeedError';
+        this.statusCode = statusCode;
+    }
+}
+
+/**
+ * A random number generator that always gives the same sequence for the same
+ * seed and key. Each product gets its own key, so adding a product to the seed
+ * file doesn't change the values generated for the others.
+ * @param {string} seed
+ * @param {string} key
+ * @returns {() => number} - Numbers in [0, 1), like Math.random.
+ */
+const createRandom = (seed, key) => {
+    let state = crypto.createHash('sha256').update(`${seed}:${key}`).digest().readUInt32LE(0);
+    // mulberry32
+    return () => {
+        state = (state + 0x6D2B79F5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+const randomInt = (random, { min, max, step = 1 }) => {
+    const steps = Math.floor((max - min) / step);
+    return min + Math.floor(random() * (steps + 1)) * step;
+};
+
+const pick = (random, values) => values[Math.floor(random() * values.length)];
+
+/**
+ * Read and parse a seed file.
+ * @param {string} [file] - Defaults to seeds/catalog.json.
+ * @returns {Promise<object>}
+ */
+export const loadSeedFile = async (file = DEFAULT_SEED_FILE) => {
+    let content;
+    try {
+        content = await fs.readFile(file, 'utf8');
+    } catch (error) {
+        throw new SeedError(`Cannot read seed file ${file}: ${error.message}`, 500);
+    }
+    try {
+        return JSON.parse(content);
+    } catch (error) {
+        throw new SeedError(`Seed file ${file} is not valid JSON: ${error.message}`);
+    }
+};
+
+/**
+ * Check the shape of a seed catalog before anything is looked up.
+ * @param {object} catalog
+ */
+const validateCatalog = (catalog) => {
+    if (!catalog || typeof catalog !== 'object') {
+        throw new SeedError('The seed must be an object with categories and products');
+    }
+    const { categories = [], products = [] } = catalog;
+    if (!Array.isArray(categories) || !Array.isArray(products)) {
+        throw new SeedError('categories and products must be arrays');
+    }
+
+    const slugs = new Set();
+    for (const category of categories) {
+        if (!category || typeof category.name !== 'string' || !category.name.trim()) {
+            throw new SeedError('Every category needs a name');
+        }
+        const slug = category.slug || slugify(category.name);
+        if (slugs.has(slug)) {
+            throw new SeedError(`Category ${slug} appears more than once`);
+        }
+        slugs.add(slug);
+    }
+
+    const titles = new Set();
+    for (const product of products) {
+        if (!product || typeof product.title !== 'string' || !product.title.trim()) {
+            throw new SeedError('Every product needs a title');
+        }
+        if (!product.category) {
+            throw new SeedError(`Product ${product.title} has no category`);
+        }
+        const key = product.title.trim().toLowerCase();
+        if (titles.has(key)) {
+            throw new SeedError(`Product ${product.title} appears more than once`);
+        }
+        titles.add(key);
+    }
+};
+
+// Fields of an existing record that differ from the seed, as { field: { from, to } }
+const diffFields = (existing, wanted) => {
+    const changes = {};
+    for (const [field, value] of Object.entries(wanted)) {
+        if (value === undefined) continue;
+        const current = existing[field];
+        const same = current?.equals ? current.equals(value) : String(current ?? '') === String(value ?? '');
+        if (!same) {
+            changes[field] = { from: current ?? null, to: value };
+        }
+    }
+    return changes;
+};
+
+/**
+ * Work out what seeding would change, without writing anything.
+ * Records are matched by natural key: categories by slug (or by name under the
+ * same parent, for categories from before slugs), products by title (deleted
+ * products don't count) and variants by size and color.
+ * Values the seed file leaves out (price, material, stock) are generated from
+ * the seed value and only used for new records; existing records only take the
+ * values the file spells out.
+ * @param {object} catalog - The parsed seed file.
+ * @param {{ seed?: string }} [options]
+ * @returns {Promise<object>} - The plan, to pass to applySeedPlan.
+ */
+export const planSeed = async (catalog, { seed = DEFAULT_SEED } = {}) => {
+    validateCatalog(catalog);
+    const defaults = catalog.defaults || {};
+
+    // Categories, parents before children so their IDs are known
+    const categories = [];
+    const categoriesByRef = new Map();
+    const pending = [...(catalog.categories || [])];
+    while (pending.length > 0) {
+        const index = pending.findIndex(entry => !entry.parent || categoriesByRef.has(String(entry.parent).toLowerCase()));
+        const entry = index === -1 ? pending[0] : pending[index];
+        pending.splice(index === -1 ? 0 : index, 1);
+
+        let parent = null;
+        if (entry.parent) {
+            parent = categoriesByRef.get(String(entry.parent).toLowerCase()) || { existing: await findCategory(entry.parent) };
+            if (!parent.existing && !parent.wanted) {
+                throw new SeedError(`Parent category ${entry.parent} of ${entry.name} not found`);
+            }
+        }
+        const parentId = parent?.existing?._id ?? null;
+
+        const slug = entry.slug || slugify(entry.name);
+        let existing = await Category.findOne({ slug });
+        if (!existing && (!parent || parentId)) {
+            existing = await Category.findOne({ name: entry.name.trim(), parent: parentId }).collation(CASE_INSENSITIVE);
+        }
+
+        const planned = {
+            key: slug,
+            existing,
+            parent,
+            wanted: { name: entry.name.trim(), slug, description: entry.description, sortOrder: entry.sortOrder },
+        };
+        if (existing) {
+            planned.changes = diffFields(existing, planned.wanted);
+            if (parent && !parentId) {
+                planned.changes.parent = { from: existing.parent, to: parent.key };
+            } else if (String(existing.parent ?? '') !== String(parentId ?? '')) {
+                planned.changes.parent = { from: existing.parent, to: parentId };
+            }
+        }
+
+        categories.push(planned);
+        categoriesByRef.set(slug, planned);
+        categoriesByRef.set(entry.name.trim().toLowerCase(), planned);
+    }
+
+    // Products and their variants
+    const products = [];
+    for (const entry of catalog.products || []) {
+        const random = createRandom(seed, entry.title.trim().toLowerCase());
+        const title = entry.title.trim();
+
+        const category = categoriesByRef.get(String(entry.category).toLowerCase()) || { existing: await findCategory(entry.category) };
+        if (!category.existing && !category.wanted) {
+            throw new SeedError(`Category ${entry.category} of product ${title} not found`);
+        }
+
+        const existing = await Product.findOne({ title, ...NOT_DELETED }).collation(CASE_INSENSITIVE);
+        const generated = {
+            description: `A high-quality ${title.toLowerCase()}`,
+            price: defaults.price ? randomInt(random, defaults.price) : 0,
+            material: defaults.materials?.length ? pick(random, defaults.materials) : undefined,
+        };
+        const given = { title, description: entry.description, price: entry.price, material: entry.material };
+
+        const planned = {
+            key: title,
+            existing,
+            category,
+            wanted: existing ? given : { ...generated, ...Object.fromEntries(Object.entries(given).filter(([, value]) => value !== undefined)) },
+            images: entry.images || [],
+            imageFolder: entry.imageFolder,
+            variants: [],
+        };
+        if (existing) {
+            planned.changes = diffFields(existing, given);
+            if (category.existing && !existing.categoryId.equals(category.existing._id)) {
+                planned.changes.categoryId = { from: existing.categoryId, to: category.existing._id };
+            } else if (!category.existing) {
+                planned.changes.categoryId = { from: existing.categoryId, to: category.key };
+            }
+        }
+
+        const variants = entry.variants || (entry.sizes || defaults.sizes || []).flatMap(size =>
+            (entry.colors || defaults.colors || []).map(color => ({ size, color })));
+        const existingVariants = existing ? await ProductVariant.find({ productId: existing._id }) : [];
+
+        for (const variant of variants) {
+            // Drawn for every variant so the values don't depend on which ones already exist
+            const quantity = variant.quantity ?? (defaults.quantity ? randomInt(random, defaults.quantity) : 0);
+            const found = existingVariants.find(candidate =>
+                candidate.size.toLowerCase() === String(variant.size).toLowerCase()
+                && candidate.color.toLowerCase() === String(variant.color).toLowerCase());
+
+            planned.variants.push({
+                key: `${title} ${variant.size}/${variant.color}`,
+                existing: found,
+                wanted: { size: variant.size, color: variant.color, quantity, price: variant.price },
+            });
+        }
+
+        products.push(planned);
+    }
+
+    return { seed: String(seed), categories, products };
+};
+
+/**
+ * Summarize a plan for the dry-run report and the result of a real run.
+ * @param {object} plan
+ * @returns {object}
+ */
+export const describeSeedPlan = (plan) => {
+    const summarize = (entries) => ({
+        created: entries.filter(entry => !entry.existing).map(entry => entry.key),
+        updated: entries
+            .filter(entry => entry.existing && Object.keys(entry.changes).length > 0)
+            .map(entry => ({ key: entry.key, changes: entry.changes })),
+        unchanged: entries.filter(entry => entry.existing && Object.keys(entry.changes).length === 0).length,
+    });
+
+    const variants = plan.products.flatMap(product => product.variants);
+    return {
+        seed: plan.seed,
+        categories: summarize(plan.categories),
+        products: summarize(plan.products),
+        variants: {
+            created: variants.filter(variant => !variant.existing).map(variant => variant.key),
+            unchanged: variants.filter(variant => variant.existing).length,
+        },
+    };
+};
+
+/**
+ * The newest image in a Cloudinary folder, for seed products that name one.
+ * @returns {Promise<string|null>}
+ */
+const findFolderImage = async (folder) => {
+    if (ENV_VARS.STORAGE_DRIVER !== 'cloudinary') {
+        return null;
+    }
+    try {
+        const result = await cloudinary.v2.search
+            .expression(`folder:${folder}/*`)
+            .sort_by('created_at', 'desc')
+            .max_results(1)
+            .execute();
+        return result?.resources?.[0]?.secure_url || null;
+    } catch (error) {
+        console.error(`Error fetching seed image from ${folder}:`, error.message);
+        return null;
+    }
+};
+
+/**
+ * Carry out a plan from planSeed. Nothing is ever deleted, so orders keep the
+ * products they reference. Stock of existing variants is left alone; it only
+ * changes through the inventory ledger.
+ * @param {object} plan
+ * @param {{ user?: string }} [options] - Who ran the seed, for the ledger.
+ */
+export const applySeedPlan = async (plan, { user } = {}) => {
+    for (const entry of plan.categories) {
+        const parentId = entry.parent ? (entry.parent.existing?._id ?? entry.parent.document._id) : null;
+        const { name, slug, description, sortOrder } = entry.wanted;
+
+        if (!entry.existing) {
+            entry.document = await Category.create({
+                name,
+                slug,
+                description,
+                sortOrder,
+                parent: parentId,
+                ancestors: await resolveAncestors(parentId),
+            });
+            continue;
+        }
+
+        const category = entry.existing;
+        entry.document = category;
+        if (Object.keys(entry.changes).length === 0) continue;
+
+        category.set(Object.fromEntries(Object.entries({ name, slug, description, sortOrder }).filter(([, value]) => value !== undefined)));
+        if (entry.changes.parent) {
+            await moveCategory(category, parentId);
+        } else {
+            await category.save();
+        }
+    }
+
+    for (const entry of plan.products) {
+        const categoryId = entry.category.existing?._id ?? entry.category.document._id;
+        let product = entry.existing;
+
+        if (!product) {
+            const imageUrls = entry.images.length > 0
+                ? entry.images
+                : [entry.imageFolder && await findFolderImage(entry.imageFolder)].filter(Boolean);
+
+            product = await Product.create({
+                ...entry.wanted,
+                categoryId,
+                image: imageUrls[0] || '',
+                images: imageUrls.map((url, index) => ({ url, alt: entry.wanted.title, isPrimary: index === 0 })),
+            });
+        } else if (Object.keys(entry.changes).length > 0) {
+            product.set(Object.fromEntries(Object.entries(entry.wanted).filter(([, value]) => value !== undefined)));
+            product.categoryId = categoryId;
+            await product.save();
+        }
+
+        for (const variant of entry.variants) {
+            if (variant.existing) continue;
+            const created = await ProductVariant.create({
+                productId: product._id,
+                size: variant.wanted.size,
+                color: variant.wanted.color,
+                quantity: variant.wanted.quantity,
+                price: variant.wanted.price ?? null,
+            });
+            await recordInitialStock(created, { reason: 'Seed data', user });
+        }
+    }
+};
+
+/**
+ * Seed the catalog from a seed file: plan, then apply unless it's a dry run.
+ * @param {object} catalog - The parsed seed file.
+ * @param {{ seed?: string, dryRun?: boolean, user?: string }} [options]
+ * @returns {Promise<object>} - What was (or, in a dry run, would be) created and updated.
+ */
+export const seedCatalog = async (catalog, { seed, dryRun = false, user } = {}) => {
+    const plan = await planSeed(catalog, { seed });
+    if (!dryRun) {
+        await applySeedPlan(plan, { user });
+    }
+    return { dryRun, ...describeSeedPlan(plan) };
+};
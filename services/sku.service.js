@@ -0,0 +1,143 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import bwipjs from 'bwip-js';
+import { ENV_VARS } from '../config/envVars.js';
+
+// Barcode symbologies by number of digits
+const BARCODE_TYPES = {
+    8: 'ean8',
+    12: 'upca',
+    13: 'ean13',
+};
+
+export const LABEL_FORMATS = ['png', 'svg'];
+
+/**
+ * Reduce a name to an SKU segment: no accents, uppercase letters and digits only.
+ * @param {string} value
+ * @param {number} [length] - Keep at most this many characters.
+ * @returns {string}
+ */
+export const toSkuSegment = (value, length) => {
+    const segment = String(value ?? '')
+        .normalize('NFD')
+        .replace(/\p{M}/gu, '')
+        .replace(/[đĐ]/g, 'D')
+        .toUpperCase()
+        .replace(/[^A-Z0-9]/g, '');
+    return length ? segment.slice(0, length) : segment;
+};
+
+/**
+ * Fill an SKU pattern such as "{CATEGORY:3}-{PRODUCT:6}-{SIZE}-{COLOR:3}".
+ * Placeholders are CATEGORY, PRODUCT, PRODUCTID, SIZE and COLOR, each with an
+ * optional maximum length.
+ * @param {string} pattern
+ * @param {{ category?: string, product?: string, productId?: string, size?: string, color?: string }} values
+ * @returns {string}
+ */
+export const formatSku = (pattern, values) => {
+    const sources = {
+        CATEGORY: values.category,
+        PRODUCT: values.product,
+        PRODUCTID: String(values.productId ?? '').slice(-6),
+        SIZE: values.size,
+        COLOR: values.color,
+    };
+    return pattern
+        .replace(/\{(\w+)(?::(\d+))?\}/g, (placeholder, name, length) => (
+            name in sources ? toSkuSegment(sources[name], Number(length) || undefined) : placeholder
+        ))
+        .replace(/-{2,}/g, '-')
+        .replace(/^-|-$/g, '');
+};
+
+/**
+ * Build a unique SKU for a variant from the configured SKU_PATTERN.
+ * A numeric suffix is added when another variant already uses the SKU.
+ * @param {object} variant - The ProductVariant document.
+ * @returns {Promise<string>}
+ */
+export const generateSku = async (variant) => {
+    const ProductVariant = mongoose.model('ProductVariant');
+    const product = await mongoose.model('Product').findById(variant.productId).populate('categoryId', 'name');
+
+    const base = formatSku(ENV_VARS.SKU_PATTERN, {
+        category: product?.categoryId?.name,
+        product: product?.title,
+        productId: variant.productId,
+        size: variant.size,
+        color: variant.color,
+    });
+
+    let sku = base;
+    for (let suffix = 2; await ProductVariant.exists({ sku, _id: { $ne: variant._id } }); suffix++) {
+        sku = `${base}-${suffix}`;
+    }
+    return sku;
+};
+
+// GS1 check digit: weights 3 and 1 alternate from the rightmost data digit
+const computeCheckDigit = (digits) => {
+    const sum = [...digits].reverse().reduce((total, digit, index) => total + Number(digit) * (index % 2 === 0 ? 3 : 1), 0);
+    return String((10 - (sum % 10)) % 10);
+};
+
+/**
+ * Get the symbology of an EAN-8, UPC-A or EAN-13 barcode.
+ * @param {string} code
+ * @returns {string|null} - ean8, upca or ean13, or null when the code is not a valid barcode.
+ */
+export const getBarcodeType = (code) => {
+    if (!/^\d+$/.test(code || '') || !BARCODE_TYPES[code.length]) {
+        return null;
+    }
+    return computeCheckDigit(code.slice(0, -1)) === code.slice(-1) ? BARCODE_TYPES[code.length] : null;
+};
+
+/**
+ * Check that a code is an EAN-8, UPC-A or EAN-13 barcode with a correct check digit.
+ * @param {string} code
+ * @returns {boolean}
+ */
+export const isValidBarcode = (code) => getBarcodeType(code) !== null;
+
+/**
+ * Generate an unused in-store EAN-13 for a variant that has no manufacturer barcode.
+ * Uses BARCODE_PREFIX, which should stay in the GS1 in-store range (200-299).
+ * @returns {Promise<string>}
+ */
+export const generateBarcode = async () => {
+    const ProductVariant = mongoose.model('ProductVariant');
+    const prefix = ENV_VARS.BARCODE_PREFIX;
+
+    for (;;) {
+        const body = prefix + crypto.randomInt(0, 10 ** (12 - prefix.length)).toString().padStart(12 - prefix.length, '0');
+        const barcode = body + computeCheckDigit(body);
+        if (!(await ProductVariant.exists({ barcode }))) {
+            return barcode;
+        }
+    }
+};
+
+/**
+ * Render a printable label for a variant: its barcode when it has one,
+ * otherwise its SKU as Code 128.
+ * @param {{ sku?: string, barcode?: string }} variant
+ * @param {string} [format] - png or svg.
+ * @returns {Promise<{ contentType: string, body: Buffer|string }>}
+ */
+export const renderLabel = async (variant, format = 'png') => {
+    const options = variant.barcode
+        ? { bcid: getBarcodeType(variant.barcode), text: variant.barcode }
+        : { bcid: 'code128', text: variant.sku };
+    if (!options.bcid || !options.text) {
+        throw new Error('Variant has neither a valid barcode nor an SKU');
+    }
+
+    const labelOptions = { ...options, scale: 3, height: 12, includetext: true, textxalign: 'center' };
+    if (format === 'svg') {
+        return { contentType: 'image/svg+xml', body: bwipjs.toSVG(labelOptions) };
+    }
+    return { contentType: 'image/png', body: await bwipjs.toBuffer(labelOptions) };
+};
@@ -0,0 +1,208 @@
+import axios from 'axios';
+import nodemailer from 'nodemailer';
+import { ENV_VARS } from '../config/envVars.js';
+import { ProductVariant } from '../models/productVariant.model.js';
+import { Product } from '../models/product.model.js';
+import { StockAlert, STOCK_ALERT_STATUS } from '../models/stockAlert.model.js';
+
+const UNRESOLVED_STATUSES = [STOCK_ALERT_STATUS.OPEN, STOCK_ALERT_STATUS.ACKNOWLEDGED];
+
+/**
+ * MongoDB condition matching variants at or below their reorder point.
+ * @returns {object}
+ */
+export const lowStockCondition = () => ({
+    $expr: { $lte: ['$quantity', { $ifNull: ['$reorderPoint', ENV_VARS.DEFAULT_REORDER_POINT] }] },
+});
+
+const describeAlert = (alert) => {
+    const variant = [alert.size, alert.color].filter(Boolean).join(' / ');
+    return `${alert.productTitle || 'Product'}${variant ? ` (${variant})` : ''}${alert.sku ? ` [${alert.sku}]` : ''}`
+        + ` is low on stock: ${alert.quantity} left, reorder point ${alert.reorderPoint}`;
+};
+
+/**
+ * Channel that writes alerts to the server log.
+ * @returns {object} - A channel with name and send.
+ */
+export const createLogChannel = () => ({
+    name: 'log',
+    send: async (alert) => {
+        console.warn(`[stock alert] ${describeAlert(alert)}`);
+    },
+});
+
+/**
+ * Channel that posts alerts as JSON to a webhook, e.g. a chat integration.
+ * @param {{ url?: string }} [options]
+ * @returns {object} - A channel with name and send.
+ */
+export const createWebhookChannel = (options = {}) => {
+    const url = options.url || ENV_VARS.STOCK_ALERT_WEBHOOK_URL;
+
+    return {
+        name: 'webhook',
+        send: async (alert) => {
+            if (!url) {
+                throw new Error('STOCK_ALERT_WEBHOOK_URL is not set');
+            }
+            await axios.post(url, {
+                type: 'low_stock',
+                text: describeAlert(alert),
+                alert: alert.toObject ? alert.toObject() : alert,
+            }, { timeout: 10000 });
+        },
+    };
+};
+
+/**
+ * Channel that emails alerts to the inventory team over SMTP.
+ * @param {{ to?: string, from?: string, transport?: object }} [options] - transport defaults to an SMTP transport from the SMTP_* settings.
+ * @returns {object} - A channel with name and send.
+ */
+export const createEmailChannel = (options = {}) => {
+    const to = options.to || ENV_VARS.STOCK_ALERT_EMAIL_TO;
+    const from = options.from || ENV_VARS.SMTP_FROM;
+    let transport = options.transport;
+
+    return {
+        name: 'email',
+        send: async (alert) => {
+            if (!to) {
+                throw new Error('STOCK_ALERT_EMAIL_TO is not set');
+            }
+            transport = transport || nodemailer.createTransport({
+                host: ENV_VARS.SMTP_HOST,
+                port: ENV_VARS.SMTP_PORT,
+                auth: ENV_VARS.SMTP_USER ? { user: ENV_VARS.SMTP_USER, pass: ENV_VARS.SMTP_PASS } : undefined,
+            });
+            await transport.sendMail({
+                from,
+                to,
+                subject: `Low stock: ${alert.sku || alert.productTitle} (${alert.quantity} left)`,
+                text: describeAlert(alert),
+            });
+        },
+    };
+};
+
+// Channels selectable through STOCK_ALERT_CHANNELS
+const channelFactories = {
+    log: createLogChannel,
+    webhook: createWebhookChannel,
+    email: createEmailChannel,
+};
+
+let activeChannels = null;
+
+/**
+ * Get the configured alert channels, creating them on first use.
+ * @returns {object[]}
+ */
+export const getAlertChannels = () => {
+    if (!activeChannels) {
+        activeChannels = ENV_VARS.STOCK_ALERT_CHANNELS
+            .split(',')
+            .map(name => name.trim())
+            .filter(Boolean)
+            .map(name => {
+                const factory = channelFactories[name];
+                if (!factory) {
+                    throw new Error(`Unknown stock alert channel: ${name}`);
+                }
+                return factory();
+            });
+    }
+    return activeChannels;
+};
+
+/**
+ * Replace the alert channels, e.g. with a channel that records alerts in tests.
+ * Each channel needs a name and an async send(alert).
+ * @param {object[]|null} channels - Pass null to go back to the configured channels.
+ */
+export const setAlertChannels = (channels) => {
+    activeChannels = channels;
+};
+
+// Send through every channel; one failing channel doesn't stop the others
+const notify = async (alert) => {
+    const deliveries = await Promise.all(getAlertChannels().map(async (channel) => {
+        try {
+            await channel.send(alert);
+            return { channel: channel.name, success: true };
+        } catch (error) {
+            return { channel: channel.name, success: false, error: error.message };
+        }
+    }));
+    await StockAlert.updateOne({ _id: alert._id }, { $push: { deliveries: { $each: deliveries } } });
+};
+
+/**
+ * Raise alerts for variants that are at or below their reorder point and
+ * resolve the alerts of variants that have been restocked.
+ * A variant only has one unresolved alert at a time, so repeated sales don't
+ * send the same alert again.
+ * @param {Iterable<string>} variantIds
+ * @returns {Promise<object[]>} - The alerts raised.
+ */
+export const checkStockLevels = async (variantIds) => {
+    const ids = [...new Set([...variantIds].map(String))];
+    if (ids.length === 0) {
+        return [];
+    }
+
+    const [lowVariants, unresolved] = await Promise.all([
+        ProductVariant.find({ _id: { $in: ids }, ...lowStockCondition() }),
+        StockAlert.find({ productVariantId: { $in: ids }, status: { $in: UNRESOLVED_STATUSES } }),
+    ]);
+
+    const lowIds = new Set(lowVariants.map(variant => variant._id.toString()));
+    const alertedIds = new Set(unresolved.map(alert => alert.productVariantId.toString()));
+
+    const restocked = unresolved.filter(alert => !lowIds.has(alert.productVariantId.toString()));
+    if (restocked.length > 0) {
+        await StockAlert.updateMany(
+            { _id: { $in: restocked.map(alert => alert._id) }, status: { $in: UNRESOLVED_STATUSES } },
+            { $set: { status: STOCK_ALERT_STATUS.RESOLVED, resolvedAt: new Date() } }
+        );
+    }
+
+    const raised = [];
+    for (const variant of lowVariants.filter(item => !alertedIds.has(item._id.toString()))) {
+        const product = await Product.findById(variant.productId).select('title');
+        try {
+            const alert = await StockAlert.create({
+                productVariantId: variant._id,
+                productId: variant.productId,
+                productTitle: product?.title,
+                sku: variant.sku,
+                size: variant.size,
+                color: variant.color,
+                quantity: variant.quantity,
+                reorderPoint: variant.getReorderPoint(),
+            });
+            raised.push(alert);
+        } catch (error) {
+            if (error.code === 11000) continue; // Raised by a concurrent check
+            throw error;
+        }
+    }
+
+    await Promise.all(raised.map(notify));
+    return raised;
+};
+
+/**
+ * Run checkStockLevels in the background so the request that changed the
+ * stock doesn't wait for notifications. Errors are logged, not thrown.
+ * @param {Iterable<string>} variantIds
+ */
+export const scheduleStockCheck = (variantIds) => {
+    const ids = [...variantIds];
+    setImmediate(() => {
+        checkStockLevels(ids).catch(error => {
+            console.error('Error checking stock levels:', error.message);
+        });
+    });
+};
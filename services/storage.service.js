@@ -0,0 +1,178 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import cloudinary from '../config/cloudinary.js';
+import { ENV_VARS } from '../config/envVars.js';
+
+// Root folder of the local-disk storage, served by server.js under /uploads
+export const LOCAL_UPLOAD_DIR = path.resolve('uploads');
+
+const MIME_EXTENSIONS = {
+    'image/jpeg': '.jpg',
+    'image/png': '.png',
+    'image/webp': '.webp',
+    'image/avif': '.avif',
+    'image/gif': '.gif',
+};
+
+// Widths served to clients; images are never scaled up past their original size
+export const IMAGE_SIZES = {
+    thumbnail: 200,
+    medium: 800,
+    zoom: 1600,
+};
+
+// Modern formats offered next to the default, for <picture> sources
+export const IMAGE_FORMATS = ['webp', 'avif'];
+
+/**
+ * Storage backed by Cloudinary (config/cloudinary.js).
+ * @returns {object} - A storage with upload and remove.
+ */
+export const createCloudinaryStorage = () => {
+    const upload = (buffer, { folder }) => new Promise((resolve, reject) => {
+        const stream = cloudinary.v2.uploader.upload_stream(
+            { folder, resource_type: 'image' },
+            (error, result) => {
+                if (error) {
+                    return reject(error);
+                }
+                resolve({ url: result.secure_url, public_id: result.public_id });
+            }
+        );
+        stream.end(buffer);
+    });
+
+    const remove = async (publicId) => {
+        await cloudinary.v2.uploader.destroy(publicId, { resource_type: 'image' });
+    };
+
+    // Resized on the fly by Cloudinary; without a format it picks the best one the browser accepts
+    const url = (publicId, { width, format } = {}) => cloudinary.v2.url(publicId, {
+        secure: true,
+        transformation: [{ width, crop: 'limit', quality: 'auto', ...(!format && { fetch_format: 'auto' }) }],
+        ...(format && { format }),
+    });
+
+    return { name: 'cloudinary', upload, remove, url };
+};
+
+/**
+ * Storage on the local disk, for offline development and tests.
+ * It can't transform images, so every size and format is the original file.
+ * @param {{ rootDir?: string, baseUrl?: string }} [options]
+ * @returns {object} - A storage with upload and remove.
+ */
+export const createLocalStorage = (options = {}) => {
+    const rootDir = path.resolve(options.rootDir || LOCAL_UPLOAD_DIR);
+    const baseUrl = options.baseUrl || `${ENV_VARS.SERVER_URL}/uploads`;
+
+    const upload = async (buffer, { folder, mimetype }) => {
+        const publicId = path.posix.join(folder, crypto.randomUUID() + (MIME_EXTENSIONS[mimetype] || ''));
+        const filePath = path.join(rootDir, publicId);
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(filePath, buffer);
+        return { url: `${baseUrl}/${publicId}`, public_id: publicId };
+    };
+
+    const remove = async (publicId) => {
+        const filePath = path.resolve(rootDir, publicId);
+        if (!filePath.startsWith(rootDir + path.sep)) {
+            throw new Error(`Invalid public_id: ${publicId}`);
+        }
+        await fs.rm(filePath, { force: true });
+    };
+
+    const url = (publicId) => `${baseUrl}/${publicId}`;
+
+    return { name: 'local', upload, remove, url };
+};
+
+// Storages selectable through STORAGE_DRIVER
+const storageFactories = {
+    cloudinary: createCloudinaryStorage,
+    local: createLocalStorage,
+};
+
+let activeStorage = null;
+
+/**
+ * Get the configured file storage, creating it on first use.
+ * @returns {object}
+ */
+export const getStorage = () => {
+    if (!activeStorage) {
+        const factory = storageFactories[ENV_VARS.STORAGE_DRIVER];
+        if (!factory) {
+            throw new Error(`Unknown storage driver: ${ENV_VARS.STORAGE_DRIVER}`);
+        }
+        activeStorage = factory();
+    }
+    return activeStorage;
+};
+
+/**
+ * Replace the file storage, e.g. with createLocalStorage() in tests.
+ * @param {object|null} storage - Pass null to go back to the configured storage.
+ */
+export const setStorage = (storage) => {
+    activeStorage = storage;
+};
+
+/**
+ * Upload files parsed by multer.
+ * If one upload fails, the files already uploaded are removed again.
+ * @param {Array<{ buffer: Buffer, mimetype: string }>} files
+ * @param {string} folder - Destination folder, e.g. reviews/<productId>.
+ * @returns {Promise<Array<{ url: string, public_id: string }>>}
+ */
+export const uploadImages = async (files = [], folder) => {
+    const storage = getStorage();
+    const uploaded = [];
+    try {
+        for (const file of files) {
+            uploaded.push(await storage.upload(file.buffer, { folder, mimetype: file.mimetype }));
+        }
+    } catch (error) {
+        await deleteImages(uploaded);
+        throw error;
+    }
+    return uploaded;
+};
+
+/**
+ * Delete stored images. Failures are logged rather than thrown, so cleanup
+ * never blocks the operation that triggered it.
+ * @param {Array<{ public_id?: string }>} images
+ */
+export const deleteImages = async (images = []) => {
+    const storage = getStorage();
+    for (const image of images) {
+        if (!image || !image.public_id) continue;
+        try {
+            await storage.remove(image.public_id);
+        } catch (error) {
+            console.error(`Error deleting image ${image.public_id}:`, error.message);
+        }
+    }
+};
+
+/**
+ * URLs of an image at each of IMAGE_SIZES, in the default and modern formats.
+ * Images that were not uploaded through the storage (no public_id) keep
+ * their original URL everywhere.
+ * @param {{ url: string, public_id?: string }} image
+ * @returns {Object<string, { url: string, webp: string, avif: string }>} - Keyed by size name.
+ */
+export const getImageUrls = (image) => {
+    const storage = getStorage();
+    const urlFor = (options) => (image.public_id && storage.url ? storage.url(image.public_id, options) : image.url);
+
+    return Object.fromEntries(Object.entries(IMAGE_SIZES).map(([size, width]) => [
+        size,
+        {
+            url: urlFor({ width }),
+            ...Object.fromEntries(IMAGE_FORMATS.map(format => [format, urlFor({ width, format })])),
+        },
+    ]));
+};
@@ -0,0 +1,74 @@
+import { ENV_VARS } from '../config/envVars.js';
+import { createMomoGateway, signMomo, buildNotificationSignature } from './momo.service.js';
+
+/**
+ * Create a local stand-in for the MoMo gateway.
+ * It signs and verifies notifications exactly like MoMo but never calls the
+ * network: the returned payUrl is the redirect-return handler with a signed,
+ * successful result, buildNotification crafts IPN bodies for tests, and
+ * refunds always succeed.
+ * @param {object} [options]
+ * @returns {object} - A gateway with the same interface as createMomoGateway.
+ */
+export const createStubGateway = (options = {}) => {
+    const config = {
+        partnerCode: 'STUB',
+        accessKey: 'stub-access-key',
+        secretKey: 'stub-secret-key',
+        redirectUrl: `${ENV_VARS.SERVER_URL}/api/v1/payments/momo/return`,
+        ...options,
+    };
+    const gateway = createMomoGateway(config);
+    let transactionCounter = 0;
+
+    /**
+     * Build a signed notification as MoMo would send it.
+     * @param {{ paymentId: string, amount: number, resultCode?: number, orderInfo?: string, extraData?: string }} params
+     * @returns {object}
+     */
+    const buildNotification = ({ paymentId, amount, resultCode = 0, orderInfo = '', extraData = '' }) => {
+        transactionCounter += 1;
+        const payload = {
+            partnerCode: config.partnerCode,
+            orderId: paymentId,
+            requestId: paymentId,
+            amount: Math.round(amount),
+            orderInfo,
+            orderType: 'momo_wallet',
+            transId: Date.now() + transactionCounter,
+            resultCode,
+            message: resultCode === 0 ? 'Successful.' : 'Transaction denied.',
+            payType: 'qr',
+            responseTime: Date.now(),
+            extraData,
+        };
+        payload.signature = signMomo(buildNotificationSignature(payload, config.accessKey), config.secretKey);
+        return payload;
+    };
+
+    const createPayment = async ({ paymentId, amount, orderInfo, extraData = '' }) => {
+        const notification = buildNotification({ paymentId, amount, orderInfo, extraData });
+        const payUrl = `${config.redirectUrl}?${new URLSearchParams(notification).toString()}`;
+        return { payUrl, requestId: paymentId, raw: { stub: true, payUrl } };
+    };
+
+    // Refunds always succeed locally
+    const refund = async ({ refundId, amount }) => {
+        transactionCounter += 1;
+        const refundTransactionId = String(Date.now() + transactionCounter);
+        return {
+            success: true,
+            refundTransactionId,
+            message: 'Successful.',
+            raw: { stub: true, refundId, amount: Math.round(amount), transId: refundTransactionId },
+        };
+    };
+
+    return {
+        ...gateway,
+        name: 'stub',
+        createPayment,
+        buildNotification,
+        refund,
+    };
+};
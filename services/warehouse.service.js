@@ -0,0 +1,266 @@
+import mongoose from 'mongoose';
+import { Warehouse } from '../models/warehouse.model.js';
+import { WarehouseStock } from '../models/warehouseStock.model.js';
+import { ProductVariant } from '../models/productVariant.model.js';
+import { StockTransfer } from '../models/stockTransfer.model.js';
+import { StockMovement, STOCK_MOVEMENT_TYPES } from '../models/stockMovement.model.js';
+
+export class WarehouseError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'WarehouseError';
+        this.statusCode = statusCode;
+    }
+}
+
+const DEFAULT_WAREHOUSE = { name: 'Main warehouse', code: 'MAIN' };
+
+/**
+ * Get the default warehouse, creating it the first time.
+ * @returns {Promise<object>}
+ */
+export const getDefaultWarehouse = async () => {
+    const warehouse = await Warehouse.findOne({ isDefault: true });
+    if (warehouse) {
+        return warehouse;
+    }
+
+    try {
+        return await Warehouse.create({ ...DEFAULT_WAREHOUSE, isDefault: true });
+    } catch (error) {
+        if (error.code === 11000) {
+            // Created by a concurrent request
+            return Warehouse.findOne({ isDefault: true });
+        }
+        throw error;
+    }
+};
+
+/**
+ * Find the warehouse that should receive stock.
+ * @param {string} [warehouseId] - The default warehouse when omitted.
+ * @returns {Promise<object>}
+ */
+export const getReceivingWarehouse = async (warehouseId) => {
+    if (!warehouseId) {
+        return getDefaultWarehouse();
+    }
+
+    const warehouse = mongoose.Types.ObjectId.isValid(warehouseId) ? await Warehouse.findById(warehouseId) : null;
+    if (!warehouse) {
+        throw new WarehouseError('Warehouse not found', 404);
+    }
+    if (!warehouse.isActive) {
+        throw new WarehouseError(`Warehouse ${warehouse.code} is inactive`);
+    }
+    return warehouse;
+};
+
+/**
+ * Put stock that isn't in any warehouse yet into the default warehouse.
+ * Stock from before warehouses existed only lives on ProductVariant.quantity,
+ * so this runs at startup and is safe to run again.
+ * @returns {Promise<{ variants: number, quantity: number }>} - How much stock was assigned.
+ */
+export const allocateUnassignedStock = async () => {
+    const assigned = await WarehouseStock.aggregate([
+        { $group: { _id: '$productVariantId', quantity: { $sum: '$quantity' } } },
+    ]);
+    const assignedQuantities = new Map(assigned.map(entry => [entry._id.toString(), entry.quantity]));
+
+    const variants = await ProductVariant.find({ quantity: { $gt: 0 } }).select('productId quantity');
+    const unassigned = variants
+        .map(variant => ({ variant, quantity: variant.quantity - (assignedQuantities.get(variant._id.toString()) || 0) }))
+        .filter(entry => entry.quantity > 0);
+
+    if (unassigned.length === 0) {
+        return { variants: 0, quantity: 0 };
+    }
+
+    const warehouse = await getDefaultWarehouse();
+    await WarehouseStock.bulkWrite(unassigned.map(({ variant, quantity }) => ({
+        updateOne: {
+            filter: { warehouseId: warehouse._id, productVariantId: variant._id },
+            update: { $inc: { quantity }, $setOnInsert: { productId: variant.productId } },
+            upsert: true,
+        },
+    })));
+
+    return {
+        variants: unassigned.length,
+        quantity: unassigned.reduce((total, entry) => total + entry.quantity, 0),
+    };
+};
+
+/**
+ * Stock of the given variants in active warehouses.
+ * @param {string[]} variantIds
+ * @param {{ session?: object }} [options]
+ * @returns {Promise<object[]>} - WarehouseStock entries in warehouse priority order.
+ */
+const getActiveStock = async (variantIds, { session } = {}) => {
+    const warehouses = await Warehouse.find({ isActive: true }).sort({ priority: 1, createdAt: 1 }).session(session || null);
+    const order = new Map(warehouses.map((warehouse, index) => [warehouse._id.toString(), index]));
+
+    const stock = await WarehouseStock.find({
+        productVariantId: { $in: variantIds },
+        warehouseId: { $in: warehouses.map(warehouse => warehouse._id) },
+        quantity: { $gt: 0 },
+    }).session(session || null).lean();
+
+    return stock.sort((a, b) => order.get(a.warehouseId.toString()) - order.get(b.warehouseId.toString()));
+};
+
+/**
+ * Units of a variant that can be sold, i.e. the stock in active warehouses.
+ * @param {string} variantId
+ * @returns {Promise<number>}
+ */
+export const getAvailableStock = async (variantId) => {
+    const stock = await getActiveStock([variantId]);
+    return stock.reduce((total, entry) => total + entry.quantity, 0);
+};
+
+/**
+ * Pick the warehouses to ship order lines from. A single warehouse that has
+ * every line in stock is preferred, so the order ships as one parcel;
+ * otherwise each line is taken from warehouses in priority order.
+ * @param {{ productVariantId: string, quantity: number }[]} items
+ * @param {{ session?: object }} [options]
+ * @returns {Promise<{ warehouseId: object, quantity: number }[][]|null>} - The allocations of each line, or null when there isn't enough stock.
+ */
+export const planFulfillment = async (items, { session } = {}) => {
+    const stock = await getActiveStock(items.map(item => item.productVariantId), { session });
+
+    const byWarehouse = new Map();
+    for (const entry of stock) {
+        const key = entry.warehouseId.toString();
+        if (!byWarehouse.has(key)) {
+            byWarehouse.set(key, new Map());
+        }
+        byWarehouse.get(key).set(entry.productVariantId.toString(), entry.quantity);
+    }
+
+    const needed = new Map();
+    for (const item of items) {
+        const key = item.productVariantId.toString();
+        needed.set(key, (needed.get(key) || 0) + item.quantity);
+    }
+
+    // Warehouses are in priority order, as the stock entries were
+    for (const [warehouseId, quantities] of byWarehouse) {
+        if ([...needed].every(([variantId, quantity]) => (quantities.get(variantId) || 0) >= quantity)) {
+            return items.map(item => [{ warehouseId: new mongoose.Types.ObjectId(warehouseId), quantity: item.quantity }]);
+        }
+    }
+
+    const remaining = new Map(stock.map(entry => [entry._id.toString(), entry.quantity]));
+    const plan = [];
+    for (const item of items) {
+        let missing = item.quantity;
+        const allocations = [];
+        for (const entry of stock) {
+            if (missing === 0) break;
+            if (entry.productVariantId.toString() !== item.productVariantId.toString()) continue;
+
+            const quantity = Math.min(missing, remaining.get(entry._id.toString()));
+            if (quantity > 0) {
+                allocations.push({ warehouseId: entry.warehouseId, quantity });
+                remaining.set(entry._id.toString(), remaining.get(entry._id.toString()) - quantity);
+                missing -= quantity;
+            }
+        }
+        if (missing > 0) {
+            return null;
+        }
+        plan.push(allocations);
+    }
+
+    return plan;
+};
+
+/**
+ * Move stock from one warehouse to another. Every line is taken out of the
+ * source and put into the destination in one transaction, and both sides
+ * are recorded in the stock ledger. The variant totals don't change.
+ * @param {object} transfer
+ * @param {string} transfer.fromWarehouseId
+ * @param {string} transfer.toWarehouseId
+ * @param {{ productVariantId: string, quantity: number }[]} transfer.items
+ * @param {string} [transfer.note]
+ * @param {string} [transfer.user] - Who made the transfer.
+ * @returns {Promise<object>} - The StockTransfer.
+ */
+export const transferStock = async ({ fromWarehouseId, toWarehouseId, items, note, user }) => {
+    if (String(fromWarehouseId) === String(toWarehouseId)) {
+        throw new WarehouseError('Source and destination warehouses must be different');
+    }
+
+    if (!Array.isArray(items) || items.length === 0) {
+        throw new WarehouseError('At least one item is required');
+    }
+    for (const item of items) {
+        if (!mongoose.Types.ObjectId.isValid(item.productVariantId) || !Number.isInteger(item.quantity) || item.quantity < 1) {
+            throw new WarehouseError('Each item needs a valid productVariantId and a quantity of at least 1');
+        }
+    }
+
+    const from = mongoose.Types.ObjectId.isValid(fromWarehouseId) ? await Warehouse.findById(fromWarehouseId) : null;
+    if (!from) {
+        throw new WarehouseError('Warehouse not found', 404);
+    }
+    const to = await getReceivingWarehouse(toWarehouseId);
+
+    const session = await mongoose.startSession();
+    try {
+        let transfer;
+        await session.withTransaction(async () => {
+            [transfer] = await StockTransfer.create([{
+                fromWarehouseId: from._id,
+                toWarehouseId: to._id,
+                items,
+                note,
+                createdBy: user,
+            }], { session });
+
+            const movements = [];
+            for (const item of transfer.items) {
+                const source = await WarehouseStock.findOneAndUpdate(
+                    { warehouseId: from._id, productVariantId: item.productVariantId, quantity: { $gte: item.quantity } },
+                    { $inc: { quantity: -item.quantity } },
+                    { new: true, session }
+                );
+                if (!source) {
+                    throw new WarehouseError(`Not enough stock of variant ${item.productVariantId} in ${from.code}`, 409);
+                }
+
+                await WarehouseStock.updateOne(
+                    { warehouseId: to._id, productVariantId: item.productVariantId },
+                    { $inc: { quantity: item.quantity }, $setOnInsert: { productId: source.productId } },
+                    { upsert: true, session }
+                );
+
+                const variant = await ProductVariant.findById(item.productVariantId).select('quantity').session(session);
+                const movement = {
+                    productVariantId: item.productVariantId,
+                    productId: source.productId,
+                    type: STOCK_MOVEMENT_TYPES.TRANSFER,
+                    balance: variant.quantity,
+                    reason: `Transfer ${from.code} → ${to.code}`,
+                    user,
+                    referenceModel: 'StockTransfer',
+                    referenceId: transfer._id,
+                };
+                movements.push(
+                    { ...movement, warehouseId: from._id, quantity: -item.quantity },
+                    { ...movement, warehouseId: to._id, quantity: item.quantity }
+                );
+            }
+
+            await StockMovement.insertMany(movements, { session });
+        });
+        return transfer;
+    } finally {
+        await session.endSession();
+    }
+};
@@ -0,0 +1,82 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { MongoMemoryReplSet } from 'mongodb-memory-server';
+import { Category } from '../models/category.model.js';
+import { Product } from '../models/product.model.js';
+import { ProductVariant } from '../models/productVariant.model.js';
+import { Cart } from '../models/cart.model.js';
+import { Order } from '../models/order.model.js';
+import { OrderProduct } from '../models/orderProduct.model.js';
+import { WarehouseStock } from '../models/warehouseStock.model.js';
+import { StockMovement, STOCK_MOVEMENT_TYPES } from '../models/stockMovement.model.js';
+import { recordInitialStock } from '../services/inventory.service.js';
+import { placeOrderFromCart, CheckoutError } from '../services/order.service.js';
+
+// Checkout runs in a transaction, which needs a replica set
+let replSet;
+
+before(async () => {
+  replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+  await mongoose.connect(replSet.getUri());
+  // Collections and indexes up front, so the transactions don't race to create them
+  await Promise.all(Object.values(mongoose.models).map(model => model.init()));
+});
+
+after(async () => {
+  // Let the stock checks scheduled after checkout finish before disconnecting
+  await new Promise(resolve => setTimeout(resolve, 200));
+  await mongoose.disconnect();
+  await replSet?.stop();
+});
+
+const sum = (documents) => documents.reduce((total, document) => total + document.quantity, 0);
+
+test('two concurrent checkouts for the last unit place exactly one order', async () => {
+  const category = await Category.create({ name: 'Shirts' });
+  const product = await Product.create({ categoryId: category._id, title: 'Linen shirt', description: 'Last one', price: 460000 });
+  const variant = await ProductVariant.create({ productId: product._id, size: 'M', color: 'White', quantity: 1 });
+  await recordInitialStock(variant);
+
+  const buyers = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+  await Cart.create(buyers.map(user => ({ user, items: [{ productVariant: variant._id, quantity: 1 }], totalAmount: 460000 })));
+
+  const results = await Promise.allSettled(buyers.map(user => placeOrderFromCart(user, { shippingAddress: 'Hanoi' })));
+
+  const placed = results.filter(result => result.status === 'fulfilled').map(result => result.value);
+  const refused = results.filter(result => result.status === 'rejected').map(result => result.reason);
+  assert.equal(placed.length, 1);
+  assert.equal(refused.length, 1);
+  assert.ok(refused[0] instanceof CheckoutError, `unexpected error: ${refused[0]?.message}`);
+
+  const [order] = placed;
+  const winner = buyers.find(user => user.equals(order.userId));
+  const loser = buyers.find(user => !user.equals(order.userId));
+
+  // Stock is gone everywhere it is kept
+  const soldOut = await ProductVariant.findById(variant._id);
+  assert.equal(soldOut.quantity, 0);
+  assert.equal(sum(await WarehouseStock.find({ productVariantId: variant._id })), 0);
+  assert.equal((await Product.findById(product._id)).totalStock, 0);
+
+  // The ledger adds up to the stock and holds a single sale, for the placed order
+  const movements = await StockMovement.find({ productVariantId: variant._id });
+  assert.equal(sum(movements), soldOut.quantity);
+  const sales = movements.filter(movement => movement.type === STOCK_MOVEMENT_TYPES.SALE);
+  assert.equal(sales.length, 1);
+  assert.ok(sales[0].referenceId.equals(order._id));
+
+  // The winner's order has its line and the cart is cleared
+  assert.equal(await Order.countDocuments({}), 1);
+  const lines = await OrderProduct.find({ orderId: order._id });
+  assert.equal(lines.length, 1);
+  assert.equal(lines[0].quantity, 1);
+  assert.equal((await Cart.findOne({ user: winner })).items.length, 0);
+
+  // Nothing of the losing checkout is left behind
+  assert.equal(await Order.countDocuments({ userId: loser }), 0);
+  assert.equal(await OrderProduct.countDocuments({ orderId: { $ne: order._id } }), 0);
+  const loserCart = await Cart.findOne({ user: loser });
+  assert.equal(loserCart.items.length, 1);
+  assert.ok(loserCart.items[0].productVariant.equals(variant._id));
+});